@@ -6,13 +6,14 @@
 class AdminDatabase {
     constructor() {
         this.dbName = 'BrowserCapabilityAdminDB';
-        this.dbVersion = 1;
+        this.dbVersion = 2;
         this.db = null;
         this.stores = {
             browsers: 'browsers',
             tests: 'tests',
             solutions: 'solutions',
             snippets: 'snippets',
+            profiles: 'profiles',
             settings: 'settings',
             i18n: 'i18n'
         };
@@ -222,6 +223,16 @@ class AdminDatabase {
         return this.delete(this.stores.snippets, id);
     }
 
+    async saveProfile(profile) {
+        return profile.id
+            ? this.update(this.stores.profiles, profile)
+            : this.create(this.stores.profiles, profile);
+    }
+
+    async getAllProfiles() {
+        return this.getAll(this.stores.profiles);
+    }
+
     async saveSettings(settings) {
         settings.id = 'main'; // Single settings object
         return this.update(this.stores.settings, settings);
@@ -250,6 +261,7 @@ class AdminDatabase {
         const tests = await this.getAllTests();
         const solutions = await this.getAllSolutions();
         const snippets = await this.getAllSnippets();
+        const profiles = await this.getAllProfiles();
         const settings = await this.getSettings();
         const i18n = await this.getI18n();
 
@@ -261,6 +273,7 @@ class AdminDatabase {
             tests: tests,
             solutions: solutions,
             snippets: snippets,
+            profiles: profiles,
             meta: {
                 version: settings.dbVersion || '1.0.0',
                 notes: settings.notes || ''
@@ -269,7 +282,7 @@ class AdminDatabase {
 
         // Process export options
         if (options.inlineSnippets) {
-            exportData.solutions = this.inlineSnippetsInSolutions(solutions, snippets);
+            exportData.solutions = this.inlineSnippetsInSolutions(solutions, snippets, exportData.locales.default);
         }
 
         if (options.embedIcons) {
@@ -319,6 +332,13 @@ class AdminDatabase {
                 }
             }
 
+            // Import game requirement profiles (edited as JSON; kept across import/export)
+            if (jsonData.profiles) {
+                for (const profile of jsonData.profiles) {
+                    await this.saveProfile(profile);
+                }
+            }
+
             // Import settings
             if (jsonData.meta) {
                 const settings = await this.getSettings();
@@ -411,35 +431,29 @@ class AdminDatabase {
         });
     }
 
-    inlineSnippetsInSolutions(solutions, snippets) {
-        const snippetMap = new Map(snippets.map(s => [s.id, s]));
+    inlineSnippetsInSolutions(solutions, snippets, defaultLocale = 'en-US') {
+        const renderer = new SnippetRenderer({ snippets, defaultLocale });
+        
+        // Targeted snippets stay as references; the tester resolves them for the detected browser
+        const inline = (content, format, locale, solution) => {
+            const rendered = renderer.render(content, { format, locale, context: null });
+            rendered.unresolved.forEach(item => {
+                console.warn(`⚠️ Solution "${solution.title}" (${locale}): ${item.placeholder} - ${item.reason}`);
+            });
+            return rendered;
+        };
         
         return solutions.map(solution => {
-            let content = solution.content;
+            const rendered = inline(solution.content, solution.contentFormat || 'md', defaultLocale, solution);
             
-            // Replace snippet references
-            const snippetRegex = /\{\{snippet:([^}\s]+)(?:\s+([^}]+))?\}\}/g;
-            content = content.replace(snippetRegex, (match, snippetId, params) => {
-                const snippet = snippetMap.get(snippetId);
-                if (!snippet) return match;
-                
-                let snippetContent = snippet.body;
-                
-                // Replace variables if params provided
-                if (params) {
-                    const paramPairs = params.match(/(\w+)="([^"]+)"/g) || [];
-                    paramPairs.forEach(pair => {
-                        const [key, value] = pair.split('=');
-                        const cleanKey = key.trim();
-                        const cleanValue = value.replace(/"/g, '').trim();
-                        snippetContent = snippetContent.replace(new RegExp(`\\{\\{${cleanKey}\\}\\}`, 'g'), cleanValue);
-                    });
-                }
-                
-                return snippetContent;
+            const contentLocalized = {};
+            Object.entries(solution.contentLocalized || {}).forEach(([locale, entry]) => {
+                const localized = typeof entry === 'string' ? { content: entry } : entry;
+                const result = inline(localized.content, localized.contentFormat || solution.contentFormat || 'md', locale, solution);
+                contentLocalized[locale] = { ...localized, content: result.content, contentFormat: result.format };
             });
             
-            return { ...solution, content };
+            return { ...solution, content: rendered.content, contentFormat: rendered.format, contentLocalized };
         });
     }
 
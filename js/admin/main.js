@@ -180,6 +180,18 @@ class AdminApp {
             });
         }
         
+        // Resolution preview re-runs whenever the simulated browser changes
+        ['resolver-test', 'resolver-browser', 'resolver-os'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.runResolverPreview());
+            }
+        });
+        const resolverVersion = document.getElementById('resolver-version');
+        if (resolverVersion) {
+            resolverVersion.addEventListener('input', () => this.runResolverPreview());
+        }
+        
         // Snippets section
         const addSnippetBtn = document.getElementById('add-snippet-btn');
         if (addSnippetBtn) {
@@ -333,6 +345,83 @@ class AdminApp {
         
         // Use render function to display
         this.renderSolutions();
+        
+        await this.loadResolverPreview(browsers);
+    }
+
+    /**
+     * Fill the resolution preview selectors, keeping the current selection
+     */
+    async loadResolverPreview(browsers) {
+        this.resolverTests = await this.db.getAllTests();
+        
+        const fillSelect = (id, options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = '';
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            if (options.some(option => option.value === current)) {
+                select.value = current;
+            }
+        };
+        
+        fillSelect('resolver-test', this.resolverTests.map(test => ({ value: test.detectorKey, label: test.title })));
+        fillSelect('resolver-browser', [{ value: '', label: 'Other browser' }]
+            .concat(browsers.map(browser => ({ value: browser.id, label: browser.name }))));
+        fillSelect('resolver-os', [{ value: '', label: 'Any / unknown' }]
+            .concat(SolutionResolver.OS_IDS.map(os => ({ value: os, label: os.charAt(0).toUpperCase() + os.slice(1) }))));
+        
+        this.runResolverPreview();
+    }
+
+    /**
+     * Show which solutions the tester would display, in order, for the simulated browser
+     */
+    runResolverPreview() {
+        const container = document.getElementById('resolver-results');
+        const testSelect = document.getElementById('resolver-test');
+        if (!container || !testSelect || !this.resolverTests) return;
+        
+        const resolver = new SolutionResolver({ tests: this.resolverTests, solutions: this.solutions });
+        const resolved = resolver.resolve(testSelect.value, {
+            browserId: document.getElementById('resolver-browser').value,
+            version: document.getElementById('resolver-version').value.trim(),
+            os: document.getElementById('resolver-os').value
+        });
+        
+        container.innerHTML = '';
+        if (resolved.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'form-help';
+            empty.textContent = 'No solution applies; the tester falls back to the default guidance message.';
+            container.appendChild(empty);
+            return;
+        }
+        
+        const list = document.createElement('ol');
+        resolved.forEach((solution, index) => {
+            const item = document.createElement('li');
+            const title = document.createElement('strong');
+            title.textContent = solution.title;
+            item.appendChild(title);
+            
+            const targeting = [solution.appliesTo.scope];
+            if (solution.appliesTo.versionRange) targeting.push(solution.appliesTo.versionRange);
+            if (solution.appliesTo.os && solution.appliesTo.os.length > 0) targeting.push(solution.appliesTo.os.join(', '));
+            const meta = document.createElement('span');
+            meta.className = 'form-help';
+            meta.textContent = ` ${targeting.join(' · ')} · priority ${solution.priority || 0}${index === 0 ? ' · shown on the results page' : ''}`;
+            item.appendChild(meta);
+            
+            list.appendChild(item);
+        });
+        container.appendChild(list);
     }
 
     // Snippets section
@@ -498,17 +587,33 @@ class AdminApp {
                         errors.push(`Solution "${solution.title}" references unknown browser: ${solution.appliesTo.browserId}`);
                     }
                 }
+                
+                const rangeError = solution.appliesTo.versionRange && VersionRange.validate(solution.appliesTo.versionRange);
+                if (rangeError) {
+                    errors.push(`Solution "${solution.title}" has an invalid version range: ${rangeError}`);
+                }
+            });
+            
+            snippets.forEach(snippet => {
+                const rangeError = snippet.targets && snippet.targets.versionRange && VersionRange.validate(snippet.targets.versionRange);
+                if (rangeError) {
+                    errors.push(`Snippet "${snippet.title}" has an invalid target version range: ${rangeError}`);
+                }
             });
             
-            // Check snippet references in solutions
+            // Check snippet references and their parameters in every locale of each solution
+            const renderer = new SnippetRenderer({ snippets, defaultLocale: this.i18n.defaultLocale });
             solutions.forEach(solution => {
-                const snippetRefs = solution.content.match(/\{\{snippet:([^}\s]+)/g) || [];
-                snippetRefs.forEach(ref => {
-                    const snippetId = ref.replace('{{snippet:', '');
-                    const snippet = snippets.find(s => s.id === snippetId);
-                    if (!snippet) {
-                        warnings.push(`Solution "${solution.title}" references unknown snippet: ${snippetId}`);
-                    }
+                const contents = [[this.i18n.defaultLocale, solution.content, solution.contentFormat]];
+                Object.entries(solution.contentLocalized || {}).forEach(([locale, entry]) => {
+                    contents.push(typeof entry === 'string' ? [locale, entry] : [locale, entry.content, entry.contentFormat]);
+                });
+                
+                contents.forEach(([locale, content, format]) => {
+                    const rendered = renderer.render(content, { format: format || solution.contentFormat, locale, ignoreTargets: true });
+                    rendered.unresolved.forEach(item => {
+                        warnings.push(`Solution "${solution.title}" (${locale}): ${item.placeholder} - ${item.reason}`);
+                    });
                 });
             });
             
@@ -1001,10 +1106,22 @@ class AdminApp {
                                 </div>
                                 <div class="form-group" id="solution-version-group" style="display: ${solution && solution.appliesTo && solution.appliesTo.scope === 'browserVersion' ? 'block' : 'none'};">
                                     <label for="solution-version-range">Version Range</label>
-                                    <input type="text" id="solution-version-range" value="${solution && solution.appliesTo && solution.appliesTo.versionRange ? adminApp.escapeHtml(solution.appliesTo.versionRange) : ''}" placeholder="e.g., >=120.0.0 <125.0.0">
-                                    <small class="form-help">Semver range (e.g., >=120.0.0 <125.0.0)</small>
+                                    <input type="text" id="solution-version-range" value="${solution && solution.appliesTo && solution.appliesTo.versionRange ? adminApp.escapeHtml(solution.appliesTo.versionRange) : ''}" placeholder="e.g., >=17 <18">
+                                    <small class="form-help">Semver range: >=17 <18, 17.x, ~17.4, ^120, 120 - 125, 16 || >=17.4</small>
                                 </div>
                             </div>
+                            <div class="form-group">
+                                <label>Operating Systems</label>
+                                <div class="checkbox-group">
+                                    ${SolutionResolver.OS_IDS.map(os => `
+                                        <label class="checkbox-label">
+                                            <input type="checkbox" class="solution-os" value="${os}" ${solution && solution.appliesTo && solution.appliesTo.os && solution.appliesTo.os.includes(os) ? 'checked' : ''}>
+                                            ${os.charAt(0).toUpperCase() + os.slice(1)}
+                                        </label>
+                                    `).join('')}
+                                </div>
+                                <small class="form-help">Leave empty to apply on every OS</small>
+                            </div>
                         </div>
 
                         <!-- Content Editor -->
@@ -1132,7 +1249,11 @@ class AdminApp {
             if (scope === 'browserVersion') {
                 appliesTo.versionRange = versionRange;
             }
-            
+            const osTargets = Array.from(document.querySelectorAll('.solution-os:checked')).map(cb => cb.value);
+            if (osTargets.length > 0) {
+                appliesTo.os = osTargets;
+            }
+
             const solutionData = {
                 id: solution ? solution.id : adminApp.db.slugify(title),
                 title,
@@ -1245,6 +1366,11 @@ class AdminApp {
                                 `).join('')}
                             </div>
                         </div>
+                        <div class="form-group">
+                            <label for="snippet-version-range">Version Range</label>
+                            <input type="text" id="snippet-version-range" value="${snippet && snippet.targets && snippet.targets.versionRange ? adminApp.escapeHtml(snippet.targets.versionRange) : ''}" placeholder="e.g., >=17 <18">
+                            <small class="form-help">Optional semver range: >=17 <18, 17.x, ~17.4, ^120, 120 - 125, 16 || >=17.4</small>
+                        </div>
                     </div>
 
                     <!-- Body Editor -->
@@ -1404,6 +1530,10 @@ class AdminApp {
                 osTargets.push(cb.value);
             });
             const targets = osTargets.length > 0 ? { os: osTargets } : {};
+            const targetVersionRange = document.getElementById('snippet-version-range').value.trim();
+            if (targetVersionRange) {
+                targets.versionRange = targetVersionRange;
+            }
             
             const snippetData = {
                 id: snippet ? snippet.id : adminApp.db.slugify(title),
@@ -1539,6 +1669,9 @@ class AdminApp {
                     const browser = browsers.find(b => b.id === solution.appliesTo.browserId);
                     scopeLabel = `${solution.appliesTo.scope} (${browser ? browser.name : solution.appliesTo.browserId})`;
                 }
+                if (solution.appliesTo.os && solution.appliesTo.os.length > 0) {
+                    scopeLabel += ` · ${solution.appliesTo.os.join(', ')}`;
+                }
                 
                 // Create row safely using DOM methods
                 const titleCell = document.createElement('div');
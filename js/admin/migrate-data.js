@@ -77,7 +77,15 @@ class DataMigration {
             { name: 'WebAssembly Tests', class: WebAssemblyTests, category: 'webassembly' },
             { name: 'Gaming APIs Tests', class: GamingAPIsTests, category: 'gaming' },
             { name: 'Communication Tests', class: CommunicationTests, category: 'communication' },
-            { name: 'Performance Tests', class: PerformanceTests, category: 'performance' }
+            { name: 'Performance Tests', class: PerformanceTests, category: 'performance' },
+            { name: 'Storage Tests', class: StorageTests, category: 'storage' },
+            { name: 'Frame Pacing Tests', class: FramePacingTests, category: 'performance' },
+            { name: 'Display Tests', class: DisplayTests, category: 'display' },
+            { name: 'Input Tests', class: InputTests, category: 'input' },
+            { name: 'Audio Tests', class: AudioTests, category: 'audio' },
+            { name: 'Media Tests', class: MediaTests, category: 'media' },
+            { name: 'Worker Tests', class: WorkerTests, category: 'workers' },
+            { name: 'Isolation Tests', class: IsolationTests, category: 'security' }
         ];
 
         for (const testClass of testClasses) {
@@ -189,7 +197,7 @@ class DataMigration {
                         title: testData.name || testData.title,
                         category: testData.category || testClass.category || 'general',
                         description: testData.description || `Test ${testData.name}`,
-                        detectorKey: this.generateDetectorKey(testData.name || testData.title),
+                        detectorKey: testData.detectorKey || this.generateDetectorKey(testData.name || testData.title),
                         severity: this.mapPriorityToSeverity(testData.priority),
                         links: this.generateLinks(testData)
                     });
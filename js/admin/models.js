@@ -63,6 +63,9 @@ class Test {
         this.description = data.description || '';
         this.detectorKey = data.detectorKey || '';
         this.severity = data.severity || 'info';
+        // Scoring: weight overrides the severity default; blocking failures cap the grade
+        this.weight = typeof data.weight === 'number' ? data.weight : null;
+        this.blocking = data.blocking === true;
         this.links = data.links || [];
         this.lastUpdated = data.lastUpdated || new Date().toISOString();
         
@@ -87,6 +90,10 @@ class Test {
             errors.push('Invalid severity level');
         }
         
+        if (this.weight !== null && !(Number.isFinite(this.weight) && this.weight >= 0)) {
+            errors.push('Weight must be a number of 0 or more');
+        }
+        
         // Validate links
         this.links.forEach((link, index) => {
             if (!link.label || !link.url) {
@@ -105,6 +112,8 @@ class Test {
             description: this.description,
             detectorKey: this.detectorKey,
             severity: this.severity,
+            ...(this.weight !== null ? { weight: this.weight } : {}),
+            ...(this.blocking ? { blocking: true } : {}),
             links: this.links,
             titleLocalized: this.titleLocalized,
             categoryLocalized: this.categoryLocalized,
@@ -170,9 +179,22 @@ class Solution {
             }
             if (!this.appliesTo.versionRange) {
                 errors.push('Version range is required for version-specific solutions');
+            } else {
+                const rangeError = VersionRange.validate(this.appliesTo.versionRange);
+                if (rangeError) {
+                    errors.push(`Invalid version range: ${rangeError}`);
+                }
             }
         }
-        
+
+        if (this.appliesTo.os) {
+            this.appliesTo.os.forEach(os => {
+                if (!SolutionResolver.OS_IDS.includes(os)) {
+                    errors.push(`Invalid OS target: ${os}`);
+                }
+            });
+        }
+
         return errors;
     }
 
@@ -252,6 +274,13 @@ class Snippet {
             });
         }
         
+        if (this.targets.versionRange) {
+            const rangeError = VersionRange.validate(this.targets.versionRange);
+            if (rangeError) {
+                errors.push(`Invalid target version range: ${rangeError}`);
+            }
+        }
+        
         return errors;
     }
 
@@ -394,83 +423,9 @@ class I18nManager {
     }
 }
 
-// Version range utilities
-class VersionRange {
-    static parse(range) {
-        if (!range) return null;
-        
-        // Handle simple operators: >=17, <18, =15
-        const simpleMatch = range.match(/^([><=]+)(\d+(?:\.\d+)*)$/);
-        if (simpleMatch) {
-            const [, operator, version] = simpleMatch;
-            return { operator, version: this.parseVersion(version) };
-        }
-        
-        // Handle range: >=17 <18
-        const rangeMatch = range.match(/^([><=]+)(\d+(?:\.\d+)*)\s+([><=]+)(\d+(?:\.\d+)*)$/);
-        if (rangeMatch) {
-            const [, op1, v1, op2, v2] = rangeMatch;
-            return {
-                min: { operator: op1, version: this.parseVersion(v1) },
-                max: { operator: op2, version: this.parseVersion(v2) }
-            };
-        }
-        
-        return null;
-    }
-
-    static parseVersion(versionString) {
-        const parts = versionString.split('.').map(Number);
-        return {
-            major: parts[0] || 0,
-            minor: parts[1] || 0,
-            patch: parts[2] || 0
-        };
-    }
-
-    static matches(browserVersion, range) {
-        const parsed = this.parse(range);
-        if (!parsed) return true;
-        
-        const version = this.parseVersion(browserVersion);
-        
-        if (parsed.operator) {
-            return this.compareVersion(version, parsed.operator, parsed.version);
-        }
-        
-        if (parsed.min && parsed.max) {
-            return this.compareVersion(version, parsed.min.operator, parsed.min.version) &&
-                   this.compareVersion(version, parsed.max.operator, parsed.max.version);
-        }
-        
-        return true;
-    }
-
-    static compareVersion(v1, operator, v2) {
-        const comp = this.versionCompare(v1, v2);
-        
-        switch (operator) {
-            case '>': return comp > 0;
-            case '>=': return comp >= 0;
-            case '<': return comp < 0;
-            case '<=': return comp <= 0;
-            case '=': 
-            case '==': return comp === 0;
-            default: return false;
-        }
-    }
-
-    static versionCompare(v1, v2) {
-        if (v1.major !== v2.major) return v1.major - v2.major;
-        if (v1.minor !== v2.minor) return v1.minor - v2.minor;
-        return v1.patch - v2.patch;
-    }
-}
-
 // Export models
 window.Browser = Browser;
 window.Test = Test;
 window.Solution = Solution;
 window.Snippet = Snippet;
-window.I18nManager = I18nManager;
-window.VersionRange = VersionRange;
\ No newline at end of file
+window.I18nManager = I18nManager;
\ No newline at end of file
@@ -14,7 +14,7 @@ class TestManager {
         this.commonCategories = [
             'general', 'apis', 'css', 'javascript', 'html5', 'webgl', 'webgpu', 
             'performance', 'security', 'accessibility', 'mobile', 'gaming', 
-            'communication', 'storage', 'media', 'webassembly'
+            'communication', 'storage', 'media', 'webassembly', 'display', 'input', 'audio', 'workers'
         ];
     }
 
@@ -174,6 +174,7 @@ class TestManager {
                     </div>
                     <div class="test-badges">
                         <span class="severity-badge severity-${test.severity}">${test.severity.toUpperCase()}</span>
+                        ${test.blocking ? '<span class="severity-badge severity-fail" title="Failing caps the overall grade">BLOCKING</span>' : ''}
                         <span class="category-badge">${this.formatCategoryName(test.category)}</span>
                     </div>
                 </div>
@@ -269,6 +270,19 @@ class TestManager {
                                 </select>
                             </div>
                         </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="test-weight">Score Weight</label>
+                                <input type="number" id="test-weight" min="0" step="0.5" placeholder="Severity default">
+                                <small class="form-help">Leave empty to weight by severity (fail 3, warn 2, info 1)</small>
+                            </div>
+                            <div class="form-group">
+                                <label class="checkbox-label">
+                                    <input type="checkbox" id="test-blocking">
+                                    Blocking: an unsupported result caps the overall grade at Poor
+                                </label>
+                            </div>
+                        </div>
                         <div class="form-group">
                             <label for="test-description">Description <span class="required">*</span></label>
                             <textarea id="test-description" rows="3" required placeholder="Describe what this test checks for..."></textarea>
@@ -511,6 +525,8 @@ class TestManager {
         this.setFieldValue('test-category', this.currentTest.category);
         this.setFieldValue('test-severity', this.currentTest.severity);
         this.setFieldValue('test-description', this.currentTest.description);
+        this.setFieldValue('test-weight', this.currentTest.weight === null ? '' : String(this.currentTest.weight));
+        document.getElementById('test-blocking').checked = this.currentTest.blocking;
 
         // Handle custom category
         const categorySelect = document.getElementById('test-category');
@@ -575,6 +591,9 @@ class TestManager {
         this.currentTest.detectorKey = this.getFieldValue('test-detector-key');
         this.currentTest.description = this.getFieldValue('test-description');
         this.currentTest.severity = this.getFieldValue('test-severity');
+        const weight = this.getFieldValue('test-weight');
+        this.currentTest.weight = weight === '' ? null : Number(weight);
+        this.currentTest.blocking = document.getElementById('test-blocking').checked;
         
         // Category (custom or selected)
         const selectedCategory = this.getFieldValue('test-category');
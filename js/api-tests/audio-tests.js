@@ -0,0 +1,364 @@
+/**
+ * Audio Latency Testing Suite
+ * Output latency with the interactive latency hint, supported sample rates, AudioWorklet
+ * processing and output device selection, which rhythm and action games depend on
+ */
+
+class AudioTests {
+    constructor() {
+        this.contexts = [];
+        this.moduleURLs = [];
+    }
+
+    /**
+     * Latency tiers from best to worst by total output latency (base + output, ms)
+     */
+    static get LATENCY_TIERS() {
+        return [
+            { tier: 'excellent', maxMs: 20, score: 100 },
+            { tier: 'good', maxMs: 40, score: 85 },
+            { tier: 'fair', maxMs: 80, score: 60 },
+            { tier: 'poor', maxMs: Infinity, score: 30 }
+        ];
+    }
+
+    /**
+     * Output latency at which the audio device is most likely Bluetooth (A2DP)
+     */
+    static get BLUETOOTH_LATENCY_MS() {
+        return 150;
+    }
+
+    /**
+     * Sample rates games and audio middleware request
+     */
+    static get SAMPLE_RATES() {
+        return [22050, 44100, 48000, 96000];
+    }
+
+    /**
+     * Worklet processor that outputs a constant, so the rendered buffer proves it ran
+     */
+    static get WORKLET_SOURCE() {
+        return `
+            class ConstantTestProcessor extends AudioWorkletProcessor {
+                process(inputs, outputs) {
+                    outputs[0].forEach(channel => channel.fill(0.5));
+                    return true;
+                }
+            }
+            registerProcessor('constant-test-processor', ConstantTestProcessor);
+        `;
+    }
+
+    /**
+     * Get all audio tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'Audio Output Latency',
+                detectorKey: 'audio.output.latency',
+                fn: () => this.testOutputLatency(),
+                category: 'audio',
+                priority: 8,
+                description: 'Measure base and output latency with the interactive latency hint'
+            },
+            {
+                name: 'AudioWorklet Processing',
+                detectorKey: 'audio.worklet',
+                fn: () => this.testAudioWorklet(),
+                category: 'audio',
+                priority: 7,
+                description: 'Load an AudioWorklet module and verify it processes audio'
+            },
+            {
+                name: 'Audio Sample Rates',
+                detectorKey: 'audio.sample.rates',
+                fn: () => this.testSampleRates(),
+                category: 'audio',
+                priority: 5,
+                description: 'Report the native sample rate and which requested rates are honored'
+            },
+            {
+                name: 'Audio Output Selection',
+                detectorKey: 'audio.sink.selection',
+                fn: () => this.testSinkSelection(),
+                category: 'audio',
+                priority: 4,
+                description: 'Test choosing the audio output device with setSinkId()'
+            }
+        ];
+    }
+
+    createContext(options) {
+        const context = new window.AudioContext(options);
+        this.contexts.push(context);
+        return context;
+    }
+
+    async closeContext(context) {
+        this.contexts = this.contexts.filter(c => c !== context);
+        if (context.state !== 'closed') {
+            await context.close();
+        }
+    }
+
+    /**
+     * baseLatency is the processing buffer; outputLatency adds the device and its driver,
+     * which is where Bluetooth headphones add 150 ms or more. Without a user gesture the
+     * contexts stay suspended, so the guided audio check measures outputLatency again while playing
+     */
+    async testOutputLatency() {
+        try {
+            if (typeof window.AudioContext !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Web Audio API not available'
+                };
+            }
+
+            const interactive = this.createContext({ latencyHint: 'interactive' });
+            const playback = this.createContext({ latencyHint: 'playback' });
+            const baseLatency = interactive.baseLatency;
+            // Chromium reads 0 until the context has rendered audio, which a suspended one never did
+            const outputLatency = interactive.outputLatency === 0 && interactive.state !== 'running'
+                ? null
+                : interactive.outputLatency;
+            const playbackLatency = playback.baseLatency;
+            await this.closeContext(playback);
+            await this.closeContext(interactive);
+
+            if (typeof baseLatency !== 'number') {
+                return {
+                    status: 'partial',
+                    details: 'Audio works, but this browser does not report its latency',
+                    score: 50
+                };
+            }
+
+            const result = AudioTests.describeLatency(baseLatency, outputLatency, playbackLatency);
+            const playbackBaseMs = typeof playbackLatency === 'number' ? AudioTests.toMs(playbackLatency) : null;
+            result.latencyHintHonored = playbackBaseMs !== null && playbackBaseMs > result.latency.baseMs;
+            return result;
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Audio latency test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Render a constant-output processor offline: no user gesture or audio device needed
+     */
+    async testAudioWorklet() {
+        try {
+            if (typeof window.OfflineAudioContext !== 'function' || typeof window.AudioWorkletNode !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'AudioWorklet not available',
+                    reason: window.isSecureContext === false
+                        ? 'AudioWorklet is only exposed on secure (HTTPS) pages'
+                        : 'Custom audio processing falls back to the main thread'
+                };
+            }
+
+            const context = new window.OfflineAudioContext(1, 512, 48000);
+            if (!context.audioWorklet) {
+                return {
+                    status: 'unsupported',
+                    details: 'AudioWorklet not available on audio contexts'
+                };
+            }
+
+            const moduleURL = URL.createObjectURL(new Blob([AudioTests.WORKLET_SOURCE], { type: 'application/javascript' }));
+            this.moduleURLs.push(moduleURL);
+
+            try {
+                await context.audioWorklet.addModule(moduleURL);
+            } catch (loadError) {
+                return {
+                    status: 'partial',
+                    details: `AudioWorklet present but the module failed to load (${loadError.name || 'error'})`,
+                    error: loadError.message,
+                    score: 40
+                };
+            }
+
+            const node = new window.AudioWorkletNode(context, 'constant-test-processor');
+            node.connect(context.destination);
+            const startTime = performance.now();
+            const buffer = await context.startRendering();
+            const renderMs = Math.round((performance.now() - startTime) * 10) / 10;
+
+            const samples = buffer.getChannelData(0);
+            const processed = Math.abs(samples[samples.length - 1] - 0.5) < 0.001;
+
+            return {
+                status: processed ? 'supported' : 'partial',
+                details: processed
+                    ? `AudioWorklet module loaded and processed audio (${samples.length} frames in ${renderMs} ms)`
+                    : 'AudioWorklet module loaded but produced no output',
+                processed,
+                renderMs,
+                score: processed ? 100 : 50
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'AudioWorklet test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * The native rate avoids resampling; a requested rate is honored when the context uses it
+     */
+    async testSampleRates() {
+        try {
+            if (typeof window.AudioContext !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Web Audio API not available'
+                };
+            }
+
+            const native = this.createContext();
+            const nativeRate = native.sampleRate;
+            await this.closeContext(native);
+
+            const supportedRates = [];
+            for (const sampleRate of AudioTests.SAMPLE_RATES) {
+                try {
+                    const context = this.createContext({ sampleRate });
+                    if (context.sampleRate === sampleRate) supportedRates.push(sampleRate);
+                    await this.closeContext(context);
+                } catch (rateError) {
+                    // NotSupportedError for rates outside what the browser resamples
+                }
+            }
+
+            const common = [44100, 48000].every(rate => supportedRates.includes(rate));
+            return {
+                status: common ? 'supported' : 'partial',
+                details: `Native sample rate ${nativeRate} Hz; requested rates honored: ` +
+                    (supportedRates.length > 0 ? supportedRates.map(rate => `${rate / 1000} kHz`).join(', ') : 'none'),
+                nativeRate,
+                supportedRates,
+                score: common ? 100 : 60
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Sample rate test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * AudioContext.setSinkId() routes game audio; media elements alone only cover <audio>/<video>
+     */
+    testSinkSelection() {
+        try {
+            const contextSink = typeof window.AudioContext === 'function' &&
+                typeof window.AudioContext.prototype.setSinkId === 'function';
+            const mediaElementSink = typeof window.HTMLMediaElement === 'function' &&
+                typeof window.HTMLMediaElement.prototype.setSinkId === 'function';
+            const selectAudioOutput = !!(navigator.mediaDevices && typeof navigator.mediaDevices.selectAudioOutput === 'function');
+
+            if (!contextSink && !mediaElementSink) {
+                return {
+                    status: 'unsupported',
+                    details: 'Audio output selection not available (audio plays on the system default device)',
+                    contextSink,
+                    mediaElementSink,
+                    selectAudioOutput
+                };
+            }
+
+            return {
+                status: contextSink ? 'supported' : 'partial',
+                details: contextSink
+                    ? `AudioContext.setSinkId() available${selectAudioOutput ? ' with an output device picker' : ''}`
+                    : 'Only media elements can choose an output device, not Web Audio',
+                contextSink,
+                mediaElementSink,
+                selectAudioOutput,
+                score: contextSink ? 100 : 50
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Audio output selection test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Tiered latency result shared with the guided audio check
+     * @param {number} baseLatency - Seconds
+     * @param {number|null} outputLatency - Seconds, null when not reported
+     * @param {number} [playbackLatency] - baseLatency with the playback hint, in seconds
+     */
+    static describeLatency(baseLatency, outputLatency, playbackLatency) {
+        const latency = {
+            baseMs: AudioTests.toMs(baseLatency),
+            outputMs: typeof outputLatency === 'number' ? AudioTests.toMs(outputLatency) : null,
+            playbackBaseMs: typeof playbackLatency === 'number' ? AudioTests.toMs(playbackLatency) : null
+        };
+        latency.totalMs = AudioTests.toMs(baseLatency + (outputLatency || 0));
+        const bluetoothSuspected = latency.outputMs !== null && latency.outputMs >= AudioTests.BLUETOOTH_LATENCY_MS;
+        const { tier, score } = AudioTests.getLatencyTier(latency.totalMs);
+
+        return {
+            status: tier === 'poor' ? 'partial' : 'supported',
+            details: `Audio latency: ${tier} tier, ${latency.totalMs} ms (base ${latency.baseMs} ms, ` +
+                `output ${latency.outputMs === null ? 'not reported' : `${latency.outputMs} ms`})` +
+                (bluetoothSuspected ? ', Bluetooth-class output latency' : ''),
+            latency,
+            bluetoothSuspected,
+            tier,
+            performance: {
+                rating: tier,
+                latencyMs: latency.totalMs
+            },
+            // Surfaces the wired-audio guidance even though audio itself works
+            needsGuidance: bluetoothSuspected,
+            score
+        };
+    }
+
+    static toMs(seconds) {
+        return Math.round(seconds * 10000) / 10;
+    }
+
+    static getLatencyTier(totalMs) {
+        return AudioTests.LATENCY_TIERS.find(({ maxMs }) => totalMs <= maxMs);
+    }
+
+    /**
+     * Cleanup audio test resources
+     */
+    cleanup() {
+        this.contexts.forEach(context => {
+            if (context.state !== 'closed') {
+                context.close().catch(() => {});
+            }
+        });
+        this.contexts = [];
+        this.moduleURLs.forEach(url => URL.revokeObjectURL(url));
+        this.moduleURLs = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioTests;
+} else {
+    window.AudioTests = AudioTests;
+}
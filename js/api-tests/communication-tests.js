@@ -15,20 +15,23 @@ class CommunicationTests {
         return [
             {
                 name: 'WebSocket API',
-                fn: () => this.testWebSocketAPI(),
+                detectorKey: 'websocket.api',
+                fn: (signal) => this.testWebSocketAPI(signal),
                 category: 'communication',
                 priority: 10,
                 description: 'Test WebSocket connection capabilities'
             },
             {
                 name: 'WebRTC API',
-                fn: () => this.testWebRTCAPI(),
+                detectorKey: 'webrtc.api',
+                fn: (signal) => this.testWebRTCAPI(signal),
                 category: 'communication',
                 priority: 9,
                 description: 'Test peer-to-peer communication support'
             },
             {
                 name: 'Server-Sent Events',
+                detectorKey: 'server-sent.events',
                 fn: () => this.testServerSentEvents(),
                 category: 'communication',
                 priority: 8,
@@ -36,18 +39,20 @@ class CommunicationTests {
             },
             {
                 name: 'Fetch API',
-                fn: () => this.testFetchAPI(),
+                detectorKey: 'fetch.api',
+                fn: (signal) => this.testFetchAPI(signal),
                 category: 'communication',
                 priority: 7,
                 description: 'Test modern HTTP request capabilities'
             },
             {
                 name: 'WebRTC Data Channels',
+                detectorKey: 'webrtc.data.channels',
                 fn: () => this.testWebRTCDataChannels(),
                 category: 'communication',
                 priority: 6,
                 description: 'Test WebRTC data channel functionality',
-                dependencies: ['WebRTC API']
+                dependencies: ['webrtc.api']
             }
         ];
     }
@@ -55,7 +60,7 @@ class CommunicationTests {
     /**
      * Test WebSocket API support
      */
-    async testWebSocketAPI() {
+    async testWebSocketAPI(signal = null) {
         try {
             // Check basic WebSocket support
             if (!window.WebSocket) {
@@ -86,7 +91,19 @@ class CommunicationTests {
                     };
                 }
                 
+                let abortListener = null;
                 const testPromise = new Promise((resolve) => {
+                    // Close the socket immediately when the run is cancelled or times out
+                    abortListener = () => {
+                        clearTimeout(timeout);
+                        try {
+                            testSocket.close();
+                        } catch (e) {
+                            // Ignore close errors
+                        }
+                        resolve('aborted');
+                    };
+                    
                     const timeout = setTimeout(() => {
                         if (testSocket) {
                             try {
@@ -126,9 +143,20 @@ class CommunicationTests {
                     testSocket.onclose = () => {
                         // Connection closed - this is normal
                     };
+                    
+                    if (signal) {
+                        if (signal.aborted) {
+                            abortListener();
+                        } else {
+                            signal.addEventListener('abort', abortListener, { once: true });
+                        }
+                    }
                 });
 
                 const result = await testPromise;
+                if (signal) {
+                    signal.removeEventListener('abort', abortListener);
+                }
                 
                 // Always close the connection safely
                 if (testSocket) {
@@ -199,7 +227,7 @@ class CommunicationTests {
     /**
      * Test WebRTC API support
      */
-    async testWebRTCAPI() {
+    async testWebRTCAPI(signal = null) {
         try {
             // Check for WebRTC support
             const hasRTCPeerConnection = !!(window.RTCPeerConnection || window.webkitRTCPeerConnection || window.mozRTCPeerConnection);
@@ -216,11 +244,17 @@ class CommunicationTests {
             // Test RTCPeerConnection creation
             const RTCPeerConnection = window.RTCPeerConnection || window.webkitRTCPeerConnection || window.mozRTCPeerConnection;
             let peerConnection = null;
+            const closeConnection = () => peerConnection && peerConnection.close();
 
             try {
                 peerConnection = new RTCPeerConnection({
                     iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
                 });
+                
+                // Release the peer connection immediately when the run is cancelled or times out
+                if (signal) {
+                    signal.addEventListener('abort', closeConnection, { once: true });
+                }
 
                 // Test basic WebRTC capabilities
                 const capabilities = {
@@ -243,6 +277,9 @@ class CommunicationTests {
                 }
 
                 peerConnection.close();
+                if (signal) {
+                    signal.removeEventListener('abort', closeConnection);
+                }
 
                 const supportedFeatures = Object.values(capabilities).filter(Boolean).length;
                 const totalFeatures = Object.keys(capabilities).length;
@@ -259,6 +296,10 @@ class CommunicationTests {
                 };
 
             } catch (peerConnectionError) {
+                closeConnection();
+                if (signal) {
+                    signal.removeEventListener('abort', closeConnection);
+                }
                 return {
                     status: 'partial',
                     details: 'WebRTC API available but PeerConnection creation failed',
@@ -330,7 +371,7 @@ class CommunicationTests {
     /**
      * Test Fetch API support
      */
-    async testFetchAPI() {
+    async testFetchAPI(signal = null) {
         try {
             // Check Fetch API support
             if (!window.fetch) {
@@ -355,7 +396,7 @@ class CommunicationTests {
             let fetchTest = false;
             try {
                 // Test with a data URL to avoid network issues
-                const response = await fetch('data:text/plain;base64,dGVzdA=='); // "test" in base64
+                const response = await fetch('data:text/plain;base64,dGVzdA==', { signal }); // "test" in base64
                 fetchTest = response.ok && response.status === 200;
             } catch (fetchError) {
                 console.warn('Fetch test failed:', fetchError);
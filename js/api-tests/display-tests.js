@@ -0,0 +1,490 @@
+/**
+ * Display Capability Testing Suite
+ * Refresh rate, pixel density, HDR and color gamut of the current screen, plus the
+ * orientation and wake lock controls games use to pick resolution and color pipelines
+ */
+
+class DisplayTests {
+    constructor() {
+        this.frameRequest = null;
+    }
+
+    /**
+     * Animation frames sampled to estimate the refresh rate
+     */
+    static get SAMPLE_FRAMES() {
+        return 60;
+    }
+
+    /**
+     * Time the sampled frames take on the slowest (30 Hz) display
+     */
+    static get SAMPLE_WINDOW_MS() {
+        return Math.ceil(DisplayTests.SAMPLE_FRAMES * 1000 / 30);
+    }
+
+    /**
+     * Color gamuts from widest to narrowest
+     */
+    static get COLOR_GAMUTS() {
+        return ['rec2020', 'p3', 'srgb'];
+    }
+
+    /**
+     * Get all display tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'Refresh Rate',
+                detectorKey: 'display.refresh.rate',
+                fn: (signal) => this.testRefreshRate(signal),
+                category: 'display',
+                priority: 8,
+                description: 'Estimate the display refresh rate from requestAnimationFrame timing',
+                // Frame timing is skewed by WebGL or WebAssembly work running alongside
+                exclusive: true,
+                timeout: DisplayTests.SAMPLE_WINDOW_MS + 5000
+            },
+            {
+                name: 'Resolution & Pixel Ratio',
+                detectorKey: 'display.resolution',
+                fn: () => this.testResolution(),
+                category: 'display',
+                priority: 9,
+                description: 'Report devicePixelRatio, screen and viewport size'
+            },
+            {
+                name: 'HDR Display',
+                detectorKey: 'display.hdr',
+                fn: () => this.testDynamicRange(),
+                category: 'display',
+                priority: 6,
+                description: 'Test whether the screen reports high dynamic range'
+            },
+            {
+                name: 'Color Gamut',
+                detectorKey: 'display.color.gamut',
+                fn: () => this.testColorGamut(),
+                category: 'display',
+                priority: 6,
+                description: 'Detect sRGB, Display P3 or Rec. 2020 color gamut'
+            },
+            {
+                name: 'WebGPU HDR Canvas',
+                detectorKey: 'display.webgpu.hdr',
+                fn: (signal) => this.testWebGPUHDRCanvas(signal),
+                category: 'display',
+                priority: 4,
+                description: 'Test configuring a float16 WebGPU canvas with extended tone mapping'
+            },
+            {
+                name: 'Screen Orientation',
+                detectorKey: 'display.screen.orientation',
+                fn: () => this.testScreenOrientation(),
+                category: 'display',
+                priority: 5,
+                description: 'Test Screen Orientation API availability and orientation lock'
+            },
+            {
+                name: 'Screen Wake Lock',
+                detectorKey: 'display.wake.lock',
+                fn: () => this.testWakeLock(),
+                category: 'display',
+                priority: 5,
+                description: 'Test keeping the screen on during gameplay with the Wake Lock API'
+            }
+        ];
+    }
+
+    /**
+     * Estimate the refresh rate from the median requestAnimationFrame interval
+     */
+    async testRefreshRate(signal = null) {
+        try {
+            if (typeof requestAnimationFrame !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'requestAnimationFrame not available'
+                };
+            }
+
+            // Hidden tabs get no animation frames at all
+            if (document.hidden) {
+                return {
+                    status: 'error',
+                    details: 'Refresh rate cannot be measured while the page is hidden',
+                    error: 'Page hidden'
+                };
+            }
+
+            const timestamps = await this.sampleFrames(DisplayTests.SAMPLE_FRAMES, signal);
+            const deltas = timestamps.slice(1).map((time, index) => time - timestamps[index]).sort((a, b) => a - b);
+            const medianInterval = deltas[Math.floor(deltas.length / 2)];
+            const measuredHz = Math.round((1000 / medianInterval) * 10) / 10;
+            const refreshRate = FramePacingTests.snapRefreshRate(measuredHz);
+
+            const score = refreshRate >= 120 ? 100 : (refreshRate >= 90 ? 90 : (refreshRate >= 60 ? 80 : 50));
+            return {
+                status: refreshRate >= 60 ? 'supported' : 'partial',
+                details: `${refreshRate} Hz display (measured ${measuredHz} Hz over ${deltas.length} frames)`,
+                refreshRate,
+                measuredHz,
+                frameIntervalMs: Math.round(medianInterval * 100) / 100,
+                highRefreshRate: refreshRate > 60,
+                score
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Refresh rate measurement failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Resolve with the timestamps of the next frameCount animation frames
+     */
+    sampleFrames(frameCount, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timestamps = [];
+            const stop = () => {
+                if (this.frameRequest !== null) {
+                    cancelAnimationFrame(this.frameRequest);
+                    this.frameRequest = null;
+                }
+                reject(signal.reason || new Error('Aborted'));
+            };
+            if (signal) {
+                if (signal.aborted) {
+                    stop();
+                    return;
+                }
+                signal.addEventListener('abort', stop, { once: true });
+            }
+
+            const step = (now) => {
+                this.frameRequest = null;
+                timestamps.push(now);
+                if (timestamps.length > frameCount) {
+                    if (signal) signal.removeEventListener('abort', stop);
+                    resolve(timestamps);
+                } else {
+                    this.frameRequest = requestAnimationFrame(step);
+                }
+            };
+            this.frameRequest = requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Device pixel ratio, screen and viewport size, and the physical pixels they add up to
+     */
+    testResolution() {
+        try {
+            if (!window.screen) {
+                return {
+                    status: 'unsupported',
+                    details: 'Screen information not available'
+                };
+            }
+
+            const devicePixelRatio = window.devicePixelRatio || 1;
+            const screenSize = { width: screen.width, height: screen.height };
+            const available = { width: screen.availWidth, height: screen.availHeight };
+            const viewport = { width: window.innerWidth, height: window.innerHeight };
+            const physical = {
+                width: Math.round(screenSize.width * devicePixelRatio),
+                height: Math.round(screenSize.height * devicePixelRatio)
+            };
+
+            return {
+                status: 'supported',
+                details: `${physical.width}×${physical.height} physical pixels (${screenSize.width}×${screenSize.height} at ${devicePixelRatio}x), ` +
+                    `viewport ${viewport.width}×${viewport.height}`,
+                devicePixelRatio,
+                screen: screenSize,
+                available,
+                viewport,
+                physical,
+                colorDepth: screen.colorDepth,
+                highDensity: devicePixelRatio >= 2
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Screen information test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * (dynamic-range: high) for the screen and (video-dynamic-range: high) for video planes.
+     * An SDR screen is the player's hardware, not a browser gap, so it is reported, not penalized
+     */
+    testDynamicRange() {
+        try {
+            if (typeof window.matchMedia !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'matchMedia not available'
+                };
+            }
+
+            const dynamicRange = DisplayTests.mediaMatches('(dynamic-range: high)');
+            const videoDynamicRange = DisplayTests.mediaMatches('(video-dynamic-range: high)');
+
+            // Some TVs and set-top browsers only promote the video plane to HDR
+            return {
+                status: 'supported',
+                details: dynamicRange
+                    ? 'HDR display detected'
+                    : (videoDynamicRange ? 'HDR available for video only' : 'Standard dynamic range display (or HDR disabled in the OS)'),
+                hdr: dynamicRange,
+                videoHdr: videoDynamicRange
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Dynamic range test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Widest (color-gamut: …) media query the screen matches
+     */
+    testColorGamut() {
+        try {
+            if (typeof window.matchMedia !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'matchMedia not available'
+                };
+            }
+
+            const colorGamut = DisplayTests.COLOR_GAMUTS.find(gamut => DisplayTests.mediaMatches(`(color-gamut: ${gamut})`));
+            if (!colorGamut) {
+                return {
+                    status: 'partial',
+                    details: 'Color gamut not reported by the browser',
+                    colorGamut: null,
+                    score: 40
+                };
+            }
+
+            // The screen's gamut is a hardware fact; only a browser that cannot report it is partial
+            return {
+                status: 'supported',
+                details: {
+                    rec2020: 'Rec. 2020 wide color gamut display',
+                    p3: 'Display P3 wide color gamut display',
+                    srgb: 'sRGB display (no wide color gamut)'
+                }[colorGamut],
+                colorGamut,
+                wideGamut: colorGamut !== 'srgb'
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Color gamut test failed',
+                error: error.message
+            };
+        }
+    }
+
+    static mediaMatches(query) {
+        return window.matchMedia(query).matches === true;
+    }
+
+    /**
+     * Configure an rgba16float WebGPU canvas with extended tone mapping and read back
+     * the configuration; browsers without HDR canvas support fall back to standard
+     */
+    async testWebGPUHDRCanvas(signal = null) {
+        let device = null;
+        let context = null;
+        try {
+            if (!navigator.gpu) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGPU not available'
+                };
+            }
+
+            const adapter = await navigator.gpu.requestAdapter();
+            if (!adapter) {
+                return {
+                    status: 'unsupported',
+                    details: 'No WebGPU adapter available'
+                };
+            }
+            device = await adapter.requestDevice();
+            if (signal && signal.aborted) {
+                throw signal.reason || new Error('Aborted');
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 16;
+            canvas.height = 16;
+            context = canvas.getContext('webgpu');
+            if (!context) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGPU canvas context not available'
+                };
+            }
+
+            try {
+                context.configure({
+                    device,
+                    format: 'rgba16float',
+                    alphaMode: 'opaque',
+                    toneMapping: { mode: 'extended' }
+                });
+            } catch (configureError) {
+                return {
+                    status: 'partial',
+                    details: 'WebGPU canvas rejects the rgba16float format needed for HDR output',
+                    preferredFormat: navigator.gpu.getPreferredCanvasFormat(),
+                    error: configureError.message,
+                    score: 30
+                };
+            }
+
+            // Browsers that ignore toneMapping drop it from the configuration
+            const configuration = typeof context.getConfiguration === 'function' ? context.getConfiguration() : null;
+            const toneMappingMode = configuration && configuration.toneMapping ? configuration.toneMapping.mode : null;
+            const hdrOutput = DisplayTests.mediaMatches('(dynamic-range: high)');
+
+            if (toneMappingMode === 'extended') {
+                return {
+                    status: 'supported',
+                    details: hdrOutput
+                        ? 'WebGPU canvas renders HDR with extended tone mapping'
+                        : 'WebGPU canvas supports extended tone mapping (the current display is SDR)',
+                    format: 'rgba16float',
+                    toneMapping: toneMappingMode,
+                    hdrOutput,
+                    score: 100
+                };
+            }
+
+            return {
+                status: 'partial',
+                details: configuration
+                    ? 'rgba16float canvas works but extended tone mapping is not supported'
+                    : 'rgba16float canvas works; tone mapping support cannot be verified (no getConfiguration)',
+                format: 'rgba16float',
+                toneMapping: toneMappingMode,
+                hdrOutput,
+                score: 50
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'WebGPU HDR canvas test failed',
+                error: error.message
+            };
+        } finally {
+            if (context && typeof context.unconfigure === 'function') {
+                context.unconfigure();
+            }
+            if (device) {
+                device.destroy();
+            }
+        }
+    }
+
+    /**
+     * Screen Orientation API; lock() is only reported, locking needs fullscreen
+     */
+    testScreenOrientation() {
+        try {
+            const orientation = window.screen && screen.orientation;
+            if (!orientation) {
+                return {
+                    status: 'unsupported',
+                    details: 'Screen Orientation API not available',
+                    reason: 'Landscape-only games cannot detect or lock orientation'
+                };
+            }
+
+            const canLock = typeof orientation.lock === 'function';
+            return {
+                status: canLock ? 'supported' : 'partial',
+                details: `Orientation ${orientation.type} (${orientation.angle}°)${canLock ? ', lock() available' : ', lock() not available'}`,
+                type: orientation.type,
+                angle: orientation.angle,
+                canLock,
+                score: canLock ? 100 : 60
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Screen Orientation test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Request a screen wake lock and release it straight away
+     */
+    async testWakeLock() {
+        try {
+            if (!navigator.wakeLock || typeof navigator.wakeLock.request !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Screen Wake Lock API not available',
+                    reason: 'The screen may dim or sleep during controller-only play'
+                };
+            }
+
+            try {
+                const sentinel = await navigator.wakeLock.request('screen');
+                await sentinel.release();
+            } catch (requestError) {
+                // Denied by permissions policy, battery saver or a hidden page
+                return {
+                    status: 'partial',
+                    details: `Wake Lock API available but the request was denied (${requestError.name || 'error'})`,
+                    error: requestError.message,
+                    score: 50
+                };
+            }
+
+            return {
+                status: 'supported',
+                details: 'Screen wake lock acquired and released',
+                score: 100
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Wake Lock test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Cleanup display test resources
+     */
+    cleanup() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DisplayTests;
+} else {
+    window.DisplayTests = DisplayTests;
+}
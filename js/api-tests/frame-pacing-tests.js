@@ -0,0 +1,548 @@
+/**
+ * Frame Pacing Benchmark Suite
+ * Opt-in sustained rendering benchmark: renders a representative WebGL (and WebGPU)
+ * scene for several seconds through requestAnimationFrame and measures frame pacing
+ */
+
+class FramePacingTests {
+    /**
+     * @param {Object} options
+     * @param {number} options.durationMs - How long each scene is rendered
+     */
+    constructor(options = {}) {
+        this.durationMs = options.durationMs || FramePacingTests.DEFAULT_DURATION_MS;
+        this.canvas = null;
+        this.frameRequest = null;
+        this.cleanupFunctions = [];
+    }
+
+    static get DEFAULT_DURATION_MS() {
+        return 8000;
+    }
+
+    /**
+     * Display refresh rates the measured frame interval is snapped to
+     */
+    static get REFRESH_RATES() {
+        return [30, 48, 50, 60, 72, 75, 90, 100, 120, 144, 165, 240];
+    }
+
+    /**
+     * Quality tiers from best to worst: sustained frame rate, 95th percentile frame time
+     * and share of dropped frames each tier tolerates
+     */
+    static get TIERS() {
+        return [
+            { tier: 'high', minFps: 55, maxP95Ms: 20, maxDroppedPercent: 5 },
+            { tier: 'medium', minFps: 28, maxP95Ms: 40, maxDroppedPercent: 25 },
+            { tier: 'low', minFps: 0, maxP95Ms: Infinity, maxDroppedPercent: 100 }
+        ];
+    }
+
+    /**
+     * A later window running this much slower than the first counts as throttling
+     */
+    static get THROTTLE_THRESHOLD() {
+        return 0.15;
+    }
+
+    /**
+     * Get all frame pacing tests
+     */
+    getAllTests() {
+        const timeout = this.durationMs + 5000;
+        return [
+            {
+                name: 'Frame Pacing (WebGL)',
+                detectorKey: 'frame.pacing.webgl',
+                fn: (signal) => this.testWebGLFramePacing(signal),
+                category: 'performance',
+                priority: 2,
+                description: 'Render a WebGL scene for several seconds and measure frame pacing',
+                exclusive: true,
+                timeout
+            },
+            {
+                name: 'Frame Pacing (WebGPU)',
+                detectorKey: 'frame.pacing.webgpu',
+                fn: (signal) => this.testWebGPUFramePacing(signal),
+                category: 'performance',
+                priority: 1,
+                description: 'Render a WebGPU scene for several seconds and measure frame pacing',
+                exclusive: true,
+                timeout
+            }
+        ];
+    }
+
+    /**
+     * Sustained WebGL scene: a few hundred draw calls of a triangle grid per frame
+     */
+    async testWebGLFramePacing(signal = null) {
+        try {
+            const canvas = this.createCanvas();
+            const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+
+            if (!gl) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGL not available for the frame pacing benchmark'
+                };
+            }
+
+            const renderFrame = this.createWebGLScene(gl);
+            if (!renderFrame) {
+                return {
+                    status: 'error',
+                    details: 'Frame pacing scene could not be built',
+                    error: 'WebGL shader program creation failed'
+                };
+            }
+
+            return await this.measure(renderFrame, signal, 'WebGL');
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'WebGL frame pacing benchmark failed',
+                error: error.message
+            };
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Same scene rendered through WebGPU when the browser offers it
+     */
+    async testWebGPUFramePacing(signal = null) {
+        try {
+            if (!navigator.gpu) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGPU not available for the frame pacing benchmark'
+                };
+            }
+
+            const adapter = await navigator.gpu.requestAdapter({ powerPreference: 'high-performance' });
+            if (!adapter) {
+                return {
+                    status: 'unsupported',
+                    details: 'No WebGPU adapter available for the frame pacing benchmark'
+                };
+            }
+
+            const device = await adapter.requestDevice();
+            this.cleanupFunctions.push(() => device.destroy());
+
+            const context = this.createCanvas().getContext('webgpu');
+            if (!context) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGPU canvas context not available'
+                };
+            }
+
+            const renderFrame = this.createWebGPUScene(device, context);
+            return await this.measure(renderFrame, signal, 'WebGPU');
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'WebGPU frame pacing benchmark failed',
+                error: error.message
+            };
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Run the frame loop and turn the frame timestamps into a result
+     */
+    async measure(renderFrame, signal, api) {
+        if (document.hidden) {
+            return {
+                status: 'error',
+                details: `${api} frame pacing needs a visible tab`,
+                error: 'Page hidden'
+            };
+        }
+
+        const timestamps = await this.runFrameLoop(renderFrame, signal);
+        const stats = FramePacingTests.analyzeFrames(timestamps);
+        const tier = FramePacingTests.getTier(stats);
+
+        // Frames stop while the tab is hidden, which would read as huge hitches
+        if (stats.interrupted || document.hidden) {
+            return {
+                status: 'partial',
+                details: `${api} frame pacing was interrupted (tab hidden or paused); results are unreliable`,
+                framePacing: stats,
+                tier
+            };
+        }
+
+        const scores = { high: 100, medium: 70, low: 40 };
+        return {
+            status: tier === 'low' ? 'partial' : 'supported',
+            details: `${api} frame pacing: ${tier} tier, ${stats.averageFps} fps on a ${stats.refreshRate} Hz display ` +
+                `(p95 ${stats.frameTimes.p95} ms, ${stats.droppedPercent}% dropped${stats.throttling.throttled ? ', throttling' : ''})`,
+            framePacing: stats,
+            tier,
+            performance: {
+                rating: { high: 'excellent', medium: 'good', low: 'poor' }[tier],
+                averageFps: stats.averageFps
+            },
+            score: scores[tier]
+        };
+    }
+
+    /**
+     * Call renderFrame once per animation frame for durationMs, collecting rAF timestamps
+     */
+    runFrameLoop(renderFrame, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timestamps = [];
+            let start = null;
+
+            const step = (now) => {
+                this.frameRequest = null;
+                if (signal && signal.aborted) {
+                    reject(signal.reason || new Error('Aborted'));
+                    return;
+                }
+                if (start === null) start = now;
+
+                try {
+                    renderFrame((now - start) / 1000);
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                timestamps.push(now);
+
+                if (now - start >= this.durationMs) {
+                    resolve(timestamps);
+                } else {
+                    this.frameRequest = requestAnimationFrame(step);
+                }
+            };
+
+            this.frameRequest = requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Frame statistics from rAF timestamps
+     * @returns {Object} refreshRate, averageFps, frameTimes {p50, p95, p99, max}, droppedFrames,
+     *   droppedPercent, throttling {windowsFps, firstFps, lastFps, slowdownPercent, throttled}, interrupted
+     */
+    static analyzeFrames(timestamps = []) {
+        const deltas = [];
+        for (let i = 1; i < timestamps.length; i++) {
+            deltas.push(timestamps[i] - timestamps[i - 1]);
+        }
+        if (deltas.length === 0) {
+            throw new Error('Not enough frames rendered to measure frame pacing');
+        }
+
+        const sorted = deltas.slice().sort((a, b) => a - b);
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+        const round = (value) => Math.round(value * 10) / 10;
+
+        // The fastest frames approximate the vsync interval even when many frames are late
+        const refreshRate = FramePacingTests.snapRefreshRate(1000 / percentile(10));
+        const interval = 1000 / refreshRate;
+
+        let droppedFrames = 0;
+        deltas.forEach(delta => {
+            droppedFrames += Math.max(0, Math.round(delta / interval) - 1);
+        });
+
+        const duration = timestamps[timestamps.length - 1] - timestamps[0];
+        const windowsFps = FramePacingTests.getWindowFps(timestamps, 1000);
+        const firstFps = windowsFps[0];
+        const lastFps = windowsFps[windowsFps.length - 1];
+        const slowdown = windowsFps.length > 1 && firstFps > 0 ? (firstFps - lastFps) / firstFps : 0;
+
+        return {
+            frames: timestamps.length,
+            durationMs: Math.round(duration),
+            refreshRate,
+            averageFps: round((deltas.length / duration) * 1000),
+            frameTimes: {
+                p50: round(percentile(50)),
+                p95: round(percentile(95)),
+                p99: round(percentile(99)),
+                max: round(sorted[sorted.length - 1])
+            },
+            droppedFrames,
+            droppedPercent: round((droppedFrames / (deltas.length + droppedFrames)) * 100),
+            throttling: {
+                windowsFps,
+                firstFps,
+                lastFps,
+                slowdownPercent: Math.max(0, Math.round(slowdown * 100)),
+                throttled: slowdown > FramePacingTests.THROTTLE_THRESHOLD
+            },
+            interrupted: sorted[sorted.length - 1] > 1000
+        };
+    }
+
+    /**
+     * Frames per second in consecutive windows (a trailing partial window is dropped)
+     */
+    static getWindowFps(timestamps, windowMs) {
+        const start = timestamps[0];
+        const counts = [];
+        for (const time of timestamps.slice(1)) {
+            // A frame belongs to the window its interval ends in; rounding absorbs float error
+            const elapsed = Math.round((time - start) * 1000) / 1000;
+            const index = Math.ceil(elapsed / windowMs) - 1;
+            counts[index] = (counts[index] || 0) + 1;
+        }
+
+        const total = Math.round((timestamps[timestamps.length - 1] - start) * 1000) / 1000;
+        const complete = Math.max(1, Math.floor(total / windowMs));
+        return Array.from({ length: complete }, (_, index) => Math.round(((counts[index] || 0) * 1000) / windowMs));
+    }
+
+    static snapRefreshRate(measuredHz) {
+        return FramePacingTests.REFRESH_RATES.reduce((best, rate) =>
+            (Math.abs(rate - measuredHz) < Math.abs(best - measuredHz) ? rate : best));
+    }
+
+    /**
+     * Best tier whose thresholds the stats meet; throttling costs one tier
+     */
+    static getTier(stats) {
+        const tiers = FramePacingTests.TIERS;
+        let index = tiers.findIndex(tier =>
+            stats.averageFps >= tier.minFps &&
+            stats.frameTimes.p95 <= tier.maxP95Ms &&
+            stats.droppedPercent <= tier.maxDroppedPercent);
+
+        if (stats.throttling.throttled) {
+            index = Math.min(index + 1, tiers.length - 1);
+        }
+        return tiers[index].tier;
+    }
+
+    /**
+     * WebGL scene: DRAW_CALLS draws per frame of a triangle grid with an animated
+     * offset and a fragment shader doing some per-pixel lighting math
+     */
+    createWebGLScene(gl) {
+        const DRAW_CALLS = 200;
+        const GRID = 16;
+
+        const program = this.createShaderProgram(gl, `
+            attribute vec2 a_position;
+            uniform vec2 u_offset;
+            varying vec2 v_uv;
+            void main() {
+                v_uv = a_position;
+                gl_Position = vec4(a_position * 0.5 + u_offset, 0.0, 1.0);
+            }
+        `, `
+            precision mediump float;
+            uniform float u_time;
+            varying vec2 v_uv;
+            void main() {
+                float light = 0.0;
+                for (int i = 0; i < 16; i++) {
+                    light += sin(v_uv.x * float(i) + u_time) * cos(v_uv.y * float(i) - u_time);
+                }
+                gl_FragColor = vec4(vec3(0.5 + light / 32.0), 1.0);
+            }
+        `);
+        if (!program) {
+            return null;
+        }
+
+        // GRID x GRID quads as two triangles each
+        const vertices = [];
+        for (let y = 0; y < GRID; y++) {
+            for (let x = 0; x < GRID; x++) {
+                const x0 = (x / GRID) * 2 - 1;
+                const y0 = (y / GRID) * 2 - 1;
+                const x1 = ((x + 1) / GRID) * 2 - 1;
+                const y1 = ((y + 1) / GRID) * 2 - 1;
+                vertices.push(x0, y0, x1, y0, x0, y1, x0, y1, x1, y0, x1, y1);
+            }
+        }
+
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        gl.useProgram(program);
+        const offset = gl.getUniformLocation(program, 'u_offset');
+        const time = gl.getUniformLocation(program, 'u_time');
+        const vertexCount = vertices.length / 2;
+
+        this.cleanupFunctions.push(() => {
+            gl.deleteBuffer(buffer);
+            gl.deleteProgram(program);
+        });
+
+        return (seconds) => {
+            gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+            gl.clearColor(0, 0, 0, 1);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.uniform1f(time, seconds);
+            for (let i = 0; i < DRAW_CALLS; i++) {
+                const angle = seconds + (i / DRAW_CALLS) * Math.PI * 2;
+                gl.uniform2f(offset, Math.cos(angle) * 0.5, Math.sin(angle) * 0.5);
+                gl.drawArrays(gl.TRIANGLES, 0, vertexCount);
+            }
+        };
+    }
+
+    /**
+     * WebGPU scene: the triangle grid generated in the vertex shader with the same lighting math
+     */
+    createWebGPUScene(device, context) {
+        const TRIANGLES = 200 * 16 * 16 * 2;
+        const format = navigator.gpu.getPreferredCanvasFormat();
+        context.configure({ device, format, alphaMode: 'opaque' });
+
+        const module = device.createShaderModule({
+            code: `
+                struct VertexOut {
+                    @builtin(position) position: vec4<f32>,
+                    @location(0) uv: vec2<f32>,
+                };
+
+                @vertex
+                fn vs(@builtin(vertex_index) index: u32) -> VertexOut {
+                    let corners = array<vec2<f32>, 3>(vec2<f32>(0.0, 0.0), vec2<f32>(1.0, 0.0), vec2<f32>(0.0, 1.0));
+                    let triangle = index / 3u;
+                    let cell = vec2<f32>(f32(triangle % 16u), f32((triangle / 16u) % 16u));
+                    let uv = (cell + corners[index % 3u]) / 16.0 * 2.0 - 1.0;
+                    var out: VertexOut;
+                    out.position = vec4<f32>(uv * 0.5, 0.0, 1.0);
+                    out.uv = uv;
+                    return out;
+                }
+
+                @fragment
+                fn fs(in: VertexOut) -> @location(0) vec4<f32> {
+                    var light = 0.0;
+                    for (var i = 0; i < 16; i++) {
+                        light += sin(in.uv.x * f32(i)) * cos(in.uv.y * f32(i));
+                    }
+                    return vec4<f32>(vec3<f32>(0.5 + light / 32.0), 1.0);
+                }
+            `
+        });
+
+        const pipeline = device.createRenderPipeline({
+            layout: 'auto',
+            vertex: { module, entryPoint: 'vs' },
+            fragment: { module, entryPoint: 'fs', targets: [{ format }] },
+            primitive: { topology: 'triangle-list' }
+        });
+
+        return () => {
+            const encoder = device.createCommandEncoder();
+            const pass = encoder.beginRenderPass({
+                colorAttachments: [{
+                    view: context.getCurrentTexture().createView(),
+                    clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                    loadOp: 'clear',
+                    storeOp: 'store'
+                }]
+            });
+            pass.setPipeline(pipeline);
+            pass.draw(TRIANGLES * 3);
+            pass.end();
+            device.queue.submit([encoder.finish()]);
+        };
+    }
+
+    /**
+     * Canvas the benchmark renders into. It stays in the layout (nearly transparent,
+     * 1 CSS pixel) so the browser composites every frame like a real game canvas.
+     */
+    createCanvas() {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = 512;
+            this.canvas.height = 512;
+            this.canvas.style.cssText = 'position:fixed;right:0;bottom:0;width:1px;height:1px;opacity:0.01;pointer-events:none';
+            document.body.appendChild(this.canvas);
+        }
+        return this.canvas;
+    }
+
+    /**
+     * Helper method to create a WebGL shader program
+     */
+    createShaderProgram(gl, vertexShaderSource, fragmentShaderSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error('Frame pacing shader compile error:', gl.getShaderInfoLog(shader));
+                gl.deleteShader(shader);
+                return null;
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, vertexShaderSource);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentShaderSource);
+        if (!vertexShader || !fragmentShader) {
+            return null;
+        }
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('Frame pacing program link error:', gl.getProgramInfoLog(program));
+            gl.deleteProgram(program);
+            return null;
+        }
+        return program;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+
+        // Execute any registered cleanup functions
+        this.cleanupFunctions.forEach(fn => {
+            try {
+                fn();
+            } catch (error) {
+                console.warn('Frame pacing cleanup function error:', error);
+            }
+        });
+        this.cleanupFunctions = [];
+
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+        this.canvas = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FramePacingTests;
+} else {
+    window.FramePacingTests = FramePacingTests;
+}
@@ -16,6 +16,7 @@ class GamingAPIsTests {
         return [
             {
                 name: 'Gamepad API',
+                detectorKey: 'gamepad.api',
                 fn: () => this.testGamepadAPI(),
                 category: 'gaming',
                 priority: 10,
@@ -23,6 +24,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Web Audio API',
+                detectorKey: 'web.audio.api',
                 fn: () => this.testWebAudioAPI(),
                 category: 'gaming',
                 priority: 9,
@@ -30,6 +32,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Pointer Lock API',
+                detectorKey: 'pointer.lock.api',
                 fn: () => this.testPointerLockAPI(),
                 category: 'gaming',
                 priority: 8,
@@ -37,6 +40,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Fullscreen API',
+                detectorKey: 'fullscreen.api',
                 fn: () => this.testFullscreenAPI(),
                 category: 'gaming',
                 priority: 7,
@@ -44,6 +48,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Visibility API',
+                detectorKey: 'visibility.api',
                 fn: () => this.testVisibilityAPI(),
                 category: 'gaming',
                 priority: 6,
@@ -51,6 +56,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Performance API',
+                detectorKey: 'performance.api',
                 fn: () => this.testPerformanceAPI(),
                 category: 'gaming',
                 priority: 5,
@@ -58,6 +64,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Device Orientation',
+                detectorKey: 'device.orientation',
                 fn: () => this.testDeviceOrientationAPI(),
                 category: 'gaming',
                 priority: 4,
@@ -65,6 +72,7 @@ class GamingAPIsTests {
             },
             {
                 name: 'Vibration API',
+                detectorKey: 'vibration.api',
                 fn: () => this.testVibrationAPI(),
                 category: 'gaming',
                 priority: 3,
@@ -0,0 +1,363 @@
+/**
+ * Advanced Input Testing Suite
+ * Raw (unadjusted) mouse movement, Keyboard Lock and layout maps, coalesced/predicted
+ * and high-frequency pointer events, and touch points, which competitive games rely on
+ */
+
+class InputTests {
+    constructor() {
+        this.cleanupFunctions = [];
+    }
+
+    /**
+     * Keys whose layout mapping identifies the common keyboard layouts
+     */
+    static get LAYOUT_SIGNATURES() {
+        return {
+            qwerty: { KeyQ: 'q', KeyW: 'w', KeyY: 'y' },
+            qwertz: { KeyQ: 'q', KeyW: 'w', KeyY: 'z' },
+            azerty: { KeyQ: 'a', KeyW: 'z', KeyY: 'y' }
+        };
+    }
+
+    /**
+     * Get all advanced input tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'Raw Mouse Input',
+                detectorKey: 'input.pointer.lock.raw',
+                fn: () => this.testUnadjustedMovement(),
+                category: 'input',
+                priority: 8,
+                description: 'Test pointer lock with unadjusted (raw) mouse movement'
+            },
+            {
+                name: 'Keyboard Lock',
+                detectorKey: 'input.keyboard.lock',
+                fn: () => this.testKeyboardLock(),
+                category: 'input',
+                priority: 6,
+                description: 'Test capturing Esc, Alt+Tab and other system keys in fullscreen'
+            },
+            {
+                name: 'Keyboard Layout Map',
+                detectorKey: 'input.keyboard.layout',
+                fn: () => this.testKeyboardLayoutMap(),
+                category: 'input',
+                priority: 5,
+                description: 'Test reading the keyboard layout to label WASD-style bindings'
+            },
+            {
+                name: 'Coalesced & Predicted Pointer Events',
+                detectorKey: 'input.pointer.coalesced',
+                fn: () => this.testPointerEventExtensions(),
+                category: 'input',
+                priority: 6,
+                description: 'Test getCoalescedEvents() and getPredictedEvents() on pointer events'
+            },
+            {
+                name: 'Raw Pointer Updates',
+                detectorKey: 'input.pointer.rawupdate',
+                fn: () => this.testPointerRawUpdate(),
+                category: 'input',
+                priority: 5,
+                description: 'Test high-frequency pointerrawupdate events'
+            },
+            {
+                name: 'Touch Input',
+                detectorKey: 'input.touch',
+                fn: () => this.testTouchInput(),
+                category: 'input',
+                priority: 5,
+                description: 'Report touch support and how many simultaneous touch points are available'
+            }
+        ];
+    }
+
+    /**
+     * requestPointerLock({unadjustedMovement: true}) on a hidden element. Browsers that
+     * understand the options return a promise; without a user gesture it rejects, but a
+     * NotSupportedError means raw movement is unavailable on this platform
+     */
+    async testUnadjustedMovement() {
+        try {
+            const element = document.createElement('div');
+            element.style.position = 'absolute';
+            element.style.width = '1px';
+            element.style.height = '1px';
+            element.style.visibility = 'hidden';
+
+            if (typeof element.requestPointerLock !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Pointer Lock API not available',
+                    rawInput: false
+                };
+            }
+
+            document.body.appendChild(element);
+            this.cleanupFunctions.push(() => {
+                if (document.pointerLockElement === element) {
+                    document.exitPointerLock();
+                }
+                element.remove();
+            });
+
+            const request = element.requestPointerLock({ unadjustedMovement: true });
+            if (!request || typeof request.then !== 'function') {
+                return {
+                    status: 'partial',
+                    details: 'Pointer lock available, but raw mouse movement is not (OS mouse acceleration applies)',
+                    rawInput: false,
+                    promiseBased: false,
+                    score: 50
+                };
+            }
+
+            let rejection = null;
+            try {
+                await request;
+            } catch (error) {
+                rejection = error;
+            }
+
+            if (rejection && rejection.name === 'NotSupportedError') {
+                return {
+                    status: 'partial',
+                    details: 'Pointer lock available, but this platform does not provide raw mouse movement',
+                    rawInput: false,
+                    promiseBased: true,
+                    error: rejection.message,
+                    score: 60
+                };
+            }
+
+            return {
+                status: 'supported',
+                details: rejection
+                    ? 'Raw mouse movement supported (lock itself needs a click to engage)'
+                    : 'Raw mouse movement supported',
+                rawInput: true,
+                promiseBased: true,
+                score: 100
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Raw mouse input test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Keyboard Lock is only engaged in fullscreen, so only availability is checked here
+     */
+    testKeyboardLock() {
+        try {
+            const keyboard = navigator.keyboard;
+            if (!keyboard || typeof keyboard.lock !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Keyboard Lock API not available',
+                    reason: 'Esc and browser shortcuts (Ctrl+W, Alt+Tab) cannot be used as game keys'
+                };
+            }
+
+            return {
+                status: 'supported',
+                details: 'Keyboard Lock API available (engages in fullscreen)',
+                canUnlock: typeof keyboard.unlock === 'function',
+                score: 100
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Keyboard Lock test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Read the layout map and identify QWERTY, QWERTZ and AZERTY layouts
+     */
+    async testKeyboardLayoutMap() {
+        try {
+            const keyboard = navigator.keyboard;
+            if (!keyboard || typeof keyboard.getLayoutMap !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Keyboard layout map not available',
+                    reason: 'Games cannot show the right key names on non-QWERTY keyboards'
+                };
+            }
+
+            let layoutMap;
+            try {
+                layoutMap = await keyboard.getLayoutMap();
+            } catch (mapError) {
+                // Cross-origin iframes need the keyboard-map permissions policy
+                return {
+                    status: 'partial',
+                    details: `Keyboard layout map present but not readable here (${mapError.name || 'error'})`,
+                    error: mapError.message,
+                    score: 40
+                };
+            }
+
+            const layout = InputTests.identifyLayout(layoutMap);
+            return {
+                status: 'supported',
+                details: `Keyboard layout map readable (${layoutMap.size} keys, ${layout || 'unrecognized'} layout)`,
+                keys: layoutMap.size,
+                layout,
+                score: 100
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Keyboard layout map test failed',
+                error: error.message
+            };
+        }
+    }
+
+    static identifyLayout(layoutMap) {
+        const match = Object.entries(InputTests.LAYOUT_SIGNATURES).find(([, keys]) =>
+            Object.entries(keys).every(([code, key]) => layoutMap.get(code) === key));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * getCoalescedEvents() recovers the samples merged into one pointermove;
+     * getPredictedEvents() lets the game draw ahead of the latest sample
+     */
+    testPointerEventExtensions() {
+        try {
+            if (typeof window.PointerEvent !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Pointer Events not available'
+                };
+            }
+
+            const prototype = window.PointerEvent.prototype;
+            const features = {
+                coalescedEvents: typeof prototype.getCoalescedEvents === 'function',
+                predictedEvents: typeof prototype.getPredictedEvents === 'function'
+            };
+            const supported = Object.keys(features).filter(feature => features[feature]);
+
+            return {
+                status: supported.length === 2 ? 'supported' : 'partial',
+                details: supported.length > 0
+                    ? `Pointer Events with ${supported.join(' and ')}`
+                    : 'Pointer Events available without coalesced or predicted events',
+                features,
+                score: 50 + supported.length * 25
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Pointer event extensions test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * pointerrawupdate fires at the device's report rate instead of once per frame
+     */
+    testPointerRawUpdate() {
+        try {
+            if (!('onpointerrawupdate' in window)) {
+                return {
+                    status: 'unsupported',
+                    details: 'pointerrawupdate events not available',
+                    reason: window.isSecureContext === false
+                        ? 'pointerrawupdate is only exposed on secure (HTTPS) pages'
+                        : 'Mouse movement arrives at most once per animation frame'
+                };
+            }
+
+            return {
+                status: 'supported',
+                details: 'High-frequency pointerrawupdate events available',
+                score: 100
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'pointerrawupdate test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Touch screens and the number of simultaneous touch points
+     */
+    testTouchInput() {
+        try {
+            const maxTouchPoints = navigator.maxTouchPoints || 0;
+            const touchEvents = 'ontouchstart' in window;
+            const coarsePointer = typeof window.matchMedia === 'function' && window.matchMedia('(any-pointer: coarse)').matches;
+
+            // A desktop without a touch screen is not a browser gap
+            if (maxTouchPoints === 0 && !touchEvents) {
+                return {
+                    status: 'supported',
+                    details: 'No touch screen detected (mouse and keyboard or gamepad input)',
+                    touchScreen: false,
+                    maxTouchPoints,
+                    touchEvents,
+                    coarsePointer,
+                    multiTouch: false
+                };
+            }
+
+            // Twin-stick and gesture controls need at least two fingers, ideally five
+            const multiTouch = maxTouchPoints >= 2;
+            return {
+                status: maxTouchPoints >= 5 ? 'supported' : 'partial',
+                details: `Touch input with ${maxTouchPoints} simultaneous touch point${maxTouchPoints === 1 ? '' : 's'}`,
+                touchScreen: true,
+                maxTouchPoints,
+                touchEvents,
+                coarsePointer,
+                multiTouch,
+                score: maxTouchPoints >= 5 ? 100 : (multiTouch ? 70 : 40)
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Touch input test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Cleanup input test resources
+     */
+    cleanup() {
+        this.cleanupFunctions.forEach(fn => {
+            try {
+                fn();
+            } catch (error) {
+                console.warn('Input cleanup function error:', error);
+            }
+        });
+        this.cleanupFunctions = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputTests;
+} else {
+    window.InputTests = InputTests;
+}
@@ -0,0 +1,291 @@
+/**
+ * Cross-Origin Isolation Testing Suite
+ * SharedArrayBuffer and WebAssembly threads only exist on cross-origin isolated pages.
+ * Reports which COOP/COEP header is missing, which subresources each COEP mode would
+ * block, and the exact headers the game host has to send
+ */
+
+class IsolationTests {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.subresources - Asset URLs to check besides the ones this page loaded (e.g. the game's CDN)
+     * @param {number} options.timeoutMs - Timeout for each header or CORS probe
+     */
+    constructor(options = {}) {
+        this.subresources = options.subresources || [];
+        this.timeoutMs = options.timeoutMs || 3000;
+        this.controllers = [];
+    }
+
+    /**
+     * Cross-Origin-Embedder-Policy values that enable isolation, most compatible first
+     */
+    static get COEP_MODES() {
+        return ['require-corp', 'credentialless'];
+    }
+
+    /**
+     * Cross-origin subresources probed at most
+     */
+    static get MAX_PROBES() {
+        return 20;
+    }
+
+    /**
+     * Resource Timing initiators that already use CORS mode, so neither COEP mode changes them
+     */
+    static get CORS_INITIATORS() {
+        return ['fetch', 'xmlhttprequest', 'beacon'];
+    }
+
+    /**
+     * Get all cross-origin isolation tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'Cross-Origin Isolation',
+                detectorKey: 'isolation.headers',
+                fn: (signal) => this.testIsolationHeaders(signal),
+                category: 'security',
+                priority: 8,
+                description: 'Report crossOriginIsolated and which COOP/COEP response header is missing'
+            },
+            {
+                name: 'Subresources Under COEP',
+                detectorKey: 'isolation.subresources',
+                fn: (signal) => this.testSubresources(signal),
+                category: 'security',
+                priority: 6,
+                description: 'Check which cross-origin subresources require-corp or credentialless would block'
+            }
+        ];
+    }
+
+    /**
+     * Document headers a host sends for isolation
+     * @param {string} coep - 'require-corp' or 'credentialless'
+     */
+    static getRequiredHeaders(coep = 'require-corp') {
+        return [
+            'Cross-Origin-Opener-Policy: same-origin',
+            `Cross-Origin-Embedder-Policy: ${coep}`
+        ];
+    }
+
+    /**
+     * Compare the page's COOP/COEP values with what isolation needs
+     * @param {Object} headers - { coop, coep } as sent, null when absent
+     * @returns {Array} { header, expected, actual } for every header that is missing or wrong
+     */
+    static getMissingHeaders(headers) {
+        // Values may carry parameters such as '; report-to="..."'
+        const value = header => (header || '').split(';')[0].trim().toLowerCase() || null;
+        const missing = [];
+        if (value(headers.coop) !== 'same-origin') {
+            missing.push({ header: 'Cross-Origin-Opener-Policy', expected: 'same-origin', actual: value(headers.coop) });
+        }
+        if (!IsolationTests.COEP_MODES.includes(value(headers.coep))) {
+            missing.push({ header: 'Cross-Origin-Embedder-Policy', expected: IsolationTests.COEP_MODES.join(' or '), actual: value(headers.coep) });
+        }
+        return missing;
+    }
+
+    /**
+     * Fetch with the test's signal and a per-request timeout
+     */
+    async probe(url, init, signal) {
+        const controller = new AbortController();
+        this.controllers.push(controller);
+        const abort = () => controller.abort();
+        const timer = setTimeout(abort, this.timeoutMs);
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        try {
+            return await fetch(url, { ...init, cache: 'no-store', signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+            this.controllers = this.controllers.filter(c => c !== controller);
+        }
+    }
+
+    /**
+     * The page's own COOP/COEP, re-requested because scripts cannot read document headers
+     */
+    async getPageHeaders(signal) {
+        try {
+            const response = await this.probe(location.href, { method: 'HEAD' }, signal);
+            return {
+                coop: response.headers.get('cross-origin-opener-policy'),
+                coep: response.headers.get('cross-origin-embedder-policy')
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Why a page sending both headers is still not isolated
+     */
+    static explainNotIsolated(headers) {
+        if (window.isSecureContext === false) {
+            return 'Cross-origin isolation needs HTTPS (or localhost)';
+        }
+        if (headers && (headers.coep || '').toLowerCase().startsWith('credentialless')) {
+            return 'This browser does not support COEP credentialless; use require-corp';
+        }
+        if (window.top !== window.self) {
+            return 'The page is framed: the embedding page must be isolated and the iframe needs allow="cross-origin-isolated"';
+        }
+        return 'The headers are sent but the browser did not isolate the page';
+    }
+
+    /**
+     * window.crossOriginIsolated is the ground truth; the response headers explain a false value
+     */
+    async testIsolationHeaders(signal = null) {
+        try {
+            const crossOriginIsolated = window.crossOriginIsolated === true;
+            const headers = typeof fetch === 'function' ? await this.getPageHeaders(signal) : null;
+
+            if (crossOriginIsolated) {
+                return {
+                    status: 'supported',
+                    details: `Cross-origin isolated${headers && headers.coep ? ` (COEP ${headers.coep})` : ''}: SharedArrayBuffer and WebAssembly threads are available`,
+                    crossOriginIsolated,
+                    headers,
+                    missingHeaders: [],
+                    score: 100
+                };
+            }
+
+            const missingHeaders = headers ? IsolationTests.getMissingHeaders(headers) : [];
+            const requiredHeaders = IsolationTests.getRequiredHeaders();
+            let reason;
+            if (!headers) {
+                reason = 'The page response headers could not be read';
+            } else if (missingHeaders.length > 0) {
+                reason = missingHeaders.map(({ header, expected, actual }) =>
+                    actual ? `${header} is "${actual}" (needs ${expected})` : `${header} is missing`).join('; ');
+            } else {
+                reason = IsolationTests.explainNotIsolated(headers);
+            }
+
+            return {
+                status: 'unsupported',
+                details: `Not cross-origin isolated: ${reason}. Send: ${requiredHeaders.join(', ')}`,
+                reason,
+                crossOriginIsolated,
+                headers,
+                missingHeaders,
+                requiredHeaders
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Cross-origin isolation test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Cross-origin no-cors subresources from Resource Timing plus the configured asset URLs
+     */
+    getCrossOriginSubresources() {
+        const entries = typeof performance.getEntriesByType === 'function'
+            ? performance.getEntriesByType('resource')
+                .filter(entry => !IsolationTests.CORS_INITIATORS.includes(entry.initiatorType))
+                .map(entry => ({ url: entry.name, initiatorType: entry.initiatorType }))
+            : [];
+        const configured = this.subresources.map(url => ({ url: new URL(url, location.href).href, initiatorType: 'configured' }));
+
+        const seen = new Set();
+        return [...configured, ...entries].filter(({ url }) => {
+            const parsed = new URL(url, location.href);
+            if (!parsed.protocol.startsWith('http') || parsed.origin === location.origin || seen.has(parsed.href)) {
+                return false;
+            }
+            seen.add(parsed.href);
+            return true;
+        }).slice(0, IsolationTests.MAX_PROBES);
+    }
+
+    /**
+     * require-corp blocks a no-cors subresource unless its host sends CORP (or it is loaded
+     * with the crossorigin attribute from a CORS-enabled host); credentialless loads it
+     * without cookies instead. A credential-less CORS request tells the two cases apart
+     */
+    async testSubresources(signal = null) {
+        try {
+            if (typeof fetch !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Fetch API not available, subresources cannot be checked'
+                };
+            }
+
+            const subresources = this.getCrossOriginSubresources();
+            if (subresources.length === 0) {
+                return {
+                    status: 'supported',
+                    details: 'No cross-origin subresources: require-corp and credentialless both work',
+                    subresources,
+                    blockedUnderRequireCorp: [],
+                    blockedUnderCredentialless: [],
+                    recommendedCoep: 'require-corp',
+                    score: 100
+                };
+            }
+
+            for (const subresource of subresources) {
+                try {
+                    const response = await this.probe(subresource.url, { mode: 'cors', credentials: 'omit' }, signal);
+                    subresource.cors = response.ok;
+                } catch (probeError) {
+                    subresource.cors = false;
+                }
+            }
+
+            const blockedUnderRequireCorp = subresources.filter(subresource => !subresource.cors).map(subresource => subresource.url);
+            const corsReady = blockedUnderRequireCorp.length === 0;
+
+            return {
+                status: corsReady ? 'supported' : 'partial',
+                details: corsReady
+                    ? `All ${subresources.length} cross-origin subresources allow CORS: require-corp works when they load with the crossorigin attribute`
+                    : `${blockedUnderRequireCorp.length} of ${subresources.length} cross-origin subresources would be blocked under require-corp ` +
+                        '(their hosts must send Cross-Origin-Resource-Policy: cross-origin); credentialless loads them without cookies',
+                subresources,
+                blockedUnderRequireCorp,
+                // Only subresources that need cookies break under credentialless, which a probe cannot see
+                blockedUnderCredentialless: [],
+                recommendedCoep: corsReady ? 'require-corp' : 'credentialless',
+                assetHeaders: corsReady ? [] : ['Cross-Origin-Resource-Policy: cross-origin'],
+                score: corsReady ? 100 : 60
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Subresource isolation test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Cleanup isolation test resources
+     */
+    cleanup() {
+        this.controllers.forEach(controller => controller.abort());
+        this.controllers = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IsolationTests;
+} else {
+    window.IsolationTests = IsolationTests;
+}
@@ -0,0 +1,445 @@
+/**
+ * Media Codec Testing Suite
+ * Builds a codec matrix from Media Capabilities, Media Source Extensions and WebCodecs
+ * for the video and audio codecs games stream cutscenes and voice in, and picks the
+ * delivery format this player should be served
+ */
+
+class MediaTests {
+    constructor() {
+        this.matrixPromise = null;
+    }
+
+    /**
+     * Video codecs in delivery preference order (most efficient first); codec strings
+     * are at a level high enough for 2160p60
+     */
+    static get VIDEO_CODECS() {
+        return [
+            { codec: 'av1', label: 'AV1', mime: 'video/mp4', codecString: 'av01.0.13M.08', container: 'mp4' },
+            { codec: 'vp9', label: 'VP9', mime: 'video/webm', codecString: 'vp09.00.51.08', container: 'webm' },
+            { codec: 'hevc', label: 'HEVC', mime: 'video/mp4', codecString: 'hvc1.1.6.L153.B0', container: 'mp4' },
+            { codec: 'h264', label: 'H.264', mime: 'video/mp4', codecString: 'avc1.640033', container: 'mp4' }
+        ];
+    }
+
+    /**
+     * Audio codecs in preference order; containers lists the video containers each can be muxed into
+     */
+    static get AUDIO_CODECS() {
+        return [
+            { codec: 'opus', label: 'Opus', mime: 'audio/webm', codecString: 'opus', container: 'webm', containers: ['webm', 'mp4'] },
+            { codec: 'aac', label: 'AAC', mime: 'audio/mp4', codecString: 'mp4a.40.2', container: 'mp4', containers: ['mp4'] }
+        ];
+    }
+
+    /**
+     * Resolutions and frame rates each video codec is queried at, smallest first
+     */
+    static get VIDEO_PROFILES() {
+        return [
+            { id: '720p30', width: 1280, height: 720, framerate: 30, bitrate: 2500000 },
+            { id: '1080p60', width: 1920, height: 1080, framerate: 60, bitrate: 8000000 },
+            { id: '2160p60', width: 3840, height: 2160, framerate: 60, bitrate: 20000000 }
+        ];
+    }
+
+    /**
+     * Get all media tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'Video Decoding Capabilities',
+                detectorKey: 'media.capabilities.video',
+                fn: () => this.testVideoDecoding(),
+                category: 'media',
+                priority: 7,
+                description: 'Query smooth and power-efficient decoding of H.264, VP9, AV1 and HEVC at 720p to 4K'
+            },
+            {
+                name: 'Media Source Extensions',
+                detectorKey: 'media.source.codecs',
+                fn: () => this.testMediaSource(),
+                category: 'media',
+                priority: 6,
+                description: 'Test which codecs can be streamed through Media Source Extensions'
+            },
+            {
+                name: 'WebCodecs Video Decoding',
+                detectorKey: 'media.webcodecs.video',
+                fn: () => this.testWebCodecsVideo(),
+                category: 'media',
+                priority: 5,
+                description: 'Test VideoDecoder.isConfigSupported() for each video codec'
+            },
+            {
+                name: 'WebCodecs Audio Decoding',
+                detectorKey: 'media.webcodecs.audio',
+                fn: () => this.testWebCodecsAudio(),
+                category: 'media',
+                priority: 4,
+                description: 'Test AudioDecoder.isConfigSupported() for Opus and AAC'
+            },
+            {
+                name: 'Opus & AAC Audio',
+                detectorKey: 'media.audio.codecs',
+                fn: () => this.testAudioCodecs(),
+                category: 'media',
+                priority: 6,
+                description: 'Test decoding of Opus and AAC audio for voice and soundtracks'
+            },
+            {
+                name: 'Recommended Delivery Format',
+                detectorKey: 'media.delivery.format',
+                fn: () => this.testDeliveryFormat(),
+                category: 'media',
+                priority: 3,
+                description: 'Summarize the codec matrix and pick the video and audio format to stream'
+            }
+        ];
+    }
+
+    /**
+     * Query every codec once and share the matrix between the tests
+     */
+    getCodecMatrix() {
+        if (!this.matrixPromise) {
+            this.matrixPromise = MediaTests.buildCodecMatrix();
+        }
+        return this.matrixPromise;
+    }
+
+    /**
+     * {video: {codec: {mediaSource, webCodecs, decoding: {profileId: info}}}, audio: {codec: {...}}}
+     */
+    static async buildCodecMatrix() {
+        const video = {};
+        const audio = {};
+
+        await Promise.all([
+            ...MediaTests.VIDEO_CODECS.map(async (entry) => {
+                const decoding = {};
+                await Promise.all(MediaTests.VIDEO_PROFILES.map(async (profile) => {
+                    decoding[profile.id] = await MediaTests.queryDecoding({
+                        video: {
+                            contentType: MediaTests.getContentType(entry),
+                            width: profile.width,
+                            height: profile.height,
+                            bitrate: profile.bitrate,
+                            framerate: profile.framerate
+                        }
+                    });
+                }));
+                video[entry.codec] = {
+                    mediaSource: MediaTests.isMediaSourceSupported(entry),
+                    webCodecs: await MediaTests.isDecoderConfigSupported(window.VideoDecoder,
+                        { codec: entry.codecString, codedWidth: 1920, codedHeight: 1080 }),
+                    decoding
+                };
+            }),
+            ...MediaTests.AUDIO_CODECS.map(async (entry) => {
+                audio[entry.codec] = {
+                    mediaSource: MediaTests.isMediaSourceSupported(entry),
+                    webCodecs: await MediaTests.isDecoderConfigSupported(window.AudioDecoder,
+                        { codec: entry.codecString, sampleRate: 48000, numberOfChannels: 2 }),
+                    decoding: await MediaTests.queryDecoding({
+                        audio: {
+                            contentType: MediaTests.getContentType(entry),
+                            channels: '2',
+                            bitrate: 128000,
+                            samplerate: 48000
+                        }
+                    })
+                };
+            })
+        ]);
+
+        return { video, audio };
+    }
+
+    static getContentType(entry) {
+        return `${entry.mime}; codecs="${entry.codecString}"`;
+    }
+
+    /**
+     * MediaCapabilities.decodingInfo() for a streamed (media-source) configuration;
+     * null when the API is missing
+     */
+    static async queryDecoding(configuration) {
+        if (!navigator.mediaCapabilities || typeof navigator.mediaCapabilities.decodingInfo !== 'function') {
+            return null;
+        }
+        try {
+            const info = await navigator.mediaCapabilities.decodingInfo({ type: 'media-source', ...configuration });
+            return { supported: info.supported, smooth: info.smooth, powerEfficient: info.powerEfficient };
+        } catch (error) {
+            // TypeError for codec strings the browser cannot parse
+            return { supported: false, smooth: false, powerEfficient: false };
+        }
+    }
+
+    /**
+     * Safari on iOS only exposes ManagedMediaSource
+     */
+    static getMediaSource() {
+        return window.MediaSource || window.ManagedMediaSource || null;
+    }
+
+    static isMediaSourceSupported(entry) {
+        const MediaSourceClass = MediaTests.getMediaSource();
+        return !!(MediaSourceClass && MediaSourceClass.isTypeSupported(MediaTests.getContentType(entry)));
+    }
+
+    /**
+     * isConfigSupported() result, or null when the decoder class is missing
+     */
+    static async isDecoderConfigSupported(DecoderClass, config) {
+        if (typeof DecoderClass !== 'function' || typeof DecoderClass.isConfigSupported !== 'function') {
+            return null;
+        }
+        try {
+            const support = await DecoderClass.isConfigSupported(config);
+            return support.supported === true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Smooth and power-efficient decoding per codec at each resolution and frame rate
+     */
+    async testVideoDecoding() {
+        try {
+            if (!navigator.mediaCapabilities || typeof navigator.mediaCapabilities.decodingInfo !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Media Capabilities API not available',
+                    reason: 'Players cannot tell which codec will decode smoothly'
+                };
+            }
+
+            const matrix = await this.getCodecMatrix();
+            const decoding = Object.fromEntries(MediaTests.VIDEO_CODECS.map(({ codec }) => [codec, matrix.video[codec].decoding]));
+            const smooth1080 = MediaTests.VIDEO_CODECS.filter(({ codec }) => decoding[codec]['1080p60'].smooth);
+            const hardware1080 = smooth1080.filter(({ codec }) => decoding[codec]['1080p60'].powerEfficient);
+
+            return {
+                status: smooth1080.length > 0 ? 'supported' : 'partial',
+                details: smooth1080.length > 0
+                    ? `Smooth 1080p60 decoding: ${smooth1080.map(entry => entry.label).join(', ')}` +
+                        (hardware1080.length > 0 ? ` (hardware: ${hardware1080.map(entry => entry.label).join(', ')})` : ' (no hardware decoding)')
+                    : 'No codec decodes 1080p60 smoothly',
+                decoding,
+                score: Math.min(100, 40 + smooth1080.length * 15 + hardware1080.length * 5)
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Video decoding capabilities test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * MediaSource.isTypeSupported() for every video and audio codec
+     */
+    async testMediaSource() {
+        try {
+            const MediaSourceClass = MediaTests.getMediaSource();
+            if (!MediaSourceClass) {
+                return {
+                    status: 'unsupported',
+                    details: 'Media Source Extensions not available',
+                    reason: 'Adaptive streaming (HLS.js, dash.js, Shaka) cannot run'
+                };
+            }
+
+            const matrix = await this.getCodecMatrix();
+            const video = MediaTests.VIDEO_CODECS.filter(({ codec }) => matrix.video[codec].mediaSource);
+            const audio = MediaTests.AUDIO_CODECS.filter(({ codec }) => matrix.audio[codec].mediaSource);
+            const managed = !window.MediaSource;
+
+            return {
+                status: video.length > 0 && audio.length > 0 ? 'supported' : 'partial',
+                details: `${managed ? 'ManagedMediaSource' : 'MediaSource'} streams ` +
+                    `${[...video, ...audio].map(entry => entry.label).join(', ') || 'no tested codec'}`,
+                managedMediaSource: managed,
+                videoCodecs: video.map(entry => entry.codec),
+                audioCodecs: audio.map(entry => entry.codec),
+                score: video.length > 0 && audio.length > 0 ? 100 : 40
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Media Source Extensions test failed',
+                error: error.message
+            };
+        }
+    }
+
+    async testWebCodecsVideo() {
+        return this.testWebCodecs('video', window.VideoDecoder, MediaTests.VIDEO_CODECS);
+    }
+
+    async testWebCodecsAudio() {
+        return this.testWebCodecs('audio', window.AudioDecoder, MediaTests.AUDIO_CODECS);
+    }
+
+    /**
+     * WebCodecs decoders let games decode frames themselves, e.g. into WebGL/WebGPU textures
+     */
+    async testWebCodecs(kind, DecoderClass, codecs) {
+        const decoderName = kind === 'video' ? 'VideoDecoder' : 'AudioDecoder';
+        try {
+            if (typeof DecoderClass !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: `WebCodecs ${decoderName} not available`,
+                    reason: window.isSecureContext === false
+                        ? 'WebCodecs is only exposed on secure (HTTPS) pages'
+                        : 'Games can only decode media through <video> and <audio> elements'
+                };
+            }
+
+            const matrix = await this.getCodecMatrix();
+            const supported = codecs.filter(({ codec }) => matrix[kind][codec].webCodecs);
+
+            return {
+                status: supported.length === codecs.length ? 'supported' : (supported.length > 0 ? 'partial' : 'unsupported'),
+                details: supported.length > 0
+                    ? `${decoderName} supports ${supported.map(entry => entry.label).join(', ')}`
+                    : `${decoderName} available but none of the tested codecs are supported`,
+                codecs: Object.fromEntries(codecs.map(({ codec }) => [codec, matrix[kind][codec].webCodecs])),
+                score: Math.round((supported.length / codecs.length) * 100)
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: `WebCodecs ${decoderName} test failed`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Opus and AAC through Media Capabilities, falling back to MSE where the API is missing
+     */
+    async testAudioCodecs() {
+        try {
+            const matrix = await this.getCodecMatrix();
+            const playable = MediaTests.AUDIO_CODECS.filter(({ codec }) => MediaTests.isAudioPlayable(matrix.audio[codec]));
+
+            if (playable.length === 0) {
+                return {
+                    status: 'unsupported',
+                    details: 'Neither Opus nor AAC audio can be streamed'
+                };
+            }
+
+            return {
+                status: playable.length === MediaTests.AUDIO_CODECS.length ? 'supported' : 'partial',
+                details: `Audio codecs: ${playable.map(entry => entry.label).join(' and ')}`,
+                codecs: Object.fromEntries(MediaTests.AUDIO_CODECS.map(({ codec }) => [codec, MediaTests.isAudioPlayable(matrix.audio[codec])])),
+                score: playable.length === MediaTests.AUDIO_CODECS.length ? 100 : 70
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Audio codec test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * The full codec matrix plus the format recommendDelivery() picks from it
+     */
+    async testDeliveryFormat() {
+        try {
+            const matrix = await this.getCodecMatrix();
+            const recommended = MediaTests.recommendDelivery(matrix);
+
+            if (!recommended.video) {
+                return {
+                    status: 'unsupported',
+                    details: 'No tested video codec can be streamed to this player',
+                    codecMatrix: matrix,
+                    recommended
+                };
+            }
+
+            const video = MediaTests.VIDEO_CODECS.find(({ codec }) => codec === recommended.video);
+            const audio = MediaTests.AUDIO_CODECS.find(({ codec }) => codec === recommended.audio);
+            return {
+                status: recommended.smooth ? 'supported' : 'partial',
+                details: `Recommended: ${video.label} in ${recommended.container.toUpperCase()}` +
+                    (audio ? ` with ${audio.label} audio` : ', no playable audio codec fits this container') +
+                    (recommended.smooth ? `, up to ${recommended.maxProfile}` : ', smooth playback not confirmed') +
+                    (recommended.powerEfficient ? ' (hardware decoded)' : ''),
+                codecMatrix: matrix,
+                recommended,
+                score: recommended.smooth ? 100 : 50
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Delivery format recommendation failed',
+                error: error.message
+            };
+        }
+    }
+
+    static isAudioPlayable(entry) {
+        return entry.decoding ? entry.decoding.supported : entry.mediaSource;
+    }
+
+    /**
+     * Prefer the most efficient streamable codec that decodes 1080p60 in hardware, then
+     * one that decodes it smoothly, then any streamable codec (H.264 last). The audio codec is
+     * the first playable one that fits the video's container (AAC cannot go in WebM)
+     * @returns {Object} {video, audio, container, maxProfile, smooth, powerEfficient}
+     */
+    static recommendDelivery(matrix) {
+        const at1080 = (codec) => matrix.video[codec].decoding['1080p60'];
+        const streamable = MediaTests.VIDEO_CODECS.filter(({ codec }) => matrix.video[codec].mediaSource);
+
+        const pick = streamable.find(({ codec }) => at1080(codec) && at1080(codec).smooth && at1080(codec).powerEfficient)
+            || streamable.find(({ codec }) => at1080(codec) && at1080(codec).smooth)
+            || streamable[streamable.length - 1];
+        const playableAudio = MediaTests.AUDIO_CODECS.filter(({ codec }) => MediaTests.isAudioPlayable(matrix.audio[codec]));
+
+        if (!pick) {
+            const fallback = playableAudio[0];
+            return { video: null, audio: fallback ? fallback.codec : null, container: null, maxProfile: null, smooth: false, powerEfficient: false };
+        }
+
+        const audio = playableAudio.find(({ containers }) => containers.includes(pick.container));
+        const decoding = matrix.video[pick.codec].decoding;
+        const smoothProfiles = MediaTests.VIDEO_PROFILES.filter(({ id }) => decoding[id] && decoding[id].smooth);
+        const maxProfile = smoothProfiles.length > 0 ? smoothProfiles[smoothProfiles.length - 1].id : null;
+        return {
+            video: pick.codec,
+            audio: audio ? audio.codec : null,
+            container: pick.container,
+            maxProfile,
+            smooth: maxProfile !== null,
+            powerEfficient: !!(maxProfile && decoding[maxProfile].powerEfficient)
+        };
+    }
+
+    /**
+     * Nothing to release: the queries create no decoders or media elements
+     */
+    cleanup() {
+        this.matrixPromise = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaTests;
+} else {
+    window.MediaTests = MediaTests;
+}
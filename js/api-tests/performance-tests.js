@@ -14,7 +14,8 @@ class PerformanceTests {
     getAllTests() {
         return [
             {
-                name: 'Performance API',
+                name: 'Performance Timing',
+                detectorKey: 'performance.timing',
                 fn: () => this.testPerformanceAPI(),
                 category: 'performance',
                 priority: 10,
@@ -22,6 +23,7 @@ class PerformanceTests {
             },
             {
                 name: 'Performance Observer',
+                detectorKey: 'performance.observer',
                 fn: () => this.testPerformanceObserver(),
                 category: 'performance',
                 priority: 9,
@@ -29,6 +31,7 @@ class PerformanceTests {
             },
             {
                 name: 'Intersection Observer',
+                detectorKey: 'intersection.observer',
                 fn: () => this.testIntersectionObserver(),
                 category: 'performance',
                 priority: 8,
@@ -36,6 +39,7 @@ class PerformanceTests {
             },
             {
                 name: 'Resize Observer',
+                detectorKey: 'resize.observer',
                 fn: () => this.testResizeObserver(),
                 category: 'performance',
                 priority: 7,
@@ -43,6 +47,7 @@ class PerformanceTests {
             },
             {
                 name: 'Web Workers',
+                detectorKey: 'web.workers',
                 fn: () => this.testWebWorkers(),
                 category: 'performance',
                 priority: 6,
@@ -50,6 +55,7 @@ class PerformanceTests {
             },
             {
                 name: 'SharedArrayBuffer',
+                detectorKey: 'sharedarraybuffer',
                 fn: () => this.testSharedArrayBuffer(),
                 category: 'performance',
                 priority: 5,
@@ -0,0 +1,592 @@
+/**
+ * Storage APIs Testing Suite
+ * Round-trips data through IndexedDB, Web Storage, the Cache API and OPFS,
+ * and reports quota and persistence (private browsing shrinks or disables most of these)
+ */
+
+class StorageTests {
+    constructor() {
+        this.cleanupFunctions = [];
+        this.testPrefix = `spawnd-storage-test-${Date.now()}`;
+    }
+
+    /**
+     * Quota thresholds used by the quota test
+     */
+    static get QUOTA_THRESHOLDS() {
+        return {
+            // Incognito/private windows cap the origin quota around 100 MB
+            privateModeBytes: 120 * 1024 * 1024,
+            // Room for a typical game's cached assets
+            recommendedBytes: 1024 * 1024 * 1024
+        };
+    }
+
+    /**
+     * Get all Storage API tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'IndexedDB',
+                detectorKey: 'indexeddb.api',
+                fn: (signal) => this.testIndexedDB(signal),
+                category: 'storage',
+                priority: 10,
+                description: 'Test IndexedDB open/write/read/delete round-trip'
+            },
+            {
+                name: 'Local Storage',
+                detectorKey: 'local.storage',
+                fn: () => this.testWebStorage('localStorage'),
+                category: 'storage',
+                priority: 8,
+                description: 'Test localStorage write/read/delete round-trip'
+            },
+            {
+                name: 'Session Storage',
+                detectorKey: 'session.storage',
+                fn: () => this.testWebStorage('sessionStorage'),
+                category: 'storage',
+                priority: 6,
+                description: 'Test sessionStorage write/read/delete round-trip'
+            },
+            {
+                name: 'Cache API',
+                detectorKey: 'cache.api',
+                fn: (signal) => this.testCacheAPI(signal),
+                category: 'storage',
+                priority: 9,
+                description: 'Test caching responses for offline asset loading'
+            },
+            {
+                name: 'Origin Private File System',
+                detectorKey: 'opfs.api',
+                fn: (signal) => this.testOriginPrivateFileSystem(signal),
+                category: 'storage',
+                priority: 7,
+                description: 'Test writing and reading files in the origin private file system'
+            },
+            {
+                name: 'Storage Quota',
+                detectorKey: 'storage.quota',
+                fn: () => this.testStorageQuota(),
+                category: 'storage',
+                priority: 9,
+                description: 'Test available storage quota and detect private-mode limits'
+            },
+            {
+                name: 'Persistent Storage',
+                detectorKey: 'storage.persistence',
+                fn: () => this.testStoragePersistence(),
+                category: 'storage',
+                priority: 5,
+                description: 'Test whether stored data is protected from eviction'
+            }
+        ];
+    }
+
+    /**
+     * Test IndexedDB with a binary asset round-trip in a throwaway database
+     */
+    async testIndexedDB(signal = null) {
+        try {
+            if (!window.indexedDB) {
+                return {
+                    status: 'unsupported',
+                    details: 'IndexedDB not available',
+                    reason: 'Browser does not support IndexedDB'
+                };
+            }
+
+            const dbName = `${this.testPrefix}-idb`;
+            let db = null;
+            const closeDatabase = () => {
+                if (db) {
+                    db.close();
+                    db = null;
+                }
+            };
+            if (signal) {
+                signal.addEventListener('abort', closeDatabase, { once: true });
+            }
+            this.cleanupFunctions.push(() => {
+                closeDatabase();
+                window.indexedDB.deleteDatabase(dbName);
+            });
+
+            try {
+                // Firefox private windows (before 115) reject open() outright
+                try {
+                    db = await this.openDatabase(dbName);
+                } catch (openError) {
+                    return {
+                        status: 'partial',
+                        details: 'IndexedDB present but the database could not be opened (private browsing?)',
+                        error: openError.message,
+                        privateModeLikely: true,
+                        score: 20
+                    };
+                }
+
+                const payload = new Uint8Array(64 * 1024);
+                payload.forEach((value, index) => { payload[index] = index % 251; });
+
+                const steps = { write: false, read: false, delete: false };
+                await this.runStoreRequest(db, 'readwrite', store => store.put({ id: 'asset', bytes: payload.buffer }));
+                steps.write = true;
+
+                const stored = await this.runStoreRequest(db, 'readonly', store => store.get('asset'));
+                const bytes = stored ? new Uint8Array(stored.bytes) : null;
+                steps.read = !!bytes && bytes.length === payload.length && bytes[1000] === payload[1000];
+
+                await this.runStoreRequest(db, 'readwrite', store => store.delete('asset'));
+                steps.delete = (await this.runStoreRequest(db, 'readonly', store => store.get('asset'))) === undefined;
+
+                const passed = Object.values(steps).filter(Boolean).length;
+                const score = Math.round((passed / Object.keys(steps).length) * 100);
+
+                return {
+                    status: passed === 3 ? 'supported' : 'partial',
+                    details: passed === 3
+                        ? 'IndexedDB round-trip of a 64 KB binary asset succeeded'
+                        : `IndexedDB round-trip completed ${passed}/3 steps`,
+                    capabilities: {
+                        ...steps,
+                        hasGetAll: typeof IDBObjectStore !== 'undefined' && 'getAll' in IDBObjectStore.prototype,
+                        hasDatabases: typeof window.indexedDB.databases === 'function'
+                    },
+                    score
+                };
+            } finally {
+                closeDatabase();
+                if (signal) {
+                    signal.removeEventListener('abort', closeDatabase);
+                }
+                await this.deleteDatabase(dbName);
+            }
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'IndexedDB test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Open a test database with a single 'assets' object store
+     */
+    openDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(name, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('assets', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('IndexedDB open failed'));
+            request.onblocked = () => reject(new Error('IndexedDB open blocked by another connection'));
+        });
+    }
+
+    /**
+     * Run one request against the 'assets' store in its own transaction
+     */
+    runStoreRequest(db, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction('assets', mode).objectStore('assets'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+        });
+    }
+
+    deleteDatabase(name) {
+        return new Promise(resolve => {
+            try {
+                const request = window.indexedDB.deleteDatabase(name);
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => resolve(false);
+                request.onblocked = () => resolve(false);
+            } catch (error) {
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Test localStorage or sessionStorage with a write/read/delete round-trip
+     */
+    async testWebStorage(type) {
+        try {
+            let storage = null;
+            try {
+                storage = window[type];
+            } catch (accessError) {
+                // Blocked cookies/site data make the property getter throw
+                return {
+                    status: 'unsupported',
+                    details: `${type} access denied`,
+                    reason: accessError.message
+                };
+            }
+
+            if (!storage) {
+                return {
+                    status: 'unsupported',
+                    details: `${type} not available`,
+                    reason: `Browser does not support ${type}`
+                };
+            }
+
+            const key = `${this.testPrefix}-${type}`;
+            const value = 'x'.repeat(16 * 1024);
+            this.cleanupFunctions.push(() => storage.removeItem(key));
+
+            try {
+                storage.setItem(key, value);
+            } catch (writeError) {
+                // Older Safari private windows expose Web Storage with a zero quota
+                const quotaExceeded = writeError.name === 'QuotaExceededError' || writeError.code === 22;
+                return {
+                    status: 'partial',
+                    details: quotaExceeded
+                        ? `${type} is read-only: writes exceed a zero quota (private browsing?)`
+                        : `${type} available but writes failed`,
+                    error: writeError.message,
+                    privateModeLikely: quotaExceeded,
+                    score: 20
+                };
+            }
+
+            const readBack = storage.getItem(key) === value;
+            storage.removeItem(key);
+            const removed = storage.getItem(key) === null;
+
+            return {
+                status: readBack && removed ? 'supported' : 'partial',
+                details: readBack && removed
+                    ? `${type} round-trip of 16 KB succeeded`
+                    : `${type} round-trip returned unexpected data`,
+                capabilities: {
+                    write: true,
+                    read: readBack,
+                    delete: removed
+                },
+                score: readBack && removed ? 100 : 50
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: `${type} test failed`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Test the Cache API by caching, matching and deleting a synthetic response
+     */
+    async testCacheAPI(signal = null) {
+        try {
+            if (!window.caches) {
+                return {
+                    status: 'unsupported',
+                    details: 'Cache API not available',
+                    reason: window.isSecureContext === false
+                        ? 'Cache API requires a secure (HTTPS) context'
+                        : 'Browser does not support CacheStorage'
+                };
+            }
+
+            const cacheName = `${this.testPrefix}-cache`;
+            const url = `/__spawnd-storage-test__/asset-${Date.now()}.txt`;
+            const body = 'cached-asset';
+            this.cleanupFunctions.push(() => window.caches.delete(cacheName));
+
+            try {
+                const cache = await window.caches.open(cacheName);
+                await cache.put(url, new Response(body, { headers: { 'Content-Type': 'text/plain' } }));
+
+                if (signal && signal.aborted) {
+                    return {
+                        status: 'error',
+                        details: 'Cache API test aborted',
+                        error: signal.reason ? signal.reason.message : 'Aborted'
+                    };
+                }
+
+                const match = await cache.match(url);
+                const readBack = !!match && (await match.text()) === body;
+                const deleted = await cache.delete(url);
+
+                return {
+                    status: readBack && deleted ? 'supported' : 'partial',
+                    details: readBack && deleted
+                        ? 'Cache API stored and served a response'
+                        : 'Cache API available but the cached response did not round-trip',
+                    capabilities: {
+                        put: true,
+                        match: readBack,
+                        delete: deleted,
+                        hasAddAll: typeof cache.addAll === 'function'
+                    },
+                    score: readBack && deleted ? 100 : 50
+                };
+            } finally {
+                await window.caches.delete(cacheName);
+            }
+
+        } catch (error) {
+            // Firefox private windows throw SecurityError from caches.open()
+            return {
+                status: 'partial',
+                details: 'Cache API present but unusable (private browsing or blocked storage?)',
+                error: error.message,
+                privateModeLikely: error.name === 'SecurityError',
+                score: 20
+            };
+        }
+    }
+
+    /**
+     * Test the Origin Private File System with a file write/read/remove round-trip
+     */
+    async testOriginPrivateFileSystem(signal = null) {
+        try {
+            if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Origin Private File System not available',
+                    reason: 'navigator.storage.getDirectory() not supported'
+                };
+            }
+
+            const fileName = `${this.testPrefix}.bin`;
+            let root = null;
+            try {
+                root = await navigator.storage.getDirectory();
+            } catch (directoryError) {
+                return {
+                    status: 'partial',
+                    details: 'OPFS present but the root directory is unavailable (private browsing?)',
+                    error: directoryError.message,
+                    privateModeLikely: directoryError.name === 'SecurityError',
+                    score: 20
+                };
+            }
+            this.cleanupFunctions.push(() => root.removeEntry(fileName).catch(() => {}));
+
+            const fileHandle = await root.getFileHandle(fileName, { create: true });
+            try {
+                // Safari only offers synchronous access handles, and only inside workers
+                if (typeof fileHandle.createWritable !== 'function') {
+                    return {
+                        status: 'partial',
+                        details: 'OPFS available, but writes from the page need a worker (createSyncAccessHandle)',
+                        capabilities: {
+                            createWritable: false,
+                            createSyncAccessHandle: typeof fileHandle.createSyncAccessHandle === 'function'
+                        },
+                        score: 60
+                    };
+                }
+
+                const body = 'opfs-asset';
+                const writable = await fileHandle.createWritable();
+                await writable.write(body);
+                await writable.close();
+
+                if (signal && signal.aborted) {
+                    return {
+                        status: 'error',
+                        details: 'OPFS test aborted',
+                        error: signal.reason ? signal.reason.message : 'Aborted'
+                    };
+                }
+
+                const file = await fileHandle.getFile();
+                const readBack = (await file.text()) === body;
+
+                return {
+                    status: readBack ? 'supported' : 'partial',
+                    details: readBack
+                        ? 'OPFS file write and read succeeded'
+                        : 'OPFS available but the written file did not round-trip',
+                    capabilities: {
+                        createWritable: true,
+                        read: readBack,
+                        createSyncAccessHandle: typeof fileHandle.createSyncAccessHandle === 'function'
+                    },
+                    score: readBack ? 100 : 50
+                };
+            } finally {
+                await root.removeEntry(fileName).catch(() => {});
+            }
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'OPFS test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Test navigator.storage.estimate() and flag private-mode sized quotas
+     */
+    async testStorageQuota() {
+        try {
+            if (!navigator.storage || typeof navigator.storage.estimate !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Storage quota estimate not available',
+                    reason: 'navigator.storage.estimate() not supported'
+                };
+            }
+
+            const { quota = 0, usage = 0, usageDetails } = await navigator.storage.estimate();
+            const available = Math.max(0, quota - usage);
+            const thresholds = StorageTests.QUOTA_THRESHOLDS;
+            const privateModeLikely = quota > 0 && quota < thresholds.privateModeBytes;
+
+            const estimate = {
+                quota,
+                usage,
+                available,
+                usageDetails: usageDetails || null,
+                recommended: thresholds.recommendedBytes
+            };
+
+            if (privateModeLikely) {
+                return {
+                    status: 'partial',
+                    details: `Only ${StorageTests.formatBytes(quota)} of storage quota (private browsing likely): large asset caches will fail`,
+                    estimate,
+                    privateModeLikely,
+                    score: 25
+                };
+            }
+
+            if (available < thresholds.recommendedBytes) {
+                return {
+                    status: 'partial',
+                    details: `${StorageTests.formatBytes(available)} of storage available, below the recommended ${StorageTests.formatBytes(thresholds.recommendedBytes)}`,
+                    estimate,
+                    privateModeLikely,
+                    score: Math.max(30, Math.round((available / thresholds.recommendedBytes) * 100))
+                };
+            }
+
+            return {
+                status: 'supported',
+                details: `${StorageTests.formatBytes(available)} of storage available`,
+                estimate,
+                privateModeLikely,
+                score: 100
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Storage quota test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Test persistent storage state without calling persist(), which can prompt
+     */
+    async testStoragePersistence() {
+        try {
+            if (!navigator.storage || typeof navigator.storage.persisted !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Persistent storage not available',
+                    reason: 'navigator.storage.persisted() not supported'
+                };
+            }
+
+            const persisted = await navigator.storage.persisted();
+            const canRequest = typeof navigator.storage.persist === 'function';
+
+            let permission = 'unknown';
+            try {
+                if (navigator.permissions && navigator.permissions.query) {
+                    permission = (await navigator.permissions.query({ name: 'persistent-storage' })).state;
+                }
+            } catch (permissionError) {
+                // Not every browser exposes the persistent-storage permission
+            }
+
+            const capabilities = { persisted, canRequest, permission };
+
+            if (persisted) {
+                return {
+                    status: 'supported',
+                    details: 'Storage is persistent and will not be evicted under pressure',
+                    capabilities,
+                    score: 100
+                };
+            }
+
+            return {
+                status: canRequest ? 'partial' : 'unsupported',
+                details: canRequest
+                    ? `Storage is best-effort and may be evicted; persist() can be requested (permission: ${permission})`
+                    : 'Storage is best-effort and persistence cannot be requested',
+                capabilities,
+                score: canRequest ? 70 : 30
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'Persistent storage test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Human-readable byte count (e.g. "1.5 GB")
+     */
+    static formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value >= 10 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        // Execute any registered cleanup functions
+        this.cleanupFunctions.forEach(fn => {
+            try {
+                const pending = fn();
+                if (pending && typeof pending.catch === 'function') {
+                    pending.catch(() => {});
+                }
+            } catch (error) {
+                console.warn('Storage API cleanup function error:', error);
+            }
+        });
+        this.cleanupFunctions = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageTests;
+} else {
+    window.StorageTests = StorageTests;
+}
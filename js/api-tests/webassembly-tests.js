@@ -15,6 +15,7 @@ class WebAssemblyTests {
         return [
             {
                 name: 'WebAssembly Support',
+                detectorKey: 'webassembly.support',
                 fn: () => this.testWebAssemblySupport(),
                 category: 'webassembly',
                 priority: 10,
@@ -22,43 +23,175 @@ class WebAssemblyTests {
             },
             {
                 name: 'WASM Instantiation',
+                detectorKey: 'wasm.instantiation',
                 fn: () => this.testWebAssemblyInstantiation(),
                 category: 'webassembly',
                 priority: 9,
                 description: 'Test WebAssembly module instantiation and execution',
-                dependencies: ['WebAssembly Support']
+                dependencies: ['webassembly.support']
             },
             {
                 name: 'WASM SIMD Support',
+                detectorKey: 'wasm.simd.support',
                 fn: () => this.testWebAssemblySIMD(),
                 category: 'webassembly',
                 priority: 8,
                 description: 'Test WebAssembly SIMD (Single Instruction, Multiple Data) support',
-                dependencies: ['WebAssembly Support']
+                dependencies: ['webassembly.support']
             },
             {
                 name: 'WASM Threads Support',
+                detectorKey: 'wasm.threads.support',
                 fn: () => this.testWebAssemblyThreads(),
                 category: 'webassembly',
                 priority: 7,
                 description: 'Test WebAssembly threading capabilities',
-                dependencies: ['WebAssembly Support']
+                dependencies: ['webassembly.support']
             },
             {
                 name: 'WASM Memory Management',
+                detectorKey: 'wasm.memory.management',
                 fn: () => this.testWebAssemblyMemory(),
                 category: 'webassembly',
                 priority: 6,
                 description: 'Test WebAssembly memory allocation and management',
-                dependencies: ['WebAssembly Support']
+                dependencies: ['webassembly.support']
             },
             {
                 name: 'WASM Performance',
+                detectorKey: 'wasm.performance',
                 fn: () => this.testWebAssemblyPerformance(),
                 category: 'webassembly',
                 priority: 5,
                 description: 'Test WebAssembly execution performance',
-                dependencies: ['WASM Instantiation']
+                dependencies: ['wasm.instantiation'],
+                exclusive: true
+            },
+            {
+                name: 'WASM Feature Matrix',
+                detectorKey: 'wasm.features',
+                fn: () => this.testWebAssemblyFeatures(),
+                category: 'webassembly',
+                priority: 4,
+                description: 'Test post-MVP WebAssembly features game engines build on',
+                dependencies: ['webassembly.support']
+            }
+        ];
+    }
+
+    /**
+     * Post-MVP features, each detected by validating a tiny module that needs it
+     * (JSPI is a JS API, so it is detected from the WebAssembly namespace instead)
+     */
+    static get FEATURES() {
+        return [
+            {
+                key: 'bulkMemory',
+                name: 'Bulk memory',
+                group: 'baseline',
+                bytes: [
+                    0x01, 0x04, 0x01, 0x60, 0x00, 0x00, // type: () -> ()
+                    0x03, 0x02, 0x01, 0x00,             // function section
+                    0x05, 0x03, 0x01, 0x00, 0x01,       // memory: 1 page
+                    0x0a, 0x0d, 0x01, 0x0b, 0x00,       // code section
+                    0x41, 0x00, 0x41, 0x00, 0x41, 0x00, // i32.const 0 (x3)
+                    0xfc, 0x0b, 0x00, 0x0b              // memory.fill, end
+                ]
+            },
+            {
+                key: 'referenceTypes',
+                name: 'Reference types',
+                group: 'baseline',
+                bytes: [
+                    0x01, 0x04, 0x01, 0x60, 0x00, 0x00, // type: () -> ()
+                    0x03, 0x02, 0x01, 0x00,             // function section
+                    0x0a, 0x07, 0x01, 0x05, 0x00,       // code section
+                    0xd0, 0x6f, 0x1a, 0x0b              // ref.null extern, drop, end
+                ]
+            },
+            {
+                key: 'multiValue',
+                name: 'Multi-value',
+                group: 'baseline',
+                bytes: [
+                    0x01, 0x06, 0x01, 0x60, 0x00,       // type: () -> (i32, i32)
+                    0x02, 0x7f, 0x7f,
+                    0x03, 0x02, 0x01, 0x00,             // function section
+                    0x0a, 0x08, 0x01, 0x06, 0x00,       // code section
+                    0x41, 0x00, 0x41, 0x00, 0x0b        // i32.const 0 (x2), end
+                ]
+            },
+            {
+                key: 'exceptions',
+                name: 'Exception handling',
+                group: 'language',
+                bytes: [
+                    0x01, 0x04, 0x01, 0x60, 0x00, 0x00, // type: () -> ()
+                    0x03, 0x02, 0x01, 0x00,             // function section
+                    0x0a, 0x07, 0x01, 0x05, 0x00,       // code section
+                    0x06, 0x40, 0x0b, 0x0b              // try, end, end
+                ]
+            },
+            {
+                key: 'tailCalls',
+                name: 'Tail calls',
+                group: 'language',
+                bytes: [
+                    0x01, 0x04, 0x01, 0x60, 0x00, 0x00, // type: () -> ()
+                    0x03, 0x02, 0x01, 0x00,             // function section
+                    0x0a, 0x06, 0x01, 0x04, 0x00,       // code section
+                    0x12, 0x00, 0x0b                    // return_call 0, end
+                ]
+            },
+            {
+                key: 'gc',
+                name: 'Garbage collection',
+                group: 'language',
+                bytes: [
+                    0x01, 0x06, 0x02, 0x5f, 0x00,       // types: struct {}
+                    0x60, 0x00, 0x00,                   // and () -> ()
+                    0x03, 0x02, 0x01, 0x01,             // function section
+                    0x0a, 0x08, 0x01, 0x06, 0x00,       // code section
+                    0xfb, 0x01, 0x00, 0x1a, 0x0b        // struct.new_default 0, drop, end
+                ]
+            },
+            {
+                key: 'extendedConst',
+                name: 'Extended constant expressions',
+                group: 'language',
+                bytes: [
+                    0x06, 0x09, 0x01, 0x7f, 0x00,       // global section: immutable i32
+                    0x41, 0x01, 0x41, 0x02, 0x6a, 0x0b  // i32.const 1, i32.const 2, i32.add, end
+                ]
+            },
+            {
+                key: 'relaxedSimd',
+                name: 'Relaxed SIMD',
+                group: 'performance',
+                bytes: [
+                    0x01, 0x04, 0x01, 0x60, 0x00, 0x00, // type: () -> ()
+                    0x03, 0x02, 0x01, 0x00,             // function section
+                    0x0a, 0x1a, 0x01, 0x18, 0x00,       // code section
+                    0xfd, 0x0c,                         // v128.const 0
+                    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+                    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+                    0xfd, 0x81, 0x02,                   // i32x4.relaxed_trunc_f32x4_s
+                    0x1a, 0x0b                          // drop, end
+                ]
+            },
+            {
+                key: 'memory64',
+                name: 'Memory64',
+                group: 'performance',
+                bytes: [
+                    0x05, 0x03, 0x01, 0x04, 0x01        // memory: 64-bit index, 1 page
+                ]
+            },
+            {
+                key: 'jspi',
+                name: 'JS Promise Integration',
+                group: 'interop',
+                detect: () => typeof WebAssembly.Suspending === 'function' && typeof WebAssembly.promising === 'function'
             }
         ];
     }
@@ -148,7 +281,8 @@ class WebAssemblyTests {
                 0x7f,                   // returns i32
                 0x03, 0x02, 0x01, 0x00, // function section
                 0x07, 0x07, 0x01, 0x03, // export section
-                0x61, 0x64, 0x64, 0x00, // export "add" function 0
+                0x61, 0x64, 0x64,       // export "add"
+                0x00, 0x00,             // function 0
                 0x0a, 0x09, 0x01, 0x07, // code section
                 0x00, 0x20, 0x00, 0x20, // get local 0, get local 1
                 0x01, 0x6a, 0x0b        // add, end
@@ -207,10 +341,10 @@ class WebAssemblyTests {
                 0x01, 0x05, 0x01, 0x60, // type section: function type
                 0x00, 0x01, 0x7b,       // no params, returns v128
                 0x03, 0x02, 0x01, 0x00, // function section
-                0x07, 0x09, 0x01, 0x05, // export section
+                0x07, 0x08, 0x01, 0x04, // export section
                 0x74, 0x65, 0x73, 0x74, // export "test"
-                0x00,                   // function 0
-                0x0a, 0x0a, 0x01, 0x08, // code section
+                0x00, 0x00,             // function 0
+                0x0a, 0x16, 0x01, 0x14, // code section
                 0x00, 0xfd, 0x0c,       // v128.const
                 0x01, 0x00, 0x00, 0x00, // constant data
                 0x02, 0x00, 0x00, 0x00,
@@ -307,8 +441,8 @@ class WebAssemblyTests {
                     0x01, 0x04, 0x01, 0x60, // type section
                     0x00, 0x00,             // no params, no returns
                     0x03, 0x02, 0x01, 0x00, // function section
-                    0x05, 0x04, 0x01, 0x01, // memory section (shared memory)
-                    0x01, 0x01,             // 1 page, max 1 page, shared
+                    0x05, 0x04, 0x01, 0x03, // memory section: shared memory
+                    0x01, 0x01,             // 1 page, max 1 page
                     0x0a, 0x04, 0x01, 0x02, // code section
                     0x00, 0x0b              // empty function
                 ]);
@@ -439,8 +573,9 @@ class WebAssemblyTests {
                 0x01, 0x7f, 0x01, 0x7f, // (i32) -> i32
                 0x03, 0x02, 0x01, 0x00, // function section
                 0x07, 0x07, 0x01, 0x03, // export section
-                0x66, 0x69, 0x62, 0x00, // export "fib"
-                0x0a, 0x1f, 0x01, 0x1d, // code section
+                0x66, 0x69, 0x62,       // export "fib"
+                0x00, 0x00,             // function 0
+                0x0a, 0x1e, 0x01, 0x1c, // code section
                 0x00, 0x20, 0x00, 0x41, // fibonacci implementation
                 0x02, 0x49, 0x04, 0x40,
                 0x20, 0x00, 0x0f, 0x0b,
@@ -532,6 +667,85 @@ class WebAssemblyTests {
         }
     }
 
+    /**
+     * Test the post-MVP feature matrix, with a sub-score per feature group
+     */
+    async testWebAssemblyFeatures() {
+        try {
+            if (typeof WebAssembly === 'undefined' || typeof WebAssembly.validate !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'WebAssembly not available in this browser'
+                };
+            }
+
+            const features = {};
+            const groups = {};
+            WebAssemblyTests.FEATURES.forEach(feature => {
+                const supported = WebAssemblyTests.detectFeature(feature);
+                features[feature.key] = supported;
+
+                const group = groups[feature.group] || (groups[feature.group] = { supported: 0, total: 0, missing: [] });
+                group.total++;
+                if (supported) {
+                    group.supported++;
+                } else {
+                    group.missing.push(feature.name);
+                }
+            });
+            Object.values(groups).forEach(group => {
+                group.score = Math.round((group.supported / group.total) * 100);
+            });
+
+            const supportedCount = Object.values(features).filter(Boolean).length;
+            const totalCount = WebAssemblyTests.FEATURES.length;
+            const missing = WebAssemblyTests.FEATURES.filter(feature => !features[feature.key]).map(feature => feature.name);
+
+            // Current toolchains emit the baseline features by default
+            let status = 'partial';
+            if (supportedCount === 0) {
+                status = 'unsupported';
+            } else if (groups.baseline.missing.length === 0) {
+                status = 'supported';
+            }
+
+            return {
+                status,
+                details: missing.length > 0
+                    ? `WebAssembly features: ${supportedCount}/${totalCount} (missing: ${missing.join(', ')})`
+                    : `WebAssembly features: all ${totalCount} supported`,
+                features,
+                groups,
+                score: Math.round((supportedCount / totalCount) * 100)
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'WebAssembly feature matrix test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Whether the engine accepts a FEATURES entry
+     */
+    static detectFeature(feature) {
+        try {
+            if (feature.detect) {
+                return feature.detect();
+            }
+            return WebAssembly.validate(new Uint8Array([
+                0x00, 0x61, 0x73, 0x6d, // magic
+                0x01, 0x00, 0x00, 0x00, // version
+                ...feature.bytes
+            ]));
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Cleanup resources
      */
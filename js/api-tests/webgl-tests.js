@@ -16,6 +16,7 @@ class WebGLTests {
         return [
             {
                 name: 'WebGL 1.0 Support',
+                detectorKey: 'webgl.10.support',
                 fn: () => this.testWebGL1Support(),
                 category: 'graphics',
                 priority: 10,
@@ -23,6 +24,7 @@ class WebGLTests {
             },
             {
                 name: 'WebGL 2.0 Support',
+                detectorKey: 'webgl.20.support',
                 fn: () => this.testWebGL2Support(),
                 category: 'graphics',
                 priority: 9,
@@ -30,31 +32,101 @@ class WebGLTests {
             },
             {
                 name: 'WebGL Extensions',
+                detectorKey: 'webgl.extensions',
                 fn: () => this.testWebGLExtensions(),
                 category: 'graphics',
                 priority: 7,
                 description: 'Test availability of common WebGL extensions',
-                dependencies: ['WebGL 1.0 Support']
+                dependencies: ['webgl.10.support']
             },
             {
                 name: 'WebGL Performance',
+                detectorKey: 'webgl.performance',
                 fn: () => this.testWebGLPerformance(),
                 category: 'graphics',
                 priority: 6,
                 description: 'Test WebGL rendering performance capabilities',
-                dependencies: ['WebGL 1.0 Support']
+                dependencies: ['webgl.10.support'],
+                exclusive: true
             },
             {
                 name: 'WebGL Hardware Info',
+                detectorKey: 'webgl.hardware.info',
                 fn: () => this.testWebGLHardwareInfo(),
                 category: 'graphics',
                 priority: 8,
                 description: 'Get WebGL renderer and hardware information',
-                dependencies: ['WebGL 1.0 Support']
+                dependencies: ['webgl.10.support']
+            },
+            {
+                name: 'WebGL Capability Profile',
+                detectorKey: 'webgl.capability.profile',
+                fn: () => this.testWebGLCapabilityProfile(),
+                category: 'graphics',
+                priority: 8,
+                description: 'Profile WebGL limits, shader precision, float render targets and compressed texture formats',
+                dependencies: ['webgl.10.support']
             }
         ];
     }
 
+    /**
+     * Limits reported by the capability profile (name → GL parameter)
+     */
+    static get PROFILE_LIMITS() {
+        return {
+            maxTextureSize: 'MAX_TEXTURE_SIZE',
+            maxCubeMapTextureSize: 'MAX_CUBE_MAP_TEXTURE_SIZE',
+            maxRenderbufferSize: 'MAX_RENDERBUFFER_SIZE',
+            maxViewportDims: 'MAX_VIEWPORT_DIMS',
+            maxTextureImageUnits: 'MAX_TEXTURE_IMAGE_UNITS',
+            maxVertexTextureImageUnits: 'MAX_VERTEX_TEXTURE_IMAGE_UNITS',
+            maxCombinedTextureImageUnits: 'MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+            maxVertexAttribs: 'MAX_VERTEX_ATTRIBS',
+            maxVertexUniformVectors: 'MAX_VERTEX_UNIFORM_VECTORS',
+            maxFragmentUniformVectors: 'MAX_FRAGMENT_UNIFORM_VECTORS',
+            maxVaryingVectors: 'MAX_VARYING_VECTORS'
+        };
+    }
+
+    /**
+     * WebGL 2.0-only limits added to the profile when a WebGL 2.0 context is available
+     */
+    static get PROFILE_LIMITS_WEBGL2() {
+        return {
+            maxSamples: 'MAX_SAMPLES',
+            max3DTextureSize: 'MAX_3D_TEXTURE_SIZE',
+            maxArrayTextureLayers: 'MAX_ARRAY_TEXTURE_LAYERS',
+            maxColorAttachments: 'MAX_COLOR_ATTACHMENTS',
+            maxDrawBuffers: 'MAX_DRAW_BUFFERS',
+            maxUniformBufferBindings: 'MAX_UNIFORM_BUFFER_BINDINGS',
+            maxUniformBlockSize: 'MAX_UNIFORM_BLOCK_SIZE'
+        };
+    }
+
+    /**
+     * Compressed texture families and the extensions that expose them
+     */
+    static get COMPRESSED_TEXTURE_FAMILIES() {
+        return {
+            astc: ['WEBGL_compressed_texture_astc'],
+            bptc: ['EXT_texture_compression_bptc'],
+            s3tc: ['WEBGL_compressed_texture_s3tc', 'WEBKIT_WEBGL_compressed_texture_s3tc'],
+            etc2: ['WEBGL_compressed_texture_etc'],
+            rgtc: ['EXT_texture_compression_rgtc'],
+            pvrtc: ['WEBGL_compressed_texture_pvrtc', 'WEBKIT_WEBGL_compressed_texture_pvrtc'],
+            etc1: ['WEBGL_compressed_texture_etc1']
+        };
+    }
+
+    /**
+     * Colour texture families from best to worst quality/size trade-off
+     * (RGTC only stores one or two channels, so it is never the main format)
+     */
+    static get TEXTURE_FORMAT_PREFERENCE() {
+        return ['astc', 'bptc', 's3tc', 'etc2', 'pvrtc', 'etc1'];
+    }
+
     /**
      * Test WebGL 1.0 support and basic functionality
      */
@@ -446,6 +518,162 @@ class WebGLTests {
         }
     }
 
+    /**
+     * Build a structured WebGL profile: limits, shader float precision,
+     * float/half-float render targets and compressed texture families
+     */
+    async testWebGLCapabilityProfile() {
+        try {
+            const canvas = this.createCanvas();
+            const gl2 = canvas.getContext('webgl2');
+            const gl = gl2 || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+
+            if (!gl) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGL not available for capability profiling'
+                };
+            }
+
+            const isWebGL2 = !!gl2;
+            const limits = WebGLTests.readLimits(gl, WebGLTests.PROFILE_LIMITS);
+            if (isWebGL2) {
+                Object.assign(limits, WebGLTests.readLimits(gl, WebGLTests.PROFILE_LIMITS_WEBGL2));
+            }
+            const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic');
+            limits.maxAnisotropy = anisotropic ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT) : null;
+
+            const precision = {
+                vertex: WebGLTests.readFloatPrecision(gl, gl.VERTEX_SHADER),
+                fragment: WebGLTests.readFloatPrecision(gl, gl.FRAGMENT_SHADER)
+            };
+
+            const renderable = {
+                float: WebGLTests.checkFloatRenderable(gl, isWebGL2, 'float'),
+                halfFloat: WebGLTests.checkFloatRenderable(gl, isWebGL2, 'halfFloat')
+            };
+
+            const compressedTextures = {};
+            Object.entries(WebGLTests.COMPRESSED_TEXTURE_FAMILIES).forEach(([family, extensions]) => {
+                compressedTextures[family] = extensions.some(name => !!gl.getExtension(name));
+            });
+            const compressedFamilies = Object.keys(compressedTextures).filter(family => compressedTextures[family]);
+            const recommendedTextureFormat = WebGLTests.TEXTURE_FORMAT_PREFERENCE
+                .find(family => compressedTextures[family]) || 'uncompressed';
+
+            // What a typical engine needs without falling back to lower-quality paths
+            const checks = {
+                textureSize4096: limits.maxTextureSize >= 4096,
+                fragmentHighp: precision.fragment.highFloat.precision > 0,
+                floatRenderTargets: renderable.float,
+                halfFloatRenderTargets: renderable.halfFloat,
+                compressedTextures: compressedFamilies.length > 0
+            };
+            const passed = Object.values(checks).filter(Boolean).length;
+            const total = Object.keys(checks).length;
+
+            const summary = [
+                `WebGL ${isWebGL2 ? '2.0' : '1.0'}`,
+                `${limits.maxTextureSize}px textures`,
+                isWebGL2 ? `${limits.maxSamples}x MSAA` : null,
+                checks.fragmentHighp ? 'highp fragment shaders' : 'no highp in fragment shaders',
+                renderable.float ? 'float targets' : (renderable.halfFloat ? 'half-float targets only' : 'no float targets'),
+                `compressed: ${compressedFamilies.length > 0 ? compressedFamilies.join(', ') : 'none'}`
+            ].filter(Boolean);
+
+            return {
+                status: passed === total ? 'supported' : 'partial',
+                details: summary.join(', '),
+                contextVersion: isWebGL2 ? 2 : 1,
+                limits,
+                precision,
+                renderable,
+                compressedTextures,
+                recommendedTextureFormat,
+                checks,
+                score: Math.round((passed / total) * 100)
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'WebGL capability profile test failed',
+                error: error.message
+            };
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Read GL parameters into plain numbers (array parameters become arrays)
+     */
+    static readLimits(gl, parameters) {
+        const limits = {};
+        Object.entries(parameters).forEach(([name, constant]) => {
+            const value = gl[constant] !== undefined ? gl.getParameter(gl[constant]) : null;
+            limits[name] = value && typeof value === 'object' && 'length' in value ? Array.from(value) : value;
+        });
+        return limits;
+    }
+
+    /**
+     * Range and precision bits of the low/medium/high float types for one shader stage
+     */
+    static readFloatPrecision(gl, shaderType) {
+        const read = (precisionType) => {
+            const format = gl.getShaderPrecisionFormat(shaderType, precisionType);
+            return format
+                ? { rangeMin: format.rangeMin, rangeMax: format.rangeMax, precision: format.precision }
+                : { rangeMin: 0, rangeMax: 0, precision: 0 };
+        };
+        return {
+            highFloat: read(gl.HIGH_FLOAT),
+            mediumFloat: read(gl.MEDIUM_FLOAT),
+            lowFloat: read(gl.LOW_FLOAT)
+        };
+    }
+
+    /**
+     * Whether a 1x1 float or half-float texture can be rendered to as a framebuffer attachment
+     */
+    static checkFloatRenderable(gl, isWebGL2, type) {
+        let internalFormat;
+        let texelType;
+        if (isWebGL2) {
+            // EXT_color_buffer_float covers both; some mobile GPUs only offer the half-float one
+            const colorBufferFloat = gl.getExtension('EXT_color_buffer_float');
+            if (!colorBufferFloat && !(type === 'halfFloat' && gl.getExtension('EXT_color_buffer_half_float'))) {
+                return false;
+            }
+            internalFormat = type === 'float' ? gl.RGBA32F : gl.RGBA16F;
+            texelType = type === 'float' ? gl.FLOAT : gl.HALF_FLOAT;
+        } else {
+            const textureExtension = gl.getExtension(type === 'float' ? 'OES_texture_float' : 'OES_texture_half_float');
+            if (!textureExtension) {
+                return false;
+            }
+            gl.getExtension(type === 'float' ? 'WEBGL_color_buffer_float' : 'EXT_color_buffer_half_float');
+            internalFormat = gl.RGBA;
+            texelType = type === 'float' ? gl.FLOAT : textureExtension.HALF_FLOAT_OES;
+        }
+
+        const texture = gl.createTexture();
+        const framebuffer = gl.createFramebuffer();
+        try {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 1, 1, 0, gl.RGBA, texelType, null);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            return gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(texture);
+        }
+    }
+
     /**
      * Helper method to create a canvas element
      */
@@ -4,10 +4,73 @@
  */
 
 class WebGPUTests {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.thresholds - Overrides for DEFAULT_THRESHOLDS ({limits, features, featureGroups})
+     */
+    constructor(options = {}) {
         this.adapter = null;
         this.device = null;
         this.cleanupFunctions = [];
+        this.thresholds = WebGPUTests.mergeThresholds(options.thresholds);
+    }
+
+    /**
+     * Adapter limits and features a typical WebGPU game engine expects.
+     * featureGroups are met when the adapter has any one of the listed features.
+     */
+    static get DEFAULT_THRESHOLDS() {
+        return {
+            limits: {
+                maxTextureDimension2D: 8192,
+                maxTextureArrayLayers: 256,
+                maxBindGroups: 4,
+                maxSampledTexturesPerShaderStage: 16,
+                maxSamplersPerShaderStage: 16,
+                maxStorageBuffersPerShaderStage: 8,
+                maxUniformBufferBindingSize: 65536,
+                maxStorageBufferBindingSize: 134217728,
+                maxBufferSize: 268435456,
+                maxVertexBuffers: 8,
+                maxColorAttachments: 8,
+                maxComputeWorkgroupStorageSize: 16384,
+                maxComputeInvocationsPerWorkgroup: 256
+            },
+            features: [],
+            featureGroups: {
+                textureCompression: ['texture-compression-bc', 'texture-compression-etc2', 'texture-compression-astc']
+            }
+        };
+    }
+
+    /**
+     * Optional features reported individually whether or not a threshold needs them
+     */
+    static get TRACKED_FEATURES() {
+        return [
+            'timestamp-query',
+            'shader-f16',
+            'texture-compression-bc',
+            'texture-compression-etc2',
+            'texture-compression-astc',
+            'float32-filterable'
+        ];
+    }
+
+    /**
+     * Adapter descriptions of CPU (software) WebGPU implementations
+     */
+    static get SOFTWARE_RENDERER_PATTERN() {
+        return /swiftshader|llvmpipe|lavapipe|softpipe|software|microsoft basic render|\bwarp\b/i;
+    }
+
+    static mergeThresholds(overrides = {}) {
+        const defaults = WebGPUTests.DEFAULT_THRESHOLDS;
+        return {
+            limits: { ...defaults.limits, ...(overrides.limits || {}) },
+            features: overrides.features || defaults.features,
+            featureGroups: overrides.featureGroups || defaults.featureGroups
+        };
     }
 
     /**
@@ -17,42 +80,56 @@ class WebGPUTests {
         return [
             {
                 name: 'WebGPU Support',
-                fn: () => this.testWebGPUSupport(),
+                detectorKey: 'webgpu.support',
+                fn: (signal) => this.testWebGPUSupport(signal),
                 category: 'graphics',
                 priority: 10,
                 description: 'Test WebGPU availability and basic functionality'
             },
             {
                 name: 'WebGPU Adapter Info',
+                detectorKey: 'webgpu.adapter.info',
                 fn: () => this.testWebGPUAdapterInfo(),
                 category: 'graphics',
                 priority: 9,
                 description: 'Get WebGPU adapter and hardware information',
-                dependencies: ['WebGPU Support']
+                dependencies: ['webgpu.support']
             },
             {
                 name: 'WebGPU Device Features',
+                detectorKey: 'webgpu.device.features',
                 fn: () => this.testWebGPUDeviceFeatures(),
                 category: 'graphics',
                 priority: 8,
                 description: 'Test WebGPU device features and capabilities',
-                dependencies: ['WebGPU Support']
+                dependencies: ['webgpu.support']
+            },
+            {
+                name: 'WebGPU Limits & Features',
+                detectorKey: 'webgpu.limits',
+                fn: () => this.testWebGPULimits(),
+                category: 'graphics',
+                priority: 8,
+                description: 'Compare WebGPU adapter limits and features against engine thresholds',
+                dependencies: ['webgpu.support']
             },
             {
                 name: 'WebGPU Compute Shaders',
-                fn: () => this.testWebGPUCompute(),
+                detectorKey: 'webgpu.compute.shaders',
+                fn: (signal) => this.testWebGPUCompute(signal),
                 category: 'graphics',
                 priority: 7,
                 description: 'Test WebGPU compute shader functionality',
-                dependencies: ['WebGPU Support']
+                dependencies: ['webgpu.support']
             },
             {
                 name: 'WebGPU Rendering',
+                detectorKey: 'webgpu.rendering',
                 fn: () => this.testWebGPURendering(),
                 category: 'graphics',
                 priority: 6,
                 description: 'Test WebGPU basic rendering capabilities',
-                dependencies: ['WebGPU Support']
+                dependencies: ['webgpu.support']
             }
         ];
     }
@@ -60,7 +137,7 @@ class WebGPUTests {
     /**
      * Test WebGPU basic support and availability
      */
-    async testWebGPUSupport() {
+    async testWebGPUSupport(signal = null) {
         try {
             // Check if WebGPU is available
             if (!navigator.gpu) {
@@ -111,6 +188,16 @@ class WebGPUTests {
                 };
             }
 
+            // Cancelled or timed out while the device was being created
+            if (signal && signal.aborted) {
+                this.cleanup();
+                return {
+                    status: 'error',
+                    details: 'WebGPU test aborted',
+                    error: signal.reason ? signal.reason.message : 'Aborted'
+                };
+            }
+
             // Test basic device functionality
             const commandEncoder = this.device.createCommandEncoder();
             const commandBuffer = commandEncoder.finish();
@@ -143,36 +230,31 @@ class WebGPUTests {
                 };
             }
 
-            const info = await this.adapter.requestAdapterInfo();
-            const limits = this.adapter.limits;
+            const info = await WebGPUTests.getAdapterInfo(this.adapter);
+            const limits = WebGPUTests.readLimits(this.adapter.limits);
             const features = Array.from(this.adapter.features);
+            const fallbackAdapter = WebGPUTests.isFallbackAdapter(this.adapter, info);
+            const softwareRenderer = WebGPUTests.isSoftwareRenderer(info);
+
+            let details = 'WebGPU adapter information retrieved';
+            if (fallbackAdapter || softwareRenderer) {
+                details = `WebGPU runs on a ${fallbackAdapter ? 'fallback adapter' : 'software renderer'} (${info.description || info.vendor || 'unknown'})`;
+            }
 
             return {
-                status: 'supported',
-                details: 'WebGPU adapter information retrieved',
+                status: fallbackAdapter || softwareRenderer ? 'partial' : 'supported',
+                details,
                 adapterInfo: {
                     vendor: info.vendor || 'Unknown',
                     architecture: info.architecture || 'Unknown',
                     device: info.device || 'Unknown',
                     description: info.description || 'Unknown'
                 },
-                limits: {
-                    maxTextureDimension1D: limits.maxTextureDimension1D,
-                    maxTextureDimension2D: limits.maxTextureDimension2D,
-                    maxTextureDimension3D: limits.maxTextureDimension3D,
-                    maxTextureArrayLayers: limits.maxTextureArrayLayers,
-                    maxBindGroups: limits.maxBindGroups,
-                    maxDynamicUniformBuffersPerPipelineLayout: limits.maxDynamicUniformBuffersPerPipelineLayout,
-                    maxStorageBuffersPerShaderStage: limits.maxStorageBuffersPerShaderStage,
-                    maxSampledTexturesPerShaderStage: limits.maxSampledTexturesPerShaderStage,
-                    maxComputeInvocationsPerWorkgroup: limits.maxComputeInvocationsPerWorkgroup,
-                    maxComputeWorkgroupSizeX: limits.maxComputeWorkgroupSizeX,
-                    maxComputeWorkgroupSizeY: limits.maxComputeWorkgroupSizeY,
-                    maxComputeWorkgroupSizeZ: limits.maxComputeWorkgroupSizeZ,
-                    maxComputeWorkgroupsPerDimension: limits.maxComputeWorkgroupsPerDimension
-                },
+                limits,
                 features,
-                featureCount: features.length
+                featureCount: features.length,
+                fallbackAdapter,
+                softwareRenderer
             };
 
         } catch (error) {
@@ -257,10 +339,141 @@ class WebGPUTests {
         }
     }
 
+    /**
+     * Compare adapter limits and features with the configured thresholds
+     */
+    async testWebGPULimits() {
+        try {
+            if (!this.adapter) {
+                return {
+                    status: 'unsupported',
+                    details: 'WebGPU adapter not available'
+                };
+            }
+
+            const info = await WebGPUTests.getAdapterInfo(this.adapter);
+            const limits = WebGPUTests.readLimits(this.adapter.limits);
+            const allFeatures = Array.from(this.adapter.features);
+            const { shortfalls, missingFeatures, checked } = WebGPUTests.compareToThresholds(limits, allFeatures, this.thresholds);
+
+            const features = {};
+            WebGPUTests.TRACKED_FEATURES.forEach(feature => {
+                features[feature] = allFeatures.includes(feature);
+            });
+
+            const fallbackAdapter = WebGPUTests.isFallbackAdapter(this.adapter, info);
+            const softwareRenderer = WebGPUTests.isSoftwareRenderer(info);
+
+            const met = checked - shortfalls.length - missingFeatures.length;
+            let score = checked > 0 ? Math.round((met / checked) * 100) : 100;
+            // A CPU implementation passes limit checks but cannot run a game at speed
+            if (fallbackAdapter || softwareRenderer) {
+                score = Math.min(score, 50);
+            }
+
+            const problems = [
+                ...shortfalls.map(shortfall => `${shortfall.limit} ${shortfall.actual ?? 'missing'} < ${shortfall.required}`),
+                ...missingFeatures.map(feature => `missing ${feature}`),
+                fallbackAdapter ? 'fallback adapter' : null,
+                softwareRenderer ? 'software renderer' : null
+            ].filter(Boolean);
+
+            return {
+                status: problems.length === 0 ? 'supported' : 'partial',
+                details: problems.length === 0
+                    ? `WebGPU adapter meets all ${checked} thresholds`
+                    : `WebGPU adapter falls short: ${problems.join(', ')}`,
+                limits,
+                features,
+                allFeatures,
+                shortfalls,
+                missingFeatures,
+                fallbackAdapter,
+                softwareRenderer,
+                thresholds: this.thresholds,
+                score
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                details: 'WebGPU limits test failed',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Limits below their threshold (with the gap) and features or feature groups the adapter lacks
+     */
+    static compareToThresholds(limits, features, thresholds) {
+        const shortfalls = [];
+        Object.entries(thresholds.limits).forEach(([limit, required]) => {
+            const actual = typeof limits[limit] === 'number' ? limits[limit] : null;
+            if (actual === null || actual < required) {
+                shortfalls.push({
+                    limit,
+                    required,
+                    actual,
+                    shortBy: required - (actual || 0),
+                    percentOfRequired: Math.round(((actual || 0) / required) * 100)
+                });
+            }
+        });
+
+        const missingFeatures = thresholds.features.filter(feature => !features.includes(feature));
+        Object.entries(thresholds.featureGroups).forEach(([group, options]) => {
+            if (!options.some(feature => features.includes(feature))) {
+                missingFeatures.push(group);
+            }
+        });
+
+        const checked = Object.keys(thresholds.limits).length
+            + thresholds.features.length
+            + Object.keys(thresholds.featureGroups).length;
+
+        return { shortfalls, missingFeatures, checked };
+    }
+
+    /**
+     * Every numeric limit of a GPUSupportedLimits object (its attributes live on the prototype)
+     */
+    static readLimits(supportedLimits) {
+        const limits = {};
+        for (const name in supportedLimits) {
+            if (typeof supportedLimits[name] === 'number') {
+                limits[name] = supportedLimits[name];
+            }
+        }
+        return limits;
+    }
+
+    /**
+     * adapter.info, or the older requestAdapterInfo() promise
+     */
+    static async getAdapterInfo(adapter) {
+        if (adapter.info) {
+            return adapter.info;
+        }
+        if (typeof adapter.requestAdapterInfo === 'function') {
+            return (await adapter.requestAdapterInfo()) || {};
+        }
+        return {};
+    }
+
+    static isFallbackAdapter(adapter, info = {}) {
+        return info.isFallbackAdapter === true || adapter.isFallbackAdapter === true;
+    }
+
+    static isSoftwareRenderer(info = {}) {
+        const text = [info.vendor, info.architecture, info.device, info.description].filter(Boolean).join(' ');
+        return WebGPUTests.SOFTWARE_RENDERER_PATTERN.test(text);
+    }
+
     /**
      * Test WebGPU compute shader functionality
      */
-    async testWebGPUCompute() {
+    async testWebGPUCompute(signal = null) {
         try {
             if (!this.device) {
                 return {
@@ -365,8 +578,24 @@ class WebGPUTests {
             const commands = commandEncoder.finish();
             this.device.queue.submit([commands]);
 
+            // Destroying the buffers rejects a pending mapAsync when the run is cancelled or times out
+            const destroyBuffers = () => {
+                inputBuffer.destroy();
+                outputBuffer.destroy();
+                stagingBuffer.destroy();
+            };
+            if (signal) {
+                signal.addEventListener('abort', destroyBuffers, { once: true });
+            }
+
             // Read results
-            await stagingBuffer.mapAsync(GPUMapMode.READ);
+            try {
+                await stagingBuffer.mapAsync(GPUMapMode.READ);
+            } finally {
+                if (signal) {
+                    signal.removeEventListener('abort', destroyBuffers);
+                }
+            }
             const resultBuffer = stagingBuffer.getMappedRange();
             const results = new Float32Array(resultBuffer);
             
@@ -383,9 +612,7 @@ class WebGPUTests {
             stagingBuffer.unmap();
 
             // Cleanup
-            inputBuffer.destroy();
-            outputBuffer.destroy();
-            stagingBuffer.destroy();
+            destroyBuffers();
 
             return {
                 status: correct ? 'supported' : 'partial',
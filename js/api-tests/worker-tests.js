@@ -0,0 +1,487 @@
+/**
+ * Worker Context Testing Suite
+ * Runs a probe inside a dedicated worker to check what engines can do off the main
+ * thread (OffscreenCanvas WebGL/WebGPU, Atomics, WebAssembly, transfers), plus module
+ * and shared workers; each result reports the main and worker contexts side by side
+ */
+
+class WorkerTests {
+    constructor() {
+        this.probePromise = null;
+        this.mainContextPromise = null;
+        this.workers = [];
+        this.workerURLs = [];
+    }
+
+    /**
+     * How long a worker may take to answer before it counts as failed
+     */
+    static get PROBE_TIMEOUT_MS() {
+        return 5000;
+    }
+
+    /**
+     * Size of the ArrayBuffer transferred to the probe
+     */
+    static get TRANSFER_BYTES() {
+        return 1024 * 1024;
+    }
+
+    /**
+     * Module exporting answer() -> 42, instantiated inside the worker
+     */
+    static get WASM_MODULE() {
+        return [
+            0x00, 0x61, 0x73, 0x6d, // magic
+            0x01, 0x00, 0x00, 0x00, // version
+            0x01, 0x05, 0x01, 0x60, // type section: one function type
+            0x00, 0x01, 0x7f,       // no params, returns i32
+            0x03, 0x02, 0x01, 0x00, // function section: one function of type 0
+            0x07, 0x0a, 0x01, 0x06, // export section: one export, 6-byte name
+            0x61, 0x6e, 0x73, 0x77, 0x65, 0x72, // "answer"
+            0x00, 0x00,             // function 0
+            0x0a, 0x06, 0x01, 0x04, // code section: one 4-byte body
+            0x00, 0x41, 0x2a, 0x0b  // no locals, i32.const 42, end
+        ];
+    }
+
+    /**
+     * Dedicated worker probe: answers one message with what its scope supports and
+     * transfers the received buffer back
+     */
+    static get PROBE_SOURCE() {
+        return `
+            self.onmessage = async (event) => {
+                const { buffer, bitmap } = event.data;
+                const report = {
+                    transfer: { bufferBytes: buffer ? buffer.byteLength : 0, bitmapWidth: bitmap ? bitmap.width : 0 },
+                    offscreenCanvas: typeof OffscreenCanvas === 'function',
+                    webgl: false,
+                    webgl2: false,
+                    webgpu: false,
+                    atomics: {
+                        sharedMemory: typeof SharedArrayBuffer === 'function',
+                        wait: false,
+                        waitAsync: typeof Atomics.waitAsync === 'function'
+                    },
+                    wasm: false
+                };
+
+                if (report.offscreenCanvas) {
+                    try { report.webgl = !!new OffscreenCanvas(1, 1).getContext('webgl'); } catch (e) {}
+                    try { report.webgl2 = !!new OffscreenCanvas(1, 1).getContext('webgl2'); } catch (e) {}
+                }
+                if (self.navigator && navigator.gpu) {
+                    try { report.webgpu = !!(await navigator.gpu.requestAdapter()); } catch (e) {}
+                }
+                // Blocking waits are allowed in workers but not on the main thread
+                if (report.atomics.sharedMemory) {
+                    try { report.atomics.wait = Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 0) === 'timed-out'; } catch (e) {}
+                }
+                try {
+                    const { instance } = await WebAssembly.instantiate(new Uint8Array(${JSON.stringify(WorkerTests.WASM_MODULE)}));
+                    report.wasm = instance.exports.answer() === 42;
+                } catch (e) {}
+
+                if (bitmap) bitmap.close();
+                self.postMessage(report, buffer ? [buffer] : []);
+            };
+        `;
+    }
+
+    /**
+     * importScripts() throws a TypeError only in module workers, so a browser that
+     * ignores { type: 'module' } and starts a classic worker is caught
+     */
+    static get MODULE_PROBE_SOURCE() {
+        return `
+            let moduleScope = false;
+            try { importScripts(); } catch (e) { moduleScope = e instanceof TypeError; }
+            self.postMessage({ moduleScope });
+        `;
+    }
+
+    static get SHARED_PROBE_SOURCE() {
+        return `
+            self.onconnect = (event) => {
+                const port = event.ports[0];
+                port.onmessage = (message) => port.postMessage(message.data);
+            };
+        `;
+    }
+
+    /**
+     * Get all worker tests
+     */
+    getAllTests() {
+        return [
+            {
+                name: 'OffscreenCanvas WebGL in Workers',
+                detectorKey: 'worker.offscreen.webgl',
+                fn: () => this.testOffscreenWebGL(),
+                category: 'workers',
+                priority: 6,
+                description: 'Create WebGL contexts on an OffscreenCanvas inside a dedicated worker'
+            },
+            {
+                name: 'WebGPU in Workers',
+                detectorKey: 'worker.offscreen.webgpu',
+                fn: () => this.testWorkerWebGPU(),
+                category: 'workers',
+                priority: 4,
+                description: 'Request a WebGPU adapter inside a dedicated worker'
+            },
+            {
+                name: 'Module Workers',
+                detectorKey: 'worker.module',
+                fn: () => this.testModuleWorker(),
+                category: 'workers',
+                priority: 5,
+                description: 'Start a worker with { type: "module" } and confirm it runs as a module'
+            },
+            {
+                name: 'SharedWorker',
+                detectorKey: 'worker.shared',
+                fn: () => this.testSharedWorker(),
+                category: 'workers',
+                priority: 3,
+                description: 'Connect to a SharedWorker and exchange a message'
+            },
+            {
+                name: 'Transferable Objects',
+                detectorKey: 'worker.transferables',
+                fn: () => this.testTransferables(),
+                category: 'workers',
+                priority: 5,
+                description: 'Transfer an ArrayBuffer and an ImageBitmap to a worker without copying'
+            },
+            {
+                name: 'Atomics.wait & waitAsync',
+                detectorKey: 'worker.atomics',
+                fn: () => this.testAtomics(),
+                category: 'workers',
+                priority: 4,
+                description: 'Test blocking Atomics.wait in a worker and Atomics.waitAsync on the main thread'
+            },
+            {
+                name: 'WebAssembly in Workers',
+                detectorKey: 'worker.wasm',
+                fn: () => this.testWorkerWasm(),
+                category: 'workers',
+                priority: 5,
+                description: 'Instantiate and call a WebAssembly module inside a dedicated worker'
+            }
+        ];
+    }
+
+    /**
+     * Start a worker from source, post it a message and wait for the first reply
+     * @param {Function} create - (url) => Worker or SharedWorker port owner
+     * @returns {Promise<Object>} {data, worker}
+     */
+    runWorker(source, create, message = null, transfer = []) {
+        const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        this.workerURLs.push(url);
+
+        return new Promise((resolve, reject) => {
+            const worker = create(url);
+            this.workers.push(worker);
+            const target = worker.port || worker;
+
+            const timer = setTimeout(() => reject(new Error('Worker did not respond')), WorkerTests.PROBE_TIMEOUT_MS);
+            target.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve({ data: event.data, worker });
+            };
+            worker.onerror = (event) => {
+                clearTimeout(timer);
+                reject(new Error((event && event.message) || 'Worker failed to start'));
+            };
+            if (worker.port) worker.port.start();
+            target.postMessage(message, transfer);
+        });
+    }
+
+    /**
+     * Run the dedicated worker probe once and share its report between the tests
+     */
+    getProbeReport() {
+        if (!this.probePromise) {
+            this.probePromise = this.runProbe();
+        }
+        return this.probePromise;
+    }
+
+    async runProbe() {
+        const buffer = new ArrayBuffer(WorkerTests.TRANSFER_BYTES);
+        let bitmap = null;
+        try {
+            if (typeof createImageBitmap === 'function' && typeof OffscreenCanvas === 'function') {
+                const canvas = new OffscreenCanvas(16, 16);
+                canvas.getContext('2d');
+                bitmap = await createImageBitmap(canvas);
+            }
+        } catch (bitmapError) {
+            bitmap = null;
+        }
+
+        const transfer = bitmap ? [buffer, bitmap] : [buffer];
+        const { data, worker } = await this.runWorker(WorkerTests.PROBE_SOURCE, url => new Worker(url), { buffer, bitmap }, transfer);
+        worker.terminate();
+
+        return {
+            ...data,
+            // A transferred buffer is detached on the sending side instead of copied
+            transfer: { ...data.transfer, bufferDetached: buffer.byteLength === 0, bitmapSent: !!bitmap }
+        };
+    }
+
+    /**
+     * The same capabilities checked on the main thread, once for all probe-based tests
+     */
+    getMainContext() {
+        if (!this.mainContextPromise) {
+            this.mainContextPromise = WorkerTests.probeMainContext();
+        }
+        return this.mainContextPromise;
+    }
+
+    static async probeMainContext() {
+        const main = {
+            offscreenCanvas: typeof OffscreenCanvas === 'function',
+            webgl: false,
+            webgl2: false,
+            webgpu: false,
+            atomics: {
+                sharedMemory: typeof SharedArrayBuffer === 'function',
+                wait: false,
+                waitAsync: typeof Atomics === 'object' && typeof Atomics.waitAsync === 'function'
+            },
+            wasm: typeof WebAssembly === 'object' && typeof WebAssembly.instantiate === 'function'
+        };
+        if (main.offscreenCanvas) {
+            main.webgl = WorkerTests.canCreateContext('webgl');
+            main.webgl2 = WorkerTests.canCreateContext('webgl2');
+        }
+        // An adapter, as in the worker probe, not just navigator.gpu
+        if (navigator.gpu) {
+            try { main.webgpu = !!(await navigator.gpu.requestAdapter()); } catch (e) {}
+        }
+        if (main.atomics.sharedMemory) {
+            try {
+                main.atomics.wait = Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 0) === 'timed-out';
+            } catch (e) {
+                // Browsers refuse to block the main thread
+            }
+        }
+        return main;
+    }
+
+    /**
+     * Create a WebGL context on an OffscreenCanvas and lose it straight away: live contexts
+     * count against the page's limit, which the WebGL tests running alongside also use
+     */
+    static canCreateContext(type) {
+        try {
+            const gl = new OffscreenCanvas(1, 1).getContext(type);
+            if (!gl) return false;
+            const loseContext = gl.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Run a probe-based test; without Worker or when the probe fails, report per context
+     */
+    async withProbe(label, evaluate) {
+        const main = await this.getMainContext();
+        if (typeof window.Worker !== 'function') {
+            return {
+                status: 'unsupported',
+                details: 'Web Workers not available',
+                contexts: { main, worker: null }
+            };
+        }
+
+        let worker;
+        try {
+            worker = await this.getProbeReport();
+        } catch (error) {
+            return {
+                status: 'error',
+                details: `${label} test failed: the worker probe did not run`,
+                error: error.message,
+                contexts: { main, worker: null }
+            };
+        }
+
+        return { ...evaluate(main, worker), contexts: { main, worker } };
+    }
+
+    async testOffscreenWebGL() {
+        return this.withProbe('OffscreenCanvas WebGL', (main, worker) => {
+            if (!worker.offscreenCanvas) {
+                return {
+                    status: 'unsupported',
+                    details: 'OffscreenCanvas not available in workers (rendering stays on the main thread)'
+                };
+            }
+            const version = worker.webgl2 ? 'WebGL 2.0' : (worker.webgl ? 'WebGL 1.0' : null);
+            return {
+                status: worker.webgl2 ? 'supported' : 'partial',
+                details: version
+                    ? `${version} renders on an OffscreenCanvas in a worker`
+                    : 'OffscreenCanvas available in workers, but without a WebGL context',
+                score: worker.webgl2 ? 100 : (worker.webgl ? 70 : 30)
+            };
+        });
+    }
+
+    async testWorkerWebGPU() {
+        return this.withProbe('WebGPU in workers', (main, worker) => {
+            if (!main.webgpu) {
+                return {
+                    status: 'unsupported',
+                    details: navigator.gpu ? 'WebGPU present, but no adapter on the main thread either' : 'WebGPU not available'
+                };
+            }
+            return {
+                status: worker.webgpu ? 'supported' : 'partial',
+                details: worker.webgpu
+                    ? 'WebGPU adapter available inside a worker'
+                    : 'WebGPU works on the main thread only',
+                score: worker.webgpu ? 100 : 50
+            };
+        });
+    }
+
+    async testTransferables() {
+        return this.withProbe('Transferable objects', (main, worker) => {
+            const { bufferDetached, bufferBytes, bitmapSent, bitmapWidth } = worker.transfer;
+            const bufferTransferred = bufferDetached && bufferBytes === WorkerTests.TRANSFER_BYTES;
+            const bitmapTransferred = bitmapSent && bitmapWidth === 16;
+            return {
+                status: bufferTransferred && bitmapTransferred ? 'supported' : 'partial',
+                details: `ArrayBuffer ${bufferTransferred ? 'transferred' : 'copied'}, ` +
+                    `ImageBitmap ${bitmapTransferred ? 'transferred' : 'not transferable'}`,
+                bufferTransferred,
+                bitmapTransferred,
+                score: (bufferTransferred ? 60 : 20) + (bitmapTransferred ? 40 : 0)
+            };
+        });
+    }
+
+    async testAtomics() {
+        return this.withProbe('Atomics', (main, worker) => {
+            if (!worker.atomics.sharedMemory) {
+                return {
+                    status: 'unsupported',
+                    details: 'SharedArrayBuffer not available (the page is not cross-origin isolated)',
+                    reason: 'Atomics.wait and waitAsync need shared memory, which requires COOP/COEP headers'
+                };
+            }
+            const complete = worker.atomics.wait && main.atomics.waitAsync;
+            return {
+                status: complete ? 'supported' : 'partial',
+                details: `Atomics.wait ${worker.atomics.wait ? 'works' : 'fails'} in workers, ` +
+                    `Atomics.waitAsync ${main.atomics.waitAsync ? 'available' : 'missing'} on the main thread`,
+                score: complete ? 100 : 60
+            };
+        });
+    }
+
+    async testWorkerWasm() {
+        return this.withProbe('WebAssembly in workers', (main, worker) => ({
+            status: worker.wasm ? 'supported' : (main.wasm ? 'partial' : 'unsupported'),
+            details: worker.wasm
+                ? 'WebAssembly module instantiated and called inside a worker'
+                : 'WebAssembly could not be instantiated inside a worker',
+            score: worker.wasm ? 100 : 0
+        }));
+    }
+
+    async testModuleWorker() {
+        try {
+            if (typeof window.Worker !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'Web Workers not available'
+                };
+            }
+
+            const { data, worker } = await this.runWorker(WorkerTests.MODULE_PROBE_SOURCE, url => new Worker(url, { type: 'module' }));
+            worker.terminate();
+
+            return {
+                status: data.moduleScope ? 'supported' : 'partial',
+                details: data.moduleScope
+                    ? 'Module workers supported (import/export inside workers)'
+                    : 'The { type: "module" } option was ignored; the worker ran as a classic script',
+                moduleScope: data.moduleScope,
+                score: data.moduleScope ? 100 : 40
+            };
+        } catch (error) {
+            return {
+                status: 'partial',
+                details: 'Module worker failed to start',
+                error: error.message,
+                score: 30
+            };
+        }
+    }
+
+    async testSharedWorker() {
+        try {
+            if (typeof window.SharedWorker !== 'function') {
+                return {
+                    status: 'unsupported',
+                    details: 'SharedWorker not available',
+                    reason: 'Tabs of the same game cannot share one background worker'
+                };
+            }
+
+            const { data } = await this.runWorker(WorkerTests.SHARED_PROBE_SOURCE, url => new SharedWorker(url), 'ping');
+
+            return {
+                status: data === 'ping' ? 'supported' : 'partial',
+                details: data === 'ping' ? 'SharedWorker connected and answered' : 'SharedWorker answered with an unexpected message',
+                score: data === 'ping' ? 100 : 50
+            };
+        } catch (error) {
+            return {
+                status: 'partial',
+                details: 'SharedWorker available but did not answer',
+                error: error.message,
+                score: 30
+            };
+        }
+    }
+
+    /**
+     * Cleanup worker test resources
+     */
+    cleanup() {
+        this.workers.forEach(worker => {
+            if (worker.port) {
+                worker.port.close();
+            } else {
+                worker.terminate();
+            }
+        });
+        this.workers = [];
+        this.workerURLs.forEach(url => URL.revokeObjectURL(url));
+        this.workerURLs = [];
+        this.probePromise = null;
+        this.mainContextPromise = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerTests;
+} else {
+    window.WorkerTests = WorkerTests;
+}
@@ -0,0 +1,287 @@
+/**
+ * Capability Database Loader
+ * Loads the admin-exported DB JSON and resolves localized guidance for failing tests
+ */
+
+class CapabilityDatabase {
+    constructor(options = {}) {
+        this.url = options.url || 'data/capability-db.json';
+        this.data = null;
+        this.resolver = null;
+        this.snippetRenderer = null;
+        this.verified = false;
+        this.loadPromise = null;
+        this.context = { browser: null, version: null, os: null, locale: null };
+    }
+
+    /**
+     * Fetch and verify the DB JSON (only fetched once)
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchDatabase().catch(error => {
+                console.warn('⚠️ Capability DB unavailable, using built-in defaults:', error.message);
+                this.data = null;
+                this.resolver = null;
+                this.snippetRenderer = null;
+                return null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Download, parse and verify the DB
+     */
+    async fetchDatabase() {
+        const response = await fetch(this.url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${this.url}`);
+        }
+
+        // Verify before validateEnvelope() fills in optional sections
+        const data = await response.json();
+        this.verified = await this.verifyChecksum(data);
+        this.validateEnvelope(data);
+
+        this.data = data;
+        this.resolver = new SolutionResolver(data);
+        this.snippetRenderer = new SnippetRenderer({ snippets: data.snippets, defaultLocale: data.locales.default });
+        console.log(`✅ Capability DB ${data.meta?.version || ''} loaded (${data.tests.length} tests, ${data.solutions.length} solutions)`);
+        return data;
+    }
+
+    /**
+     * Check the required top-level fields of the envelope
+     */
+    validateEnvelope(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Capability DB is not a JSON object');
+        }
+
+        for (const key of ['browsers', 'tests', 'solutions']) {
+            if (!Array.isArray(data[key])) {
+                throw new Error(`Capability DB is missing "${key}"`);
+            }
+        }
+
+        data.snippets = data.snippets || [];
+        data.profiles = data.profiles || [];
+        data.locales = data.locales || { default: 'en-US', supported: ['en-US'], messages: {} };
+    }
+
+    /**
+     * Verify meta.checksum the same way AdminDatabase.calculateChecksum produced it
+     */
+    async verifyChecksum(data) {
+        const expected = data && data.meta && data.meta.checksum;
+        if (!expected) {
+            console.warn('⚠️ Capability DB has no checksum, skipping verification');
+            return false;
+        }
+
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            console.warn('⚠️ SubtleCrypto unavailable (insecure context), skipping checksum verification');
+            return false;
+        }
+
+        const actual = await CapabilityDatabase.calculateChecksum(data);
+        if (actual !== expected) {
+            throw new Error('Capability DB checksum mismatch');
+        }
+        return true;
+    }
+
+    /**
+     * SHA-256 over the export as it was before meta.checksum was written
+     */
+    static async calculateChecksum(data) {
+        const unsigned = JSON.parse(JSON.stringify(data));
+        if (unsigned.meta) {
+            delete unsigned.meta.checksum;
+        }
+
+        const encoded = new TextEncoder().encode(JSON.stringify(unsigned));
+        const hashBuffer = await crypto.subtle.digest('SHA-256', encoded);
+        return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Whether a DB has been loaded successfully
+     */
+    isLoaded() {
+        return this.data !== null;
+    }
+
+    /**
+     * Remember the detected browser, OS and locale used to resolve guidance
+     */
+    setContext(browserInfo = {}, userAgent = '', locale = null, os = null) {
+        this.context = {
+            browser: this.findBrowser(browserInfo, userAgent),
+            version: browserInfo.version || null,
+            os: SolutionResolver.normalizeOS(os),
+            locale: locale || this.getDefaultLocale()
+        };
+        return this.context;
+    }
+
+    /**
+     * Find a DB test by detectorKey, id or title
+     */
+    findTest(key) {
+        if (!this.data || !key) return null;
+
+        return this.data.tests.find(test => test.detectorKey === key) ||
+               this.data.tests.find(test => test.id === key || test.title === key) ||
+               null;
+    }
+
+    /**
+     * Game requirement profile by id
+     */
+    findProfile(id) {
+        if (!this.data || !id) return null;
+        return this.data.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Match the detected browser to a DB browser by name, then by UA rules
+     */
+    findBrowser(browserInfo = {}, userAgent = '') {
+        if (!this.data) return null;
+
+        const name = (browserInfo.name || '').toLowerCase();
+        if (name && name !== 'unknown') {
+            const byName = this.data.browsers.find(browser => {
+                const dbName = (browser.name || '').toLowerCase();
+                return browser.id === name || dbName === name || dbName.split(/\s+/).includes(name);
+            });
+            if (byName) return byName;
+        }
+
+        return this.data.browsers.find(browser =>
+            (browser.uaMatchRules || []).some(rule => this.matchesUARule(userAgent, rule))
+        ) || null;
+    }
+
+    /**
+     * UA rules are plain tokens, regex strings or {pattern} objects from the migration
+     */
+    matchesUARule(userAgent, rule) {
+        const pattern = typeof rule === 'string' ? rule : rule && rule.pattern;
+        if (!pattern || !userAgent) return false;
+
+        if (userAgent.includes(pattern)) return true;
+
+        try {
+            return new RegExp(pattern).test(userAgent);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Solutions for a detectorKey that apply to the browser and OS, most specific first
+     */
+    getSolutions(detectorKey, browserId = null, version = null, os = null) {
+        if (!this.resolver) return [];
+
+        return this.resolver.resolve(detectorKey, { browserId, version, os });
+    }
+
+    /**
+     * Best guidance for a failing test: {title, html, solution} or null
+     */
+    getGuidance(detectorKey, context = this.context) {
+        const browser = context.browser || null;
+        const locale = context.locale || this.getDefaultLocale();
+        const solution = this.getSolutions(detectorKey, browser && browser.id, context.version, context.os)[0];
+        if (!solution) return null;
+
+        const localized = this.pickLocalized(solution.contentLocalized, locale);
+        const content = localized ? (localized.content !== undefined ? localized.content : localized) : solution.content;
+        const format = (localized && localized.contentFormat) || solution.contentFormat || 'md';
+        const rendered = this.renderSnippets(content, format, locale, context);
+
+        return {
+            title: this.pickLocalized(solution.titleLocalized, locale) || solution.title,
+            html: this.renderContent(rendered.content, rendered.format),
+            solution
+        };
+    }
+
+    /**
+     * Primary reference link for a test (caniuse preferred)
+     */
+    getTestLink(detectorKey) {
+        const test = this.findTest(detectorKey);
+        if (!test || !test.links || test.links.length === 0) return null;
+
+        const caniuse = test.links.find(link => link.url && link.url.includes('caniuse.com'));
+        return (caniuse || test.links[0]).url;
+    }
+
+    /**
+     * Localized UI/shared message from locales.messages
+     */
+    getMessage(key, locale = null, fallback = key) {
+        if (!this.data) return fallback;
+
+        const messages = this.data.locales.messages || {};
+        const value = this.pickLocalized(
+            Object.fromEntries(Object.entries(messages).map(([loc, map]) => [loc, map[key]])),
+            locale || this.getDefaultLocale()
+        );
+        return value || fallback;
+    }
+
+    /**
+     * Default locale of the loaded DB
+     */
+    getDefaultLocale() {
+        return (this.data && this.data.locales.default) || 'en-US';
+    }
+
+    /**
+     * Resolve a *Localized map: exact locale → language-only → default locale
+     */
+    pickLocalized(localizedMap, locale) {
+        return SnippetRenderer.pickLocalized(localizedMap, locale, this.getDefaultLocale());
+    }
+
+    /**
+     * Expand snippet references for the detected browser, OS and locale
+     */
+    renderSnippets(content, format, locale, context = this.context) {
+        if (!this.snippetRenderer) {
+            return { content: content || '', format, unresolved: [], skipped: [] };
+        }
+
+        const browser = context.browser || null;
+        const rendered = this.snippetRenderer.render(content, {
+            format,
+            locale,
+            context: { browserId: browser && browser.id, version: context.version, os: context.os }
+        });
+
+        if (rendered.unresolved.length > 0) {
+            console.warn('⚠️ Unresolved snippet placeholders:', rendered.unresolved.map(item => `${item.placeholder} (${item.reason})`).join(', '));
+        }
+        return rendered;
+    }
+
+    /**
+     * Convert md/html content to HTML
+     */
+    renderContent(content, format) {
+        return format === 'html' ? content : SnippetRenderer.markdownToHtml(content);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CapabilityDatabase;
+} else {
+    window.CapabilityDatabase = CapabilityDatabase;
+}
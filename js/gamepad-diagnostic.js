@@ -0,0 +1,327 @@
+/**
+ * Gamepad Diagnostic
+ * Live controller check for the testing panel: waits for a controller, samples its state,
+ * measures polling rate and stick drift, and tries its rumble/haptics actuators
+ */
+
+class GamepadDiagnostic {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onState - Called once per animation frame with the latest snapshot (or null)
+     * @param {Function} options.onFindings - Called whenever the findings change
+     */
+    constructor(options = {}) {
+        this.onState = options.onState || (() => {});
+        this.onFindings = options.onFindings || (() => {});
+        this.gamepadIndex = null;
+        this.snapshot = null;
+        this.timestamps = [];
+        this.lastTimestamp = null;
+        this.reportCount = 0;
+        this.buttonsPressed = new Set();
+        this.drift = null;
+        this.haptics = null;
+        this.driftSamples = null;
+        this.pollTimer = null;
+        this.frameRequest = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Sampling interval; faster than any display so the controller's report rate shows
+     */
+    static get POLL_INTERVAL_MS() {
+        return 4;
+    }
+
+    /**
+     * Input report timestamps kept for the polling rate estimate
+     */
+    static get MAX_TIMESTAMPS() {
+        return 250;
+    }
+
+    /**
+     * Resting stick offset beyond which the stick is reported as drifting
+     */
+    static get DRIFT_THRESHOLD() {
+        return 0.1;
+    }
+
+    /**
+     * Input reports between refreshes of the polling rate in the findings
+     */
+    static get REPORTS_PER_UPDATE() {
+        return 60;
+    }
+
+    /**
+     * Report rate below which input feels delayed (Hz)
+     */
+    static get LOW_POLLING_RATE() {
+        return 60;
+    }
+
+    static isAvailable() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    /**
+     * Listen for controllers and start sampling
+     */
+    start() {
+        if (!GamepadDiagnostic.isAvailable() || this.pollTimer !== null) return;
+
+        const listen = (type, handler) => {
+            window.addEventListener(type, handler);
+            this.listeners.push(() => window.removeEventListener(type, handler));
+        };
+        // Browsers only expose a controller after a button press, which fires gamepadconnected
+        listen('gamepadconnected', (event) => this.select(event.gamepad.index));
+        listen('gamepaddisconnected', (event) => {
+            if (event.gamepad.index === this.gamepadIndex) {
+                this.reset();
+                this.onFindings(null);
+            }
+        });
+
+        const connected = Array.from(navigator.getGamepads()).find(gamepad => gamepad);
+        if (connected) this.select(connected.index);
+
+        this.pollTimer = setInterval(() => this.poll(), GamepadDiagnostic.POLL_INTERVAL_MS);
+        const render = () => {
+            this.onState(this.snapshot);
+            this.frameRequest = requestAnimationFrame(render);
+        };
+        this.frameRequest = requestAnimationFrame(render);
+    }
+
+    /**
+     * Stop sampling and remove listeners
+     */
+    stop() {
+        if (this.pollTimer !== null) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+    }
+
+    select(index) {
+        if (this.gamepadIndex === index) return;
+        this.reset();
+        this.gamepadIndex = index;
+        this.poll();
+        this.onFindings(this.getFindings());
+    }
+
+    reset() {
+        this.gamepadIndex = null;
+        this.snapshot = null;
+        this.timestamps = [];
+        this.lastTimestamp = null;
+        this.reportCount = 0;
+        this.buttonsPressed = new Set();
+        this.drift = null;
+        this.haptics = null;
+        this.driftSamples = null;
+    }
+
+    getGamepad() {
+        if (this.gamepadIndex === null) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+
+    /**
+     * Read the selected controller once: new input reports, pressed buttons and drift samples
+     */
+    poll() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) {
+            this.snapshot = null;
+            return;
+        }
+
+        this.snapshot = {
+            id: gamepad.id,
+            mapping: gamepad.mapping,
+            buttons: Array.from(gamepad.buttons, button => ({ pressed: button.pressed, value: button.value })),
+            axes: Array.from(gamepad.axes)
+        };
+
+        // The timestamp only advances when the controller sends a new report
+        let changed = false;
+        if (gamepad.timestamp !== this.lastTimestamp) {
+            this.lastTimestamp = gamepad.timestamp;
+            this.timestamps.push(gamepad.timestamp);
+            if (this.timestamps.length > GamepadDiagnostic.MAX_TIMESTAMPS) this.timestamps.shift();
+            this.reportCount++;
+            changed = this.reportCount % GamepadDiagnostic.REPORTS_PER_UPDATE === 0;
+        }
+
+        this.snapshot.buttons.forEach((button, index) => {
+            if (button.pressed && !this.buttonsPressed.has(index)) {
+                this.buttonsPressed.add(index);
+                changed = true;
+            }
+        });
+        if (changed) this.onFindings(this.getFindings());
+
+        if (this.driftSamples) this.driftSamples.push(this.snapshot.axes);
+    }
+
+    /**
+     * Sample the axes while the sticks rest untouched
+     * @returns {Promise<Object|null>} analyzeDrift() result, null without a controller
+     */
+    measureDrift(durationMs = 2000) {
+        if (!this.getGamepad()) return Promise.resolve(null);
+
+        this.driftSamples = [];
+        return new Promise(resolve => {
+            setTimeout(() => {
+                const samples = this.driftSamples || [];
+                this.driftSamples = null;
+                this.drift = GamepadDiagnostic.analyzeDrift(samples, this.snapshot ? this.snapshot.mapping : '');
+                this.onFindings(this.getFindings());
+                resolve(this.drift);
+            }, durationMs);
+        });
+    }
+
+    /**
+     * Play a short rumble through vibrationActuator (Chromium, Safari) or hapticActuators (Firefox)
+     */
+    async testHaptics() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return null;
+
+        const actuator = gamepad.vibrationActuator;
+        const hapticActuators = gamepad.hapticActuators || [];
+        let haptics;
+
+        try {
+            if (actuator && typeof actuator.playEffect === 'function') {
+                const effects = Array.isArray(actuator.effects) ? actuator.effects : ['dual-rumble'];
+                const result = await actuator.playEffect('dual-rumble', {
+                    startDelay: 0,
+                    duration: 300,
+                    weakMagnitude: 0.5,
+                    strongMagnitude: 1.0
+                });
+                haptics = { api: 'vibrationActuator', effects, result, working: result === 'complete' };
+            } else if (hapticActuators.length > 0 && typeof hapticActuators[0].pulse === 'function') {
+                const result = await hapticActuators[0].pulse(1.0, 300);
+                haptics = { api: 'hapticActuators', actuators: hapticActuators.length, result, working: result !== false };
+            } else {
+                haptics = { api: null, working: false };
+            }
+        } catch (error) {
+            haptics = { api: actuator ? 'vibrationActuator' : 'hapticActuators', working: false, error: error.message };
+        }
+
+        this.haptics = haptics;
+        this.onFindings(this.getFindings());
+        return haptics;
+    }
+
+    /**
+     * What the diagnostic has learned about the selected controller, for the gamepad.api result
+     */
+    getFindings() {
+        if (!this.snapshot) return null;
+
+        const findings = {
+            id: this.snapshot.id,
+            mapping: this.snapshot.mapping || 'none',
+            standardMapping: this.snapshot.mapping === 'standard',
+            buttons: this.snapshot.buttons.length,
+            axes: this.snapshot.axes.length,
+            buttonsPressed: Array.from(this.buttonsPressed).sort((a, b) => a - b),
+            pollingRateHz: GamepadDiagnostic.estimatePollingRate(this.timestamps),
+            drift: this.drift,
+            haptics: this.haptics
+        };
+        findings.issues = GamepadDiagnostic.findIssues(findings);
+        return findings;
+    }
+
+    /**
+     * Report rate from the median interval between input report timestamps;
+     * null until the controller has sent enough reports (move a stick)
+     */
+    static estimatePollingRate(timestamps) {
+        // Gaps while the controller sits idle are not report intervals
+        const intervals = timestamps.slice(1)
+            .map((time, index) => time - timestamps[index])
+            .filter(interval => interval > 0 && interval < 100)
+            .sort((a, b) => a - b);
+        if (intervals.length < 10) return null;
+
+        return Math.round(1000 / intervals[Math.floor(intervals.length / 2)]);
+    }
+
+    /**
+     * Resting offset of each axis and stick; the recommended deadzone clears the largest
+     * offset with a 0.05 margin, rounded up to the next 0.05
+     * @param {Array<number[]>} samples - Axes arrays sampled while the sticks rest
+     * @param {string} mapping - 'standard' pairs axes 0/1 and 2/3 into the left and right sticks
+     */
+    static analyzeDrift(samples, mapping = 'standard') {
+        if (samples.length === 0) return null;
+
+        const axisCount = samples[0].length;
+        const axes = Array.from({ length: axisCount }, (_, index) => {
+            const values = samples.map(sample => sample[index] || 0);
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            return {
+                index,
+                mean: Math.round(mean * 1000) / 1000,
+                maxOffset: Math.round(Math.max(...values.map(Math.abs)) * 1000) / 1000
+            };
+        });
+
+        const sticks = mapping === 'standard' && axisCount >= 4
+            ? [{ stick: 'left', axes: [0, 1] }, { stick: 'right', axes: [2, 3] }].map(({ stick, axes: pair }) => {
+                const magnitude = Math.max(...samples.map(sample => Math.hypot(sample[pair[0]], sample[pair[1]])));
+                return { stick, axes: pair, maxOffset: Math.round(magnitude * 1000) / 1000 };
+            })
+            : [];
+
+        const maxOffset = Math.max(...axes.map(axis => axis.maxOffset), ...sticks.map(stick => stick.maxOffset));
+        return {
+            samples: samples.length,
+            axes,
+            sticks,
+            maxOffset,
+            driftDetected: maxOffset > GamepadDiagnostic.DRIFT_THRESHOLD,
+            recommendedDeadzone: Math.max(0.05, Math.ceil(Math.round((maxOffset + 0.05) * 1000) / 50) / 20)
+        };
+    }
+
+    /**
+     * Controller problems support should know about
+     */
+    static findIssues(findings) {
+        const issues = [];
+        if (!findings.standardMapping) issues.push('nonStandardMapping');
+        if (findings.pollingRateHz !== null && findings.pollingRateHz < GamepadDiagnostic.LOW_POLLING_RATE) issues.push('lowPollingRate');
+        if (findings.drift && findings.drift.driftDetected) issues.push('stickDrift');
+        if (findings.haptics && !findings.haptics.working) {
+            issues.push(findings.haptics.api ? 'hapticsFailed' : 'noHaptics');
+        }
+        return issues;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GamepadDiagnostic;
+} else {
+    window.GamepadDiagnostic = GamepadDiagnostic;
+}
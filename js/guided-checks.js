@@ -0,0 +1,336 @@
+/**
+ * Guided Checks
+ * Gesture-gated APIs can only be exercised from a click or key press. Each guided step
+ * runs inside the player's click, really uses the API and returns "verified" results
+ * that replace the detection-only results of the same detectorKeys
+ */
+
+class GuidedChecks {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeoutMs - How long to wait for lock/fullscreen events
+     * @param {number} options.toneMs - Length of the test tone
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 3000;
+        this.toneMs = options.toneMs || 250;
+    }
+
+    /**
+     * Guided steps in the order they are offered, and the results each one verifies
+     */
+    static get STEPS() {
+        return [
+            { id: 'audio', detectorKeys: ['web.audio.api', 'audio.output.latency'] },
+            { id: 'pointerLock', detectorKeys: ['pointer.lock.api', 'input.pointer.lock.raw'] },
+            { id: 'fullscreen', detectorKeys: ['fullscreen.api', 'input.keyboard.lock'] },
+            { id: 'vibration', detectorKeys: ['vibration.api'] }
+        ];
+    }
+
+    /**
+     * detectorKeys whose automatic results are "detected only"
+     */
+    static get GATED_KEYS() {
+        return GuidedChecks.STEPS.flatMap(step => step.detectorKeys);
+    }
+
+    /**
+     * Run one step; call straight from the click handler so the user activation is still valid
+     * @param {string} stepId - One of STEPS
+     * @param {Element} target - Element to lock the pointer to
+     * @returns {Promise<Array>} Results with detectorKey, status, details, verification and guided
+     */
+    async runStep(stepId, target = document.body) {
+        switch (stepId) {
+            case 'audio':
+                return this.checkAudio();
+            case 'pointerLock':
+                return this.checkPointerLock(target);
+            case 'fullscreen':
+                return this.checkFullscreen();
+            case 'vibration':
+                return [this.checkVibration()];
+            default:
+                throw new Error(`Unknown guided step "${stepId}"`);
+        }
+    }
+
+    /**
+     * A result the player's gesture confirmed (outcome 'success') or that failed with a reason
+     */
+    static verified(detectorKey, status, details, guided) {
+        return { detectorKey, status, details, verification: 'verified', guided };
+    }
+
+    /**
+     * Resume an AudioContext, play a short tone and measure the output latency while it runs
+     */
+    async checkAudio() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            return [GuidedChecks.verified('web.audio.api', 'unsupported', 'Web Audio API not available',
+                { outcome: 'unavailable', reason: 'AudioContext not available' })];
+        }
+
+        const context = new AudioContextClass();
+        try {
+            await context.resume();
+            if (context.state !== 'running') {
+                return [GuidedChecks.verified('web.audio.api', 'partial', `Audio stayed ${context.state} after a click`,
+                    { outcome: 'denied', reason: `AudioContext is ${context.state} (autoplay blocked)` })];
+            }
+
+            const startTime = context.currentTime;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.value = 440;
+            gain.gain.value = 0.1;
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+
+            const ended = new Promise(resolve => { oscillator.onended = resolve; });
+            oscillator.start();
+            oscillator.stop(context.currentTime + this.toneMs / 1000);
+            await GuidedChecks.withTimeout(ended, this.timeoutMs, 'Test tone did not finish');
+
+            // The clock only advances while audio is really being rendered
+            if (context.currentTime <= startTime) {
+                return [GuidedChecks.verified('web.audio.api', 'partial', 'Audio resumed but the audio clock did not advance',
+                    { outcome: 'failed', reason: 'No audio output device rendered the tone' })];
+            }
+
+            const results = [GuidedChecks.verified('web.audio.api', 'supported', 'Audio resumed after a click and played a test tone', {
+                outcome: 'success',
+                sampleRate: context.sampleRate,
+                baseLatency: context.baseLatency,
+                outputLatency: context.outputLatency
+            })];
+            // After the tone the output device is known, so outputLatency is real (Bluetooth shows up here)
+            if (typeof context.baseLatency === 'number') {
+                const latency = AudioTests.describeLatency(context.baseLatency,
+                    typeof context.outputLatency === 'number' ? context.outputLatency : null);
+                results.push({
+                    ...latency,
+                    ...GuidedChecks.verified('audio.output.latency', latency.status, `${latency.details}, measured while playing`, { outcome: 'success' })
+                });
+            }
+            return results;
+        } catch (error) {
+            return [GuidedChecks.verified('web.audio.api', 'partial', 'Audio could not be started',
+                { outcome: 'failed', reason: GuidedChecks.describeError(error) })];
+        } finally {
+            context.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Lock the pointer with raw movement (falling back to a plain lock) and release it
+     */
+    async checkPointerLock(target) {
+        if (typeof target.requestPointerLock !== 'function') {
+            const guided = { outcome: 'unavailable', reason: 'requestPointerLock not available' };
+            return [
+                GuidedChecks.verified('pointer.lock.api', 'unsupported', 'Pointer Lock API not available', guided),
+                GuidedChecks.verified('input.pointer.lock.raw', 'unsupported', 'Pointer Lock API not available', guided)
+            ];
+        }
+
+        let rawInput = true;
+        let failure = null;
+        try {
+            await this.lockPointer(target, { unadjustedMovement: true });
+        } catch (error) {
+            failure = error;
+        }
+        if (failure && failure.name === 'NotSupportedError') {
+            rawInput = false;
+            failure = null;
+            try {
+                await this.lockPointer(target);
+            } catch (error) {
+                failure = error;
+            }
+        }
+
+        const locked = !failure && document.pointerLockElement === target;
+        if (locked) document.exitPointerLock();
+
+        if (!locked) {
+            const guided = { outcome: 'denied', reason: failure ? GuidedChecks.describeError(failure) : 'Pointer was not locked' };
+            return [
+                GuidedChecks.verified('pointer.lock.api', 'partial', 'Pointer lock was refused after a click', guided),
+                GuidedChecks.verified('input.pointer.lock.raw', 'partial', 'Raw mouse input could not be verified: pointer lock was refused', guided)
+            ];
+        }
+
+        return [
+            GuidedChecks.verified('pointer.lock.api', 'supported', 'Pointer locked and released after a click', { outcome: 'success' }),
+            rawInput
+                ? GuidedChecks.verified('input.pointer.lock.raw', 'supported', 'Pointer locked with raw (unadjusted) mouse movement', { outcome: 'success' })
+                : GuidedChecks.verified('input.pointer.lock.raw', 'partial', 'Pointer locked, but only with OS mouse acceleration',
+                    { outcome: 'failed', reason: 'unadjustedMovement is not supported on this platform' })
+        ];
+    }
+
+    /**
+     * requestPointerLock resolves in newer browsers; older ones only fire pointerlockchange/error
+     */
+    lockPointer(target, options) {
+        return new Promise((resolve, reject) => {
+            const onChange = () => {
+                finish();
+                resolve();
+            };
+            const onError = () => {
+                finish();
+                reject(Object.assign(new Error('pointerlockerror'), { name: 'NotAllowedError' }));
+            };
+            const timer = setTimeout(() => {
+                finish();
+                reject(Object.assign(new Error('No pointer lock event'), { name: 'TimeoutError' }));
+            }, this.timeoutMs);
+            const finish = () => {
+                clearTimeout(timer);
+                document.removeEventListener('pointerlockchange', onChange);
+                document.removeEventListener('pointerlockerror', onError);
+            };
+            document.addEventListener('pointerlockchange', onChange);
+            document.addEventListener('pointerlockerror', onError);
+
+            const request = options ? target.requestPointerLock(options) : target.requestPointerLock();
+            if (request && typeof request.then === 'function') {
+                request.then(onChange, (error) => {
+                    finish();
+                    reject(error);
+                });
+            }
+        });
+    }
+
+    /**
+     * Enter fullscreen, engage Keyboard Lock inside it, then leave fullscreen
+     */
+    async checkFullscreen() {
+        const element = document.documentElement;
+        const request = element.requestFullscreen || element.webkitRequestFullscreen;
+        const results = [];
+
+        if (typeof request !== 'function') {
+            return [GuidedChecks.verified('fullscreen.api', 'unsupported', 'Fullscreen API not available',
+                { outcome: 'unavailable', reason: 'requestFullscreen not available' })];
+        }
+
+        try {
+            await this.changeFullscreen(() => request.call(element, { navigationUI: 'hide' }));
+        } catch (error) {
+            return [GuidedChecks.verified('fullscreen.api', 'partial', 'Fullscreen was refused after a click',
+                { outcome: 'denied', reason: GuidedChecks.describeError(error) })];
+        }
+
+        const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement;
+        results.push(fullscreenElement
+            ? GuidedChecks.verified('fullscreen.api', 'supported', 'Entered and left fullscreen after a click', { outcome: 'success' })
+            : GuidedChecks.verified('fullscreen.api', 'partial', 'Fullscreen request succeeded but the page is not fullscreen',
+                { outcome: 'failed', reason: 'No fullscreen element' }));
+
+        // Keyboard Lock only takes effect while fullscreen
+        const keyboard = navigator.keyboard;
+        if (fullscreenElement && keyboard && typeof keyboard.lock === 'function') {
+            try {
+                await keyboard.lock(['Escape']);
+                keyboard.unlock();
+                results.push(GuidedChecks.verified('input.keyboard.lock', 'supported', 'Keyboard locked in fullscreen (Esc captured)', { outcome: 'success' }));
+            } catch (error) {
+                results.push(GuidedChecks.verified('input.keyboard.lock', 'partial', 'Keyboard Lock was refused in fullscreen',
+                    { outcome: 'denied', reason: GuidedChecks.describeError(error) }));
+            }
+        }
+
+        if (fullscreenElement) {
+            const exit = document.exitFullscreen || document.webkitExitFullscreen;
+            await this.changeFullscreen(() => exit.call(document)).catch(() => {});
+        }
+        return results;
+    }
+
+    /**
+     * Enter or leave fullscreen and wait until it happened: the prefixed WebKit methods
+     * return undefined and only report through webkitfullscreenchange/error
+     */
+    changeFullscreen(action) {
+        return new Promise((resolve, reject) => {
+            const onChange = () => {
+                finish();
+                resolve();
+            };
+            const onError = () => {
+                finish();
+                reject(Object.assign(new Error('fullscreenerror'), { name: 'NotAllowedError' }));
+            };
+            const timer = setTimeout(() => {
+                finish();
+                reject(Object.assign(new Error('No fullscreen event'), { name: 'TimeoutError' }));
+            }, this.timeoutMs);
+            const listeners = [
+                ['fullscreenchange', onChange], ['webkitfullscreenchange', onChange],
+                ['fullscreenerror', onError], ['webkitfullscreenerror', onError]
+            ];
+            const finish = () => {
+                clearTimeout(timer);
+                listeners.forEach(([type, listener]) => document.removeEventListener(type, listener));
+            };
+            listeners.forEach(([type, listener]) => document.addEventListener(type, listener));
+
+            let request;
+            try {
+                request = action();
+            } catch (error) {
+                finish();
+                reject(error);
+                return;
+            }
+            if (request && typeof request.then === 'function') {
+                request.then(onChange, (error) => {
+                    finish();
+                    reject(error);
+                });
+            }
+        });
+    }
+
+    /**
+     * navigator.vibrate() returns false when the browser refuses the pattern
+     */
+    checkVibration() {
+        if (typeof navigator.vibrate !== 'function') {
+            return GuidedChecks.verified('vibration.api', 'unsupported', 'Vibration API not available',
+                { outcome: 'unavailable', reason: 'navigator.vibrate not available' });
+        }
+
+        return navigator.vibrate(200)
+            ? GuidedChecks.verified('vibration.api', 'supported', 'Vibration accepted after a tap', { outcome: 'success' })
+            : GuidedChecks.verified('vibration.api', 'partial', 'Vibration refused after a tap',
+                { outcome: 'denied', reason: 'navigator.vibrate() returned false (no vibration motor, silent mode or blocked)' });
+    }
+
+    static withTimeout(promise, timeoutMs, message) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error(message), { name: 'TimeoutError' })), timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    static describeError(error) {
+        if (!error) return 'Unknown error';
+        return error.name && error.name !== 'Error' ? `${error.name}: ${error.message}` : error.message;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GuidedChecks;
+} else {
+    window.GuidedChecks = GuidedChecks;
+}
@@ -0,0 +1,301 @@
+/**
+ * Tester Localizer
+ * Picks the UI locale and renders UI strings from the capability DB's locales.messages
+ */
+
+class Localizer {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.storage = options.storage !== undefined ? options.storage : Localizer.getDefaultStorage();
+        this.storageKey = options.storageKey || 'spawnd.locale';
+        this.locale = null;
+        this.listeners = [];
+        this.missingKeys = new Set();
+    }
+
+    /**
+     * Languages written right-to-left (spec §4.4)
+     */
+    static get RTL_LANGUAGES() {
+        return ['ar', 'he', 'fa', 'ur'];
+    }
+
+    /**
+     * localStorage when available (throws in some privacy modes)
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Resolve a requested locale against the supported ones: exact → language-only → same language
+     * @returns {string|null} A supported locale, or null when none shares the language
+     */
+    static resolveLocale(requested, supported) {
+        if (!requested) return null;
+
+        const wanted = String(requested).toLowerCase();
+        const exact = supported.find(locale => locale.toLowerCase() === wanted);
+        if (exact) return exact;
+
+        const language = wanted.split('-')[0];
+        return supported.find(locale => locale.toLowerCase() === language) ||
+               supported.find(locale => locale.toLowerCase().split('-')[0] === language) ||
+               null;
+    }
+
+    /**
+     * Detect the locale, apply it to the document and notify listeners
+     */
+    init(languages = Localizer.getBrowserLanguages()) {
+        this.setLocale(this.detectLocale(languages), { persist: false });
+        return this.locale;
+    }
+
+    /**
+     * navigator.languages in preference order (falls back to navigator.language)
+     */
+    static getBrowserLanguages() {
+        if (typeof navigator === 'undefined') return [];
+        if (navigator.languages && navigator.languages.length > 0) return Array.from(navigator.languages);
+        return navigator.language ? [navigator.language] : [];
+    }
+
+    /**
+     * Saved manual choice, else the first preferred language the DB supports, else the default
+     */
+    detectLocale(languages = []) {
+        const supported = this.getSupportedLocales();
+
+        const saved = this.readSavedLocale();
+        const savedMatch = saved && supported.includes(saved) ? saved : null;
+        if (savedMatch) return savedMatch;
+
+        for (const language of languages) {
+            const match = Localizer.resolveLocale(language, supported);
+            if (match) return match;
+        }
+        return this.getDefaultLocale();
+    }
+
+    /**
+     * Switch the UI language; manual switches are remembered for the next visit
+     */
+    setLocale(locale, options = {}) {
+        const persist = options.persist !== false;
+        const resolved = Localizer.resolveLocale(locale, this.getSupportedLocales()) || this.getDefaultLocale();
+        const changed = resolved !== this.locale;
+        this.locale = resolved;
+
+        if (persist) {
+            this.saveLocale(resolved);
+        }
+
+        // Guidance and snippets resolve against the same locale
+        if (this.db && this.db.context) {
+            this.db.context.locale = resolved;
+        }
+
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.lang = resolved;
+            document.documentElement.dir = this.getDirection(resolved);
+            this.applyTo(document);
+        }
+
+        if (changed) {
+            this.listeners.forEach(listener => listener(resolved));
+        }
+        return resolved;
+    }
+
+    /**
+     * Register a callback for locale switches
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return this;
+    }
+
+    readSavedLocale() {
+        try {
+            return this.storage ? this.storage.getItem(this.storageKey) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveLocale(locale) {
+        try {
+            if (this.storage) this.storage.setItem(this.storageKey, locale);
+        } catch (error) {
+            console.warn('⚠️ Could not remember the selected language:', error.message);
+        }
+    }
+
+    /**
+     * Locales offered by the DB (the default is always included)
+     */
+    getSupportedLocales() {
+        const locales = this.db && this.db.isLoaded() ? this.db.data.locales : null;
+        const supported = locales && Array.isArray(locales.supported) ? [...locales.supported] : [];
+        const defaultLocale = this.getDefaultLocale();
+        if (!supported.includes(defaultLocale)) {
+            supported.unshift(defaultLocale);
+        }
+        return supported;
+    }
+
+    getDefaultLocale() {
+        return this.db ? this.db.getDefaultLocale() : 'en-US';
+    }
+
+    getDirection(locale = this.locale) {
+        const language = String(locale || '').split('-')[0].toLowerCase();
+        return Localizer.RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Message for key in the active locale with {{param}} placeholders filled in
+     * @param {string} key - Key in locales.messages
+     * @param {Object} params - Values for {{name}} placeholders
+     * @param {string} fallback - Returned when no locale (default included) defines the key
+     */
+    t(key, params = {}, fallback = key) {
+        const message = this.db ? this.db.getMessage(key, this.locale, null) : null;
+        if (message === null) {
+            // Keys are only missing when the DB failed to load or lacks a default-locale entry
+            if (fallback === key && this.db && this.db.isLoaded() && !this.missingKeys.has(key)) {
+                this.missingKeys.add(key);
+                console.warn(`⚠️ Missing UI message "${key}"`);
+            }
+            return fallback;
+        }
+
+        return String(message).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+        );
+    }
+
+    /**
+     * HTML for a message that applyTo() re-renders on locale switches
+     */
+    markup(key, params = {}, tag = 'span') {
+        const paramsAttr = Object.keys(params).length > 0
+            ? ` data-i18n-params="${SnippetRenderer.escapeHtml(JSON.stringify(params))}"`
+            : '';
+        return `<${tag} data-i18n="${key}"${paramsAttr}>${SnippetRenderer.escapeHtml(this.t(key, params))}</${tag}>`;
+    }
+
+    /**
+     * Set an element's text to a message and tag it for re-rendering
+     */
+    localize(element, key, params = {}) {
+        if (!element) return;
+
+        element.dataset.i18n = key;
+        if (Object.keys(params).length > 0) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = this.t(key, params);
+    }
+
+    /**
+     * Re-render every tagged element under root:
+     * data-i18n="key" (text, with optional data-i18n-params JSON) and data-i18n-attr="attr:key;attr:key"
+     */
+    applyTo(root) {
+        if (!root || typeof root.querySelectorAll !== 'function') return;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            // Keep the markup's built-in text until a DB message exists
+            const current = element.textContent;
+            element.textContent = this.t(element.dataset.i18n, this.readParams(element), current);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key, {}, element.getAttribute(attribute)));
+                }
+            });
+        });
+    }
+
+    readParams(element) {
+        try {
+            return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Localized field of a DB test (title, description, ...), or fallback when the DB has none
+     */
+    getTestText(detectorKey, field, fallback = '') {
+        const test = this.db ? this.db.findTest(detectorKey) : null;
+        if (!test) return fallback;
+
+        return this.db.pickLocalized(test[`${field}Localized`], this.locale) || test[field] || fallback;
+    }
+
+    /**
+     * Name of a locale in its own language (e.g. "español (España)")
+     */
+    getLocaleName(locale) {
+        try {
+            const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+            return name ? name.charAt(0).toLocaleUpperCase(locale) + name.slice(1) : locale;
+        } catch (error) {
+            return locale;
+        }
+    }
+
+    /**
+     * Fill a container with a language <select>; stays hidden when only one locale is offered
+     */
+    renderSwitcher(container) {
+        if (!container) return;
+
+        const supported = this.getSupportedLocales();
+        container.innerHTML = '';
+        container.hidden = supported.length < 2;
+        if (container.hidden) return;
+
+        const label = document.createElement('label');
+        label.className = 'sr-only';
+        label.htmlFor = 'language-select';
+        this.localize(label, 'language.label');
+
+        const select = document.createElement('select');
+        select.id = 'language-select';
+        select.className = 'language-select';
+        supported.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = this.getLocaleName(locale);
+            option.selected = locale === this.locale;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => this.setLocale(select.value));
+        this.onChange(locale => { select.value = locale; });
+
+        container.appendChild(label);
+        container.appendChild(select);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Localizer;
+} else {
+    window.Localizer = Localizer;
+}
@@ -9,6 +9,7 @@ class CompatibilityTestApp {
         this.testEngine = null;
         this.currentView = 'landing';
         this.testResults = new Map();
+        this.localeReady = null;
         
         this.init();
     }
@@ -18,6 +19,7 @@ class CompatibilityTestApp {
      */
     init() {
         this.setupEventListeners();
+        this.initializeCapabilityDB();
         this.initializeBrowserDetection();
         this.updateOnlineStatus();
         this.setupOfflineDetection();
@@ -38,6 +40,12 @@ class CompatibilityTestApp {
             });
         }
 
+        // ?benchmark=1 pre-selects the opt-in benchmark
+        const benchmarkToggle = document.getElementById('run-benchmark');
+        if (benchmarkToggle && new URLSearchParams(window.location.search).get('benchmark') === '1') {
+            benchmarkToggle.checked = true;
+        }
+
         // Keyboard accessibility
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
@@ -57,6 +65,38 @@ class CompatibilityTestApp {
         });
     }
 
+    /**
+     * Load the admin-exported capability DB used for guidance, reference links and UI strings
+     */
+    initializeCapabilityDB() {
+        window.capabilityDB = new CapabilityDatabase();
+        window.localizer = new Localizer({ db: window.capabilityDB });
+        this.localeReady = window.capabilityDB.load().then(() => {
+            const locale = window.localizer.init();
+            window.localizer.renderSwitcher(document.getElementById('language-switcher'));
+            console.log(`🌍 UI language: ${locale}`);
+
+            const browserInfo = this.browserDetector ? this.browserDetector.browserInfo : {};
+            const systemInfo = this.browserDetector ? this.browserDetector.systemInfo : {};
+            window.capabilityDB.setContext(browserInfo, navigator.userAgent, locale, systemInfo && systemInfo.os);
+
+            // ?game=<id> or ?profile=<url> turns the results into a "Can I run this game?" verdict
+            return RequirementProfile.fromLocation(window.location.search, window.capabilityDB);
+        }).then(profile => {
+            window.requirementProfile = profile;
+            if (profile) {
+                console.log(`🎯 Requirement profile: ${profile.title}`);
+            }
+        });
+    }
+
+    /**
+     * Translate a UI message through the shared localizer
+     */
+    t(key, params = {}) {
+        return window.localizer ? window.localizer.t(key, params) : key;
+    }
+
     /**
      * Initialize browser detection
      */
@@ -75,7 +115,8 @@ class CompatibilityTestApp {
             
         } catch (error) {
             console.error('❌ Failed to initialize browser detection:', error);
-            this.showError('Failed to detect browser information. Some features may not work correctly.');
+            // Wait for the UI strings before reporting
+            this.localeReady.then(() => this.showError(this.t('error.browserDetection')));
         }
     }
 
@@ -121,7 +162,7 @@ class CompatibilityTestApp {
             text.className = 'warning-text';
             
             const h3 = document.createElement('h3');
-            h3.textContent = 'Compatibility Issues Detected';
+            h3.textContent = this.t('warnings.title');
             
             const ul = document.createElement('ul');
             criticalIssues.forEach(issue => {
@@ -237,7 +278,7 @@ class CompatibilityTestApp {
                 startButton.disabled = true;
                 startButton.classList.add('loading');
                 const originalText = startButton.querySelector('.button-text').textContent;
-                startButton.querySelector('.button-text').textContent = 'Initializing...';
+                startButton.querySelector('.button-text').textContent = this.t('common.initializing');
                 
                 // Restore button after a short delay (for better UX)
                 setTimeout(() => {
@@ -252,10 +293,19 @@ class CompatibilityTestApp {
             
         } catch (error) {
             console.error('❌ Failed to start compatibility test:', error);
-            this.showError('Failed to start the compatibility test. Please try again.');
+            this.showError(this.t('error.startFailed'));
         }
     }
 
+    /**
+     * The frame-pacing benchmark is opt-in: the landing checkbox or ?benchmark=1
+     */
+    isBenchmarkRequested() {
+        const checkbox = document.getElementById('run-benchmark');
+        if (checkbox && checkbox.checked) return true;
+        return new URLSearchParams(window.location.search).get('benchmark') === '1';
+    }
+
     /**
      * Navigate to test view - Phase 2 Implementation
      */
@@ -263,13 +313,16 @@ class CompatibilityTestApp {
         console.log('📋 Navigating to test view...');
         
         try {
+            // The interfaces render their strings from the DB messages
+            await this.localeReady;
+
             // Initialize testing interface if not already created
             if (!window.testingInterface) {
                 window.testingInterface = new TestingInterface();
             }
             
             // Show the testing interface
-            await window.testingInterface.show();
+            await window.testingInterface.show({ benchmark: this.isBenchmarkRequested() });
             
             // Update current view
             this.navigateToView('testing');
@@ -288,7 +341,7 @@ class CompatibilityTestApp {
             
         } catch (error) {
             console.error('❌ Error in navigateToTestView:', error);
-            this.showError('Unable to start test. Please refresh the page and try again.');
+            this.showError(this.t('error.navigateFailed'));
         }
     }
 
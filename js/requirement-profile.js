@@ -0,0 +1,279 @@
+/**
+ * Game Requirement Profile
+ * Evaluates the per-test results against one game's required and recommended capabilities
+ * ("Can I run this game?"): ready, playable with degraded features, or not supported
+ */
+
+class RequirementProfile {
+    /**
+     * @param {Object} profile
+     * @param {string} profile.id - Slug used by ?game=<id>
+     * @param {string} profile.title - Game title (titleLocalized for translations)
+     * @param {Object} profile.required - Requirements whose failure means "not supported"
+     * @param {Object} profile.recommended - Requirements whose failure means "degraded"
+     *   Both take: tests: detectorKey[], webgl: {minVersion, limits}, webgpu: {limits, features},
+     *   wasm: feature[] (see WASM_FEATURES and WASM_MATRIX_FEATURES), benchmarks: {detectorKey: minimum rating}
+     */
+    constructor(profile = {}) {
+        this.id = profile.id;
+        this.title = profile.title;
+        this.titleLocalized = profile.titleLocalized || {};
+        this.required = profile.required || {};
+        this.recommended = profile.recommended || {};
+    }
+
+    /**
+     * WebAssembly feature names and the tests that detect them
+     */
+    static get WASM_FEATURES() {
+        return {
+            core: 'webassembly.support',
+            simd: 'wasm.simd.support',
+            threads: 'wasm.threads.support',
+            memory: 'wasm.memory.management'
+        };
+    }
+
+    /**
+     * Post-MVP WebAssembly features reported by the wasm.features matrix
+     */
+    static get WASM_MATRIX_FEATURES() {
+        return ['bulkMemory', 'referenceTypes', 'multiValue', 'exceptions', 'tailCalls', 'gc', 'extendedConst', 'relaxedSimd', 'memory64', 'jspi'];
+    }
+
+    /**
+     * Benchmark ratings from worst to best (result.performance.rating)
+     */
+    static get RATINGS() {
+        return ['poor', 'fair', 'good', 'excellent'];
+    }
+
+    /**
+     * Problems with a profile's shape, empty when valid
+     */
+    static validate(profile) {
+        const errors = [];
+        if (!profile || typeof profile !== 'object') {
+            return ['Profile is not a JSON object'];
+        }
+        if (!profile.id || typeof profile.id !== 'string') errors.push('Profile id is required');
+        if (!profile.title || typeof profile.title !== 'string') errors.push('Profile title is required');
+
+        ['required', 'recommended'].forEach(level => {
+            const section = profile[level];
+            if (section === undefined) return;
+            if (typeof section !== 'object' || section === null) {
+                errors.push(`"${level}" must be an object`);
+                return;
+            }
+
+            if (section.tests !== undefined && !(Array.isArray(section.tests) && section.tests.every(key => typeof key === 'string'))) {
+                errors.push(`${level}.tests must be a list of detectorKeys`);
+            }
+            if (section.webgl && section.webgl.minVersion !== undefined && ![1, 2].includes(section.webgl.minVersion)) {
+                errors.push(`${level}.webgl.minVersion must be 1 or 2`);
+            }
+            ['webgl', 'webgpu'].forEach(api => {
+                const limits = section[api] && section[api].limits;
+                Object.entries(limits || {}).forEach(([name, value]) => {
+                    if (typeof value !== 'number') errors.push(`${level}.${api}.limits.${name} must be a number`);
+                });
+            });
+            if (section.webgpu && section.webgpu.features !== undefined && !Array.isArray(section.webgpu.features)) {
+                errors.push(`${level}.webgpu.features must be a list`);
+            }
+            (section.wasm || []).forEach(feature => {
+                if (!RequirementProfile.WASM_FEATURES[feature] && !RequirementProfile.WASM_MATRIX_FEATURES.includes(feature)) errors.push(`Unknown WebAssembly feature "${feature}"`);
+            });
+            Object.entries(section.benchmarks || {}).forEach(([key, rating]) => {
+                if (!RequirementProfile.RATINGS.includes(rating)) errors.push(`${level}.benchmarks.${key} must be one of: ${RequirementProfile.RATINGS.join(', ')}`);
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Profile selected by the page URL: ?game=<DB profile id> or ?profile=<profile JSON URL>
+     * @returns {Promise<RequirementProfile|null>} null when none is requested or it cannot be loaded
+     */
+    static async fromLocation(search, db = null) {
+        const params = new URLSearchParams(search || '');
+        const gameId = params.get('game');
+        const profileUrl = params.get('profile');
+
+        try {
+            let data = null;
+            if (profileUrl) {
+                const response = await fetch(profileUrl, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} loading ${profileUrl}`);
+                }
+                data = await response.json();
+            } else if (gameId) {
+                data = db ? db.findProfile(gameId) : null;
+                if (!data) {
+                    throw new Error(`No requirement profile "${gameId}" in the capability DB`);
+                }
+            } else {
+                return null;
+            }
+
+            const errors = RequirementProfile.validate(data);
+            if (errors.length > 0) {
+                throw new Error(`Invalid requirement profile: ${errors.join('; ')}`);
+            }
+            return new RequirementProfile(data);
+        } catch (error) {
+            console.warn('⚠️ Requirement profile unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Evaluate per-test results against the profile
+     * @param {Array} results - Result objects with detectorKey, status and the test's extra data
+     * @returns {{verdict: string, checks: Array}} verdict is 'ready', 'degraded' or 'unsupported';
+     *   each check is {level, type, key, expected, actual, outcome: 'met'|'partial'|'unmet'|'untested'}
+     */
+    evaluate(results = []) {
+        const byKey = new Map(results.map(result => [result.detectorKey, result]));
+        const checks = [
+            ...this.buildChecks('required', this.required, byKey),
+            ...this.buildChecks('recommended', this.recommended, byKey)
+        ];
+
+        const failedRequired = checks.some(check => check.level === 'required' && check.outcome === 'unmet');
+        const degraded = checks.some(check => check.outcome !== 'met');
+
+        return {
+            profileId: this.id,
+            verdict: failedRequired ? 'unsupported' : (degraded ? 'degraded' : 'ready'),
+            checks
+        };
+    }
+
+    /**
+     * WebGPU thresholds for WebGPUTests from the profile's webgpu sections: the higher limit
+     * of required and recommended wins and their features are combined
+     * @returns {Object|undefined} {limits, features}, undefined when the profile sets no WebGPU requirements
+     */
+    getWebGPUThresholds() {
+        const sections = [this.required.webgpu, this.recommended.webgpu].filter(Boolean);
+        if (sections.length === 0) return undefined;
+
+        const limits = {};
+        const features = new Set();
+        sections.forEach(section => {
+            Object.entries(section.limits || {}).forEach(([name, minimum]) => {
+                limits[name] = Math.max(limits[name] || 0, minimum);
+            });
+            (section.features || []).forEach(feature => features.add(feature));
+        });
+        return { limits, features: [...features] };
+    }
+
+    buildChecks(level, section, byKey) {
+        const checks = [];
+        const add = (type, key, expected, actual, outcome) => checks.push({ level, type, key, expected, actual, outcome });
+
+        (section.tests || []).forEach(key => {
+            const result = byKey.get(key);
+            add('test', key, 'supported', result ? result.status : null, RequirementProfile.statusOutcome(result));
+        });
+
+        if (section.webgl) {
+            if (section.webgl.minVersion) {
+                const key = section.webgl.minVersion === 2 ? 'webgl.20.support' : 'webgl.10.support';
+                const result = byKey.get(key);
+                add('webgl', 'version', section.webgl.minVersion, result ? result.status : null, RequirementProfile.statusOutcome(result));
+            }
+
+            const limits = {
+                ...RequirementProfile.collectLimits(byKey, ['webgl.10.support', 'webgl.20.support'], 'capabilities'),
+                ...RequirementProfile.collectLimits(byKey, ['webgl.capability.profile'], 'limits')
+            };
+            Object.entries(section.webgl.limits || {}).forEach(([name, minimum]) => {
+                add('webgl', name, minimum, limits[name] ?? null, RequirementProfile.limitOutcome(limits[name], minimum));
+            });
+        }
+
+        if (section.webgpu) {
+            const support = byKey.get('webgpu.support');
+            add('webgpu', 'support', 'supported', support ? support.status : null, RequirementProfile.statusOutcome(support));
+
+            const limits = RequirementProfile.collectLimits(byKey, ['webgpu.adapter.info', 'webgpu.device.features'], 'limits');
+            Object.entries(section.webgpu.limits || {}).forEach(([name, minimum]) => {
+                add('webgpu', name, minimum, limits[name] ?? null, RequirementProfile.limitOutcome(limits[name], minimum));
+            });
+
+            const adapter = byKey.get('webgpu.adapter.info');
+            const features = adapter && Array.isArray(adapter.features) ? adapter.features : null;
+            (section.webgpu.features || []).forEach(feature => {
+                const outcome = features === null ? 'untested' : (features.includes(feature) ? 'met' : 'unmet');
+                add('webgpu-feature', feature, true, features === null ? null : features.includes(feature), outcome);
+            });
+        }
+
+        const matrix = byKey.get('wasm.features');
+        (section.wasm || []).forEach(feature => {
+            if (!RequirementProfile.WASM_FEATURES[feature]) {
+                const supported = matrix && matrix.features ? matrix.features[feature] : undefined;
+                const outcome = typeof supported !== 'boolean' ? 'untested' : (supported ? 'met' : 'unmet');
+                add('wasm', feature, true, typeof supported === 'boolean' ? supported : null, outcome);
+                return;
+            }
+            const result = byKey.get(RequirementProfile.WASM_FEATURES[feature]);
+            add('wasm', feature, 'supported', result ? result.status : null, RequirementProfile.statusOutcome(result));
+        });
+
+        Object.entries(section.benchmarks || {}).forEach(([key, minimum]) => {
+            const result = byKey.get(key);
+            const rating = result && result.performance ? result.performance.rating : null;
+            const ratings = RequirementProfile.RATINGS;
+            // Below the minimum rating the game still runs, just not smoothly
+            const outcome = !result ? 'untested'
+                : !rating ? 'unmet'
+                : ratings.indexOf(rating) >= ratings.indexOf(minimum) ? 'met' : 'partial';
+            add('benchmark', key, minimum, rating, outcome);
+        });
+
+        return checks;
+    }
+
+    /**
+     * Supported → met, partial → partial, unsupported/error/skipped → unmet, no result → untested
+     */
+    static statusOutcome(result) {
+        if (!result) return 'untested';
+        if (result.status === 'supported') return 'met';
+        if (result.status === 'partial') return 'partial';
+        return 'unmet';
+    }
+
+    static limitOutcome(actual, minimum) {
+        if (typeof actual !== 'number') return 'untested';
+        return actual >= minimum ? 'met' : 'unmet';
+    }
+
+    /**
+     * Numeric limits reported by several tests (later tests win)
+     */
+    static collectLimits(byKey, detectorKeys, field) {
+        const limits = {};
+        detectorKeys.forEach(key => {
+            const result = byKey.get(key);
+            Object.entries((result && result[field]) || {}).forEach(([name, value]) => {
+                if (typeof value === 'number') limits[name] = value;
+            });
+        });
+        return limits;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequirementProfile;
+} else {
+    window.RequirementProfile = RequirementProfile;
+}
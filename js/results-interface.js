@@ -11,6 +11,13 @@ class ResultsInterface {
         
         this.initializeInterface();
         this.setupEventListeners();
+        
+        // Static labels re-render through data-i18n; the rendered results are rebuilt
+        if (window.localizer) {
+            window.localizer.onChange(() => {
+                if (!this.container.classList.contains('hidden')) this.render();
+            });
+        }
     }
 
     /**
@@ -24,17 +31,19 @@ class ResultsInterface {
         
         this.container.innerHTML = `
             <div class="results-header">
-                <h2>📊 Compatibility Test Results</h2>
+                <h2>📊 ${this.label('results.title')}</h2>
                 <div class="results-actions">
-                    <button id="share-results" class="btn-secondary">📤 Share</button>
-                    <button id="print-results" class="btn-secondary">🖨️ Print</button>
-                    <button id="back-to-testing" class="btn-outline">← Back to Testing</button>
+                    <button id="share-results" class="btn-secondary">📤 ${this.label('results.share')}</button>
+                    <button id="print-results" class="btn-secondary">🖨️ ${this.label('results.print')}</button>
+                    <button id="back-to-testing" class="btn-outline" data-i18n="results.backToTesting">${this.t('results.backToTesting')}</button>
                 </div>
             </div>
 
+            <div class="profile-verdict hidden" id="profile-verdict"></div>
+
             <div class="results-summary">
                 <div class="summary-card overall-score">
-                    <h3>Overall Score</h3>
+                    <h3 data-i18n="results.overallScore">${this.t('results.overallScore')}</h3>
                     <div class="score-display">
                         <div class="score-circle" id="overall-score-circle">
                             <span id="overall-score-text">0%</span>
@@ -45,19 +54,19 @@ class ResultsInterface {
 
                 <div class="summary-cards">
                     <div class="summary-card">
-                        <h4>✅ Fully Supported</h4>
+                        <h4>✅ ${this.label('results.status.supported')}</h4>
                         <div class="metric-value" id="supported-count">0</div>
                     </div>
                     <div class="summary-card">
-                        <h4>⚠️ Partially Supported</h4>
+                        <h4>⚠️ ${this.label('results.status.partial')}</h4>
                         <div class="metric-value" id="partial-count">0</div>
                     </div>
                     <div class="summary-card">
-                        <h4>❌ Not Supported</h4>
+                        <h4>❌ ${this.label('results.status.unsupported')}</h4>
                         <div class="metric-value" id="unsupported-count">0</div>
                     </div>
                     <div class="summary-card">
-                        <h4>🚨 Errors</h4>
+                        <h4>🚨 ${this.label('results.errors')}</h4>
                         <div class="metric-value" id="error-count">0</div>
                     </div>
                 </div>
@@ -65,33 +74,33 @@ class ResultsInterface {
 
             <div class="results-controls">
                 <div class="filter-controls">
-                    <label for="filter-select">Filter by Status:</label>
+                    <label for="filter-select" data-i18n="results.filterLabel">${this.t('results.filterLabel')}</label>
                     <select id="filter-select">
-                        <option value="all">All Tests</option>
-                        <option value="supported">Fully Supported</option>
-                        <option value="partial">Partially Supported</option>
-                        <option value="unsupported">Not Supported</option>
-                        <option value="error">Errors</option>
+                        <option value="all" data-i18n="results.filter.all">${this.t('results.filter.all')}</option>
+                        <option value="supported" data-i18n="results.status.supported">${this.t('results.status.supported')}</option>
+                        <option value="partial" data-i18n="results.status.partial">${this.t('results.status.partial')}</option>
+                        <option value="unsupported" data-i18n="results.status.unsupported">${this.t('results.status.unsupported')}</option>
+                        <option value="error" data-i18n="results.errors">${this.t('results.errors')}</option>
                     </select>
                 </div>
                 
                 <div class="sort-controls">
-                    <label for="sort-select">Sort by:</label>
+                    <label for="sort-select" data-i18n="results.sortLabel">${this.t('results.sortLabel')}</label>
                     <select id="sort-select">
-                        <option value="category">Category</option>
-                        <option value="name">Name</option>
-                        <option value="status">Status</option>
-                        <option value="score">Score</option>
+                        <option value="category" data-i18n="results.sort.category">${this.t('results.sort.category')}</option>
+                        <option value="name" data-i18n="results.sort.name">${this.t('results.sort.name')}</option>
+                        <option value="status" data-i18n="results.sort.status">${this.t('results.sort.status')}</option>
+                        <option value="score" data-i18n="results.sort.score">${this.t('results.sort.score')}</option>
                     </select>
                 </div>
                 
                 <div class="view-controls">
-                    <button id="toggle-view" class="btn-outline">📋 List View</button>
+                    <button id="toggle-view" class="btn-outline">📋 ${this.label('results.listView')}</button>
                 </div>
             </div>
 
             <div class="category-analysis">
-                <h3>📈 Category Analysis</h3>
+                <h3>📈 ${this.label('results.categoryAnalysis')}</h3>
                 <div id="category-charts"></div>
             </div>
 
@@ -100,12 +109,12 @@ class ResultsInterface {
             </div>
 
             <div class="recommendations">
-                <h3>💡 Recommendations</h3>
+                <h3>💡 ${this.label('results.recommendations')}</h3>
                 <div id="recommendations-content"></div>
             </div>
 
             <div class="system-info">
-                <h3>🖥️ System Information</h3>
+                <h3>🖥️ ${this.label('results.systemInfo')}</h3>
                 <div id="system-info-content"></div>
             </div>
         `;
@@ -139,6 +148,14 @@ class ResultsInterface {
         
         this.container.classList.remove('hidden');
         
+        this.render();
+    }
+
+    /**
+     * Render every results section for the current locale
+     */
+    render() {
+        this.renderVerdict();
         this.renderResults();
         this.renderSummary();
         this.renderCategoryAnalysis();
@@ -153,6 +170,94 @@ class ResultsInterface {
         this.container.classList.add('hidden');
     }
 
+    /**
+     * Render the "Can I run this game?" verdict for the requirement profile from the URL
+     */
+    renderVerdict() {
+        const container = document.getElementById('profile-verdict');
+        const profile = window.requirementProfile;
+        if (!profile) {
+            container.className = 'profile-verdict hidden';
+            container.innerHTML = '';
+            return;
+        }
+
+        const { verdict, checks } = profile.evaluate(this.results);
+        const game = this.getProfileTitle(profile);
+        const icons = { ready: '✅', degraded: '⚠️', unsupported: '❌' };
+        const issues = checks.filter(check => check.outcome !== 'met');
+
+        const issueItems = issues.map(check => `
+            <li class="verdict-check outcome-${check.outcome}">
+                <span class="check-level">${this.escapeHtml(this.t(`profile.level.${check.level}`))}</span>
+                <span class="check-label">${this.escapeHtml(this.formatProfileCheck(check))}</span>
+                <span class="check-outcome">${this.escapeHtml(this.t(`profile.outcome.${check.outcome}`))}</span>
+            </li>
+        `).join('');
+
+        container.className = `profile-verdict verdict-${verdict}`;
+        container.innerHTML = `
+            <div class="verdict-header">
+                <span class="verdict-icon">${icons[verdict]}</span>
+                <div class="verdict-text">
+                    <h3>${this.escapeHtml(this.t('profile.title', { game }))}</h3>
+                    <p class="verdict-label">${this.escapeHtml(this.t(`profile.verdict.${verdict}`))}</p>
+                    <p class="verdict-detail">${this.escapeHtml(this.t(`profile.verdictDetail.${verdict}`, { game }))}</p>
+                </div>
+            </div>
+            ${issues.length > 0
+                ? `<ul class="verdict-checks">${issueItems}</ul>`
+                : `<p class="verdict-all-met">${this.escapeHtml(this.t('profile.allMet', { count: checks.length }))}</p>`}
+        `;
+    }
+
+    /**
+     * Describe one profile check, with the measured value when there is one
+     */
+    formatProfileCheck(check) {
+        const testTitle = (key) => this.getTestTitle({ detectorKey: key, name: key });
+        let label;
+        switch (check.type) {
+            case 'webgl':
+                label = check.key === 'version'
+                    ? this.t('profile.check.webglVersion', { version: check.expected })
+                    : this.t('profile.check.limit', { api: 'WebGL', name: check.key, expected: check.expected });
+                break;
+            case 'webgpu':
+                label = check.key === 'support'
+                    ? testTitle('webgpu.support')
+                    : this.t('profile.check.limit', { api: 'WebGPU', name: check.key, expected: check.expected });
+                break;
+            case 'webgpu-feature':
+                label = this.t('profile.check.feature', { name: check.key });
+                break;
+            case 'wasm':
+                label = this.t('profile.check.wasm', { feature: check.key });
+                break;
+            case 'benchmark':
+                label = this.t('profile.check.benchmark', { test: testTitle(check.key), rating: this.t(`profile.rating.${check.expected}`) });
+                break;
+            default:
+                label = testTitle(check.key);
+        }
+
+        if (check.type === 'benchmark' && check.actual) {
+            return `${label} (${this.t('profile.found', { value: this.t(`profile.rating.${check.actual}`) })})`;
+        }
+        if (typeof check.actual === 'number') {
+            return `${label} (${this.t('profile.found', { value: check.actual })})`;
+        }
+        return label;
+    }
+
+    /**
+     * Game title in the UI language
+     */
+    getProfileTitle(profile) {
+        const localized = window.capabilityDB ? window.capabilityDB.pickLocalized(profile.titleLocalized, this.getLocale()) : null;
+        return localized || profile.title;
+    }
+
     /**
      * Render the main results summary
      */
@@ -160,8 +265,8 @@ class ResultsInterface {
         const summary = this.calculateSummary();
         
         // Update overall score
-        document.getElementById('overall-score-text').textContent = `${summary.overallScore}%`;
-        this.updateScoreCircle(summary.overallScore);
+        document.getElementById('overall-score-text').textContent = `${summary.score}%`;
+        this.updateScoreCircle(summary);
         
         // Update count cards
         document.getElementById('supported-count').textContent = summary.supported;
@@ -173,57 +278,47 @@ class ResultsInterface {
         const breakdown = document.getElementById('score-breakdown');
         breakdown.innerHTML = `
             <div class="breakdown-item">
-                <span class="breakdown-label">Supported:</span>
+                <span class="breakdown-label">${this.t('results.breakdown.supported')}</span>
                 <span class="breakdown-value">${summary.supported}/${summary.total}</span>
             </div>
             <div class="breakdown-item">
-                <span class="breakdown-label">Partial:</span>
+                <span class="breakdown-label">${this.t('results.breakdown.partial')}</span>
                 <span class="breakdown-value">${summary.partial}/${summary.total}</span>
             </div>
+            ${summary.blocked ? `<div class="breakdown-item blocked">${this.escapeHtml(this.t('score.blocked', {
+                tests: summary.blockedBy.map(key => this.getTestTitle(this.results.find(r => r.detectorKey === key) || { detectorKey: key, name: key })).join(', ')
+            }))}</div>` : ''}
         `;
     }
 
     /**
      * Update the score circle visualization
      */
-    updateScoreCircle(score) {
+    updateScoreCircle(summary) {
         const circle = document.getElementById('overall-score-circle');
-        circle.className = 'score-circle';
-        
-        if (score >= 80) {
-            circle.classList.add('excellent');
-        } else if (score >= 60) {
-            circle.classList.add('good');
-        } else if (score >= 40) {
-            circle.classList.add('fair');
-        } else {
-            circle.classList.add('poor');
-        }
+        circle.className = `score-circle ${summary.grade}`;
         
         // Animate the circular progress
-        circle.style.setProperty('--progress', `${(score / 100) * 360}deg`);
+        circle.style.setProperty('--progress', `${(summary.score / 100) * 360}deg`);
     }
 
     /**
      * Render category analysis charts
      */
     renderCategoryAnalysis() {
-        const categories = this.groupByCategory();
+        const categories = this.calculateSummary().categories;
         const chartsContainer = document.getElementById('category-charts');
         
         chartsContainer.innerHTML = '';
         
-        Object.entries(categories).forEach(([category, results]) => {
+        Object.entries(categories).forEach(([category, summary]) => {
             const categoryCard = document.createElement('div');
             categoryCard.className = 'category-card';
             
-            const summary = this.calculateCategorySummary(results);
-            const score = Math.round(((summary.supported + summary.partial * 0.5) / summary.total) * 100);
-            
             categoryCard.innerHTML = `
                 <div class="category-header">
                     <h4>${this.getCategoryIcon(category)} ${this.formatCategoryName(category)}</h4>
-                    <span class="category-score ${this.getScoreClass(score)}">${score}%</span>
+                    <span class="category-score ${summary.grade}">${summary.score}%</span>
                 </div>
                 <div class="category-bars">
                     <div class="status-bar">
@@ -253,7 +348,7 @@ class ResultsInterface {
         resultsContainer.innerHTML = '';
         
         if (filteredResults.length === 0) {
-            resultsContainer.innerHTML = '<div class="no-results">No results match the current filter.</div>';
+            resultsContainer.innerHTML = `<div class="no-results">${this.escapeHtml(this.t('results.noResults'))}</div>`;
             return;
         }
         
@@ -264,7 +359,7 @@ class ResultsInterface {
             resultCard.innerHTML = `
                 <div class="result-header">
                     <div class="result-title">
-                        <span class="result-name">${result.name}</span>
+                        <span class="result-name">${this.escapeHtml(this.getTestTitle(result))}</span>
                         <span class="result-category">${this.formatCategoryName(result.category)}</span>
                     </div>
                     <div class="result-status ${result.status}">
@@ -290,28 +385,28 @@ class ResultsInterface {
         let additionalData = '';
         
         // WebGL specific data
-        if (result.capabilities && result.name.includes('WebGL')) {
+        if (result.capabilities && result.detectorKey?.startsWith('webgl.')) {
             additionalData += `
                 <div class="result-technical">
-                    <strong>Technical Details:</strong>
+                    <strong>${this.t('results.tech.details')}</strong>
                     <div class="tech-details">
-                        <div>Renderer: ${result.capabilities.renderer || 'Unknown'}</div>
-                        <div>Version: ${result.capabilities.version || 'Unknown'}</div>
-                        ${result.capabilities.maxTextureSize ? `<div>Max Texture Size: ${result.capabilities.maxTextureSize}</div>` : ''}
+                        <div>${this.t('results.tech.renderer', { value: result.capabilities.renderer || this.t('common.unknown') })}</div>
+                        <div>${this.t('results.tech.version', { value: result.capabilities.version || this.t('common.unknown') })}</div>
+                        ${result.capabilities.maxTextureSize ? `<div>${this.t('results.tech.maxTextureSize', { value: result.capabilities.maxTextureSize })}</div>` : ''}
                     </div>
                 </div>
             `;
         }
         
         // WebGPU specific data
-        if (result.adapterInfo && result.name.includes('WebGPU')) {
+        if (result.adapterInfo && result.detectorKey?.startsWith('webgpu.')) {
             additionalData += `
                 <div class="result-technical">
-                    <strong>Adapter Information:</strong>
+                    <strong>${this.t('results.tech.adapter')}</strong>
                     <div class="tech-details">
-                        <div>Vendor: ${result.adapterInfo.vendor}</div>
-                        <div>Device: ${result.adapterInfo.device}</div>
-                        <div>Architecture: ${result.adapterInfo.architecture}</div>
+                        <div>${this.t('results.tech.vendor', { value: result.adapterInfo.vendor })}</div>
+                        <div>${this.t('results.tech.device', { value: result.adapterInfo.device })}</div>
+                        <div>${this.t('results.tech.architecture', { value: result.adapterInfo.architecture })}</div>
                     </div>
                 </div>
             `;
@@ -321,10 +416,10 @@ class ResultsInterface {
         if (result.performance) {
             additionalData += `
                 <div class="result-technical">
-                    <strong>Performance:</strong>
+                    <strong>${this.t('results.tech.performance')}</strong>
                     <div class="tech-details">
-                        ${result.performance.drawCallsPerSecond ? `<div>Draw Calls/sec: ${result.performance.drawCallsPerSecond}</div>` : ''}
-                        ${result.performance.rating ? `<div>Rating: ${result.performance.rating}</div>` : ''}
+                        ${result.performance.drawCallsPerSecond ? `<div>${this.t('results.tech.drawCalls', { value: result.performance.drawCallsPerSecond })}</div>` : ''}
+                        ${result.performance.rating ? `<div>${this.t('results.tech.rating', { value: result.performance.rating })}</div>` : ''}
                     </div>
                 </div>
             `;
@@ -336,10 +431,10 @@ class ResultsInterface {
             if (supportedExtensions.length > 0) {
                 additionalData += `
                     <div class="result-technical">
-                        <strong>Supported Extensions:</strong>
+                        <strong>${this.t('results.tech.extensions')}</strong>
                         <div class="extensions-list">
                             ${supportedExtensions.slice(0, 5).map(ext => `<span class="extension-tag">${ext}</span>`).join('')}
-                            ${supportedExtensions.length > 5 ? `<span class="extension-more">+${supportedExtensions.length - 5} more</span>` : ''}
+                            ${supportedExtensions.length > 5 ? `<span class="extension-more">${this.t('results.tech.more', { count: supportedExtensions.length - 5 })}</span>` : ''}
                         </div>
                     </div>
                 `;
@@ -361,10 +456,10 @@ class ResultsInterface {
                 <div class="recommendation-header">
                     <span class="recommendation-icon">${rec.icon}</span>
                     <h4>${rec.title}</h4>
-                    <span class="recommendation-priority ${rec.priority}">${rec.priority}</span>
+                    <span class="recommendation-priority ${rec.priority}">${this.t(`priority.${rec.priority}`)}</span>
                 </div>
                 <div class="recommendation-content">
-                    <p>${rec.description}</p>
+                    ${rec.contentHtml ? `<div class="recommendation-body">${rec.contentHtml}</div>` : `<p>${rec.description}</p>`}
                     ${rec.actions ? `
                         <div class="recommendation-actions">
                             ${rec.actions.map(action => `<button class="btn-small">${action}</button>`).join('')}
@@ -384,36 +479,36 @@ class ResultsInterface {
         container.innerHTML = `
             <div class="system-info-grid">
                 <div class="info-item">
-                    <label>Browser:</label>
+                    <label>${this.t('system.browser')}</label>
                     <span>${this.getBrowserInfo()}</span>
                 </div>
                 <div class="info-item">
-                    <label>Platform:</label>
+                    <label>${this.t('system.platform')}</label>
                     <span>${navigator.platform}</span>
                 </div>
                 <div class="info-item">
-                    <label>Screen Resolution:</label>
+                    <label>${this.t('system.screen')}</label>
                     <span>${screen.width}×${screen.height}</span>
                 </div>
                 <div class="info-item">
-                    <label>Viewport:</label>
+                    <label>${this.t('system.viewport')}</label>
                     <span>${window.innerWidth}×${window.innerHeight}</span>
                 </div>
                 <div class="info-item">
-                    <label>Color Depth:</label>
-                    <span>${screen.colorDepth}-bit</span>
+                    <label>${this.t('system.colorDepth')}</label>
+                    <span>${this.t('system.colorDepthValue', { bits: screen.colorDepth })}</span>
                 </div>
                 <div class="info-item">
-                    <label>Device Memory:</label>
-                    <span>${navigator.deviceMemory || 'Unknown'} GB</span>
+                    <label>${this.t('system.memory')}</label>
+                    <span>${this.t('system.memoryValue', { value: navigator.deviceMemory || this.t('common.unknown') })}</span>
                 </div>
                 <div class="info-item">
-                    <label>Hardware Concurrency:</label>
-                    <span>${navigator.hardwareConcurrency || 'Unknown'} cores</span>
+                    <label>${this.t('system.cores')}</label>
+                    <span>${this.t('system.coresValue', { count: navigator.hardwareConcurrency || this.t('common.unknown') })}</span>
                 </div>
                 <div class="info-item">
-                    <label>Test Date:</label>
-                    <span>${new Date().toLocaleString()}</span>
+                    <label>${this.t('system.testDate')}</label>
+                    <span>${new Date().toLocaleString(this.getLocale())}</span>
                 </div>
             </div>
         `;
@@ -427,29 +522,19 @@ class ResultsInterface {
         const summary = this.calculateSummary();
         
         // Overall score recommendations
-        if (summary.overallScore < 50) {
+        if (summary.score < 50) {
             recommendations.push({
                 type: 'warning',
                 icon: '⚠️',
-                title: 'Limited Gaming Compatibility',
+                title: this.t('rec.limited.title'),
                 priority: 'high',
-                description: 'Your browser has limited support for modern gaming technologies. Consider updating your browser or using a more modern alternative.',
-                actions: ['Update Browser', 'Try Chrome/Firefox']
+                description: this.t('rec.limited.description'),
+                actions: [this.t('rec.limited.updateBrowser'), this.t('rec.limited.tryOther')]
             });
         }
         
-        // WebGL recommendations
-        const webglResults = this.results.filter(r => r.name.includes('WebGL'));
-        if (webglResults.some(r => r.status === 'unsupported')) {
-            recommendations.push({
-                type: 'error',
-                icon: '🎨',
-                title: 'Graphics Support Issues',
-                priority: 'high',
-                description: 'WebGL is not supported, which will prevent most browser games from working. This may be due to hardware limitations or disabled graphics acceleration.',
-                actions: ['Enable Hardware Acceleration', 'Update Graphics Drivers']
-            });
-        }
+        // Solutions from the capability DB for each failing test
+        recommendations.push(...this.generateSolutionRecommendations());
         
         // Performance recommendations
         const performanceIssues = this.results.filter(r => r.performance && r.performance.rating === 'poor');
@@ -457,10 +542,10 @@ class ResultsInterface {
             recommendations.push({
                 type: 'warning',
                 icon: '⚡',
-                title: 'Performance Optimization',
+                title: this.t('rec.performance.title'),
                 priority: 'medium',
-                description: 'Some graphics performance tests showed poor results. This may affect gaming performance.',
-                actions: ['Close Other Tabs', 'Update Graphics Drivers']
+                description: this.t('rec.performance.description'),
+                actions: [this.t('rec.performance.closeTabs'), this.t('rec.performance.updateDrivers')]
             });
         }
         
@@ -471,21 +556,21 @@ class ResultsInterface {
             recommendations.push({
                 type: 'info',
                 icon: '🎮',
-                title: 'Enhanced Gaming Features',
+                title: this.t('rec.gaming.title'),
                 priority: 'low',
-                description: 'Some advanced gaming APIs are not supported. While basic games will work, some features like gamepad input or advanced audio may not be available.',
-                actions: ['Learn More About Gaming APIs']
+                description: this.t('rec.gaming.description'),
+                actions: [this.t('rec.gaming.learnMore')]
             });
         }
         
         // Success recommendations
-        if (summary.overallScore >= 80) {
+        if (summary.score >= 80) {
             recommendations.push({
                 type: 'success',
                 icon: '🎉',
-                title: 'Excellent Compatibility!',
+                title: this.t('rec.excellent.title'),
                 priority: 'info',
-                description: 'Your browser has excellent support for modern gaming technologies. You should be able to play most browser games without issues.'
+                description: this.t('rec.excellent.description')
             });
         }
         
@@ -493,43 +578,41 @@ class ResultsInterface {
     }
 
     /**
-     * Calculate summary statistics
+     * Build recommendation cards from capability DB solutions for failing tests
      */
-    calculateSummary() {
-        const total = this.results.length;
-        const supported = this.results.filter(r => r.status === 'supported').length;
-        const partial = this.results.filter(r => r.status === 'partial').length;
-        const unsupported = this.results.filter(r => r.status === 'unsupported').length;
-        const error = this.results.filter(r => r.status === 'error').length;
-        
-        const overallScore = total > 0 ? Math.round(((supported + partial * 0.5) / total) * 100) : 0;
-        
-        return { total, supported, partial, unsupported, error, overallScore };
-    }
-
-    /**
-     * Calculate category-specific summary
-     */
-    calculateCategorySummary(results) {
-        const total = results.length;
-        const supported = results.filter(r => r.status === 'supported').length;
-        const partial = results.filter(r => r.status === 'partial').length;
-        const unsupported = results.filter(r => r.status === 'unsupported').length;
-        const error = results.filter(r => r.status === 'error').length;
+    generateSolutionRecommendations() {
+        const db = window.capabilityDB;
+        if (!db || !db.isLoaded()) return [];
+        
+        const severityToCard = {
+            fail: { type: 'error', priority: 'high' },
+            warn: { type: 'warning', priority: 'medium' },
+            info: { type: 'info', priority: 'low' }
+        };
         
-        return { total, supported, partial, unsupported, error };
+        return this.results
+            .filter(result => result.status === 'unsupported' || result.status === 'error' || result.needsGuidance)
+            .map(result => {
+                const guidance = db.getGuidance(result.detectorKey);
+                if (!guidance) return null;
+                
+                const test = db.findTest(result.detectorKey);
+                const card = severityToCard[test && test.severity] || severityToCard.info;
+                return {
+                    ...card,
+                    icon: this.getCategoryIcon(result.category),
+                    title: guidance.title,
+                    contentHtml: guidance.html
+                };
+            })
+            .filter(Boolean);
     }
 
     /**
-     * Group results by category
+     * Calculate summary statistics with the shared scoring model
      */
-    groupByCategory() {
-        return this.results.reduce((acc, result) => {
-            const category = result.category || 'other';
-            if (!acc[category]) acc[category] = [];
-            acc[category].push(result);
-            return acc;
-        }, {});
+    calculateSummary() {
+        return ScoringModel.fromDatabase(window.capabilityDB).summarize(this.results);
     }
 
     /**
@@ -563,7 +646,7 @@ class ResultsInterface {
         return [...results].sort((a, b) => {
             switch (sortBy) {
                 case 'name':
-                    return a.name.localeCompare(b.name);
+                    return this.getTestTitle(a).localeCompare(this.getTestTitle(b), this.getLocale());
                 case 'status':
                     const statusOrder = { 'supported': 0, 'partial': 1, 'unsupported': 2, 'error': 3 };
                     return statusOrder[a.status] - statusOrder[b.status];
@@ -585,10 +668,10 @@ class ResultsInterface {
         
         if (resultsList.classList.contains('grid-view')) {
             resultsList.classList.remove('grid-view');
-            button.textContent = '📋 List View';
+            button.innerHTML = `📋 ${this.label('results.listView')}`;
         } else {
             resultsList.classList.add('grid-view');
-            button.textContent = '📊 Grid View';
+            button.innerHTML = `📊 ${this.label('results.gridView')}`;
         }
     }
 
@@ -597,18 +680,18 @@ class ResultsInterface {
      */
     shareResults() {
         const summary = this.calculateSummary();
-        const shareText = `I tested my browser compatibility for gaming: ${summary.overallScore}% compatible (${summary.supported}/${summary.total} fully supported)`;
+        const shareText = this.t('share.text', { score: summary.score, supported: summary.supported, total: summary.total });
         
         if (navigator.share) {
             navigator.share({
-                title: 'Browser Gaming Compatibility Results',
+                title: this.t('share.title'),
                 text: shareText,
                 url: window.location.href
             });
         } else {
             // Fallback: copy to clipboard
             navigator.clipboard.writeText(shareText).then(() => {
-                this.showNotification('Results copied to clipboard!', 'success');
+                this.showNotification(this.t('notify.copied'), 'success');
             });
         }
     }
@@ -644,13 +727,20 @@ class ResultsInterface {
             gaming: '🎮',
             communication: '📡',
             performance: '⚡',
+            storage: '💾',
+            display: '🖥️',
+            input: '🖱️',
+            audio: '🔊',
+            media: '🎬',
+            workers: '🧵',
+            security: '🔒',
             other: '📋'
         };
         return icons[category] || icons.other;
     }
 
     formatCategoryName(category) {
-        return category.charAt(0).toUpperCase() + category.slice(1);
+        return this.t(`category.${category}`, {}, category.charAt(0).toUpperCase() + category.slice(1));
     }
 
     getStatusIcon(status) {
@@ -664,13 +754,7 @@ class ResultsInterface {
     }
 
     formatStatus(status) {
-        const labels = {
-            supported: 'Fully Supported',
-            partial: 'Partially Supported',
-            unsupported: 'Not Supported',
-            error: 'Error'
-        };
-        return labels[status] || status;
+        return this.t(`results.status.${status}`, {}, status);
     }
 
     getScoreClass(score) {
@@ -689,6 +773,40 @@ class ResultsInterface {
         return 'Unknown';
     }
 
+    /**
+     * Translate a UI message through the shared localizer
+     */
+    t(key, params = {}, fallback = key) {
+        return window.localizer ? window.localizer.t(key, params, fallback) : fallback;
+    }
+
+    /**
+     * Message markup that follows language switches
+     */
+    label(key, params = {}) {
+        return window.localizer ? window.localizer.markup(key, params) : this.escapeHtml(key);
+    }
+
+    /**
+     * Active UI locale (undefined lets Intl use the browser default)
+     */
+    getLocale() {
+        return window.localizer ? window.localizer.locale : undefined;
+    }
+
+    /**
+     * Localized DB title of a test, or the name its module reported
+     */
+    getTestTitle(result) {
+        return window.localizer ? window.localizer.getTestText(result.detectorKey, 'title', result.name) : result.name;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     showNotification(message, type = 'info') {
         if (window.showNotification) {
             window.showNotification(message, type);
@@ -0,0 +1,160 @@
+/**
+ * Scoring Model
+ * Turns per-test results into the overall score, grade and category sub-scores
+ * shown by the testing gauge, the results dashboard and exports
+ */
+
+class ScoringModel {
+    /**
+     * @param {Object} options
+     * @param {Array} options.tests - DB tests ({detectorKey, severity, weight?, blocking?})
+     * @param {Object} options.weights - Per-detectorKey weights overriding the DB
+     * @param {Object} options.severityWeights - Weight per severity when a test has no explicit weight
+     * @param {string} options.defaultSeverity - Severity of tests the DB does not know
+     * @param {number} options.blockingCap - Highest overall score while a blocking test fails
+     */
+    constructor(options = {}) {
+        this.tests = new Map((options.tests || [])
+            .filter(test => test && test.detectorKey)
+            .map(test => [test.detectorKey, test]));
+        this.weights = options.weights || {};
+        this.severityWeights = { ...ScoringModel.SEVERITY_WEIGHTS, ...(options.severityWeights || {}) };
+        this.defaultSeverity = options.defaultSeverity || 'warn';
+        this.blockingCap = options.blockingCap !== undefined ? options.blockingCap : ScoringModel.BLOCKING_SCORE_CAP;
+    }
+
+    /**
+     * Share of a test's weight earned by each status
+     */
+    static get STATUS_CREDIT() {
+        return { supported: 1, partial: 0.5, unsupported: 0, error: 0, skipped: 0 };
+    }
+
+    /**
+     * Default weights for the admin Test.severity levels
+     */
+    static get SEVERITY_WEIGHTS() {
+        return { fail: 3, warn: 2, info: 1 };
+    }
+
+    /**
+     * Minimum score for each grade, best first
+     */
+    static get GRADES() {
+        return [
+            { grade: 'excellent', min: 80 },
+            { grade: 'good', min: 60 },
+            { grade: 'fair', min: 40 },
+            { grade: 'poor', min: 0 }
+        ];
+    }
+
+    /**
+     * A failing blocking test keeps the overall grade at 'poor'
+     */
+    static get BLOCKING_SCORE_CAP() {
+        return 39;
+    }
+
+    /**
+     * Model configured from a loaded CapabilityDatabase (severity-only defaults otherwise)
+     */
+    static fromDatabase(db, options = {}) {
+        const tests = db && db.isLoaded() ? db.data.tests : [];
+        return new ScoringModel({ ...options, tests });
+    }
+
+    static getGrade(score) {
+        return ScoringModel.GRADES.find(({ min }) => score >= min).grade;
+    }
+
+    /**
+     * Severity, weight and blocking flag used for a test
+     */
+    getTestConfig(detectorKey) {
+        const test = this.tests.get(detectorKey) || {};
+        const severity = test.severity || this.defaultSeverity;
+
+        let weight = this.weights[detectorKey];
+        if (typeof weight !== 'number') {
+            weight = typeof test.weight === 'number' ? test.weight : this.severityWeights[severity];
+        }
+
+        return {
+            severity,
+            weight: Math.max(0, weight || 0),
+            blocking: test.blocking === true
+        };
+    }
+
+    /**
+     * Summarize results
+     * @param {Array} results - [{detectorKey, status, category}]
+     * @returns {Object} Status counts, weighted score and grade overall and per category,
+     *   plus the detectorKeys of failing blocking tests in blockedBy
+     */
+    summarize(results = []) {
+        const summary = ScoringModel.createTally();
+        summary.categories = {};
+        summary.blockedBy = [];
+
+        results.forEach(result => {
+            const category = result.category || 'other';
+            const config = this.getTestConfig(result.detectorKey);
+
+            if (!summary.categories[category]) {
+                summary.categories[category] = ScoringModel.createTally();
+            }
+            ScoringModel.addToTally(summary, result.status, config.weight);
+            ScoringModel.addToTally(summary.categories[category], result.status, config.weight);
+
+            if (config.blocking && ['unsupported', 'error', 'skipped'].includes(result.status)) {
+                summary.blockedBy.push(result.detectorKey);
+            }
+        });
+
+        Object.values(summary.categories).forEach(tally => ScoringModel.finishTally(tally));
+        ScoringModel.finishTally(summary);
+
+        summary.rawScore = summary.score;
+        summary.blocked = summary.blockedBy.length > 0;
+        if (summary.blocked) {
+            summary.score = Math.min(summary.score, this.blockingCap);
+            summary.grade = ScoringModel.getGrade(summary.score);
+        }
+
+        return summary;
+    }
+
+    static createTally() {
+        return { total: 0, supported: 0, partial: 0, unsupported: 0, error: 0, skipped: 0, earned: 0, possible: 0 };
+    }
+
+    static addToTally(tally, status, weight) {
+        const credit = ScoringModel.STATUS_CREDIT[status] || 0;
+        tally.total++;
+        if (status in ScoringModel.STATUS_CREDIT) {
+            tally[status]++;
+        }
+        tally.earned += credit * weight;
+        tally.possible += weight;
+    }
+
+    /**
+     * Replace the weight sums with the rounded score and grade
+     */
+    static finishTally(tally) {
+        tally.score = tally.possible > 0 ? Math.round((tally.earned / tally.possible) * 100) : 0;
+        tally.grade = ScoringModel.getGrade(tally.score);
+        delete tally.earned;
+        delete tally.possible;
+        return tally;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoringModel;
+} else {
+    window.ScoringModel = ScoringModel;
+}
@@ -0,0 +1,237 @@
+/**
+ * Snippet Renderer
+ * Expands {{snippet:id key="value"}} references in solution content
+ * (shared by the admin export and the tester's guidance)
+ */
+
+class SnippetRenderer {
+    constructor(options = {}) {
+        this.snippets = new Map((options.snippets || []).map(snippet => [snippet.id, snippet]));
+        this.defaultLocale = options.defaultLocale || 'en-US';
+    }
+
+    /**
+     * Matches {{snippet:id}} with optional key="value" parameters
+     */
+    static get REFERENCE_PATTERN() {
+        return /\{\{snippet:([^}\s]+)((?:\s+[^}]*)?)\}\}/g;
+    }
+
+    /**
+     * Render every snippet reference in content
+     * @param {string} content - Solution content containing snippet references
+     * @param {Object} options
+     * @param {string} options.format - Format of the content ('md' or 'html')
+     * @param {string} options.locale - Locale used to pick snippet bodies
+     * @param {Object|null} options.context - Detected { browserId, version, os }; null when unknown
+     *   (targeted snippets are then left as references so the tester can resolve them)
+     * @param {boolean} options.ignoreTargets - Render every snippet regardless of targets (validation)
+     * @returns {{content: string, format: string, unresolved: Array, skipped: Array}}
+     *   `format` becomes 'html' when an html snippet had to be embedded in md content
+     */
+    render(content, options = {}) {
+        const format = options.format || 'md';
+        const locale = options.locale || this.defaultLocale;
+        const context = options.context || null;
+        const ignoreTargets = !!options.ignoreTargets;
+        const unresolved = [];
+        const skipped = [];
+        const htmlBodies = [];
+
+        // html snippets inside md content are held back as tokens until the md is converted
+        const withBodies = String(content || '').replace(SnippetRenderer.REFERENCE_PATTERN, (placeholder, snippetId, paramText) => {
+            const body = this.resolveReference(snippetId, paramText, { locale, context, ignoreTargets, placeholder, unresolved, skipped });
+            if (body === null) return placeholder;
+
+            if (body.format === format || !body.text) return body.text;
+            if (format === 'html') return SnippetRenderer.markdownToHtml(body.text);
+
+            htmlBodies.push(body.text);
+            return `\u0000${htmlBodies.length - 1}\u0000`;
+        });
+
+        if (htmlBodies.length === 0) {
+            return { content: withBodies, format, unresolved, skipped };
+        }
+
+        // A snippet alone in its paragraph replaces the paragraph instead of nesting inside <p>
+        const rendered = SnippetRenderer.markdownToHtml(withBodies)
+            .replace(/<p>\u0000(\d+)\u0000<\/p>/g, (match, index) => htmlBodies[Number(index)])
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => htmlBodies[Number(index)]);
+
+        return { content: rendered, format: 'html', unresolved, skipped };
+    }
+
+    /**
+     * Body {text, format} for one reference, '' when skipped by targets, or null to keep the placeholder
+     */
+    resolveReference(snippetId, paramText, state) {
+        const snippet = this.snippets.get(snippetId);
+        if (!snippet) {
+            state.unresolved.push({ placeholder: state.placeholder, snippetId, reason: 'Unknown snippet' });
+            return null;
+        }
+
+        const params = this.parseParams(paramText);
+        const hasTargets = !state.ignoreTargets && this.hasTargets(snippet);
+
+        if (hasTargets && !state.context) {
+            // Environment unknown: leave the reference for client-time resolution
+            return null;
+        }
+
+        if (hasTargets && !this.matchesTargets(snippet, state.context)) {
+            const fallbackId = params.fallback;
+            if (fallbackId && fallbackId !== snippetId) {
+                return this.resolveReference(fallbackId, paramText, state);
+            }
+            state.skipped.push(snippetId);
+            return { text: '', format: 'md' };
+        }
+        delete params.fallback;
+
+        const errors = this.validateParams(snippet, params);
+        errors.forEach(({ reason }) => state.unresolved.push({ placeholder: state.placeholder, snippetId, reason }));
+        const invalidKeys = new Set(errors.map(error => error.key));
+
+        const localized = SnippetRenderer.pickLocalized(snippet.bodyLocalized, state.locale, this.defaultLocale);
+        const body = localized ? (localized.body !== undefined ? localized.body : localized) : snippet.body;
+        const format = (localized && localized.bodyFormat) || snippet.bodyFormat || 'md';
+
+        const text = String(body || '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+            if (!Object.prototype.hasOwnProperty.call(params, key) || invalidKeys.has(key)) {
+                state.unresolved.push({ placeholder: match, snippetId, reason: `No value for variable "${key}"` });
+                return match;
+            }
+            return format === 'html' ? SnippetRenderer.escapeHtml(params[key]) : params[key];
+        });
+
+        return { text, format };
+    }
+
+    /**
+     * Parse key="value" (or key='value') pairs from a reference
+     */
+    parseParams(paramText) {
+        const params = {};
+        const pairPattern = /([\w.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pairPattern.exec(paramText || '')) !== null) {
+            params[match[1]] = match[2] !== undefined ? match[2] : match[3];
+        }
+        return params;
+    }
+
+    /**
+     * Check parameters against the snippet's declared variables: [{key, reason}]
+     */
+    validateParams(snippet, params) {
+        const errors = [];
+        const variables = snippet.variables || [];
+
+        Object.keys(params).forEach(key => {
+            if (!variables.some(variable => variable.key === key)) {
+                errors.push({ key, reason: `Unknown variable "${key}"` });
+            }
+        });
+
+        variables.forEach(variable => {
+            const value = params[variable.key];
+            if (value === undefined) return;
+
+            if (variable.type === 'enum' && !(variable.options || []).includes(value)) {
+                errors.push({ key: variable.key, reason: `Value "${value}" for "${variable.key}" must be one of: ${(variable.options || []).join(', ')}` });
+            }
+
+            if (variable.type === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+                errors.push({ key: variable.key, reason: `Value "${value}" for "${variable.key}" is not an http(s) URL` });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Whether a snippet restricts OS, browsers or versions
+     */
+    hasTargets(snippet) {
+        const targets = snippet.targets || {};
+        return (targets.os && targets.os.length > 0) ||
+               (targets.browsers && targets.browsers.length > 0) ||
+               !!targets.versionRange;
+    }
+
+    /**
+     * Whether the detected environment satisfies a snippet's targets
+     */
+    matchesTargets(snippet, context) {
+        const targets = snippet.targets || {};
+
+        if (targets.os && targets.os.length > 0 && !targets.os.includes(SolutionResolver.normalizeOS(context.os))) {
+            return false;
+        }
+
+        if (targets.browsers && targets.browsers.length > 0 && !targets.browsers.includes(context.browserId)) {
+            return false;
+        }
+
+        if (targets.versionRange && !VersionRange.matches(context.version, targets.versionRange)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Resolve a *Localized map: exact locale → language-only → same language → default locale
+     */
+    static pickLocalized(localizedMap, locale, defaultLocale = 'en-US') {
+        if (!localizedMap) return null;
+
+        if (localizedMap[locale]) {
+            return localizedMap[locale];
+        }
+
+        const language = (locale || '').split('-')[0];
+        if (localizedMap[language]) {
+            return localizedMap[language];
+        }
+        const sameLanguage = Object.keys(localizedMap).find(loc => loc.split('-')[0] === language && localizedMap[loc]);
+        if (sameLanguage) {
+            return localizedMap[sameLanguage];
+        }
+
+        return localizedMap[defaultLocale] || null;
+    }
+
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Minimal markdown (paragraphs, line breaks, code, bold, italics, links) with escaping
+     */
+    static markdownToHtml(content) {
+        return SnippetRenderer.escapeHtml(content || '')
+            .split(/\n{2,}/)
+            .map(paragraph => paragraph
+                .replace(/`([^`]+)`/g, '<code>$1</code>')
+                .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+                .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
+                .replace(/\n/g, '<br>'))
+            .map(paragraph => `<p>${paragraph}</p>`)
+            .join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnippetRenderer;
+} else {
+    window.SnippetRenderer = SnippetRenderer;
+}
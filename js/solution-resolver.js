@@ -0,0 +1,120 @@
+/**
+ * Solution Resolver
+ * Picks the solutions that apply to a failing test for a detected browser, version and OS
+ * (shared by the admin preview and the results page)
+ */
+
+class SolutionResolver {
+    constructor(data = {}) {
+        this.tests = data.tests || [];
+        this.solutions = data.solutions || [];
+    }
+
+    /**
+     * Operating systems solutions and snippets can target
+     */
+    static get OS_IDS() {
+        return ['windows', 'macos', 'linux', 'android', 'ios'];
+    }
+
+    /**
+     * Map a detected OS name ('macOS', 'Windows', ...) to an OS id, or null
+     */
+    static normalizeOS(os) {
+        const id = String(os || '').toLowerCase().replace(/\s+/g, '');
+        if (SolutionResolver.OS_IDS.includes(id)) return id;
+        if (id === 'macosx' || id === 'osx') return 'macos';
+        if (id === 'iphoneos' || id === 'ipados') return 'ios';
+        return null;
+    }
+
+    /**
+     * Applicable solutions for a detectorKey, most specific first
+     * @param {string} detectorKey - Failing test's detectorKey (test id and title also accepted)
+     * @param {Object} context - { browserId, version, os } of the detected browser
+     */
+    resolve(detectorKey, context = {}) {
+        const keys = this.getTestKeys(detectorKey);
+        const target = {
+            browserId: context.browserId || null,
+            version: context.version ? String(context.version) : null,
+            os: SolutionResolver.normalizeOS(context.os)
+        };
+
+        return this.solutions
+            .filter(solution => this.getSolutionTestIds(solution).some(id => keys.has(id)))
+            .filter(solution => this.appliesTo(solution, target))
+            .sort((a, b) => this.compare(a, b));
+    }
+
+    /**
+     * Every key a solution may use to reference the test (detectorKey or admin test id)
+     */
+    getTestKeys(detectorKey) {
+        const keys = new Set([detectorKey]);
+        const test = this.tests.find(t => t.detectorKey === detectorKey) ||
+                     this.tests.find(t => t.id === detectorKey || t.title === detectorKey);
+        if (test) {
+            keys.add(test.id);
+            keys.add(test.detectorKey);
+        }
+        return keys;
+    }
+
+    /**
+     * Solutions reference tests via testIds, or the legacy single issueKey
+     */
+    getSolutionTestIds(solution) {
+        return solution.testIds || (solution.issueKey ? [solution.issueKey] : []);
+    }
+
+    /**
+     * Whether a solution's appliesTo targeting matches the detected browser, version and OS
+     */
+    appliesTo(solution, target) {
+        const appliesTo = solution.appliesTo || { scope: 'generic' };
+
+        // OS targeting narrows any scope; an undetected OS only gets untargeted solutions
+        if (appliesTo.os && appliesTo.os.length > 0 && !appliesTo.os.includes(target.os)) {
+            return false;
+        }
+
+        switch (appliesTo.scope || 'generic') {
+            case 'generic':
+                return true;
+            case 'browser':
+                return !!target.browserId && appliesTo.browserId === target.browserId;
+            case 'browserVersion':
+                return !!target.browserId && appliesTo.browserId === target.browserId &&
+                       !!target.version && VersionRange.matches(target.version, appliesTo.versionRange);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * browserVersion > browser > generic; OS-targeted beats untargeted within the same scope
+     */
+    getSpecificity(solution) {
+        const scopeRank = { generic: 1, browser: 2, browserVersion: 3 };
+        const appliesTo = solution.appliesTo || { scope: 'generic' };
+        const osTargeted = appliesTo.os && appliesTo.os.length > 0 ? 1 : 0;
+        return (scopeRank[appliesTo.scope || 'generic'] || 0) * 2 + osTargeted;
+    }
+
+    /**
+     * Sort by specificity, then priority, then most recently updated
+     */
+    compare(a, b) {
+        return this.getSpecificity(b) - this.getSpecificity(a) ||
+               (b.priority || 0) - (a.priority || 0) ||
+               String(b.lastUpdated || '').localeCompare(String(a.lastUpdated || ''));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SolutionResolver;
+} else {
+    window.SolutionResolver = SolutionResolver;
+}
@@ -5,21 +5,31 @@
 
 class TestEngine {
     constructor(options = {}) {
+        const { scoring, ...engineOptions } = options;
         this.tests = new Map();
         this.results = new Map();
         this.listeners = new Map();
         
+        // Scores in getTestSummary() come from the same model the interfaces use
+        this.scoring = scoring || new ScoringModel();
+        
         // Configuration
         this.config = {
-            timeoutMs: options.timeoutMs || 5000,
-            totalTimeLimit: options.totalTimeLimit || 60000,
-            parallelTests: options.parallelTests || 3,
-            retryAttempts: options.retryAttempts || 1,
-            ...options
+            timeoutMs: engineOptions.timeoutMs || 5000,
+            totalTimeLimit: engineOptions.totalTimeLimit || 60000,
+            parallelTests: engineOptions.parallelTests || 3,
+            retryAttempts: engineOptions.retryAttempts || 1,
+            ...engineOptions
         };
         
         // State
         this.isRunning = false;
+        this.isPaused = false;
+        this.activeTests = new Map();
+        this.pausePromise = null;
+        this.resumePaused = null;
+        this.pausedAt = null;
+        this.pausedDuration = 0;
         this.startTime = null;
         this.currentTest = null;
         this.completedTests = 0;
@@ -32,7 +42,9 @@ class TestEngine {
      * Register a test function
      */
     registerTest(name, testFunction, options = {}) {
+        // Defaults come after the options so an explicit undefined (e.g. timeout) still gets them
         const test = {
+            ...options,
             name,
             fn: testFunction,
             category: options.category || 'general',
@@ -41,7 +53,7 @@ class TestEngine {
             retries: options.retries || this.config.retryAttempts,
             dependencies: options.dependencies || [],
             description: options.description || name,
-            ...options
+            exclusive: options.exclusive || false
         };
         
         this.tests.set(name, test);
@@ -102,6 +114,7 @@ class TestEngine {
         
         this.isRunning = true;
         this.startTime = Date.now();
+        this.pausedDuration = 0;
         this.completedTests = 0;
         this.totalTests = this.tests.size;
         this.results.clear();
@@ -115,29 +128,17 @@ class TestEngine {
             // Sort tests by priority and dependencies
             const sortedTests = this.sortTestsByPriorityAndDependencies();
             
-            // Run tests
-            for (const test of sortedTests) {
-                // Check if we've exceeded the total time limit
-                if (Date.now() - this.startTime > this.config.totalTimeLimit) {
-                    console.warn('⏰ Total time limit exceeded, skipping remaining tests');
-                    
-                    // Mark remaining tests as skipped
-                    const remainingTests = sortedTests.slice(sortedTests.indexOf(test));
-                    for (const skippedTest of remainingTests) {
-                        this.results.set(skippedTest.name, {
-                            status: 'skipped',
-                            reason: 'Time limit exceeded',
-                            timestamp: Date.now(),
-                            duration: 0
-                        });
-                    }
-                    break;
-                }
-                
-                await this.runSingleTest(test);
-            }
+            // Run tests concurrently up to the configured limit
+            await this.runScheduledTests(sortedTests);
             
             const duration = Date.now() - this.startTime;
+            
+            // Cancelled runs have already emitted testSuiteCancelled
+            if (!this.isRunning) {
+                console.log(`🛑 Test suite stopped after ${duration}ms`);
+                return this.getTestSummary();
+            }
+            
             console.log(`✅ Test suite completed in ${duration}ms`);
             
             this.emit('testSuiteComplete', {
@@ -160,9 +161,103 @@ class TestEngine {
     }
 
     /**
-     * Run a single test with timeout and retry logic
+     * Run sorted tests in parallel, starting each once its dependencies have finished.
+     * Exclusive tests (benchmarks) only run while nothing else is running.
+     */
+    async runScheduledTests(sortedTests) {
+        const pending = [...sortedTests];
+        const unfinished = new Set(sortedTests.map(test => test.name));
+        const running = new Map();
+        let exclusiveRunning = false;
+        
+        const isReady = (test) => (test.dependencies || []).every(dep => !unfinished.has(dep));
+        
+        const start = (test) => {
+            if (test.exclusive) {
+                exclusiveRunning = true;
+            }
+            
+            // Aborted by cancel() and pause(); interrupted tests go back to the queue
+            const controller = new AbortController();
+            this.activeTests.set(test.name, controller);
+            
+            const promise = this.runSingleTest(test, controller.signal).then(result => {
+                if (result === null) {
+                    pending.unshift(test);
+                } else {
+                    unfinished.delete(test.name);
+                }
+            }).finally(() => {
+                running.delete(test.name);
+                this.activeTests.delete(test.name);
+                if (test.exclusive) {
+                    exclusiveRunning = false;
+                }
+            });
+            running.set(test.name, promise);
+        };
+        
+        while (true) {
+            // Check if we've exceeded the total time limit (time spent paused does not count)
+            if (pending.length > 0 && Date.now() - this.startTime - this.pausedDuration > this.config.totalTimeLimit) {
+                console.warn('⏰ Total time limit exceeded, skipping remaining tests');
+                
+                // Mark remaining tests as skipped
+                for (const skippedTest of pending.splice(0)) {
+                    unfinished.delete(skippedTest.name);
+                    this.results.set(skippedTest.name, {
+                        status: 'skipped',
+                        reason: 'Time limit exceeded',
+                        timestamp: Date.now(),
+                        duration: 0
+                    });
+                }
+            }
+            
+            // Fill free slots in priority order
+            if (this.isRunning && !this.isPaused) {
+                for (let i = 0; i < pending.length; ) {
+                    if (exclusiveRunning || running.size >= this.config.parallelTests) {
+                        break;
+                    }
+                    
+                    const test = pending[i];
+                    if (!isReady(test)) {
+                        i++;
+                        continue;
+                    }
+                    
+                    // Let running tests drain before an exclusive test so it is timed alone
+                    if (test.exclusive && running.size > 0) {
+                        break;
+                    }
+                    
+                    pending.splice(i, 1);
+                    start(test);
+                }
+            }
+            
+            if (running.size === 0) {
+                if (!this.isRunning || pending.length === 0) {
+                    break;
+                }
+                
+                // Wait here while paused, then stop if cancelled in the meantime
+                if (this.pausePromise) {
+                    await this.pausePromise;
+                }
+                continue;
+            }
+            
+            await Promise.race(running.values());
+        }
+    }
+
+    /**
+     * Run a single test with timeout and retry logic.
+     * Resolves to null when the test was interrupted by pause() and should run again.
      */
-    async runSingleTest(test) {
+    async runSingleTest(test, signal = null) {
         const testStartTime = Date.now();
         this.currentTest = test.name;
         
@@ -191,7 +286,7 @@ class TestEngine {
                 }
                 
                 // Run test with timeout
-                result = await this.runTestWithTimeout(test);
+                result = await this.runTestWithTimeout(test, signal);
                 
                 // If successful, break out of retry loop
                 if (result.status !== 'error') {
@@ -199,6 +294,21 @@ class TestEngine {
                 }
                 
             } catch (error) {
+                // Paused or cancelled: never retry
+                if (signal && signal.aborted) {
+                    if (signal.reason && signal.reason.requeue && this.isRunning) {
+                        console.log(`⏸️ Test ${test.name} interrupted, will rerun on resume`);
+                        this.emit('testInterrupted', { name: test.name });
+                        return null;
+                    }
+                    
+                    result = {
+                        status: 'skipped',
+                        reason: 'Test suite cancelled'
+                    };
+                    break;
+                }
+                
                 lastError = error;
                 console.warn(`⚠️ Test ${test.name} failed (attempt ${attempt + 1}):`, error.message);
                 
@@ -239,18 +349,50 @@ class TestEngine {
     }
 
     /**
-     * Run test function with timeout protection
+     * Run test function with timeout protection.
+     * The test receives an AbortSignal that fires on timeout or when the parent signal aborts.
      */
-    async runTestWithTimeout(test) {
+    async runTestWithTimeout(test, parentSignal = null) {
+        const controller = new AbortController();
+        const abortFromParent = () => controller.abort(parentSignal.reason);
+        
+        if (parentSignal) {
+            if (parentSignal.aborted) {
+                abortFromParent();
+            } else {
+                parentSignal.addEventListener('abort', abortFromParent, { once: true });
+            }
+        }
+        
         return new Promise((resolve, reject) => {
             const timeoutId = setTimeout(() => {
-                reject(new Error(`Test timeout after ${test.timeout}ms`));
+                controller.abort(new Error(`Test timeout after ${test.timeout}ms`));
             }, test.timeout);
             
+            const settle = () => {
+                clearTimeout(timeoutId);
+                if (parentSignal) {
+                    parentSignal.removeEventListener('abort', abortFromParent);
+                }
+            };
+            
+            // Stop waiting as soon as the signal fires; the test is expected to release its resources
+            const onAbort = () => {
+                settle();
+                reject(controller.signal.reason);
+            };
+            if (controller.signal.aborted) {
+                onAbort();
+                return;
+            }
+            controller.signal.addEventListener('abort', onAbort, { once: true });
+            
             // Execute test function
-            Promise.resolve(test.fn())
+            Promise.resolve()
+                .then(() => test.fn(controller.signal))
                 .then(result => {
-                    clearTimeout(timeoutId);
+                    settle();
+                    controller.signal.removeEventListener('abort', onAbort);
                     
                     // Normalize result format
                     if (typeof result === 'boolean') {
@@ -268,7 +410,8 @@ class TestEngine {
                     }
                 })
                 .catch(error => {
-                    clearTimeout(timeoutId);
+                    settle();
+                    controller.signal.removeEventListener('abort', onAbort);
                     reject(error);
                 });
         });
@@ -336,45 +479,32 @@ class TestEngine {
     }
 
     /**
-     * Get test results summary
+     * Get test results summary with status counts, score and grade (overall and per category)
      */
     getTestSummary() {
-        const summary = {
+        const scored = this.scoring.summarize(Array.from(this.results, ([name, result]) => ({
+            detectorKey: name,
+            status: result.status,
+            category: this.tests.get(name)?.category || 'general'
+        })));
+        
+        return {
             totalTests: this.totalTests,
             completedTests: this.completedTests,
             results: Object.fromEntries(this.results),
-            categories: {},
+            categories: scored.categories,
             statusCounts: {
-                supported: 0,
-                unsupported: 0,
-                partial: 0,
-                error: 0,
-                skipped: 0
+                supported: scored.supported,
+                unsupported: scored.unsupported,
+                partial: scored.partial,
+                error: scored.error,
+                skipped: scored.skipped
             },
+            score: scored.score,
+            grade: scored.grade,
+            blockedBy: scored.blockedBy,
             duration: this.startTime ? Date.now() - this.startTime : 0
         };
-        
-        // Calculate statistics
-        for (const [name, result] of this.results) {
-            const category = this.tests.get(name)?.category || 'general';
-            
-            if (!summary.categories[category]) {
-                summary.categories[category] = {
-                    total: 0,
-                    supported: 0,
-                    unsupported: 0,
-                    partial: 0,
-                    error: 0,
-                    skipped: 0
-                };
-            }
-            
-            summary.categories[category].total++;
-            summary.categories[category][result.status]++;
-            summary.statusCounts[result.status]++;
-        }
-        
-        return summary;
     }
 
     /**
@@ -404,17 +534,73 @@ class TestEngine {
         };
     }
 
+    /**
+     * Pause the suite before the next test starts
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) {
+            return;
+        }
+        
+        this.isPaused = true;
+        this.pausedAt = Date.now();
+        this.pausePromise = new Promise(resolve => {
+            this.resumePaused = resolve;
+        });
+        
+        // Interrupt in-flight tests so they rerun from scratch on resume
+        this.abortActiveTests('Test suite paused', true);
+        
+        this.emit('testSuitePaused');
+        console.log('⏸️ Test suite paused');
+    }
+
+    /**
+     * Resume a paused suite
+     */
+    resume() {
+        if (!this.isPaused) {
+            return;
+        }
+        
+        this.pausedDuration += Date.now() - this.pausedAt;
+        this.isPaused = false;
+        this.pausedAt = null;
+        
+        const resumePaused = this.resumePaused;
+        this.pausePromise = null;
+        this.resumePaused = null;
+        resumePaused();
+        
+        this.emit('testSuiteResumed');
+        console.log('▶️ Test suite resumed');
+    }
+
     /**
      * Cancel running tests
      */
     cancel() {
         if (this.isRunning) {
             this.isRunning = false;
+            this.abortActiveTests('Test suite cancelled');
+            this.resume();
             this.emit('testSuiteCancelled');
             console.log('🛑 Test suite cancelled');
         }
     }
 
+    /**
+     * Abort the signals of all in-flight tests
+     */
+    abortActiveTests(reason, requeue = false) {
+        for (const controller of this.activeTests.values()) {
+            const error = new Error(reason);
+            error.name = 'AbortError';
+            error.requeue = requeue;
+            controller.abort(error);
+        }
+    }
+
     /**
      * Clear all results and registered tests
      */
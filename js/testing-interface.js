@@ -7,11 +7,26 @@ class TestingInterface {
     constructor() {
         this.testResults = new Map();
         this.currentTest = null;
-        this.testQueue = [];
+        this.testEngine = null;
+        this.testModules = [];
+        this.testItems = new Map();
         this.isRunning = false;
+        this.isPaused = false;
+        this.finalSummary = null;
+        this.scoring = null;
+        this.gamepadDiagnostic = null;
+        this.gamepadFindings = null;
+        this.guidedChecks = null;
+        this.guidedResults = new Map();
+        this.guidedStep = -1;
         
         this.initializeInterface();
         this.setupEventListeners();
+        
+        // Static labels re-render through data-i18n; DB-derived text is rebuilt here
+        if (window.localizer) {
+            window.localizer.onChange(() => this.refreshTranslations());
+        }
     }
 
     /**
@@ -29,10 +44,10 @@ class TestingInterface {
         this.container.innerHTML = `
             <div class="testing-header">
                 <div class="header-top">
-                    <h2>🧪 Browser Compatibility Testing</h2>
+                    <h2>🧪 ${this.label('testing.title')}</h2>
                     <div class="testing-controls">
-                        <button id="pause-testing" class="btn-secondary" disabled>Pause</button>
-                        <button id="stop-testing" class="btn-danger" disabled>Stop</button>
+                        <button id="pause-testing" class="btn-secondary" data-i18n="testing.pause" disabled>${this.t('testing.pause')}</button>
+                        <button id="stop-testing" class="btn-danger" data-i18n="testing.stop" disabled>${this.t('testing.stop')}</button>
                     </div>
                 </div>
             </div>
@@ -48,7 +63,7 @@ class TestingInterface {
                 </div>
                 <div class="final-score-container" id="final-score-container" style="display: none;">
                     <div class="final-score-card">
-                        <div class="final-score-label">Browser Compatibility Score</div>
+                        <div class="final-score-label" data-i18n="testing.scoreLabel">${this.t('testing.scoreLabel')}</div>
                         <div class="gauge-container">
                             <div class="gauge" id="compatibility-gauge">
                                 <svg width="200" height="200" viewBox="0 0 200 200" class="gauge-svg">
@@ -96,42 +111,106 @@ class TestingInterface {
                     </div>
                 </div>
                 <div class="progress-info">
-                    <span id="current-test-info">Initializing...</span>
+                    <span id="current-test-info" data-i18n="common.initializing">${this.t('common.initializing')}</span>
                     <span id="test-count">0 / 0</span>
                 </div>
             </div>
 
             <div class="test-categories">
                 <div class="category-section" id="graphics-section">
-                    <h3>🎨 Graphics APIs</h3>
+                    <h3>🎨 ${this.label('testing.section.graphics')}</h3>
                     <div class="test-items" id="graphics-tests"></div>
                 </div>
                 
                 <div class="category-section" id="gaming-section">
-                    <h3>🎮 Gaming APIs</h3>
+                    <h3>🎮 ${this.label('testing.section.gaming')}</h3>
                     <div class="test-items" id="gaming-tests"></div>
                 </div>
                 
                 <div class="category-section" id="communication-section">
-                    <h3>📡 Communication APIs</h3>
+                    <h3>📡 ${this.label('testing.section.communication')}</h3>
                     <div class="test-items" id="communication-tests"></div>
                 </div>
                 
                 <div class="category-section" id="performance-section">
-                    <h3>⚡ Performance APIs</h3>
+                    <h3>⚡ ${this.label('testing.section.performance')}</h3>
                     <div class="test-items" id="performance-tests"></div>
                 </div>
+                
+                <div class="category-section" id="storage-section">
+                    <h3>💾 ${this.label('testing.section.storage')}</h3>
+                    <div class="test-items" id="storage-tests"></div>
+                </div>
+                
+                <div class="category-section" id="display-section">
+                    <h3>🖥️ ${this.label('testing.section.display')}</h3>
+                    <div class="test-items" id="display-tests"></div>
+                </div>
+                
+                <div class="category-section" id="input-section">
+                    <h3>🖱️ ${this.label('testing.section.input')}</h3>
+                    <div class="test-items" id="input-tests"></div>
+                </div>
+                
+                <div class="category-section" id="audio-section">
+                    <h3>🔊 ${this.label('testing.section.audio')}</h3>
+                    <div class="test-items" id="audio-tests"></div>
+                </div>
+                
+                <div class="category-section" id="media-section">
+                    <h3>🎬 ${this.label('testing.section.media')}</h3>
+                    <div class="test-items" id="media-tests"></div>
+                </div>
+                
+                <div class="category-section" id="workers-section">
+                    <h3>🧵 ${this.label('testing.section.workers')}</h3>
+                    <div class="test-items" id="workers-tests"></div>
+                </div>
+                
+                <div class="category-section" id="security-section">
+                    <h3>🔒 ${this.label('testing.section.security')}</h3>
+                    <div class="test-items" id="security-tests"></div>
+                </div>
+            </div>
+
+            <div class="gamepad-panel" id="gamepad-panel">
+                <h3>🎮 ${this.label('gamepad.title')}</h3>
+                <p class="gamepad-status" id="gamepad-status" data-i18n="gamepad.waiting">${this.t('gamepad.waiting')}</p>
+                <div class="gamepad-live" id="gamepad-live" hidden>
+                    <div class="gamepad-buttons" id="gamepad-buttons"></div>
+                    <div class="gamepad-axes" id="gamepad-axes"></div>
+                    <ul class="gamepad-findings">
+                        <li id="gamepad-mapping"></li>
+                        <li id="gamepad-polling"></li>
+                        <li id="gamepad-drift"></li>
+                        <li id="gamepad-haptics"></li>
+                    </ul>
+                    <div class="gamepad-actions">
+                        <button id="gamepad-measure-drift" class="btn-outline" data-i18n="gamepad.measureDrift">${this.t('gamepad.measureDrift')}</button>
+                        <button id="gamepad-test-haptics" class="btn-outline" data-i18n="gamepad.testHaptics">${this.t('gamepad.testHaptics')}</button>
+                    </div>
+                </div>
+            </div>
+
+            <div class="guided-panel" id="guided-panel">
+                <h3>👆 ${this.label('guided.title')}</h3>
+                <p class="guided-prompt" id="guided-prompt" data-i18n="guided.intro">${this.t('guided.intro')}</p>
+                <div class="guided-actions">
+                    <button id="guided-action" class="btn-primary" data-i18n="guided.start">${this.t('guided.start')}</button>
+                    <button id="guided-skip" class="btn-outline" data-i18n="guided.skip" hidden>${this.t('guided.skip')}</button>
+                </div>
+                <ul class="guided-results" id="guided-results"></ul>
             </div>
 
             <div class="improvement-report" id="improvement-report">
-                <h3>🚀 How to Improve Your Score</h3>
+                <h3>🚀 ${this.label('testing.improveTitle')}</h3>
                 <div class="improvement-content" id="improvement-report-content"></div>
             </div>
 
             <div class="testing-actions">
-                <button id="view-results" class="btn-primary" disabled>View Detailed Results</button>
-                <button id="export-results" class="btn-secondary" disabled>Export Results</button>
-                <button id="back-to-home" class="btn-outline">← Back to Home</button>
+                <button id="view-results" class="btn-primary" data-i18n="testing.viewResults" disabled>${this.t('testing.viewResults')}</button>
+                <button id="export-results" class="btn-secondary" data-i18n="testing.export" disabled>${this.t('testing.export')}</button>
+                <button id="back-to-home" class="btn-outline" data-i18n="testing.backHome">${this.t('testing.backHome')}</button>
             </div>
         `;
         
@@ -143,17 +222,31 @@ class TestingInterface {
      */
     setupEventListeners() {
         // Control buttons
-        document.getElementById('pause-testing').addEventListener('click', () => this.pauseTesting());
+        document.getElementById('pause-testing').addEventListener('click', () => {
+            if (this.isPaused) {
+                this.resumeTesting();
+            } else {
+                this.pauseTesting();
+            }
+        });
         document.getElementById('stop-testing').addEventListener('click', () => this.stopTesting());
         document.getElementById('view-results').addEventListener('click', () => this.showResults());
         document.getElementById('export-results').addEventListener('click', () => this.exportResults());
         document.getElementById('back-to-home').addEventListener('click', () => this.backToHome());
+        document.getElementById('gamepad-measure-drift').addEventListener('click', () => this.measureGamepadDrift());
+        document.getElementById('gamepad-test-haptics').addEventListener('click', () => this.testGamepadHaptics());
+        document.getElementById('guided-action').addEventListener('click', () => this.runGuidedAction());
+        document.getElementById('guided-skip').addEventListener('click', () => this.advanceGuidedStep());
     }
 
     /**
      * Show the testing interface and hide landing page
+     * @param {Object} options
+     * @param {boolean} options.benchmark - Also run the opt-in frame-pacing benchmark
      */
-    async show() {
+    async show(options = {}) {
+        this.runBenchmark = options.benchmark === true;
+
         const landingPage = document.getElementById('landing-page');
         if (landingPage) landingPage.classList.add('hidden');
         
@@ -179,6 +272,7 @@ class TestingInterface {
             }
         }, 500);
         
+        this.startGamepadDiagnostic();
         this.prepareTests();
     }
 
@@ -187,43 +281,83 @@ class TestingInterface {
      */
     hide() {
         this.container.classList.add('hidden');
+        this.stopGamepadDiagnostic();
         
         const landingPage = document.getElementById('landing-page');
         if (landingPage) landingPage.classList.remove('hidden');
     }
 
+    /**
+     * WebGPU limits and features the active requirement profile asks for (defaults otherwise)
+     */
+    getWebGPUThresholds() {
+        return window.requirementProfile ? window.requirementProfile.getWebGPUThresholds() : undefined;
+    }
+
     /**
      * Prepare all tests for execution
      */
     async prepareTests() {
         try {
             // Initialize all test modules
-            const testModules = [
+            this.testModules = [
                 { name: 'WebGL Tests', module: new WebGLTests(), category: 'graphics' },
-                { name: 'WebGPU Tests', module: new WebGPUTests(), category: 'graphics' },
+                { name: 'WebGPU Tests', module: new WebGPUTests({ thresholds: this.getWebGPUThresholds() }), category: 'graphics' },
                 { name: 'WebAssembly Tests', module: new WebAssemblyTests(), category: 'performance' },
                 { name: 'Gaming APIs Tests', module: new GamingAPIsTests(), category: 'gaming' },
                 { name: 'Communication Tests', module: new CommunicationTests(), category: 'communication' },
-                { name: 'Performance Tests', module: new PerformanceTests(), category: 'performance' }
+                { name: 'Performance Tests', module: new PerformanceTests(), category: 'performance' },
+                { name: 'Storage Tests', module: new StorageTests(), category: 'storage' },
+                { name: 'Display Tests', module: new DisplayTests(), category: 'display' },
+                { name: 'Input Tests', module: new InputTests(), category: 'input' },
+                { name: 'Audio Tests', module: new AudioTests(), category: 'audio' },
+                { name: 'Media Tests', module: new MediaTests(), category: 'media' },
+                { name: 'Worker Tests', module: new WorkerTests(), category: 'workers' },
+                { name: 'Isolation Tests', module: new IsolationTests(), category: 'security' }
             ];
+            if (this.runBenchmark) {
+                this.testModules.push({ name: 'Frame Pacing Benchmark', module: new FramePacingTests(), category: 'performance' });
+            }
+
+            // Weights, severities and blocking tests come from the capability DB
+            if (window.capabilityDB) {
+                await window.capabilityDB.load();
+            }
+            this.scoring = ScoringModel.fromDatabase(window.capabilityDB);
 
-            // Build test queue with all individual tests
-            this.testQueue = [];
+            // Register every individual test with a fresh engine
+            this.testEngine = new TestEngine({ timeoutMs: 10000, scoring: this.scoring });
+            this.testItems = new Map();
             let testId = 0;
             
-            for (const testModule of testModules) {
+            for (const testModule of this.testModules) {
                 try {
                     const tests = testModule.module.getAllTests();
                     for (const test of tests) {
-                        this.testQueue.push({
+                        // Tests are registered, linked and stored by their stable detectorKey
+                        const key = test.detectorKey;
+                        if (!key || this.testItems.has(key)) {
+                            console.warn(`Skipping ${test.name} from ${testModule.name}: missing or duplicate detectorKey "${key}"`);
+                            continue;
+                        }
+                        const category = test.category || testModule.category;
+                        
+                        this.testItems.set(key, {
                             id: testId++,
+                            detectorKey: key,
                             name: test.name,
                             description: test.description,
-                            category: test.category || testModule.category,
+                            category,
+                            module: testModule.name
+                        });
+                        
+                        this.testEngine.registerTest(key, test.fn, {
+                            category,
                             priority: test.priority || 5,
-                            fn: test.fn,
                             dependencies: test.dependencies || [],
-                            module: testModule.name
+                            description: test.description,
+                            exclusive: test.exclusive || false,
+                            timeout: test.timeout
                         });
                     }
                 } catch (error) {
@@ -231,19 +365,333 @@ class TestingInterface {
                 }
             }
 
-            // Sort by priority (higher priority first)
-            this.testQueue.sort((a, b) => b.priority - a.priority);
+            this.subscribeToEngine();
 
             // Create test UI elements
             this.createTestItems();
-            this.updateProgress(0, this.testQueue.length);
+            this.updateProgress(0, this.testItems.size);
             
             // Start testing automatically
             setTimeout(() => this.startTesting(), 500);
             
         } catch (error) {
             console.error('Failed to prepare tests:', error);
-            this.showError('Failed to initialize tests. Please refresh and try again.');
+            this.showError(this.t('error.prepareFailed'));
+        }
+    }
+
+    /**
+     * Drive the UI from test engine events
+     */
+    subscribeToEngine() {
+        const engine = this.testEngine;
+        
+        // Ignore late events from an engine that was stopped and replaced
+        const isCurrent = () => engine === this.testEngine;
+        
+        engine
+            .on('testStart', ({ name: key }) => {
+                if (!isCurrent()) return;
+                const item = this.testItems.get(key);
+                if (!item) return;
+                
+                this.currentTest = item;
+                this.updateTestStatus(item.id, 'running');
+                this.setLabel(document.getElementById('current-test-info'), 'testing.current', { name: this.getTestTitle(item) });
+            })
+            .on('testInterrupted', ({ name: key }) => {
+                if (!isCurrent()) return;
+                const item = this.testItems.get(key);
+                if (item) this.updateTestStatus(item.id, 'pending');
+            })
+            .on('testComplete', ({ name: key, result }) => {
+                if (!isCurrent()) return;
+                this.recordResult(key, result);
+                this.updateProgress(this.testEngine.completedTests, this.testEngine.totalTests);
+            })
+            .on('testSuiteComplete', ({ results }) => {
+                if (!isCurrent()) return;
+                
+                // Tests skipped by the total time limit never emit testComplete
+                for (const [key, result] of results) {
+                    if (this.testItems.has(key) && !this.testResults.has(key)) {
+                        this.recordResult(key, result);
+                    }
+                }
+                this.finishTesting();
+            })
+            .on('testSuiteError', ({ error }) => {
+                if (!isCurrent()) return;
+                console.error('Test suite failed:', error);
+                this.showError(this.t('error.suiteFailed'));
+                this.finishTesting(true);
+            });
+    }
+
+    /**
+     * Store an engine result and reflect it in the UI
+     */
+    recordResult(key, result) {
+        const item = this.testItems.get(key);
+        if (!item) return;
+        
+        // Skipped tests are treated as unsupported for scoring
+        const skipped = result.status === 'skipped';
+        const details = skipped
+            ? (result.reason === 'Dependencies not met' ? this.t('testing.dependenciesNotMet') : result.reason)
+            : (result.status === 'error' && result.error ? result.error : result.details);
+        
+        const uiResult = {
+            ...result,
+            status: skipped ? 'unsupported' : result.status,
+            details,
+            detectorKey: item.detectorKey,
+            name: item.name,
+            category: item.category
+        };
+        
+        if (item.detectorKey === 'gamepad.api' && this.gamepadFindings) {
+            uiResult.controllerDiagnostic = this.gamepadFindings;
+        }
+        
+        // A guided check that already ran outranks what the automatic test could detect
+        const guided = this.guidedResults.get(item.detectorKey);
+        if (guided) {
+            // The detected score no longer applies
+            delete uiResult.score;
+            Object.assign(uiResult, guided);
+        } else if (GuidedChecks.GATED_KEYS.includes(item.detectorKey)) {
+            uiResult.verification = 'detected';
+        }
+        
+        this.testResults.set(item.detectorKey, uiResult);
+        this.updateTestStatus(item.id, skipped && !guided ? 'skipped' : uiResult.status, uiResult.details, uiResult);
+    }
+
+    /**
+     * Start the guided checks, or run the current step inside this click
+     */
+    async runGuidedAction() {
+        if (this.guidedStep < 0) {
+            this.guidedChecks = new GuidedChecks();
+            this.guidedStep = 0;
+            this.renderGuidedStep();
+            return;
+        }
+
+        const step = GuidedChecks.STEPS[this.guidedStep];
+        const button = document.getElementById('guided-action');
+        button.disabled = true;
+        try {
+            // No await before runStep: the APIs need the click's user activation
+            const results = await this.guidedChecks.runStep(step.id, document.getElementById('guided-panel'));
+            results.forEach(result => this.recordGuidedResult(result));
+        } catch (error) {
+            console.warn(`Guided ${step.id} check failed:`, error);
+        } finally {
+            button.disabled = false;
+        }
+        this.advanceGuidedStep();
+    }
+
+    advanceGuidedStep() {
+        this.guidedStep++;
+        if (this.guidedStep < GuidedChecks.STEPS.length) {
+            this.renderGuidedStep();
+        } else {
+            this.finishGuidedChecks();
+        }
+    }
+
+    renderGuidedStep() {
+        const { id } = GuidedChecks.STEPS[this.guidedStep];
+        this.setLabel(document.getElementById('guided-prompt'), `guided.prompt.${id}`);
+        this.setLabel(document.getElementById('guided-action'), `guided.action.${id}`);
+        document.getElementById('guided-action').hidden = false;
+        document.getElementById('guided-skip').hidden = false;
+    }
+
+    finishGuidedChecks() {
+        this.setLabel(document.getElementById('guided-prompt'), 'guided.done');
+        document.getElementById('guided-action').hidden = true;
+        document.getElementById('guided-skip').hidden = true;
+
+        // Rescore a finished run with the verified results
+        if (this.finalSummary) {
+            this.displayFinalScore(this.getScoringModel().summarize(Array.from(this.testResults.values())));
+        }
+    }
+
+    /**
+     * Replace a test's detected result with the verified one and list it in the guided panel
+     */
+    recordGuidedResult(result) {
+        this.guidedResults.set(result.detectorKey, result);
+
+        const item = this.testItems.get(result.detectorKey);
+        if (item) {
+            const uiResult = {
+                ...(this.testResults.get(item.detectorKey) || {}),
+                score: undefined,
+                ...result,
+                name: item.name,
+                category: item.category
+            };
+            this.testResults.set(item.detectorKey, uiResult);
+            this.updateTestStatus(item.id, uiResult.status, uiResult.details, uiResult);
+        }
+
+        const line = document.createElement('li');
+        line.className = `guided-result ${result.status}`;
+        const title = item ? this.getTestTitle(item) : result.detectorKey;
+        line.textContent = `${title}: ${this.formatTestStatus(result.status)} — ${result.details}`;
+        document.getElementById('guided-results').appendChild(line);
+    }
+
+    resetGuidedChecks() {
+        this.guidedChecks = null;
+        this.guidedResults.clear();
+        this.guidedStep = -1;
+        this.setLabel(document.getElementById('guided-prompt'), 'guided.intro');
+        this.setLabel(document.getElementById('guided-action'), 'guided.start');
+        document.getElementById('guided-action').hidden = false;
+        document.getElementById('guided-skip').hidden = true;
+        document.getElementById('guided-results').innerHTML = '';
+    }
+
+    /**
+     * Start the live controller panel; it runs alongside the tests until the view is left
+     */
+    startGamepadDiagnostic() {
+        if (!GamepadDiagnostic.isAvailable()) {
+            this.setLabel(document.getElementById('gamepad-status'), 'gamepad.unsupported');
+            return;
+        }
+        if (this.gamepadDiagnostic) return;
+
+        this.gamepadDiagnostic = new GamepadDiagnostic({
+            onState: (snapshot) => this.renderGamepadState(snapshot),
+            onFindings: (findings) => this.updateGamepadFindings(findings)
+        });
+        this.gamepadDiagnostic.start();
+    }
+
+    stopGamepadDiagnostic() {
+        if (this.gamepadDiagnostic) {
+            this.gamepadDiagnostic.stop();
+            this.gamepadDiagnostic = null;
+        }
+    }
+
+    /**
+     * Live button and axis view of the latest controller snapshot
+     */
+    renderGamepadState(snapshot) {
+        if (!snapshot) return;
+
+        const buttonsContainer = document.getElementById('gamepad-buttons');
+        const axesContainer = document.getElementById('gamepad-axes');
+
+        // Rebuild only when a controller with a different layout is selected
+        if (buttonsContainer.children.length !== snapshot.buttons.length) {
+            buttonsContainer.innerHTML = snapshot.buttons
+                .map((_, index) => `<span class="gamepad-button">${index}</span>`).join('');
+        }
+        if (axesContainer.children.length !== snapshot.axes.length) {
+            axesContainer.innerHTML = snapshot.axes
+                .map((_, index) => `<div class="gamepad-axis"><span>${index}</span><div class="gamepad-axis-bar"><div class="gamepad-axis-fill"></div></div><span class="gamepad-axis-value"></span></div>`)
+                .join('');
+        }
+
+        snapshot.buttons.forEach((button, index) => {
+            const element = buttonsContainer.children[index];
+            element.classList.toggle('pressed', button.pressed);
+            element.style.setProperty('--press', button.value.toFixed(2));
+        });
+        snapshot.axes.forEach((value, index) => {
+            const element = axesContainer.children[index];
+            element.querySelector('.gamepad-axis-fill').style.left = `${((value + 1) / 2) * 100}%`;
+            element.querySelector('.gamepad-axis-value').textContent = value.toFixed(2);
+        });
+    }
+
+    /**
+     * Show the diagnostic findings and keep them on the gamepad.api result for exports
+     */
+    updateGamepadFindings(findings) {
+        const status = document.getElementById('gamepad-status');
+        const live = document.getElementById('gamepad-live');
+
+        if (!findings) {
+            this.setLabel(status, 'gamepad.waiting');
+            live.hidden = true;
+            return;
+        }
+
+        this.gamepadFindings = findings;
+        const result = this.testResults.get('gamepad.api');
+        if (result) result.controllerDiagnostic = findings;
+
+        this.setLabel(status, 'gamepad.connected', { id: findings.id });
+        live.hidden = false;
+
+        const mapping = document.getElementById('gamepad-mapping');
+        if (findings.standardMapping) {
+            this.setLabel(mapping, 'gamepad.mappingStandard');
+        } else {
+            this.setLabel(mapping, 'gamepad.mappingNonStandard', { mapping: findings.mapping });
+        }
+
+        const polling = document.getElementById('gamepad-polling');
+        if (findings.pollingRateHz === null) {
+            this.setLabel(polling, 'gamepad.pollingPending');
+        } else {
+            this.setLabel(polling, 'gamepad.pollingRate', { rate: findings.pollingRateHz });
+        }
+
+        const drift = document.getElementById('gamepad-drift');
+        if (!findings.drift) {
+            this.setLabel(drift, 'gamepad.driftPending');
+        } else if (findings.drift.driftDetected) {
+            this.setLabel(drift, 'gamepad.driftDetected', { offset: findings.drift.maxOffset, deadzone: findings.drift.recommendedDeadzone });
+        } else {
+            this.setLabel(drift, 'gamepad.driftNone', { deadzone: findings.drift.recommendedDeadzone });
+        }
+
+        const haptics = document.getElementById('gamepad-haptics');
+        if (!findings.haptics) {
+            this.setLabel(haptics, 'gamepad.hapticsPending');
+        } else if (findings.haptics.working) {
+            this.setLabel(haptics, 'gamepad.hapticsWorking');
+        } else if (!findings.haptics.api) {
+            this.setLabel(haptics, 'gamepad.hapticsUnavailable');
+        } else {
+            this.setLabel(haptics, 'gamepad.hapticsFailed');
+        }
+    }
+
+    async measureGamepadDrift() {
+        if (!this.gamepadDiagnostic) return;
+
+        const button = document.getElementById('gamepad-measure-drift');
+        button.disabled = true;
+        this.setLabel(document.getElementById('gamepad-drift'), 'gamepad.driftMeasuring');
+        try {
+            await this.gamepadDiagnostic.measureDrift();
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async testGamepadHaptics() {
+        if (!this.gamepadDiagnostic) return;
+
+        const button = document.getElementById('gamepad-test-haptics');
+        button.disabled = true;
+        try {
+            await this.gamepadDiagnostic.testHaptics();
+        } finally {
+            button.disabled = false;
         }
     }
 
@@ -255,7 +703,14 @@ class TestingInterface {
             graphics: document.getElementById('graphics-tests'),
             gaming: document.getElementById('gaming-tests'),
             communication: document.getElementById('communication-tests'),
-            performance: document.getElementById('performance-tests')
+            performance: document.getElementById('performance-tests'),
+            storage: document.getElementById('storage-tests'),
+            display: document.getElementById('display-tests'),
+            input: document.getElementById('input-tests'),
+            audio: document.getElementById('audio-tests'),
+            media: document.getElementById('media-tests'),
+            workers: document.getElementById('workers-tests'),
+            security: document.getElementById('security-tests')
         };
 
         // Clear existing items
@@ -265,7 +720,7 @@ class TestingInterface {
 
         // Group tests by category and sort alphabetically within each category
         const testsByCategory = {};
-        this.testQueue.forEach(test => {
+        this.testItems.forEach(test => {
             if (!testsByCategory[test.category]) {
                 testsByCategory[test.category] = [];
             }
@@ -274,7 +729,7 @@ class TestingInterface {
 
         // Sort tests within each category alphabetically
         Object.keys(testsByCategory).forEach(category => {
-            testsByCategory[category].sort((a, b) => a.name.localeCompare(b.name));
+            testsByCategory[category].sort((a, b) => this.getTestTitle(a).localeCompare(this.getTestTitle(b)));
         });
 
         // Render sorted tests
@@ -287,16 +742,17 @@ class TestingInterface {
                 testItem.className = 'test-item pending';
                 testItem.id = `test-${test.id}`;
                 
-                const caniuseUrl = this.getCaniuseUrl(test.name);
+                const caniuseUrl = this.getCaniuseUrl(test.detectorKey, test.name);
+                testItem.dataset.detectorKey = test.detectorKey;
                 testItem.innerHTML = `
                     <div class="test-header" onclick="this.parentElement.classList.toggle('expanded')">
-                        <span class="test-name">${test.name}</span>
-                        <a href="${caniuseUrl}" target="_blank" class="test-help-link" onclick="event.stopPropagation()" title="View browser support on caniuse.com">?</a>
-                        <span class="test-status">⏳ Pending</span>
+                        <span class="test-name">${this.escapeHtml(this.getTestTitle(test))}</span>
+                        <a href="${caniuseUrl}" target="_blank" class="test-help-link" onclick="event.stopPropagation()" title="${this.t('testing.helpLink')}" data-i18n-attr="title:testing.helpLink">?</a>
+                        <span class="test-status">${this.formatTestStatus('pending')}</span>
                         <span class="test-expand-icon">▼</span>
                     </div>
                     <div class="test-details">
-                        <div class="test-description">${test.description}</div>
+                        <div class="test-description">${this.escapeHtml(this.getTestDescription(test))}</div>
                         <div class="test-result hidden"></div>
                     </div>
                 `;
@@ -316,77 +772,13 @@ class TestingInterface {
         document.getElementById('pause-testing').disabled = false;
         document.getElementById('stop-testing').disabled = false;
         
-        document.getElementById('current-test-info').textContent = 'Running compatibility tests...';
-        
-        let completedTests = 0;
+        this.setLabel(document.getElementById('current-test-info'), 'testing.running');
         
-        for (let i = 0; i < this.testQueue.length && this.isRunning; i++) {
-            const test = this.testQueue[i];
-            
-            // Check dependencies
-            if (test.dependencies.length > 0) {
-                const dependencyMet = test.dependencies.every(dep => {
-                    const depResult = Array.from(this.testResults.values()).find(r => r.name === dep);
-                    return depResult && depResult.status === 'supported';
-                });
-                
-                if (!dependencyMet) {
-                    // Add skipped test to results so it's counted in scoring
-                    const skippedResult = {
-                        status: 'unsupported',  // Treat skipped as unsupported for scoring
-                        details: 'Dependencies not met - API not available',
-                        name: test.name,
-                        category: test.category,
-                        duration: 0
-                    };
-                    this.testResults.set(test.id, skippedResult);
-                    this.updateTestStatus(test.id, 'skipped', 'Dependencies not met');
-                    completedTests++;
-                    continue;
-                }
-            }
-
-            // Run the test
-            this.currentTest = test;
-            this.updateTestStatus(test.id, 'running');
-            document.getElementById('current-test-info').textContent = `Testing: ${test.name}`;
-            
-            try {
-                const startTime = performance.now();
-                const result = await Promise.race([
-                    test.fn(),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('Test timeout')), 10000))
-                ]);
-                
-                const duration = Math.round(performance.now() - startTime);
-                result.duration = duration;
-                result.name = test.name;
-                result.category = test.category;
-                
-                this.testResults.set(test.id, result);
-                this.updateTestStatus(test.id, result.status, result.details, result);
-                
-            } catch (error) {
-                const errorResult = {
-                    status: 'error',
-                    details: error.message,
-                    name: test.name,
-                    category: test.category,
-                    duration: 0
-                };
-                
-                this.testResults.set(test.id, errorResult);
-                this.updateTestStatus(test.id, 'error', error.message);
-            }
-            
-            completedTests++;
-            this.updateProgress(completedTests, this.testQueue.length);
-            
-            // Small delay between tests
-            await new Promise(resolve => setTimeout(resolve, 200));
+        try {
+            await this.testEngine.runAllTests();
+        } catch (error) {
+            // Reported through the testSuiteError event
         }
-        
-        this.finishTesting();
     }
 
     /**
@@ -397,37 +789,38 @@ class TestingInterface {
         if (!testElement) return;
 
         testElement.className = `test-item ${status}`;
+        testElement.dataset.status = status;
         
         const statusElement = testElement.querySelector('.test-status');
         const resultElement = testElement.querySelector('.test-result');
         
-        const statusIcons = {
-            pending: '⏳ Pending',
-            running: '🔄 Running...',
-            supported: '✅ Supported',
-            partial: '⚠️ Partial',
-            unsupported: '❌ Unsupported',
-            error: '🚨 Error',
-            skipped: '⏭️ Skipped'
-        };
-        
-        statusElement.textContent = statusIcons[status] || `📋 ${status}`;
+        statusElement.textContent = this.formatTestStatus(status);
         
         if (details && (status !== 'running' && status !== 'pending')) {
             resultElement.textContent = details;
             resultElement.classList.remove('hidden');
         }
         
+        // Gesture-gated tests say whether a guided check confirmed them
+        const existingBadge = testElement.querySelector('.verification-badge');
+        if (existingBadge) existingBadge.remove();
+        if (result && result.verification && testElement.querySelector('.test-details')) {
+            const badge = document.createElement('span');
+            badge.className = `verification-badge ${result.verification}`;
+            this.setLabel(badge, result.verification === 'verified' ? 'guided.verified' : 'guided.detectedOnly');
+            testElement.querySelector('.test-details').appendChild(badge);
+        }
+        
         // Add score if available - place it in the lower right of the test details
-        if (result && typeof result.score === 'number' && (status !== 'running' && status !== 'pending')) {
+        if (result && (status !== 'running' && status !== 'pending')) {
             const testDetails = testElement.querySelector('.test-details');
-            if (testDetails) {
-                // Remove any existing score
-                const existingScore = testDetails.querySelector('.test-score');
-                if (existingScore) {
-                    existingScore.remove();
-                }
-                
+            // Remove any existing score
+            const existingScore = testDetails && testDetails.querySelector('.test-score');
+            if (existingScore) {
+                existingScore.remove();
+            }
+            
+            if (testDetails && typeof result.score === 'number') {
                 const scoreElement = document.createElement('div');
                 scoreElement.className = 'test-score';
                 scoreElement.textContent = `${result.score}%`;
@@ -463,27 +856,33 @@ class TestingInterface {
      * Pause testing
      */
     pauseTesting() {
-        this.isRunning = false;
-        document.getElementById('current-test-info').textContent = 'Testing paused...';
-        document.getElementById('pause-testing').textContent = 'Resume';
-        document.getElementById('pause-testing').onclick = () => this.resumeTesting();
+        if (!this.isRunning || this.isPaused) return;
+        
+        this.isPaused = true;
+        this.testEngine.pause();
+        this.setLabel(document.getElementById('current-test-info'), 'testing.paused');
+        this.setLabel(document.getElementById('pause-testing'), 'testing.resume');
     }
 
     /**
      * Resume testing
      */
     resumeTesting() {
-        this.isRunning = true;
-        document.getElementById('pause-testing').textContent = 'Pause';
-        document.getElementById('pause-testing').onclick = () => this.pauseTesting();
-        this.startTesting();
+        if (!this.isPaused) return;
+        
+        this.isPaused = false;
+        this.testEngine.resume();
+        this.setLabel(document.getElementById('pause-testing'), 'testing.pause');
+        this.setLabel(document.getElementById('current-test-info'), 'testing.running');
     }
 
     /**
      * Stop testing
      */
     stopTesting() {
-        this.isRunning = false;
+        if (this.testEngine) {
+            this.testEngine.cancel();
+        }
         this.finishTesting(true);
     }
 
@@ -492,48 +891,67 @@ class TestingInterface {
      */
     finishTesting(stopped = false) {
         this.isRunning = false;
+        this.isPaused = false;
         this.currentTest = null;
+        this.cleanupModules();
         
+        this.setLabel(document.getElementById('pause-testing'), 'testing.pause');
         document.getElementById('pause-testing').disabled = true;
         document.getElementById('stop-testing').disabled = true;
         document.getElementById('view-results').disabled = false;
         document.getElementById('export-results').disabled = false;
         
-        const statusText = stopped ? 'Testing stopped by user' : 'Testing completed!';
-        document.getElementById('current-test-info').textContent = statusText;
+        this.setLabel(document.getElementById('current-test-info'), stopped ? 'testing.stopped' : 'testing.completed');
         
         // Show summary notification
         this.showSummary();
     }
 
+    /**
+     * Release sockets, devices and canvases held by the test modules
+     */
+    cleanupModules() {
+        for (const testModule of this.testModules) {
+            try {
+                testModule.module.cleanup();
+            } catch (error) {
+                console.warn(`Cleanup failed for ${testModule.name}:`, error);
+            }
+        }
+    }
+
     /**
      * Show testing summary
      */
     showSummary() {
-        const results = Array.from(this.testResults.values());
-        const supported = results.filter(r => r.status === 'supported').length;
-        const partial = results.filter(r => r.status === 'partial').length;
-        const unsupported = results.filter(r => r.status === 'unsupported').length;
-        const error = results.filter(r => r.status === 'error').length;
-        const total = results.length;
-        
-        const score = total > 0 ? Math.round(((supported + partial * 0.5) / total) * 100) : 0;
+        const summary = this.getScoringModel().summarize(Array.from(this.testResults.values()));
         
         // Show final score in the progress area
-        this.displayFinalScore(score, supported, partial, unsupported, error, total);
+        this.displayFinalScore(summary);
         
         // Still show toast notification for immediate feedback
         this.showNotification(
-            `Testing Complete! Compatibility Score: ${score}% (${supported}/${total} fully supported)`,
+            this.t('notify.testingComplete', { score: summary.score, supported: summary.supported, total: summary.total }),
             'success',
             3000
         );
     }
 
+    /**
+     * Scoring model of the current run (severity-only defaults before tests are prepared)
+     */
+    getScoringModel() {
+        if (!this.scoring) {
+            this.scoring = ScoringModel.fromDatabase(window.capabilityDB);
+        }
+        return this.scoring;
+    }
+
     /**
      * Display final score in progress area
      */
-    displayFinalScore(score, supported, partial, unsupported, error, total) {
+    displayFinalScore(summary) {
+        const { score, supported, partial, unsupported, error, total } = summary;
         const container = document.getElementById('final-score-container');
         const gaugeScore = document.getElementById('gauge-score');
         const gaugeFill = document.getElementById('gauge-fill');
@@ -556,12 +974,17 @@ class TestingInterface {
         
         // Create breakdown text
         const breakdownParts = [];
-        if (supported > 0) breakdownParts.push(`${supported} fully supported`);
-        if (partial > 0) breakdownParts.push(`${partial} partially supported`);
-        if (unsupported > 0) breakdownParts.push(`${unsupported} unsupported`);
-        if (error > 0) breakdownParts.push(`${error} errors`);
+        if (supported > 0) breakdownParts.push(this.label('score.supported', { count: supported }));
+        if (partial > 0) breakdownParts.push(this.label('score.partial', { count: partial }));
+        if (unsupported > 0) breakdownParts.push(this.label('score.unsupported', { count: unsupported }));
+        if (error > 0) breakdownParts.push(this.label('score.errors', { count: error }));
+        breakdownParts.push(this.label('score.total', { count: total }));
+        if (summary.blocked) {
+            const tests = summary.blockedBy.map(key => this.getTestTitle(this.testItems.get(key) || { detectorKey: key, name: key }));
+            breakdownParts.push(this.label('score.blocked', { tests: tests.join(', ') }));
+        }
         
-        scoreBreakdown.textContent = `${breakdownParts.join(' • ')} • Total: ${total} tests`;
+        scoreBreakdown.innerHTML = breakdownParts.join(' • ');
         
         // Show the container and scroll to it
         container.style.display = 'block';
@@ -592,7 +1015,8 @@ class TestingInterface {
         }
 
         // Update compatibility status message
-        this.updateCompatibilityStatus(score, error, unsupported);
+        this.finalSummary = summary;
+        this.updateCompatibilityStatus(summary);
         
         // Generate improvement report
         this.generateImprovementReport();
@@ -875,17 +1299,17 @@ class TestingInterface {
             
             if (currentMajor >= latestMajor) {
                 return {
-                    badge: '<span class="uptodate-badge">Up to Date</span>',
+                    badge: `<span class="uptodate-badge" data-i18n="browser.upToDate">${this.t('browser.upToDate')}</span>`,
                     isUpToDate: true
                 };
             } else if (latestMajor - currentMajor >= 5) {
                 return {
-                    badge: '<span class="update-badge">Update Available</span>',
+                    badge: `<span class="update-badge" data-i18n="browser.updateAvailable">${this.t('browser.updateAvailable')}</span>`,
                     isUpToDate: false
                 };
             } else {
                 return {
-                    badge: '<span class="minor-update-badge">Minor Update Available</span>',
+                    badge: `<span class="minor-update-badge" data-i18n="browser.minorUpdate">${this.t('browser.minorUpdate')}</span>`,
                     isUpToDate: false
                 };
             }
@@ -924,118 +1348,47 @@ class TestingInterface {
         
         if (currentMajor >= latestMajor) {
             return {
-                badge: '<span class="uptodate-badge">Up to Date</span>',
+                badge: `<span class="uptodate-badge" data-i18n="browser.upToDate">${this.t('browser.upToDate')}</span>`,
                 isUpToDate: true
             };
         } else if (latestMajor > 0 && (latestMajor - currentMajor) >= 5) {
             return {
-                badge: '<span class="update-badge">Update Available</span>',
+                badge: `<span class="update-badge" data-i18n="browser.updateAvailable">${this.t('browser.updateAvailable')}</span>`,
                 isUpToDate: false
             };
         } else {
             return {
-                badge: '<span class="minor-update-badge">Minor Update Available</span>',
+                badge: `<span class="minor-update-badge" data-i18n="browser.minorUpdate">${this.t('browser.minorUpdate')}</span>`,
                 isUpToDate: false
             };
         }
     }
 
     /**
-     * Get caniuse.com URL for a specific test
+     * Get the reference URL for a specific test from the capability DB
      */
-    getCaniuseUrl(testName) {
-        const caniuseMap = {
-            // WebGL & Graphics
-            'WebGL Context': 'https://caniuse.com/webgl',
-            'WebGL 2.0': 'https://caniuse.com/webgl2',
-            'WebGL Extensions': 'https://caniuse.com/webgl',
-            'Canvas API': 'https://caniuse.com/canvas',
-            'OffscreenCanvas': 'https://caniuse.com/offscreencanvas',
-            
-            // WebGPU
-            'WebGPU Support': 'https://caniuse.com/webgpu',
-            'WebGPU Adapter': 'https://caniuse.com/webgpu',
-            'WebGPU Device': 'https://caniuse.com/webgpu',
-            
-            // WebAssembly
-            'WebAssembly Support': 'https://caniuse.com/wasm',
-            'WebAssembly Memory': 'https://caniuse.com/wasm',
-            'WebAssembly Table': 'https://caniuse.com/wasm',
-            'WebAssembly Global': 'https://caniuse.com/wasm',
-            'WebAssembly Threads': 'https://caniuse.com/wasm-threads',
-            'WebAssembly SIMD': 'https://caniuse.com/wasm-simd',
-            'WebAssembly Streaming': 'https://caniuse.com/wasm',
-            
-            // Gaming APIs
-            'Gamepad API': 'https://caniuse.com/gamepad',
-            'Pointer Lock API': 'https://caniuse.com/pointerlock',
-            'Fullscreen API': 'https://caniuse.com/fullscreen',
-            'Screen Orientation API': 'https://caniuse.com/screen-orientation',
-            'Wake Lock API': 'https://caniuse.com/wake-lock',
-            'Keyboard Lock API': 'https://caniuse.com/?search=keyboard%20lock',
-            'Vibration API': 'https://caniuse.com/vibration',
-            
-            // Communication
-            'WebSocket API': 'https://caniuse.com/websockets',
-            'WebRTC API': 'https://caniuse.com/rtcpeerconnection',
-            'WebRTC Data Channels': 'https://caniuse.com/rtcdatachannel',
-            'Server-Sent Events': 'https://caniuse.com/eventsource',
-            'Fetch API': 'https://caniuse.com/fetch',
-            
-            // Performance
-            'Performance API': 'https://caniuse.com/nav-timing',
-            'Performance Observer': 'https://caniuse.com/mdn-api_performanceobserver',
-            'Intersection Observer': 'https://caniuse.com/intersectionobserver',
-            'Resize Observer': 'https://caniuse.com/resizeobserver',
-            'Web Workers': 'https://caniuse.com/webworkers',
-            'SharedArrayBuffer': 'https://caniuse.com/sharedarraybuffer',
-            
-            // Audio
-            'Web Audio API': 'https://caniuse.com/audio-api',
-            'Audio Context': 'https://caniuse.com/audio-api',
-            
-            // Storage
-            'IndexedDB': 'https://caniuse.com/indexeddb',
-            'localStorage': 'https://caniuse.com/namevalue-storage',
-            
-            // Device APIs
-            'Device Motion API': 'https://caniuse.com/deviceorientation',
-            'Geolocation API': 'https://caniuse.com/geolocation'
-        };
+    getCaniuseUrl(detectorKey, testName = detectorKey) {
+        const url = window.capabilityDB && window.capabilityDB.getTestLink(detectorKey);
         
-        // Return the specific URL or a search URL if not found
-        return caniuseMap[testName] || `https://caniuse.com/?search=${encodeURIComponent(testName)}`;
+        // Fall back to a caniuse.com search when the DB has no link
+        return url || `https://caniuse.com/?search=${encodeURIComponent(testName)}`;
     }
 
     /**
-     * Update compatibility status message based on score
+     * Update compatibility status message from the summary's grade
      */
-    updateCompatibilityStatus(score, errorCount, unsupportedCount) {
+    updateCompatibilityStatus(summary) {
         const statusElement = document.getElementById('compatibility-status');
         if (!statusElement) return;
 
-        let message = '';
-        let className = '';
-
-        if (score >= 80 && errorCount === 0) {
-            message = "Your browser can run modern web games";
-            className = 'status-excellent';
-        } else if (score >= 60 && errorCount <= 2) {
-            message = "Your browser can run most web games with good performance";
-            className = 'status-good';
-        } else if (score >= 40) {
-            message = "Your browser may have issues running some modern web games";
-            className = 'status-fair';
-        } else {
-            message = "Your browser may not be able to run many modern web games";
-            className = 'status-poor';
-        }
+        const level = summary.grade;
+        const className = `status-${level}`;
 
         // Create the status content with "Go To Report" link below the message
-        const hasIssues = errorCount > 0 || unsupportedCount > 0;
-        const reportLink = hasIssues ? '<div class="go-to-report-container"><a href="#" class="go-to-report-link" onclick="event.preventDefault(); document.getElementById(\'improvement-report\').scrollIntoView({behavior: \'smooth\', block: \'start\'}); return false;">Go To Report →</a></div>' : '';
+        const hasIssues = summary.error > 0 || summary.unsupported > 0;
+        const reportLink = hasIssues ? '<div class="go-to-report-container"><a href="#" class="go-to-report-link" data-i18n="compatibility.goToReport" onclick="event.preventDefault(); document.getElementById(\'improvement-report\').scrollIntoView({behavior: \'smooth\', block: \'start\'}); return false;">' + this.escapeHtml(this.t('compatibility.goToReport')) + '</a></div>' : '';
         
-        statusElement.innerHTML = '<div class="status-message">' + message + '</div>' + reportLink;
+        statusElement.innerHTML = '<div class="status-message" data-i18n="compatibility.' + level + '">' + this.escapeHtml(this.t(`compatibility.${level}`)) + '</div>' + reportLink;
         statusElement.className = `compatibility-status ${className}`;
     }
 
@@ -1047,10 +1400,11 @@ class TestingInterface {
         if (!reportContent) return;
 
         const results = Array.from(this.testResults.values());
-        const issues = results.filter(r => r.status === 'unsupported' || r.status === 'error');
+        const issues = results.filter(r => r.status === 'unsupported' || r.status === 'error' || r.needsGuidance ||
+            (r.verification === 'verified' && r.guided.outcome !== 'success'));
         
         if (issues.length === 0) {
-            reportContent.innerHTML = '<p class="no-issues">Great! Your browser supports all tested features. No improvements needed.</p>';
+            reportContent.innerHTML = `<p class="no-issues" data-i18n="report.noIssues">${this.escapeHtml(this.t('report.noIssues'))}</p>`;
             return;
         }
 
@@ -1067,19 +1421,19 @@ class TestingInterface {
 
         // Generate recommendations for each category
         Object.keys(categoryIssues).forEach(category => {
-            const categoryTitle = category.charAt(0).toUpperCase() + category.slice(1);
+            const categoryTitle = this.t(`category.${category}`, {}, category.charAt(0).toUpperCase() + category.slice(1));
             const categoryIssueList = categoryIssues[category];
             
             let sectionHTML = `<div class="report-section">
-                <h4>${categoryTitle} Issues</h4>
+                <h4>${this.label('report.categoryIssues', { category: categoryTitle })}</h4>
                 <div class="issue-list">`;
 
             categoryIssueList.forEach(issue => {
                 const guidance = this.getImprovementGuidance(issue);
                 sectionHTML += `
                     <div class="issue-item">
-                        <div class="issue-name">${issue.name}</div>
-                        <div class="issue-status status-${issue.status}">${issue.status}</div>
+                        <div class="issue-name">${this.escapeHtml(this.getTestTitle(issue))}</div>
+                        <div class="issue-status status-${issue.status}">${this.label(`status.${issue.status}`)}</div>
                         <div class="issue-guidance">${guidance}</div>
                     </div>`;
             });
@@ -1092,69 +1446,107 @@ class TestingInterface {
     }
 
     /**
-     * Get specific improvement guidance for an issue
+     * Get improvement guidance HTML for an issue from the capability DB
      */
     getImprovementGuidance(issue) {
-        const guidanceMap = {
-            // Graphics & WebGL
-            'WebGL Context': 'Enable hardware acceleration: Chrome → Settings → System → "Use hardware acceleration". Firefox → Settings → Performance → Uncheck "Use recommended" → Check "Use hardware acceleration"',
-            'WebGL 2.0': 'WebGL 2.0 requires a modern browser and graphics drivers. Update both your browser and GPU drivers (NVIDIA/AMD/Intel).',
-            'WebGL Extensions': 'Graphics driver update needed. Visit your GPU manufacturer website: NVIDIA (nvidia.com/drivers), AMD (amd.com/support), or Intel (intel.com/content/www/us/en/support)',
-            'Canvas API': 'Canvas is universally supported. If failing, check: 1) Browser extensions blocking canvas fingerprinting, 2) Privacy settings, 3) Hardware acceleration',
-            'OffscreenCanvas': 'Requires Chrome 69+, Firefox 105+, or Safari 16.4+. Update your browser or use a different browser for this feature.',
-            
-            // WebGPU
-            'WebGPU Support': 'WebGPU is experimental. Enable in Chrome: chrome://flags/#enable-unsafe-webgpu. Firefox: about:config → dom.webgpu.enabled. Not yet supported in Safari.',
-            'WebGPU Adapter': 'WebGPU requires modern GPU hardware and drivers. Update your graphics drivers and ensure WebGPU is enabled in browser flags.',
-            'WebGPU Device': 'WebGPU device creation requires compatible hardware. Check GPU compatibility and ensure WebGPU flags are enabled.',
-            
-            // WebAssembly
-            'WebAssembly Support': 'WebAssembly is supported in all modern browsers. Requires Chrome 57+, Firefox 52+, Safari 11+, or Edge 16+.',
-            'WebAssembly Threads': 'Requires SharedArrayBuffer support. Enable COOP/COEP headers on your server or check browser security settings.',
-            'WebAssembly SIMD': 'SIMD requires Chrome 91+, Firefox 89+, or Safari 16.4+. Update your browser for SIMD support.',
-            'WebAssembly Streaming': 'Streaming compilation requires proper MIME type (application/wasm) and CORS headers if loading cross-origin.',
-            
-            // Audio
-            'Web Audio API': 'Web Audio is widely supported. If failing: 1) Check browser autoplay policies, 2) Ensure page has user interaction, 3) Check audio permissions',
-            'Audio Context': 'AudioContext may be blocked by autoplay policies. Ensure user interaction (click/tap) before creating audio context.',
-            
-            // Communication
-            'WebSocket API': 'WebSockets may be blocked by: 1) Firewall/proxy settings, 2) Browser extensions, 3) Corporate network policies. Try disabling extensions.',
-            'WebRTC API': 'WebRTC requires: 1) HTTPS connection (or localhost), 2) Camera/microphone permissions, 3) Not blocked by extensions',
-            'WebRTC Data Channels': 'Data channels require WebRTC support. Check firewall settings for STUN/TURN servers and ensure WebRTC is not disabled.',
-            'Server-Sent Events': 'SSE is widely supported. Check: 1) Network proxy settings, 2) Browser extensions blocking connections, 3) CORS policies',
-            'Fetch API': 'Fetch is standard in modern browsers. Requires Chrome 42+, Firefox 39+, Safari 10.1+, or Edge 14+.',
-            
-            // Performance
-            'Performance API': 'Performance API is core to modern browsers. If failing, check privacy extensions that might block timing APIs.',
-            'Performance Observer': 'Requires Chrome 52+, Firefox 57+, or Safari 15+. Update your browser for PerformanceObserver support.',
-            'Intersection Observer': 'Requires Chrome 51+, Firefox 55+, Safari 12.1+, or Edge 15+. Widely supported - update if needed.',
-            'Resize Observer': 'Requires Chrome 64+, Firefox 69+, Safari 13.1+, or Edge 79+. Update browser for ResizeObserver support.',
-            'Web Workers': 'Web Workers are universally supported. If failing: 1) Check Content Security Policy, 2) Ensure not in file:// protocol',
-            'SharedArrayBuffer': 'Requires COOP/COEP headers: Cross-Origin-Opener-Policy: same-origin, Cross-Origin-Embedder-Policy: require-corp',
-            
-            // Gaming specific
-            'Gamepad API': 'Gamepad API requires: 1) Physical gamepad connected, 2) User interaction to activate, 3) Not all browsers support all controllers',
-            'Pointer Lock API': 'Pointer Lock requires: 1) User gesture (click), 2) Fullscreen may be required in some browsers, 3) HTTPS connection',
-            'Fullscreen API': 'Fullscreen requires: 1) User gesture (click/key), 2) Not blocked by iframe sandboxing, 3) Proper permissions',
-            'Screen Orientation API': 'Orientation lock requires: 1) Fullscreen mode on mobile, 2) HTTPS connection, 3) Mobile device or responsive mode',
-            'Wake Lock API': 'Wake Lock requires: 1) HTTPS connection, 2) Chrome 84+, Edge 84+, Safari 16.4+ (no Firefox support yet)',
-            'Keyboard Lock API': 'Keyboard Lock is experimental. Chrome 68+ with fullscreen. Enable chrome://flags/#enable-experimental-web-platform-features',
-            'Vibration API': 'Vibration requires: 1) Mobile device with vibration hardware, 2) User interaction, 3) Not in silent/vibrate mode',
-            
-            // Storage
-            'IndexedDB': 'IndexedDB issues: 1) Private/incognito mode may limit storage, 2) Storage quota exceeded, 3) Browser storage settings',
-            'localStorage': 'localStorage blocked by: 1) Private browsing mode, 2) Third-party cookie blocking, 3) Storage quota exceeded',
-            
-            // Device
-            'Device Motion API': 'Motion APIs require: 1) Mobile device or laptop with sensors, 2) HTTPS connection, 3) iOS 13+ requires permission',
-            'Geolocation API': 'Geolocation requires: 1) User permission grant, 2) HTTPS connection (or localhost), 3) Location services enabled',
-            
-            // Default guidance
-            'default': 'Check browser compatibility at caniuse.com. Ensure: 1) Browser is updated, 2) Hardware acceleration enabled, 3) Privacy settings allow feature'
+        const db = window.capabilityDB;
+        const guidance = db && db.getGuidance(issue.detectorKey);
+        // A guided check knows why the API failed instead of guessing
+        const reason = issue.guided && issue.guided.reason
+            ? `<p class="guided-reason">${this.label('guided.reason', { reason: issue.guided.reason })}</p>`
+            : '';
+        if (guidance) {
+            return reason + guidance.html;
+        }
+        
+        return reason + this.escapeHtml(this.t('guidance.default'));
+    }
+
+    /**
+     * Translate a UI message through the shared localizer
+     */
+    t(key, params = {}, fallback = key) {
+        return window.localizer ? window.localizer.t(key, params, fallback) : fallback;
+    }
+
+    /**
+     * Message markup that follows language switches
+     */
+    label(key, params = {}) {
+        return window.localizer ? window.localizer.markup(key, params) : this.escapeHtml(key);
+    }
+
+    /**
+     * Set an element's text to a message that follows language switches
+     */
+    setLabel(element, key, params = {}) {
+        if (window.localizer) {
+            window.localizer.localize(element, key, params);
+        } else if (element) {
+            element.textContent = key;
+        }
+    }
+
+    /**
+     * Localized DB title of a test, or the module's name
+     */
+    getTestTitle(test) {
+        return window.localizer ? window.localizer.getTestText(test.detectorKey, 'title', test.name) : test.name;
+    }
+
+    /**
+     * Localized DB description of a test, or the module's description
+     */
+    getTestDescription(test) {
+        return window.localizer ? window.localizer.getTestText(test.detectorKey, 'description', test.description) : test.description;
+    }
+
+    /**
+     * Status label with its icon
+     */
+    formatTestStatus(status) {
+        const statusIcons = {
+            pending: '⏳',
+            running: '🔄',
+            supported: '✅',
+            partial: '⚠️',
+            unsupported: '❌',
+            error: '🚨',
+            skipped: '⏭️'
         };
 
-        return guidanceMap[issue.name] || guidanceMap['default'];
+        return statusIcons[status] ? `${statusIcons[status]} ${this.t(`status.${status}`)}` : `📋 ${status}`;
+    }
+
+    /**
+     * Rebuild text that comes from the DB rather than data-i18n labels after a language switch
+     */
+    refreshTranslations() {
+        this.container.querySelectorAll('.test-item').forEach(testElement => {
+            const item = this.testItems.get(testElement.dataset.detectorKey);
+            if (!item) return;
+
+            testElement.querySelector('.test-name').textContent = this.getTestTitle(item);
+            testElement.querySelector('.test-description').textContent = this.getTestDescription(item);
+            testElement.querySelector('.test-status').textContent = this.formatTestStatus(testElement.dataset.status || 'pending');
+        });
+
+        if (this.isRunning && !this.isPaused && this.currentTest) {
+            this.setLabel(document.getElementById('current-test-info'), 'testing.current', { name: this.getTestTitle(this.currentTest) });
+        }
+
+        if (this.finalSummary) {
+            this.generateImprovementReport();
+        }
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
@@ -1175,7 +1567,10 @@ class TestingInterface {
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
             results: Array.from(this.testResults.values()),
-            summary: this.generateSummary()
+            summary: this.generateSummary(),
+            profile: window.requirementProfile
+                ? { id: window.requirementProfile.id, title: window.requirementProfile.title, ...window.requirementProfile.evaluate(Array.from(this.testResults.values())) }
+                : undefined
         };
         
         const blob = new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' });
@@ -1188,34 +1583,15 @@ class TestingInterface {
         
         URL.revokeObjectURL(url);
         
-        this.showNotification('Results exported successfully!', 'success');
+        this.showNotification(this.t('notify.exported'), 'success');
     }
 
     /**
-     * Generate summary statistics
+     * Generate summary statistics (the same scores the gauge and results page show)
      */
     generateSummary() {
-        const results = Array.from(this.testResults.values());
-        const categories = {};
-        
-        results.forEach(result => {
-            if (!categories[result.category]) {
-                categories[result.category] = { supported: 0, partial: 0, unsupported: 0, error: 0, total: 0 };
-            }
-            categories[result.category][result.status]++;
-            categories[result.category].total++;
-        });
-        
-        return {
-            overall: {
-                total: results.length,
-                supported: results.filter(r => r.status === 'supported').length,
-                partial: results.filter(r => r.status === 'partial').length,
-                unsupported: results.filter(r => r.status === 'unsupported').length,
-                error: results.filter(r => r.status === 'error').length
-            },
-            categories
-        };
+        const { categories, ...overall } = this.getScoringModel().summarize(Array.from(this.testResults.values()));
+        return { overall, categories };
     }
 
     /**
@@ -1225,10 +1601,20 @@ class TestingInterface {
         this.hide();
         
         // Reset state
+        if (this.testEngine) {
+            this.testEngine.cancel();
+            this.testEngine = null;
+        }
         this.testResults.clear();
-        this.testQueue = [];
+        this.testItems.clear();
         this.isRunning = false;
+        this.isPaused = false;
         this.currentTest = null;
+        this.finalSummary = null;
+        this.scoring = null;
+        this.gamepadFindings = null;
+        this.updateGamepadFindings(null);
+        this.resetGuidedChecks();
         
         // Reset final score display
         const finalScoreContainer = document.getElementById('final-score-container');
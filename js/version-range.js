@@ -0,0 +1,202 @@
+/**
+ * Version Range Utilities
+ * Matches browser versions against admin-authored ranges (shared by admin and tester)
+ *
+ * Supported grammar (node-semver style, without prerelease tags):
+ *   >=17 <18      comparators, AND-ed by whitespace
+ *   16 || >=17.4  OR sets
+ *   120 - 125.1   hyphen ranges (inclusive)
+ *   17.x, 17.*    wildcards; partial versions such as 17.4 mean 17.4.x
+ *   ~17.4, ^120   tilde and caret ranges
+ */
+
+class VersionRange {
+    /**
+     * Parse a range into OR-ed sets of AND-ed comparators
+     * @returns {{set: Array<Array<{operator: string, version: Object}>>}|{error: string}}
+     */
+    static parse(range) {
+        const text = String(range || '').trim();
+        if (!text) return { set: [[]] };
+
+        const set = [];
+        for (const alternative of text.split('||')) {
+            const comparators = this.parseAlternative(alternative.trim());
+            if (comparators.error) {
+                return { error: comparators.error };
+            }
+            set.push(comparators);
+        }
+        return { set };
+    }
+
+    /**
+     * Error message for an invalid range, or null when it parses
+     */
+    static validate(range) {
+        const parsed = this.parse(range);
+        return parsed.error || null;
+    }
+
+    /**
+     * Parse one side of an OR: a hyphen range or whitespace-separated comparators
+     */
+    static parseAlternative(text) {
+        if (!text) {
+            return { error: 'Empty range between "||"' };
+        }
+
+        const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+        if (hyphen) {
+            const from = this.parsePartial(hyphen[1]);
+            const to = this.parsePartial(hyphen[2]);
+            if (!from || !to) {
+                return { error: `Invalid hyphen range "${text}"` };
+            }
+            return [
+                ...(from.length > 0 ? [{ operator: '>=', version: this.lowerBound(from) }] : []),
+                ...(to.length === 3 ? [{ operator: '<=', version: this.lowerBound(to) }] : []),
+                ...(to.length > 0 && to.length < 3 ? [{ operator: '<', version: this.nextBound(to) }] : [])
+            ];
+        }
+
+        const comparators = [];
+        // Glue operators to their version so ">= 17" reads like ">=17"
+        for (const token of text.replace(/(<=|>=|==|[<>=~^])\s+/g, '$1').split(/\s+/)) {
+            const match = token.match(/^(<=|>=|==|<|>|=|~|\^)?v?(.+)$/);
+            const partial = match && this.parsePartial(match[2]);
+            if (!partial) {
+                return { error: `Invalid comparator "${token}"` };
+            }
+            comparators.push(...this.desugar(match[1] || '=', partial));
+        }
+        return comparators;
+    }
+
+    /**
+     * Parse "17", "17.4", "17.4.1" or wildcards into the leading numeric parts (null if invalid)
+     */
+    static parsePartial(text) {
+        const match = String(text).match(/^v?(\*|x|X|\d+)(?:\.(\*|x|X|\d+))?(?:\.(\*|x|X|\d+))?$/);
+        if (!match) return null;
+
+        const parts = [];
+        for (const part of match.slice(1)) {
+            // Everything after the first wildcard is a wildcard as well
+            if (part === undefined || /^[*xX]$/.test(part)) break;
+            parts.push(Number(part));
+        }
+        return parts;
+    }
+
+    /**
+     * Expand an operator applied to a partial version into plain comparators
+     */
+    static desugar(operator, parts) {
+        const lower = this.lowerBound(parts);
+        const full = parts.length === 3;
+        const any = [];
+        const none = [{ operator: '<', version: { major: 0, minor: 0, patch: 0 } }];
+
+        switch (operator) {
+            case '=':
+            case '==':
+                if (full) return [{ operator: '=', version: lower }];
+                return parts.length === 0 ? any : [{ operator: '>=', version: lower }, { operator: '<', version: this.nextBound(parts) }];
+            case '>':
+                if (full) return [{ operator: '>', version: lower }];
+                return parts.length === 0 ? none : [{ operator: '>=', version: this.nextBound(parts) }];
+            case '>=':
+                return parts.length === 0 ? any : [{ operator: '>=', version: lower }];
+            case '<':
+                return parts.length === 0 ? none : [{ operator: '<', version: lower }];
+            case '<=':
+                if (full) return [{ operator: '<=', version: lower }];
+                return parts.length === 0 ? any : [{ operator: '<', version: this.nextBound(parts) }];
+            case '~':
+                if (parts.length === 0) return any;
+                return [{ operator: '>=', version: lower }, { operator: '<', version: this.nextBound(parts.slice(0, 2)) }];
+            case '^': {
+                if (parts.length === 0) return any;
+                // Bump the first non-zero part (or the last given part when all are zero)
+                const significant = parts.findIndex(part => part !== 0);
+                const keep = significant === -1 ? parts.length : significant + 1;
+                return [{ operator: '>=', version: lower }, { operator: '<', version: this.nextBound(parts.slice(0, keep)) }];
+            }
+            default:
+                return none;
+        }
+    }
+
+    /**
+     * Lowest version a partial version covers: 17.4 → 17.4.0
+     */
+    static lowerBound(parts) {
+        return { major: parts[0] || 0, minor: parts[1] || 0, patch: parts[2] || 0 };
+    }
+
+    /**
+     * First version past a partial version: 17 → 18.0.0, 17.4 → 17.5.0, 17.4.1 → 17.4.2
+     */
+    static nextBound(parts) {
+        const bumped = [...parts];
+        bumped[bumped.length - 1] += 1;
+        return this.lowerBound(bumped);
+    }
+
+    static parseVersion(versionString) {
+        const parts = String(versionString).split('.').map(Number);
+        return {
+            major: parts[0] || 0,
+            minor: parts[1] || 0,
+            patch: parts[2] || 0
+        };
+    }
+
+    /**
+     * Whether a detected version satisfies a range; invalid ranges and versions never match
+     */
+    static matches(browserVersion, range) {
+        const parsed = this.parse(range);
+        if (parsed.error) {
+            console.warn(`⚠️ Ignoring invalid version range "${range}": ${parsed.error}`);
+            return false;
+        }
+
+        if (!/^\d+(\.\d+)*$/.test(String(browserVersion || '').trim())) {
+            return false;
+        }
+        const version = this.parseVersion(String(browserVersion).trim());
+
+        return parsed.set.some(comparators =>
+            comparators.every(comparator => this.compareVersion(version, comparator.operator, comparator.version))
+        );
+    }
+
+    static compareVersion(v1, operator, v2) {
+        const comp = this.versionCompare(v1, v2);
+
+        switch (operator) {
+            case '>': return comp > 0;
+            case '>=': return comp >= 0;
+            case '<': return comp < 0;
+            case '<=': return comp <= 0;
+            case '=':
+            case '==': return comp === 0;
+            default: return false;
+        }
+    }
+
+    static versionCompare(v1, v2) {
+        if (v1.major !== v2.major) return v1.major - v2.major;
+        if (v1.minor !== v2.minor) return v1.minor - v2.minor;
+        return v1.patch - v2.patch;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersionRange;
+} else {
+    window.VersionRange = VersionRange;
+}
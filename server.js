@@ -2,7 +2,11 @@
 
 /**
  * Simple Node.js development server for Spawnd Browser Compatibility Test
- * Provides proper MIME types and CORS headers for local development
+ * Provides proper MIME types and CORS headers for local development.
+ * Cross-origin isolated mode (SharedArrayBuffer, WebAssembly threads):
+ *   node server.js --isolated                  (COEP require-corp)
+ *   node server.js --isolated=credentialless   (COEP credentialless)
+ *   ISOLATION=require-corp node server.js
  */
 
 const http = require('http');
@@ -12,6 +16,7 @@ const url = require('url');
 
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || '127.0.0.1';
+const ISOLATION = getIsolationMode(process.argv.slice(2), process.env.ISOLATION);
 
 // MIME type mapping
 const mimeTypes = {
@@ -42,6 +47,13 @@ const server = http.createServer((req, res) => {
     res.setHeader('X-Frame-Options', 'DENY');
     res.setHeader('X-XSS-Protection', '1; mode=block');
     
+    // Cross-origin isolation headers; CORP cross-origin keeps the assets loadable from isolated pages on other ports
+    if (ISOLATION) {
+        res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+        res.setHeader('Cross-Origin-Embedder-Policy', ISOLATION);
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+    
     // CORS headers for local development
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -154,6 +166,9 @@ server.listen(PORT, HOST, () => {
     console.log(`📍 Server running at http://${HOST}:${PORT}/`);
     console.log(`🌐 Local:     http://localhost:${PORT}/`);
     console.log(`📱 Network:   http://${getNetworkIP()}:${PORT}/`);
+    console.log(ISOLATION
+        ? `🔒 Isolation: COOP same-origin, COEP ${ISOLATION}`
+        : '🔓 Isolation: off (start with --isolated for SharedArrayBuffer)');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('📋 Available endpoints:');
     console.log('   /                              - Main application');
@@ -182,6 +197,25 @@ process.on('SIGINT', () => {
     });
 });
 
+// Helper function to read the isolation mode from --isolated[=mode] or ISOLATION
+function getIsolationMode(args, envValue) {
+    const modes = ['require-corp', 'credentialless'];
+    const flag = args.find(arg => arg === '--isolated' || arg.startsWith('--isolated='));
+    let mode = flag ? (flag.split('=')[1] || 'require-corp') : envValue;
+    
+    if (!mode || mode === '0' || mode === 'false' || mode === 'off') {
+        return null;
+    }
+    if (mode === '1' || mode === 'true' || mode === 'on') {
+        mode = 'require-corp';
+    }
+    if (!modes.includes(mode)) {
+        console.error(`❌ Unknown isolation mode "${mode}". Use one of: ${modes.join(', ')}`);
+        process.exit(1);
+    }
+    return mode;
+}
+
 // Helper function to get network IP
 function getNetworkIP() {
     const nets = require('os').networkInterfaces();
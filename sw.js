@@ -22,7 +22,17 @@ const STATIC_ASSETS = [
 const NETWORK_ASSETS = [
     // These will be added in later phases
     '/js/test-engine.js',
+    '/js/version-range.js',
+    '/js/solution-resolver.js',
+    '/js/snippet-renderer.js',
+    '/js/capability-db.js',
+    '/js/scoring-model.js',
+    '/js/requirement-profile.js',
+    '/js/localizer.js',
+    '/js/gamepad-diagnostic.js',
+    '/js/guided-checks.js',
     '/js/api-tests/',
+    '/data/capability-db.json',
     '/data/caniuse-fallback.json'
 ];
 
@@ -0,0 +1,826 @@
+/**
+ * API Test Module Tests
+ * Runs every api-tests module against the fake browser and checks result shapes
+ */
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeBrowser, silenceConsole, FakeRTCPeerConnection } = require('./helpers/fake-browser');
+global.ScoringModel = require('../js/scoring-model.js');
+const TestEngine = require('../js/test-engine.js');
+
+const WebGLTests = require('../js/api-tests/webgl-tests.js');
+const WebGPUTests = require('../js/api-tests/webgpu-tests.js');
+const WebAssemblyTests = require('../js/api-tests/webassembly-tests.js');
+const GamingAPIsTests = require('../js/api-tests/gaming-apis-tests.js');
+const CommunicationTests = require('../js/api-tests/communication-tests.js');
+const PerformanceTests = require('../js/api-tests/performance-tests.js');
+const StorageTests = require('../js/api-tests/storage-tests.js');
+const FramePacingTests = require('../js/api-tests/frame-pacing-tests.js');
+// DisplayTests snaps refresh rates with the frame-pacing helper, a page global in the browser
+global.FramePacingTests = FramePacingTests;
+const DisplayTests = require('../js/api-tests/display-tests.js');
+const InputTests = require('../js/api-tests/input-tests.js');
+const AudioTests = require('../js/api-tests/audio-tests.js');
+const MediaTests = require('../js/api-tests/media-tests.js');
+const WorkerTests = require('../js/api-tests/worker-tests.js');
+const IsolationTests = require('../js/api-tests/isolation-tests.js');
+
+const SHIPPED_DB = require('../data/capability-db.json');
+
+const STATUSES = ['supported', 'partial', 'unsupported', 'error'];
+
+/**
+ * Constructor options per module (the frame pacing benchmark would otherwise render for seconds)
+ */
+const MODULE_OPTIONS = {
+    FramePacingTests: { durationMs: 200 }
+};
+
+/**
+ * Assert the contract every test function result must satisfy
+ */
+function assertResultShape(name, result) {
+    assert.equal(typeof result, 'object', `${name} should return an object`);
+    assert.ok(STATUSES.includes(result.status), `${name} returned unknown status "${result.status}"`);
+    assert.equal(typeof result.details, 'string', `${name} should describe its result`);
+    if (result.score !== undefined) {
+        assert.equal(typeof result.score, 'number', `${name} score should be a number`);
+        assert.ok(result.score >= 0 && result.score <= 100, `${name} score ${result.score} out of range`);
+    }
+    if (result.status === 'error') {
+        assert.equal(typeof result.error, 'string', `${name} error results should carry the error message`);
+    }
+}
+
+/**
+ * Run a module's tests directly and index the results by detectorKey
+ */
+async function runModule(ModuleClass) {
+    const instance = new ModuleClass(MODULE_OPTIONS[ModuleClass.name]);
+    const results = {};
+    for (const entry of instance.getAllTests()) {
+        results[entry.detectorKey] = await entry.fn(new AbortController().signal);
+    }
+    instance.cleanup();
+    return results;
+}
+
+describe('api-tests modules', () => {
+    let restoreConsole;
+    let restoreBrowser = null;
+
+    before(() => { restoreConsole = silenceConsole(); });
+    after(() => restoreConsole());
+    afterEach(() => {
+        if (restoreBrowser) restoreBrowser();
+        restoreBrowser = null;
+    });
+
+    const modules = { WebGLTests, WebGPUTests, WebAssemblyTests, GamingAPIsTests, CommunicationTests, PerformanceTests, StorageTests, FramePacingTests, DisplayTests, InputTests, AudioTests, MediaTests, WorkerTests, IsolationTests };
+
+    for (const [moduleName, ModuleClass] of Object.entries(modules)) {
+        test(`${moduleName} declares well-formed tests`, () => {
+            restoreBrowser = installFakeBrowser();
+            const tests = new ModuleClass().getAllTests();
+
+            assert.ok(tests.length > 0);
+            const keys = tests.map(entry => entry.detectorKey);
+            for (const entry of tests) {
+                assert.equal(typeof entry.name, 'string');
+                assert.match(entry.detectorKey, /^[a-z0-9-]+(\.[a-z0-9-]+)*$/, `${entry.name} needs a dotted detectorKey`);
+                assert.equal(typeof entry.fn, 'function');
+                assert.equal(typeof entry.category, 'string');
+                assert.equal(typeof entry.priority, 'number');
+                assert.equal(typeof entry.description, 'string');
+                for (const dependency of entry.dependencies || []) {
+                    assert.ok(keys.includes(dependency), `${entry.name} depends on unknown detectorKey ${dependency}`);
+                }
+            }
+        });
+
+        test(`${moduleName} returns valid results in a capable browser`, async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(ModuleClass);
+
+            for (const [name, result] of Object.entries(results)) {
+                assertResultShape(name, result);
+            }
+        });
+
+        test(`${moduleName} returns valid results in a bare browser`, async () => {
+            restoreBrowser = installFakeBrowser({ webgl: false, webgl2: false, webgpu: false, webSocket: false, webRTC: false, storage: false, audio: false, media: false, workers: false, offscreenCanvas: false });
+            const results = await runModule(ModuleClass);
+
+            for (const [name, result] of Object.entries(results)) {
+                assertResultShape(name, result);
+            }
+        });
+    }
+
+    test('detectorKeys are unique across modules and known to the shipped capability DB', () => {
+        restoreBrowser = installFakeBrowser();
+        const keys = Object.values(modules).flatMap(ModuleClass => new ModuleClass().getAllTests().map(entry => entry.detectorKey));
+        const dbKeys = new Set(SHIPPED_DB.tests.map(entry => entry.detectorKey));
+
+        assert.equal(new Set(keys).size, keys.length);
+        for (const key of keys) {
+            assert.ok(dbKeys.has(key), `${key} has no capability DB entry`);
+        }
+    });
+
+    describe('WebGLTests', () => {
+        test('reports WebGL 1.0 and 2.0 when contexts are available', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(WebGLTests);
+
+            assert.equal(results['webgl.10.support'].status, 'supported');
+            assert.equal(results['webgl.20.support'].status, 'supported');
+        });
+
+        test('reports unsupported without a WebGL context', async () => {
+            restoreBrowser = installFakeBrowser({ webgl: false, webgl2: false });
+            const results = await runModule(WebGLTests);
+
+            assert.equal(results['webgl.10.support'].status, 'unsupported');
+            assert.equal(results['webgl.20.support'].status, 'unsupported');
+        });
+
+        test('profiles limits, precision, float targets and compressed textures', async () => {
+            restoreBrowser = installFakeBrowser();
+            const result = await new WebGLTests().testWebGLCapabilityProfile();
+
+            assert.equal(result.status, 'supported');
+            assert.equal(result.contextVersion, 2);
+            assert.equal(result.limits.maxTextureSize, 16384);
+            assert.deepEqual(result.limits.maxViewportDims, [16384, 16384]);
+            assert.equal(result.limits.maxSamples, 4);
+            assert.equal(result.limits.maxAnisotropy, 16);
+            assert.deepEqual(result.precision.fragment.highFloat, { rangeMin: 127, rangeMax: 127, precision: 23 });
+            assert.deepEqual(result.renderable, { float: true, halfFloat: true });
+            assert.deepEqual(result.compressedTextures, { astc: false, bptc: true, s3tc: true, etc2: false, rgtc: true, pvrtc: false, etc1: false });
+            assert.equal(result.recommendedTextureFormat, 'bptc');
+        });
+
+        test('flags mobile-class WebGL 1.0 profiles as partial', async () => {
+            restoreBrowser = installFakeBrowser({
+                webgl2: false,
+                fragmentHighp: false,
+                webglExtensions: ['OES_texture_half_float', 'EXT_color_buffer_half_float', 'WEBGL_compressed_texture_etc', 'WEBGL_compressed_texture_astc']
+            });
+            const result = await new WebGLTests().testWebGLCapabilityProfile();
+
+            assert.equal(result.status, 'partial');
+            assert.equal(result.contextVersion, 1);
+            assert.equal('maxSamples' in result.limits, false);
+            assert.equal(result.limits.maxAnisotropy, null);
+            assert.deepEqual(result.renderable, { float: false, halfFloat: true });
+            assert.deepEqual(result.checks, {
+                textureSize4096: true, fragmentHighp: false, floatRenderTargets: false, halfFloatRenderTargets: true, compressedTextures: true
+            });
+            assert.equal(result.recommendedTextureFormat, 'astc');
+            assert.equal(result.score, 60);
+        });
+    });
+
+    describe('WebGPUTests', () => {
+        test('verifies compute shader output', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(WebGPUTests);
+
+            assert.equal(results['webgpu.support'].status, 'supported');
+            assert.equal(results['webgpu.compute.shaders'].status, 'supported');
+            assert.deepEqual(results['webgpu.compute.shaders'].computeResults, [1, 4, 9, 16, 25]);
+        });
+
+        test('reports unsupported without navigator.gpu', async () => {
+            restoreBrowser = installFakeBrowser({ webgpu: false });
+            const results = await runModule(WebGPUTests);
+
+            assert.equal(results['webgpu.support'].status, 'unsupported');
+        });
+
+        test('captures every adapter limit and meets the default thresholds', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(WebGPUTests);
+
+            assert.equal(results['webgpu.adapter.info'].status, 'supported');
+            assert.equal(results['webgpu.adapter.info'].limits.maxComputeWorkgroupStorageSize, 16384);
+            assert.equal(results['webgpu.limits'].status, 'supported');
+            assert.equal(results['webgpu.limits'].score, 100);
+            assert.deepEqual(results['webgpu.limits'].shortfalls, []);
+            assert.equal(results['webgpu.limits'].features['timestamp-query'], true);
+            assert.equal(results['webgpu.limits'].features['shader-f16'], false);
+        });
+
+        test('reports limits that fall short, by how much, and missing features', async () => {
+            restoreBrowser = installFakeBrowser({ gpuLimits: { maxTextureDimension2D: 4096 }, gpuFeatures: [] });
+            const tests = new WebGPUTests({ thresholds: { limits: { maxBufferSize: 1073741824 }, features: ['shader-f16'] } });
+            await tests.testWebGPUSupport();
+            const result = await tests.testWebGPULimits();
+            tests.cleanup();
+
+            assert.equal(result.status, 'partial');
+            assert.deepEqual(result.shortfalls.map(shortfall => shortfall.limit), ['maxTextureDimension2D', 'maxBufferSize']);
+            assert.deepEqual(result.shortfalls[0], {
+                limit: 'maxTextureDimension2D', required: 8192, actual: 4096, shortBy: 4096, percentOfRequired: 50
+            });
+            assert.deepEqual(result.missingFeatures, ['shader-f16', 'textureCompression']);
+            assert.match(result.details, /maxTextureDimension2D 4096 < 8192/);
+        });
+
+        test('flags fallback adapters and software renderers as partial', async () => {
+            restoreBrowser = installFakeBrowser({ gpuInfo: { isFallbackAdapter: true } });
+            const fallback = await runModule(WebGPUTests);
+            assert.equal(fallback['webgpu.adapter.info'].status, 'partial');
+            assert.equal(fallback['webgpu.limits'].status, 'partial');
+            assert.equal(fallback['webgpu.limits'].fallbackAdapter, true);
+            assert.equal(fallback['webgpu.limits'].score, 50);
+
+            restoreBrowser();
+            restoreBrowser = installFakeBrowser({ gpuInfo: { vendor: 'google', description: 'SwiftShader Device (Subzero)' } });
+            const software = await runModule(WebGPUTests);
+            assert.equal(software['webgpu.limits'].softwareRenderer, true);
+            assert.match(software['webgpu.adapter.info'].details, /software renderer/);
+        });
+    });
+
+    describe('WebAssemblyTests', () => {
+        test('detects the WebAssembly runtime and memory support', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(WebAssemblyTests);
+
+            assert.equal(results['webassembly.support'].status, 'supported');
+            assert.equal(results['wasm.memory.management'].status, 'supported');
+        });
+
+        test('compiles and runs the embedded instantiation, SIMD and benchmark modules', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(WebAssemblyTests);
+
+            assert.equal(results['wasm.instantiation'].status, 'supported');
+            assert.equal(results['wasm.instantiation'].testResult, 8);
+            assert.equal(results['wasm.simd.support'].status, 'supported');
+            assert.equal(results['wasm.performance'].status, 'supported');
+            assert.equal(results['wasm.performance'].performance.result, 6765);
+        });
+
+        test('reports the post-MVP feature matrix with group sub-scores', async () => {
+            restoreBrowser = installFakeBrowser();
+            const result = await new WebAssemblyTests().testWebAssemblyFeatures();
+
+            assert.deepEqual(Object.keys(result.features), WebAssemblyTests.FEATURES.map(feature => feature.key));
+            for (const key of ['bulkMemory', 'referenceTypes', 'multiValue', 'exceptions', 'tailCalls']) {
+                assert.equal(result.features[key], true, `${key} should validate in Node`);
+            }
+            assert.equal(result.status, 'supported');
+            assert.deepEqual(Object.keys(result.groups), ['baseline', 'language', 'performance', 'interop']);
+            assert.equal(result.groups.baseline.score, 100);
+            assert.equal(result.score, Math.round(Object.values(result.features).filter(Boolean).length * 10));
+        });
+
+        test('rejects malformed feature modules and detects JSPI from the JS API', () => {
+            assert.equal(WebAssemblyTests.detectFeature({ bytes: [0x01, 0x04, 0x01, 0x60, 0x00] }), false);
+
+            const jspi = WebAssemblyTests.FEATURES.find(feature => feature.key === 'jspi');
+            const { Suspending, promising } = WebAssembly;
+            WebAssembly.Suspending = function Suspending() {};
+            WebAssembly.promising = () => {};
+            try {
+                assert.equal(WebAssemblyTests.detectFeature(jspi), true);
+            } finally {
+                WebAssembly.Suspending = Suspending;
+                WebAssembly.promising = promising;
+                if (Suspending === undefined) delete WebAssembly.Suspending;
+                if (promising === undefined) delete WebAssembly.promising;
+            }
+        });
+
+        test('reports threads as unsupported without cross-origin isolation', async () => {
+            restoreBrowser = installFakeBrowser();
+            const result = await new WebAssemblyTests().testWebAssemblyThreads();
+
+            assert.equal(result.status, 'unsupported');
+        });
+    });
+
+    describe('FramePacingTests', () => {
+        const steadyFrames = (count, intervalMs, start = 0) => Array.from({ length: count }, (_, index) => start + index * intervalMs);
+
+        test('measures refresh rate and percentiles of steady frames', () => {
+            const stats = FramePacingTests.analyzeFrames(steadyFrames(481, 1000 / 60));
+
+            assert.equal(stats.refreshRate, 60);
+            assert.equal(stats.averageFps, 60);
+            assert.deepEqual(stats.frameTimes, { p50: 16.7, p95: 16.7, p99: 16.7, max: 16.7 });
+            assert.equal(stats.droppedFrames, 0);
+            assert.equal(stats.throttling.windowsFps.length, 8);
+            assert.equal(stats.throttling.throttled, false);
+            assert.equal(FramePacingTests.getTier(stats), 'high');
+        });
+
+        test('counts dropped frames against the display refresh rate', () => {
+            // 120 Hz display where every fourth frame misses two vsyncs
+            const timestamps = [0];
+            for (let index = 1; index <= 400; index++) {
+                timestamps.push(timestamps[index - 1] + (index % 4 === 0 ? 25 : 1000 / 120));
+            }
+            const stats = FramePacingTests.analyzeFrames(timestamps);
+
+            assert.equal(stats.refreshRate, 120);
+            assert.equal(stats.droppedFrames, 200);
+            assert.equal(stats.frameTimes.p95, 25);
+            assert.equal(FramePacingTests.getTier(stats), 'low');
+        });
+
+        test('detects throttling and drops one tier for it', () => {
+            const fast = steadyFrames(241, 1000 / 60);
+            const slow = steadyFrames(121, 1000 / 30, fast[fast.length - 1]).slice(1);
+            const stats = FramePacingTests.analyzeFrames([...fast, ...slow]);
+
+            assert.equal(stats.throttling.firstFps, 60);
+            assert.equal(stats.throttling.lastFps, 30);
+            assert.equal(stats.throttling.slowdownPercent, 50);
+            assert.equal(stats.throttling.throttled, true);
+            assert.equal(FramePacingTests.getTier(stats), 'low');
+            assert.equal(FramePacingTests.getTier({ ...FramePacingTests.analyzeFrames(fast), throttling: { throttled: true } }), 'medium');
+        });
+
+        test('flags runs interrupted by a hidden tab', () => {
+            const stats = FramePacingTests.analyzeFrames([...steadyFrames(60, 1000 / 60), 3000, 3016]);
+            assert.equal(stats.interrupted, true);
+        });
+
+        test('renders the WebGL scene through requestAnimationFrame', async () => {
+            restoreBrowser = installFakeBrowser();
+            const tests = new FramePacingTests({ durationMs: 200 });
+            const result = await tests.testWebGLFramePacing();
+
+            assert.ok(['supported', 'partial'].includes(result.status), result.details);
+            assert.ok(result.framePacing.frames >= 5);
+            assert.ok(['high', 'medium', 'low'].includes(result.tier));
+            assert.equal(tests.canvas, null);
+        });
+
+        test('stops when the run is aborted', async () => {
+            restoreBrowser = installFakeBrowser();
+            const controller = new AbortController();
+            controller.abort(new Error('Stopped'));
+            const result = await new FramePacingTests({ durationMs: 200 }).testWebGPUFramePacing(controller.signal);
+
+            assert.equal(result.status, 'error');
+            assert.equal(result.error, 'Stopped');
+        });
+    });
+
+    describe('DisplayTests', () => {
+        test('estimates the refresh rate from animation frames', async () => {
+            restoreBrowser = installFakeBrowser({ frameIntervalMs: 1000 / 30 });
+            const result = await new DisplayTests().testRefreshRate();
+
+            assert.equal(result.refreshRate, 30);
+            assert.equal(result.status, 'partial');
+            assert.equal(result.highRefreshRate, false);
+            assert.equal(FramePacingTests.snapRefreshRate(143.2), 144);
+            const entry = new DisplayTests().getAllTests().find(({ detectorKey }) => detectorKey === 'display.refresh.rate');
+            assert.equal(entry.exclusive, true);
+            assert.equal(entry.timeout, DisplayTests.SAMPLE_WINDOW_MS + 5000);
+        });
+
+        test('reports pixel ratio, screen, viewport and physical resolution', () => {
+            restoreBrowser = installFakeBrowser({ devicePixelRatio: 1.5 });
+            const result = new DisplayTests().testResolution();
+
+            assert.equal(result.status, 'supported');
+            assert.deepEqual(result.physical, { width: 2880, height: 1620 });
+            assert.deepEqual(result.viewport, { width: 1280, height: 720 });
+            assert.equal(result.highDensity, false);
+        });
+
+        test('reads HDR and the widest color gamut from media queries', () => {
+            restoreBrowser = installFakeBrowser({
+                mediaQueries: ['(dynamic-range: high)', '(color-gamut: srgb)', '(color-gamut: p3)']
+            });
+            const display = new DisplayTests();
+
+            assert.equal(display.testDynamicRange().status, 'supported');
+            assert.equal(display.testColorGamut().colorGamut, 'p3');
+            restoreBrowser();
+
+            restoreBrowser = installFakeBrowser({ mediaQueries: ['(video-dynamic-range: high)'] });
+            assert.equal(display.testColorGamut().status, 'partial');
+            assert.equal(display.testColorGamut().colorGamut, null);
+            restoreBrowser();
+
+            // An SDR sRGB screen is reported as measured, without lowering the score
+            restoreBrowser = installFakeBrowser();
+            const sdr = display.testDynamicRange();
+            const srgb = display.testColorGamut();
+            assert.deepEqual([sdr.status, sdr.hdr, sdr.score], ['supported', false, undefined]);
+            assert.deepEqual([srgb.status, srgb.colorGamut, srgb.score], ['supported', 'srgb', undefined]);
+        });
+
+        test('verifies extended tone mapping on a WebGPU canvas', async () => {
+            restoreBrowser = installFakeBrowser({ gpuToneMapping: true });
+            const hdr = await new DisplayTests().testWebGPUHDRCanvas();
+            assert.equal(hdr.status, 'supported');
+            assert.equal(hdr.toneMapping, 'extended');
+            restoreBrowser();
+
+            restoreBrowser = installFakeBrowser();
+            const standard = await new DisplayTests().testWebGPUHDRCanvas();
+            assert.equal(standard.status, 'partial');
+            assert.equal(standard.toneMapping, null);
+        });
+
+        test('reports orientation lock and wake lock availability', async () => {
+            restoreBrowser = installFakeBrowser({ screenOrientation: false, wakeLock: 'denied' });
+            const display = new DisplayTests();
+
+            assert.equal(display.testScreenOrientation().status, 'unsupported');
+            const wakeLock = await display.testWakeLock();
+            assert.equal(wakeLock.status, 'partial');
+            assert.match(wakeLock.details, /NotAllowedError/);
+        });
+    });
+
+    describe('InputTests', () => {
+        test('detects raw mouse movement from the promise-based pointer lock', async () => {
+            restoreBrowser = installFakeBrowser();
+            const input = new InputTests();
+            const raw = await input.testUnadjustedMovement();
+            input.cleanup();
+
+            assert.equal(raw.status, 'supported');
+            assert.equal(raw.rawInput, true);
+            assert.equal(document.body.children.length, 0);
+        });
+
+        test('falls back to partial without raw movement', async () => {
+            restoreBrowser = installFakeBrowser({ pointerLock: 'no-raw' });
+            assert.equal((await new InputTests().testUnadjustedMovement()).score, 60);
+            restoreBrowser();
+
+            restoreBrowser = installFakeBrowser({ pointerLock: 'legacy' });
+            const legacy = await new InputTests().testUnadjustedMovement();
+            assert.equal(legacy.status, 'partial');
+            assert.equal(legacy.promiseBased, false);
+        });
+
+        test('identifies the keyboard layout and reports blocked layout maps', async () => {
+            restoreBrowser = installFakeBrowser();
+            const layout = await new InputTests().testKeyboardLayoutMap();
+            assert.equal(layout.layout, 'qwerty');
+            assert.equal(InputTests.identifyLayout(new Map([['KeyQ', 'a'], ['KeyW', 'z'], ['KeyY', 'y']])), 'azerty');
+            restoreBrowser();
+
+            restoreBrowser = installFakeBrowser({ keyboard: 'blocked' });
+            const blocked = await new InputTests().testKeyboardLayoutMap();
+            assert.equal(blocked.status, 'partial');
+            assert.match(blocked.details, /InvalidStateError/);
+        });
+
+        test('reports touch points and multi-touch', () => {
+            restoreBrowser = installFakeBrowser({ maxTouchPoints: 2 });
+            const touch = new InputTests().testTouchInput();
+
+            assert.equal(touch.status, 'partial');
+            assert.equal(touch.multiTouch, true);
+        });
+
+        test('reports a desktop without a touch screen as measured, not unsupported', () => {
+            restoreBrowser = installFakeBrowser({ maxTouchPoints: 0 });
+            const touch = new InputTests().testTouchInput();
+
+            assert.equal(touch.status, 'supported');
+            assert.equal(touch.touchScreen, false);
+            assert.equal(touch.maxTouchPoints, 0);
+            assert.equal(touch.score, undefined);
+        });
+    });
+
+    describe('AudioTests', () => {
+        test('measures latency with the interactive hint and rates it', async () => {
+            restoreBrowser = installFakeBrowser();
+            const audio = new AudioTests();
+            const result = await audio.testOutputLatency();
+            audio.cleanup();
+
+            assert.equal(result.status, 'supported');
+            assert.equal(result.tier, 'excellent');
+            assert.deepEqual(result.latency, { baseMs: 10, outputMs: 5, playbackBaseMs: 40, totalMs: 15 });
+            assert.equal(result.latencyHintHonored, true);
+            assert.equal(result.bluetoothSuspected, false);
+            assert.equal(audio.contexts.length, 0);
+        });
+
+        test('flags Bluetooth-class output latency for guidance', async () => {
+            restoreBrowser = installFakeBrowser({ audioLatency: { base: 0.01, output: 0.2 } });
+            const result = await new AudioTests().testOutputLatency();
+
+            assert.equal(result.status, 'partial');
+            assert.equal(result.tier, 'poor');
+            assert.equal(result.bluetoothSuspected, true);
+            assert.equal(result.needsGuidance, true);
+            assert.equal(AudioTests.getLatencyTier(35).tier, 'good');
+        });
+
+        test('treats outputLatency 0 on a suspended context as not reported', async () => {
+            restoreBrowser = installFakeBrowser({ audioLatency: { base: 0.01, output: 0 } });
+            const result = await new AudioTests().testOutputLatency();
+
+            assert.equal(result.latency.outputMs, null);
+            assert.equal(result.latency.totalMs, 10);
+            assert.match(result.details, /output not reported/);
+            assert.equal(result.bluetoothSuspected, false);
+        });
+
+        test('verifies that an AudioWorklet processes audio', async () => {
+            restoreBrowser = installFakeBrowser();
+            assert.equal((await new AudioTests().testAudioWorklet()).processed, true);
+            restoreBrowser();
+
+            restoreBrowser = installFakeBrowser({ audioWorklet: 'silent' });
+            assert.equal((await new AudioTests().testAudioWorklet()).status, 'partial');
+            restoreBrowser();
+
+            restoreBrowser = installFakeBrowser({ audioWorklet: false });
+            assert.equal((await new AudioTests().testAudioWorklet()).status, 'unsupported');
+        });
+
+        test('reports honored sample rates and output selection', async () => {
+            restoreBrowser = installFakeBrowser();
+            const audio = new AudioTests();
+            const rates = await audio.testSampleRates();
+
+            assert.equal(rates.nativeRate, 48000);
+            assert.deepEqual(rates.supportedRates, [22050, 44100, 48000, 96000]);
+            assert.equal(audio.testSinkSelection().contextSink, true);
+        });
+    });
+
+    describe('MediaTests', () => {
+        test('builds a codec matrix and recommends hardware-decoded VP9 over software AV1', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(MediaTests);
+            const { codecMatrix, recommended } = results['media.delivery.format'];
+
+            assert.deepEqual(codecMatrix.video.av1.decoding['2160p60'], { supported: true, smooth: false, powerEfficient: false });
+            assert.equal(codecMatrix.video.hevc.mediaSource, false);
+            assert.deepEqual(recommended, { video: 'vp9', audio: 'opus', container: 'webm', maxProfile: '2160p60', smooth: true, powerEfficient: true });
+            assert.equal(results['media.capabilities.video'].status, 'supported');
+            assert.equal(results['media.webcodecs.video'].status, 'partial');
+            assert.equal(results['media.webcodecs.audio'].status, 'supported');
+        });
+
+        test('falls back to H.264 with AAC on a minimal player', async () => {
+            restoreBrowser = installFakeBrowser({ mediaCodecs: ['h264', 'aac'], hardwareCodecs: [] });
+            const results = await runModule(MediaTests);
+
+            assert.deepEqual(results['media.delivery.format'].recommended,
+                { video: 'h264', audio: 'aac', container: 'mp4', maxProfile: '1080p60', smooth: true, powerEfficient: false });
+            assert.equal(results['media.audio.codecs'].status, 'partial');
+            assert.match(results['media.capabilities.video'].details, /no hardware decoding/);
+        });
+
+        test('only pairs the video container with audio codecs it can carry', async () => {
+            restoreBrowser = installFakeBrowser({ mediaCodecs: ['h264', 'vp9', 'aac'] });
+            const matrix = await new MediaTests().getCodecMatrix();
+
+            // AAC cannot go in WebM, so hardware VP9 comes without audio
+            const vp9 = MediaTests.recommendDelivery(matrix);
+            assert.deepEqual([vp9.video, vp9.container, vp9.audio], ['vp9', 'webm', null]);
+
+            matrix.audio.opus = { ...matrix.audio.aac };
+            assert.equal(MediaTests.recommendDelivery(matrix).audio, 'opus');
+            matrix.video.vp9.mediaSource = false;
+            matrix.video.av1.mediaSource = false;
+            const h264 = MediaTests.recommendDelivery(matrix);
+            assert.deepEqual([h264.video, h264.container, h264.audio], ['h264', 'mp4', 'opus']);
+        });
+
+        test('reports missing media APIs as unsupported', async () => {
+            restoreBrowser = installFakeBrowser({ media: false });
+            const results = await runModule(MediaTests);
+
+            assert.equal(results['media.capabilities.video'].status, 'unsupported');
+            assert.equal(results['media.source.codecs'].status, 'unsupported');
+            assert.equal(results['media.delivery.format'].recommended.video, null);
+        });
+    });
+
+    describe('WorkerTests', () => {
+        test('runs the probe inside a worker and reports main and worker contexts', async () => {
+            restoreBrowser = installFakeBrowser({ crossOriginIsolated: true });
+            const results = await runModule(WorkerTests);
+
+            assert.equal(results['worker.offscreen.webgl'].status, 'supported');
+            assert.equal(results['worker.offscreen.webgl'].contexts.worker.webgl2, true);
+            assert.equal(results['worker.offscreen.webgpu'].status, 'supported');
+            assert.equal(results['worker.wasm'].status, 'supported');
+            assert.equal(results['worker.atomics'].contexts.worker.atomics.wait, true);
+            assert.equal(results['worker.module'].moduleScope, true);
+            assert.equal(results['worker.shared'].status, 'supported');
+        });
+
+        test('transfers the ArrayBuffer and ImageBitmap instead of copying them', async () => {
+            restoreBrowser = installFakeBrowser();
+            const workers = new WorkerTests();
+            const result = await workers.testTransferables();
+            workers.cleanup();
+
+            assert.equal(result.status, 'supported');
+            assert.equal(result.contexts.worker.transfer.bufferBytes, WorkerTests.TRANSFER_BYTES);
+            assert.equal(result.contexts.worker.transfer.bufferDetached, true);
+        });
+
+        test('reports worker-only gaps per context', async () => {
+            restoreBrowser = installFakeBrowser({ workerWebGPU: false, moduleWorkers: false });
+            const workers = new WorkerTests();
+
+            const webgpu = await workers.testWorkerWebGPU();
+            assert.equal(webgpu.status, 'partial');
+            assert.equal(webgpu.contexts.main.webgpu, true);
+            assert.equal(webgpu.contexts.worker.webgpu, false);
+
+            assert.match(webgpu.details, /main thread only/);
+
+            // Without cross-origin isolation the worker has no SharedArrayBuffer
+            assert.equal((await workers.testAtomics()).status, 'unsupported');
+            assert.equal((await workers.testModuleWorker()).status, 'partial');
+            workers.cleanup();
+        });
+
+        test('checks the main thread once and releases its WebGL contexts', async () => {
+            restoreBrowser = installFakeBrowser();
+            const contexts = [];
+            const OffscreenCanvasClass = OffscreenCanvas;
+            window.OffscreenCanvas = class extends OffscreenCanvasClass {
+                getContext(type) {
+                    const context = super.getContext(type);
+                    if (type.startsWith('webgl')) contexts.push(context);
+                    return context;
+                }
+            };
+            await runModule(WorkerTests);
+
+            assert.equal(contexts.length, 2);
+            assert.ok(contexts.every(context => context.isContextLost()));
+        });
+
+        test('reports a WebGPU API without a main-thread adapter as unsupported', async () => {
+            restoreBrowser = installFakeBrowser();
+            navigator.gpu.requestAdapter = async () => null;
+            const workers = new WorkerTests();
+            const result = await workers.testWorkerWebGPU();
+            workers.cleanup();
+
+            assert.equal(result.status, 'unsupported');
+            assert.match(result.details, /no adapter on the main thread/);
+        });
+    });
+
+    describe('IsolationTests', () => {
+        test('names the missing header and the headers to send', async () => {
+            restoreBrowser = installFakeBrowser({ pageHeaders: { 'Cross-Origin-Opener-Policy': 'same-origin' } });
+            const result = await new IsolationTests().testIsolationHeaders();
+
+            assert.equal(result.status, 'unsupported');
+            assert.deepEqual(result.missingHeaders, [
+                { header: 'Cross-Origin-Embedder-Policy', expected: 'require-corp or credentialless', actual: null }
+            ]);
+            assert.deepEqual(result.requiredHeaders, [
+                'Cross-Origin-Opener-Policy: same-origin',
+                'Cross-Origin-Embedder-Policy: require-corp'
+            ]);
+            assert.match(result.details, /Cross-Origin-Embedder-Policy is missing/);
+        });
+
+        test('reports an isolated page and explains headers that did not isolate it', async () => {
+            restoreBrowser = installFakeBrowser({ crossOriginIsolated: true, pageHeaders: {
+                'Cross-Origin-Opener-Policy': 'same-origin', 'Cross-Origin-Embedder-Policy': 'credentialless'
+            } });
+            const isolation = new IsolationTests();
+            const isolated = await isolation.testIsolationHeaders();
+            assert.equal(isolated.status, 'supported');
+            assert.match(isolated.details, /COEP credentialless/);
+
+            window.crossOriginIsolated = false;
+            const notIsolated = await isolation.testIsolationHeaders();
+            assert.deepEqual(notIsolated.missingHeaders, []);
+            assert.match(notIsolated.reason, /does not support COEP credentialless/);
+        });
+
+        test('lists subresources require-corp would block and recommends credentialless', async () => {
+            restoreBrowser = installFakeBrowser({ corsOrigins: ['https://cdn.example.com'] });
+            const isolation = new IsolationTests({
+                subresources: ['https://cdn.example.com/game.wasm', 'https://ads.example.net/banner.png', '/js/main.js']
+            });
+            const result = await isolation.testSubresources();
+
+            assert.equal(result.status, 'partial');
+            assert.deepEqual(result.subresources.map(({ url, cors }) => [url, cors]), [
+                ['https://cdn.example.com/game.wasm', true],
+                ['https://ads.example.net/banner.png', false]
+            ]);
+            assert.deepEqual(result.blockedUnderRequireCorp, ['https://ads.example.net/banner.png']);
+            assert.equal(result.recommendedCoep, 'credentialless');
+            assert.deepEqual(result.assetHeaders, ['Cross-Origin-Resource-Policy: cross-origin']);
+        });
+    });
+
+    describe('CommunicationTests', () => {
+        test('scores a working WebSocket echo as fully supported', async () => {
+            restoreBrowser = installFakeBrowser({ webSocket: 'echo' });
+            const result = await new CommunicationTests().testWebSocketAPI();
+
+            assert.equal(result.status, 'supported');
+            assert.equal(result.score, 100);
+        });
+
+        test('scores a failed WebSocket connection as partial', async () => {
+            restoreBrowser = installFakeBrowser({ webSocket: 'error' });
+            const result = await new CommunicationTests().testWebSocketAPI();
+
+            assert.equal(result.status, 'partial');
+            assert.equal(result.score, 40);
+        });
+
+        test('closes the WebSocket as soon as the signal aborts', async () => {
+            restoreBrowser = installFakeBrowser({ webSocket: 'hang' });
+            const controller = new AbortController();
+            const pending = new CommunicationTests().testWebSocketAPI(controller.signal);
+            controller.abort();
+            await pending;
+
+            assert.equal(WebSocket.instances[0].readyState, WebSocket.CLOSED);
+        });
+
+        test('closes peer connections when a run is cancelled', async () => {
+            restoreBrowser = installFakeBrowser();
+            const engine = new TestEngine();
+            const communication = new CommunicationTests();
+            const webRTC = communication.getAllTests().find(entry => entry.detectorKey === 'webrtc.api');
+            engine.registerTest(webRTC.detectorKey, webRTC.fn);
+
+            const run = engine.runAllTests();
+            engine.cancel();
+            await run;
+
+            assert.ok(FakeRTCPeerConnection.instances.every(connection => connection.closed));
+        });
+    });
+
+    describe('StorageTests', () => {
+        test('round-trips data through every storage API and cleans up', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(StorageTests);
+
+            for (const key of ['indexeddb.api', 'local.storage', 'session.storage', 'cache.api', 'opfs.api']) {
+                assert.equal(results[key].status, 'supported', `${key}: ${results[key].details}`);
+            }
+            assert.equal(indexedDB.databases.size, 0);
+            assert.equal(localStorage.length, 0);
+            assert.equal(caches.cacheMap.size, 0);
+        });
+
+        test('reports the quota estimate and best-effort persistence', async () => {
+            restoreBrowser = installFakeBrowser();
+            const results = await runModule(StorageTests);
+
+            assert.equal(results['storage.quota'].status, 'supported');
+            assert.equal(results['storage.quota'].privateModeLikely, false);
+            assert.equal(results['storage.quota'].estimate.usage, 1024 * 1024);
+            assert.equal(results['storage.persistence'].status, 'partial');
+            assert.deepEqual(results['storage.persistence'].capabilities, { persisted: false, canRequest: true, permission: 'unknown' });
+        });
+
+        test('flags private-mode quotas and zero-quota Web Storage', async () => {
+            restoreBrowser = installFakeBrowser({ storageQuota: 100 * 1024 * 1024, webStorageQuota: 0 });
+            const storageTests = new StorageTests();
+            const quota = await storageTests.testStorageQuota();
+            const local = await storageTests.testWebStorage('localStorage');
+
+            assert.equal(quota.status, 'partial');
+            assert.equal(quota.privateModeLikely, true);
+            assert.match(quota.details, /100 MB/);
+            assert.equal(local.status, 'partial');
+            assert.equal(local.privateModeLikely, true);
+        });
+
+        test('reports page-level OPFS writes as partial without createWritable', async () => {
+            restoreBrowser = installFakeBrowser({ opfsWritable: false });
+            const result = await new StorageTests().testOriginPrivateFileSystem();
+
+            assert.equal(result.status, 'partial');
+            assert.equal(result.capabilities.createSyncAccessHandle, true);
+        });
+
+        test('formats byte counts', () => {
+            assert.equal(StorageTests.formatBytes(512), '512 B');
+            assert.equal(StorageTests.formatBytes(1536), '1.5 KB');
+            assert.equal(StorageTests.formatBytes(120 * 1024 * 1024), '120 MB');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * CapabilityDatabase Tests
+ * Checksum verification, solution targeting and locale fallback
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { silenceConsole } = require('./helpers/fake-browser');
+global.VersionRange = require('../js/version-range.js');
+global.SolutionResolver = require('../js/solution-resolver.js');
+global.SnippetRenderer = require('../js/snippet-renderer.js');
+const CapabilityDatabase = require('../js/capability-db.js');
+
+const SHIPPED_DB = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'capability-db.json'), 'utf8'));
+
+/**
+ * Load a DB object through a stubbed fetch
+ */
+async function loadDatabase(data) {
+    const previousFetch = global.fetch;
+    global.fetch = async () => ({ ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(data)) });
+    try {
+        const db = new CapabilityDatabase();
+        await db.load();
+        return db;
+    } finally {
+        global.fetch = previousFetch;
+    }
+}
+
+/**
+ * Small DB with generic, browser and version-specific solutions for one test
+ */
+async function createTargetedDatabase() {
+    const data = {
+        schemaVersion: 1,
+        locales: {
+            default: 'en-US',
+            supported: ['en-US', 'pt-BR'],
+            messages: { 'en-US': { 'ui.hello': 'Hello' }, 'pt-BR': { 'ui.hello': 'Olá' } }
+        },
+        browsers: [
+            { id: 'google-chrome', name: 'Google Chrome', uaMatchRules: ['Chrome/'] },
+            { id: 'safari', name: 'Safari', uaMatchRules: [{ pattern: 'Version/.*Safari/' }] }
+        ],
+        tests: [{ id: 'webgpu-support', title: 'WebGPU Support', detectorKey: 'webgpu.support', severity: 'fail' }],
+        solutions: [
+            { id: 'generic', title: 'Generic', testIds: ['webgpu-support'], contentFormat: 'md', content: 'generic', appliesTo: { scope: 'generic' }, priority: 9 },
+            { id: 'chrome', title: 'Chrome', testIds: ['webgpu-support'], contentFormat: 'md', content: 'chrome **flags**', appliesTo: { scope: 'browser', browserId: 'google-chrome' }, priority: 1 },
+            { id: 'chrome-old', title: 'Old Chrome', issueKey: 'webgpu.support', contentFormat: 'html', content: '<b>update</b>', appliesTo: { scope: 'browserVersion', browserId: 'google-chrome', versionRange: '<113' }, priority: 1 },
+            {
+                id: 'localized', title: 'Localized', titleLocalized: { 'pt-BR': 'Localizado' }, testIds: ['webgpu-support'], contentFormat: 'md',
+                content: 'english', contentLocalized: { pt: { content: 'português' } }, appliesTo: { scope: 'generic' }, priority: 10
+            }
+        ],
+        meta: { version: '1.0.0' }
+    };
+    data.meta.checksum = await CapabilityDatabase.calculateChecksum(data);
+    return loadDatabase(data);
+}
+
+describe('CapabilityDatabase', () => {
+    let restoreConsole;
+    before(() => { restoreConsole = silenceConsole(); });
+    after(() => restoreConsole());
+
+    test('verifies the checksum of the shipped DB', async () => {
+        const db = await loadDatabase(SHIPPED_DB);
+
+        assert.ok(db.isLoaded());
+        assert.equal(db.verified, true);
+    });
+
+    test('rejects a DB whose content no longer matches its checksum', async () => {
+        const tampered = JSON.parse(JSON.stringify(SHIPPED_DB));
+        tampered.solutions[0].content = 'tampered';
+
+        const db = await loadDatabase(tampered);
+
+        assert.equal(db.isLoaded(), false);
+    });
+
+    test('orders solutions by specificity, then priority', async () => {
+        const db = await createTargetedDatabase();
+
+        const ids = db.getSolutions('webgpu.support', 'google-chrome', '112.0').map(solution => solution.id);
+        assert.deepEqual(ids, ['chrome-old', 'chrome', 'localized', 'generic']);
+
+        const newer = db.getSolutions('webgpu.support', 'google-chrome', '120.0').map(solution => solution.id);
+        assert.deepEqual(newer, ['chrome', 'localized', 'generic']);
+
+        const other = db.getSolutions('webgpu.support', 'safari', '17.0').map(solution => solution.id);
+        assert.deepEqual(other, ['localized', 'generic']);
+    });
+
+    test('matches browsers by detected name and UA rules', async () => {
+        const db = await createTargetedDatabase();
+
+        assert.equal(db.findBrowser({ name: 'Chrome' }).id, 'google-chrome');
+        assert.equal(db.findBrowser({ name: 'Unknown' }, 'Mozilla/5.0 Version/17.0 Safari/605.1.15').id, 'safari');
+        assert.equal(db.findBrowser({ name: 'Unknown' }, 'Lynx/2.8'), null);
+    });
+
+    test('resolves localized guidance with language and default fallback', async () => {
+        const db = await createTargetedDatabase();
+        const context = (locale) => ({ browser: db.findBrowser({ name: 'Safari' }), version: '17.0', locale });
+
+        assert.equal(db.getGuidance('webgpu.support', context('pt-BR')).title, 'Localizado');
+        assert.equal(db.getGuidance('webgpu.support', context('pt-BR')).html, '<p>português</p>');
+        assert.equal(db.getGuidance('webgpu.support', context('ja-JP')).html, '<p>english</p>');
+        assert.equal(db.getMessage('ui.hello', 'pt-PT'), 'Olá');
+        assert.equal(db.getMessage('ui.missing', 'en-US', 'fallback'), 'fallback');
+    });
+
+    test('finds tests by detectorKey, id or title and returns their reference link', async () => {
+        const db = await loadDatabase(SHIPPED_DB);
+
+        assert.equal(db.findTest('webgl.20.support').id, 'webgl-20-support');
+        assert.equal(db.findTest('WebGL 2.0 Support').id, 'webgl-20-support');
+        assert.equal(db.getTestLink('webgl.20.support'), 'https://caniuse.com/webgl2');
+        assert.equal(db.getTestLink('does.not.exist'), null);
+    });
+
+    test('ships guidance for the advanced input tests', async () => {
+        const db = await loadDatabase(SHIPPED_DB);
+        const keys = ['input.pointer.lock.raw', 'input.keyboard.lock', 'input.keyboard.layout', 'input.pointer.coalesced', 'input.pointer.rawupdate'];
+
+        keys.forEach(key => assert.ok(db.getGuidance(key, { locale: 'en-US' }), `${key} has no guidance`));
+        assert.equal(db.getGuidance('input.pointer.lock.raw', { locale: 'es-ES' }).title, 'Consigue entrada de ratón sin procesar para apuntar con precisión');
+    });
+
+    test('ships Bluetooth latency guidance for the audio latency test', async () => {
+        const db = await loadDatabase(SHIPPED_DB);
+
+        assert.match(db.getGuidance('audio.output.latency', { locale: 'en-US' }).html, /Bluetooth headphones/);
+        assert.ok(db.getGuidance('audio.worklet', { locale: 'es-ES' }));
+    });
+
+    test('ships the exact isolation headers for shared memory and isolation tests', async () => {
+        const db = await loadDatabase(SHIPPED_DB);
+
+        for (const key of ['isolation.headers', 'isolation.subresources', 'sharedarraybuffer', 'wasm.threads.support']) {
+            assert.match(db.getGuidance(key, { locale: 'en-US' }).html, /Cross-Origin-Embedder-Policy: require-corp/, `${key} lacks the COEP header`);
+        }
+        assert.match(db.getGuidance('isolation.subresources', { locale: 'en-US' }).html, /credentialless/);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * GamepadDiagnostic Tests
+ * Polling rate, stick drift, haptics and the controller findings kept for reports
+ */
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeBrowser } = require('./helpers/fake-browser');
+const GamepadDiagnostic = require('../js/gamepad-diagnostic.js');
+
+/**
+ * Standard-mapping controller whose state the test mutates between polls
+ */
+function createGamepad(overrides = {}) {
+    return {
+        id: 'Xbox Wireless Controller (STANDARD GAMEPAD)',
+        index: 0,
+        connected: true,
+        mapping: 'standard',
+        timestamp: 0,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        axes: [0, 0, 0, 0],
+        ...overrides
+    };
+}
+
+describe('GamepadDiagnostic', () => {
+    let restoreBrowser = null;
+
+    afterEach(() => {
+        if (restoreBrowser) restoreBrowser();
+        restoreBrowser = null;
+    });
+
+    const connect = (gamepad) => {
+        restoreBrowser = installFakeBrowser();
+        navigator.getGamepads = () => [gamepad, null, null, null];
+        const findings = [];
+        const diagnostic = new GamepadDiagnostic({ onFindings: value => findings.push(value) });
+        diagnostic.select(gamepad.index);
+        return { diagnostic, findings };
+    };
+
+    test('estimates the polling rate from input report timestamps', () => {
+        const reports = Array.from({ length: 30 }, (_, index) => index * 4);
+        assert.equal(GamepadDiagnostic.estimatePollingRate(reports), 250);
+
+        // Idle gaps are ignored, and too few reports give no estimate
+        assert.equal(GamepadDiagnostic.estimatePollingRate([...reports, 5000, 5004]), 250);
+        assert.equal(GamepadDiagnostic.estimatePollingRate([0, 8, 16]), null);
+    });
+
+    test('measures resting stick offsets and recommends a deadzone', () => {
+        const drifting = GamepadDiagnostic.analyzeDrift([[0.12, 0.05, 0, 0.01], [0.11, 0.06, 0, -0.02]]);
+        assert.equal(drifting.driftDetected, true);
+        assert.equal(drifting.sticks[0].maxOffset, 0.13);
+        assert.equal(drifting.recommendedDeadzone, 0.2);
+
+        const clean = GamepadDiagnostic.analyzeDrift([[0.01, 0, 0, 0], [0, -0.02, 0, 0]]);
+        assert.equal(clean.driftDetected, false);
+        assert.equal(clean.recommendedDeadzone, 0.1);
+        assert.equal(GamepadDiagnostic.analyzeDrift([[0.3, 0]], '').sticks.length, 0);
+        assert.equal(GamepadDiagnostic.analyzeDrift([]), null);
+    });
+
+    test('records pressed buttons and reports the controller findings', () => {
+        const gamepad = createGamepad();
+        const { diagnostic, findings } = connect(gamepad);
+
+        assert.equal(findings[0].id, gamepad.id);
+        assert.equal(findings[0].standardMapping, true);
+        assert.deepEqual(findings[0].issues, []);
+
+        gamepad.buttons[3] = { pressed: true, value: 1 };
+        gamepad.timestamp = 4;
+        diagnostic.poll();
+        assert.deepEqual(findings[findings.length - 1].buttonsPressed, [3]);
+        assert.deepEqual(diagnostic.snapshot.buttons[3], { pressed: true, value: 1 });
+    });
+
+    test('flags non-standard mappings and missing haptics', async () => {
+        const { diagnostic } = connect(createGamepad({ mapping: '' }));
+        const haptics = await diagnostic.testHaptics();
+
+        assert.deepEqual(haptics, { api: null, working: false });
+        assert.deepEqual(diagnostic.getFindings().issues, ['nonStandardMapping', 'noHaptics']);
+    });
+
+    test('plays a dual-rumble effect on the vibration actuator', async () => {
+        const played = [];
+        const vibrationActuator = {
+            effects: ['dual-rumble', 'trigger-rumble'],
+            playEffect: async (type, params) => {
+                played.push([type, params.duration]);
+                return 'complete';
+            }
+        };
+        const { diagnostic } = connect(createGamepad({ vibrationActuator }));
+        const haptics = await diagnostic.testHaptics();
+
+        assert.deepEqual(played, [['dual-rumble', 300]]);
+        assert.equal(haptics.working, true);
+        assert.deepEqual(haptics.effects, ['dual-rumble', 'trigger-rumble']);
+    });
+
+    test('reports a failing actuator as a haptics issue', async () => {
+        const vibrationActuator = { playEffect: async () => { throw new Error('Device busy'); } };
+        const { diagnostic } = connect(createGamepad({ vibrationActuator }));
+        const haptics = await diagnostic.testHaptics();
+
+        assert.equal(haptics.error, 'Device busy');
+        assert.deepEqual(diagnostic.getFindings().issues, ['hapticsFailed']);
+    });
+});
@@ -0,0 +1,242 @@
+/**
+ * GuidedChecks Tests
+ * Each step really uses its gesture-gated API and reports success or the denial reason
+ */
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeBrowser } = require('./helpers/fake-browser');
+const GuidedChecks = require('../js/guided-checks.js');
+// The audio step rates the measured latency with AudioTests, a page global in the browser
+global.AudioTests = require('../js/api-tests/audio-tests.js');
+
+/**
+ * AudioContext whose clock advances while it runs; state 'suspended' stays suspended.
+ * outputLatency reads 0 until the context runs, like Chromium's
+ */
+function createAudioContextClass(state = 'running', outputLatency = 0.005) {
+    return class FakeAudioContext {
+        constructor() {
+            this.state = 'suspended';
+            this.currentTime = 0;
+            this.sampleRate = 48000;
+            this.baseLatency = 0.01;
+            this.destination = {};
+        }
+
+        get outputLatency() {
+            return this.state === 'running' ? outputLatency : 0;
+        }
+
+        async resume() {
+            this.state = state;
+        }
+
+        async close() {
+            this.state = 'closed';
+        }
+
+        createGain() {
+            return { gain: { value: 1 }, connect() {} };
+        }
+
+        createOscillator() {
+            const oscillator = {
+                frequency: { value: 0 },
+                onended: null,
+                connect() {},
+                start() {},
+                stop: (when) => {
+                    setTimeout(() => {
+                        this.currentTime = when;
+                        oscillator.onended();
+                    }, 1);
+                }
+            };
+            return oscillator;
+        }
+    };
+}
+
+/**
+ * Lock target whose promise-based requestPointerLock sets pointerLockElement;
+ * rawInput false rejects unadjustedMovement, denied rejects every request
+ */
+function createLockTarget({ rawInput = true, denied = false } = {}) {
+    const requests = [];
+    const target = {
+        requestPointerLock(options) {
+            requests.push(options || null);
+            if (denied) {
+                return Promise.reject(Object.assign(new Error('The user has exited the lock'), { name: 'NotAllowedError' }));
+            }
+            if (options && options.unadjustedMovement && !rawInput) {
+                return Promise.reject(Object.assign(new Error('unadjustedMovement is not supported'), { name: 'NotSupportedError' }));
+            }
+            document.pointerLockElement = target;
+            return Promise.resolve();
+        }
+    };
+    return { target, requests };
+}
+
+const byKey = results => Object.fromEntries(results.map(result => [result.detectorKey, result]));
+
+describe('GuidedChecks', () => {
+    let restoreBrowser = null;
+
+    afterEach(() => {
+        if (restoreBrowser) restoreBrowser();
+        restoreBrowser = null;
+        delete globalThis.AudioContext;
+    });
+
+    test('lists the detectorKeys the guided steps verify', () => {
+        assert.deepEqual(GuidedChecks.STEPS.map(step => step.id), ['audio', 'pointerLock', 'fullscreen', 'vibration']);
+        assert.ok(GuidedChecks.GATED_KEYS.includes('input.pointer.lock.raw'));
+        assert.ok(GuidedChecks.GATED_KEYS.includes('web.audio.api'));
+        assert.ok(GuidedChecks.GATED_KEYS.includes('audio.output.latency'));
+    });
+
+    test('plays a test tone once audio resumes', async () => {
+        restoreBrowser = installFakeBrowser();
+        globalThis.AudioContext = createAudioContextClass();
+
+        const [result, latency] = await new GuidedChecks({ toneMs: 50 }).runStep('audio');
+        assert.equal(result.status, 'supported');
+        assert.equal(result.verification, 'verified');
+        assert.equal(result.guided.outcome, 'success');
+        assert.equal(result.guided.sampleRate, 48000);
+        assert.equal(latency.detectorKey, 'audio.output.latency');
+        assert.deepEqual(latency.latency, { baseMs: 10, outputMs: 5, playbackBaseMs: null, totalMs: 15 });
+        assert.equal(latency.tier, 'excellent');
+    });
+
+    test('measures Bluetooth-class output latency once the tone plays', async () => {
+        restoreBrowser = installFakeBrowser();
+        globalThis.AudioContext = createAudioContextClass('running', 0.2);
+
+        const results = byKey(await new GuidedChecks({ toneMs: 50 }).runStep('audio'));
+        const latency = results['audio.output.latency'];
+        assert.equal(latency.verification, 'verified');
+        assert.equal(latency.status, 'partial');
+        assert.equal(latency.tier, 'poor');
+        assert.equal(latency.bluetoothSuspected, true);
+        assert.equal(latency.needsGuidance, true);
+        assert.match(latency.details, /measured while playing/);
+    });
+
+    test('reports audio that stays suspended as denied', async () => {
+        restoreBrowser = installFakeBrowser();
+        globalThis.AudioContext = createAudioContextClass('suspended');
+
+        const results = await new GuidedChecks().runStep('audio');
+        const [result] = results;
+        assert.equal(results.length, 1);
+        assert.equal(result.status, 'partial');
+        assert.equal(result.guided.outcome, 'denied');
+        assert.match(result.guided.reason, /suspended/);
+    });
+
+    test('locks the pointer with raw movement and releases it', async () => {
+        restoreBrowser = installFakeBrowser();
+        let exited = false;
+        document.exitPointerLock = () => { exited = true; };
+        const { target, requests } = createLockTarget();
+
+        const results = byKey(await new GuidedChecks().runStep('pointerLock', target));
+        assert.deepEqual(requests, [{ unadjustedMovement: true }]);
+        assert.equal(results['pointer.lock.api'].status, 'supported');
+        assert.equal(results['input.pointer.lock.raw'].status, 'supported');
+        assert.equal(exited, true);
+    });
+
+    test('falls back to a plain lock when raw movement is not supported', async () => {
+        restoreBrowser = installFakeBrowser();
+        const { target, requests } = createLockTarget({ rawInput: false });
+
+        const results = byKey(await new GuidedChecks().runStep('pointerLock', target));
+        assert.deepEqual(requests, [{ unadjustedMovement: true }, null]);
+        assert.equal(results['pointer.lock.api'].status, 'supported');
+        assert.equal(results['input.pointer.lock.raw'].status, 'partial');
+        assert.equal(results['input.pointer.lock.raw'].guided.outcome, 'failed');
+    });
+
+    test('records why a pointer lock was refused', async () => {
+        restoreBrowser = installFakeBrowser();
+        const { target } = createLockTarget({ denied: true });
+
+        const results = byKey(await new GuidedChecks().runStep('pointerLock', target));
+        assert.equal(results['pointer.lock.api'].status, 'partial');
+        assert.equal(results['pointer.lock.api'].guided.outcome, 'denied');
+        assert.equal(results['pointer.lock.api'].guided.reason, 'NotAllowedError: The user has exited the lock');
+    });
+
+    test('enters fullscreen, locks the keyboard and leaves fullscreen', async () => {
+        restoreBrowser = installFakeBrowser();
+        const locked = [];
+        navigator.keyboard.lock = async (keys) => { locked.push(...keys); };
+        document.documentElement = {
+            requestFullscreen: async () => { document.fullscreenElement = document.documentElement; }
+        };
+        document.exitFullscreen = async () => { document.fullscreenElement = null; };
+
+        const results = byKey(await new GuidedChecks().runStep('fullscreen'));
+        assert.equal(results['fullscreen.api'].status, 'supported');
+        assert.equal(results['input.keyboard.lock'].status, 'supported');
+        assert.deepEqual(locked, ['Escape']);
+        assert.equal(document.fullscreenElement, null);
+    });
+
+    test('waits for webkitfullscreenchange with the prefixed methods and leaves fullscreen', async () => {
+        restoreBrowser = installFakeBrowser();
+        const listeners = {};
+        document.addEventListener = (type, listener) => { listeners[type] = listener; };
+        document.removeEventListener = (type) => { delete listeners[type]; };
+        // Prefixed methods return undefined and switch fullscreen a little later
+        const element = {
+            webkitRequestFullscreen() {
+                setTimeout(() => {
+                    document.webkitFullscreenElement = element;
+                    listeners.webkitfullscreenchange();
+                }, 5);
+            }
+        };
+        document.documentElement = element;
+        document.webkitExitFullscreen = () => {
+            setTimeout(() => {
+                document.webkitFullscreenElement = null;
+                listeners.webkitfullscreenchange();
+            }, 5);
+        };
+
+        const results = await new GuidedChecks().runStep('fullscreen');
+        assert.equal(results[0].status, 'supported');
+        assert.equal(document.webkitFullscreenElement, null);
+        assert.deepEqual(Object.keys(listeners), []);
+    });
+
+    test('reports a refused fullscreen request', async () => {
+        restoreBrowser = installFakeBrowser();
+        document.documentElement = {
+            requestFullscreen: async () => {
+                throw Object.assign(new TypeError('Permissions check failed'), { name: 'TypeError' });
+            }
+        };
+
+        const results = await new GuidedChecks().runStep('fullscreen');
+        assert.equal(results.length, 1);
+        assert.equal(results[0].guided.outcome, 'denied');
+        assert.equal(results[0].guided.reason, 'TypeError: Permissions check failed');
+    });
+
+    test('treats a vibrate() call returning false as denied', async () => {
+        restoreBrowser = installFakeBrowser();
+        const checks = new GuidedChecks();
+
+        assert.equal((await checks.runStep('vibration'))[0].guided.outcome, 'success');
+        navigator.vibrate = () => false;
+        assert.equal((await checks.runStep('vibration'))[0].guided.outcome, 'denied');
+    });
+});
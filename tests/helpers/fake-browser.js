@@ -0,0 +1,1014 @@
+/**
+ * Fake Browser Environment
+ * Minimal window/navigator/document stand-ins so the api-tests modules run under Node
+ */
+
+const vm = require('node:vm');
+const { resolveObjectURL } = require('node:buffer');
+
+const GL_CONSTANTS = {
+    VERSION: 0x1F02,
+    VENDOR: 0x1F00,
+    RENDERER: 0x1F01,
+    SHADING_LANGUAGE_VERSION: 0x8B8C,
+    MAX_TEXTURE_SIZE: 0x0D33,
+    MAX_VIEWPORT_DIMS: 0x0D3A,
+    MAX_VERTEX_ATTRIBS: 0x8869,
+    MAX_VERTEX_UNIFORM_VECTORS: 0x8DFB,
+    MAX_FRAGMENT_UNIFORM_VECTORS: 0x8DFD,
+    ALIASED_LINE_WIDTH_RANGE: 0x846E,
+    ALIASED_POINT_SIZE_RANGE: 0x846D,
+    MAX_CUBE_MAP_TEXTURE_SIZE: 0x851C,
+    MAX_RENDERBUFFER_SIZE: 0x84E8,
+    MAX_TEXTURE_IMAGE_UNITS: 0x8872,
+    MAX_VERTEX_TEXTURE_IMAGE_UNITS: 0x8B4C,
+    MAX_COMBINED_TEXTURE_IMAGE_UNITS: 0x8B4D,
+    MAX_VARYING_VECTORS: 0x8DFC,
+    MAX_SAMPLES: 0x8D57,
+    MAX_3D_TEXTURE_SIZE: 0x8073,
+    MAX_ARRAY_TEXTURE_LAYERS: 0x88FF,
+    MAX_COLOR_ATTACHMENTS: 0x8CDF,
+    MAX_DRAW_BUFFERS: 0x8824,
+    MAX_UNIFORM_BUFFER_BINDINGS: 0x8A2F,
+    MAX_UNIFORM_BLOCK_SIZE: 0x8A30,
+    LOW_FLOAT: 0x8DF0,
+    MEDIUM_FLOAT: 0x8DF1,
+    HIGH_FLOAT: 0x8DF2,
+    TEXTURE_2D: 0x0DE1,
+    FRAMEBUFFER: 0x8D40,
+    COLOR_ATTACHMENT0: 0x8CE0,
+    FRAMEBUFFER_COMPLETE: 0x8CD5,
+    FRAMEBUFFER_UNSUPPORTED: 0x8CDD,
+    RGBA: 0x1908,
+    RGBA32F: 0x8814,
+    RGBA16F: 0x881A,
+    HALF_FLOAT: 0x140B,
+    COLOR_BUFFER_BIT: 0x4000,
+    ARRAY_BUFFER: 0x8892,
+    STATIC_DRAW: 0x88E4,
+    FLOAT: 0x1406,
+    TRIANGLES: 0x0004,
+    VERTEX_SHADER: 0x8B31,
+    FRAGMENT_SHADER: 0x8B30,
+    COMPILE_STATUS: 0x8B81,
+    LINK_STATUS: 0x8B82,
+    NO_ERROR: 0
+};
+
+/**
+ * Object whose unknown members are callable and return further stubs
+ */
+function createStub(overrides = {}) {
+    return new Proxy(overrides, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            if (prop === 'then' || typeof prop === 'symbol') return undefined;
+            return () => createStub();
+        }
+    });
+}
+
+const HALF_FLOAT_OES = 0x8D61;
+
+/**
+ * Extensions of a desktop GPU: S3TC/BPTC/RGTC textures and float render targets
+ */
+const DEFAULT_WEBGL_EXTENSIONS = [
+    'OES_texture_float', 'OES_texture_half_float', 'WEBGL_debug_renderer_info', 'EXT_texture_filter_anisotropic',
+    'WEBGL_compressed_texture_s3tc', 'EXT_texture_compression_bptc', 'EXT_texture_compression_rgtc',
+    'EXT_color_buffer_float', 'WEBGL_color_buffer_float', 'EXT_color_buffer_half_float'
+];
+
+/**
+ * WebGL 1/2 rendering context with plausible parameter values.
+ * options.webglExtensions replaces the extension list; options.fragmentHighp: false
+ * reports no highp floats in fragment shaders (as on older mobile GPUs).
+ */
+function createWebGLContext(version, options = {}) {
+    const parameters = {
+        [GL_CONSTANTS.VERSION]: version === 2 ? 'WebGL 2.0' : 'WebGL 1.0',
+        [GL_CONSTANTS.VENDOR]: 'Fake Vendor',
+        [GL_CONSTANTS.RENDERER]: 'Fake Renderer',
+        [GL_CONSTANTS.SHADING_LANGUAGE_VERSION]: version === 2 ? 'WebGL GLSL ES 3.00' : 'WebGL GLSL ES 1.0',
+        [GL_CONSTANTS.MAX_TEXTURE_SIZE]: 16384,
+        [GL_CONSTANTS.MAX_VIEWPORT_DIMS]: new Int32Array([16384, 16384]),
+        [GL_CONSTANTS.MAX_VERTEX_ATTRIBS]: 16,
+        [GL_CONSTANTS.MAX_VERTEX_UNIFORM_VECTORS]: 1024,
+        [GL_CONSTANTS.MAX_FRAGMENT_UNIFORM_VECTORS]: 1024,
+        [GL_CONSTANTS.ALIASED_LINE_WIDTH_RANGE]: new Float32Array([1, 1]),
+        [GL_CONSTANTS.ALIASED_POINT_SIZE_RANGE]: new Float32Array([1, 1024]),
+        [GL_CONSTANTS.MAX_CUBE_MAP_TEXTURE_SIZE]: 16384,
+        [GL_CONSTANTS.MAX_RENDERBUFFER_SIZE]: 16384,
+        [GL_CONSTANTS.MAX_TEXTURE_IMAGE_UNITS]: 16,
+        [GL_CONSTANTS.MAX_VERTEX_TEXTURE_IMAGE_UNITS]: 16,
+        [GL_CONSTANTS.MAX_COMBINED_TEXTURE_IMAGE_UNITS]: 32,
+        [GL_CONSTANTS.MAX_VARYING_VECTORS]: 30,
+        [0x84FF]: 16 // MAX_TEXTURE_MAX_ANISOTROPY_EXT
+    };
+    if (version === 2) {
+        Object.assign(parameters, {
+            [GL_CONSTANTS.MAX_SAMPLES]: 4,
+            [GL_CONSTANTS.MAX_3D_TEXTURE_SIZE]: 2048,
+            [GL_CONSTANTS.MAX_ARRAY_TEXTURE_LAYERS]: 2048,
+            [GL_CONSTANTS.MAX_COLOR_ATTACHMENTS]: 8,
+            [GL_CONSTANTS.MAX_DRAW_BUFFERS]: 8,
+            [GL_CONSTANTS.MAX_UNIFORM_BUFFER_BINDINGS]: 72,
+            [GL_CONSTANTS.MAX_UNIFORM_BLOCK_SIZE]: 65536
+        });
+    }
+    const extensions = options.webglExtensions || DEFAULT_WEBGL_EXTENSIONS;
+    let contextLost = false;
+
+    // Float attachments are complete only with the matching color-buffer extension
+    let boundTexelType = null;
+    const isRenderable = (type) => {
+        if (version === 2) {
+            return extensions.includes('EXT_color_buffer_float')
+                || (type === GL_CONSTANTS.HALF_FLOAT && extensions.includes('EXT_color_buffer_half_float'));
+        }
+        if (type === GL_CONSTANTS.FLOAT) return extensions.includes('WEBGL_color_buffer_float');
+        if (type === HALF_FLOAT_OES) return extensions.includes('EXT_color_buffer_half_float');
+        return true;
+    };
+
+    return createStub({
+        ...GL_CONSTANTS,
+        getParameter: (pname) => (pname in parameters ? parameters[pname] : 0),
+        getSupportedExtensions: () => extensions.slice(),
+        isContextLost: () => contextLost,
+        // WEBGL_lose_context is always available, without showing up in the extension list
+        getExtension: (name) => {
+            if (name === 'WEBGL_lose_context') {
+                return { loseContext: () => { contextLost = true; }, restoreContext: () => { contextLost = false; } };
+            }
+            return extensions.includes(name)
+                ? createStub({ UNMASKED_VENDOR_WEBGL: 0x9245, UNMASKED_RENDERER_WEBGL: 0x9246, MAX_TEXTURE_MAX_ANISOTROPY_EXT: 0x84FF, HALF_FLOAT_OES })
+                : null;
+        },
+        getShaderPrecisionFormat: (shaderType, precisionType) => {
+            const noHighp = options.fragmentHighp === false && shaderType === GL_CONSTANTS.FRAGMENT_SHADER;
+            if (precisionType === GL_CONSTANTS.HIGH_FLOAT && noHighp) return { rangeMin: 0, rangeMax: 0, precision: 0 };
+            if (precisionType === GL_CONSTANTS.HIGH_FLOAT) return { rangeMin: 127, rangeMax: 127, precision: 23 };
+            return { rangeMin: 15, rangeMax: 15, precision: 10 };
+        },
+        texImage2D: (target, level, internalFormat, width, height, border, format, type) => { boundTexelType = type; },
+        checkFramebufferStatus: () => (isRenderable(boundTexelType) ? GL_CONSTANTS.FRAMEBUFFER_COMPLETE : GL_CONSTANTS.FRAMEBUFFER_UNSUPPORTED),
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getShaderInfoLog: () => '',
+        getProgramInfoLog: () => '',
+        getAttribLocation: () => 0,
+        getError: () => GL_CONSTANTS.NO_ERROR
+    });
+}
+
+/**
+ * WebGPU adapter whose compute pipeline "squares" its input.
+ * options.gpuLimits and options.gpuFeatures replace limits and features,
+ * options.gpuInfo overrides adapter.info fields (e.g. isFallbackAdapter, description).
+ */
+function createGPU(options = {}) {
+    const limits = {
+        maxTextureDimension1D: 8192,
+        maxTextureDimension2D: 8192,
+        maxTextureDimension3D: 2048,
+        maxTextureArrayLayers: 256,
+        maxBindGroups: 4,
+        maxSampledTexturesPerShaderStage: 16,
+        maxSamplersPerShaderStage: 16,
+        maxStorageBuffersPerShaderStage: 8,
+        maxUniformBufferBindingSize: 65536,
+        maxStorageBufferBindingSize: 134217728,
+        maxBufferSize: 268435456,
+        maxVertexBuffers: 8,
+        maxColorAttachments: 8,
+        maxComputeWorkgroupStorageSize: 16384,
+        maxComputeWorkgroupSizeX: 256,
+        maxComputeInvocationsPerWorkgroup: 256,
+        ...(options.gpuLimits || {})
+    };
+    const features = new Set(options.gpuFeatures || ['texture-compression-bc', 'timestamp-query']);
+    const info = { vendor: 'fake', architecture: 'test', device: '', description: 'Fake GPU', isFallbackAdapter: false, ...(options.gpuInfo || {}) };
+
+    const createBuffer = () => {
+        let data = null;
+        return createStub({
+            mapAsync: async () => {},
+            getMappedRange: () => data,
+            unmap: () => {},
+            destroy: () => {},
+            write: (bytes) => {
+                const input = new Float32Array(bytes);
+                data = new Float32Array(input.map(value => value * value)).buffer;
+            }
+        });
+    };
+
+    const buffers = [];
+    const device = createStub({
+        limits,
+        features,
+        queue: createStub({
+            submit: () => {},
+            // Emulate the square shader by writing squared values into every buffer created after the input
+            writeBuffer: (buffer, offset, data) => buffers.forEach(candidate => candidate.write(data.buffer))
+        }),
+        createBuffer: () => {
+            const buffer = createBuffer();
+            buffers.push(buffer);
+            return buffer;
+        },
+        destroy: () => {}
+    });
+
+    const adapter = createStub({
+        limits,
+        features,
+        isFallbackAdapter: info.isFallbackAdapter,
+        info,
+        requestAdapterInfo: async () => info,
+        requestDevice: async () => device
+    });
+
+    return {
+        requestAdapter: async () => adapter,
+        getPreferredCanvasFormat: () => 'bgra8unorm'
+    };
+}
+
+/**
+ * WebSocket that echoes, fails or never connects depending on mode
+ */
+function createWebSocketClass(mode) {
+    return class FakeWebSocket {
+        static get CONNECTING() { return 0; }
+        static get OPEN() { return 1; }
+        static get CLOSING() { return 2; }
+        static get CLOSED() { return 3; }
+
+        constructor(url) {
+            this.url = url;
+            this.readyState = 0;
+            this.binaryType = 'blob';
+            this.extensions = '';
+            this.protocol = '';
+            FakeWebSocket.instances.push(this);
+
+            setTimeout(() => {
+                if (this.readyState !== 0) return;
+                if (mode === 'echo') {
+                    this.readyState = 1;
+                    this.onopen && this.onopen();
+                } else if (mode === 'error') {
+                    this.readyState = 3;
+                    this.onerror && this.onerror(new Error('connection refused'));
+                }
+            }, 0);
+        }
+
+        send(data) {
+            setTimeout(() => this.onmessage && this.onmessage({ data }), 0);
+        }
+
+        close() {
+            this.readyState = 3;
+            this.onclose && this.onclose();
+        }
+    };
+}
+
+/**
+ * Peer connection that can create offers and data channels
+ */
+class FakeRTCPeerConnection {
+    constructor() {
+        this.connectionState = 'new';
+        this.iceConnectionState = 'new';
+        this.closed = false;
+        FakeRTCPeerConnection.instances.push(this);
+    }
+
+    async createOffer() { return { type: 'offer', sdp: 'v=0' }; }
+    async createAnswer() { return { type: 'answer', sdp: 'v=0' }; }
+    async addIceCandidate() {}
+
+    createDataChannel(label, options = {}) {
+        return {
+            label,
+            readyState: 'connecting',
+            ordered: options.ordered !== false,
+            maxRetransmits: options.maxRetransmits,
+            send() {},
+            close() {}
+        };
+    }
+
+    close() {
+        this.closed = true;
+        this.connectionState = 'closed';
+    }
+}
+
+/**
+ * IDBRequest-like object that settles on the next tick
+ */
+function createRequest(run) {
+    const request = { result: undefined, error: null };
+    setTimeout(() => {
+        try {
+            request.result = run(request);
+            request.onsuccess && request.onsuccess({ target: request });
+        } catch (error) {
+            request.error = error;
+            request.onerror && request.onerror({ target: request });
+        }
+    }, 0);
+    return request;
+}
+
+/**
+ * In-memory IndexedDB supporting keyPath object stores and put/get/delete
+ */
+function createIndexedDB() {
+    const databases = new Map();
+
+    const createDatabase = (stores) => ({
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore(name, options = {}) {
+            stores.set(name, { keyPath: options.keyPath, records: new Map() });
+        },
+        transaction(name) {
+            const store = stores.get(name);
+            return {
+                objectStore: () => ({
+                    put: (value) => createRequest(() => {
+                        store.records.set(value[store.keyPath], structuredClone(value));
+                        return value[store.keyPath];
+                    }),
+                    get: (key) => createRequest(() => structuredClone(store.records.get(key))),
+                    delete: (key) => createRequest(() => { store.records.delete(key); })
+                })
+            };
+        },
+        close() {}
+    });
+
+    return {
+        databases,
+        open(name) {
+            return createRequest((request) => {
+                const isNew = !databases.has(name);
+                if (isNew) databases.set(name, new Map());
+                const db = createDatabase(databases.get(name));
+                if (isNew) {
+                    request.result = db;
+                    request.onupgradeneeded && request.onupgradeneeded({ target: request });
+                }
+                return db;
+            });
+        },
+        deleteDatabase(name) {
+            return createRequest(() => { databases.delete(name); });
+        }
+    };
+}
+
+/**
+ * Web Storage area; quotaBytes of 0 makes every write throw like old Safari private windows
+ */
+function createWebStorage(quotaBytes = Infinity) {
+    const values = new Map();
+    const used = () => [...values].reduce((total, [key, value]) => total + key.length + value.length, 0);
+    return {
+        values,
+        get length() { return values.size; },
+        key: (index) => [...values.keys()][index] ?? null,
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem(key, value) {
+            if (used() + key.length + String(value).length > quotaBytes) {
+                throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+            }
+            values.set(key, String(value));
+        },
+        removeItem: (key) => { values.delete(key); },
+        clear: () => values.clear()
+    };
+}
+
+/**
+ * CacheStorage keeping response bodies as text
+ */
+function createCacheStorage() {
+    const cacheMap = new Map();
+    const keyOf = (request) => (typeof request === 'string' ? request : request.url);
+
+    return {
+        cacheMap,
+        async open(name) {
+            if (!cacheMap.has(name)) cacheMap.set(name, new Map());
+            const entries = cacheMap.get(name);
+            return {
+                async put(request, response) {
+                    entries.set(keyOf(request), await response.text());
+                },
+                async match(request) {
+                    const key = keyOf(request);
+                    return entries.has(key) ? new Response(entries.get(key)) : undefined;
+                },
+                async delete(request) {
+                    return entries.delete(keyOf(request));
+                },
+                async addAll() {}
+            };
+        },
+        async delete(name) {
+            return cacheMap.delete(name);
+        },
+        async keys() {
+            return [...cacheMap.keys()];
+        }
+    };
+}
+
+/**
+ * navigator.storage with estimate/persistence and an in-memory OPFS root
+ */
+function createStorageManager(options) {
+    const files = new Map();
+    const root = {
+        files,
+        async getFileHandle(name, { create = false } = {}) {
+            if (!files.has(name)) {
+                if (!create) throw new DOMException('File not found', 'NotFoundError');
+                files.set(name, '');
+            }
+            const handle = {
+                getFile: async () => new Blob([files.get(name)]),
+                createSyncAccessHandle: () => createStub()
+            };
+            if (options.opfsWritable) {
+                handle.createWritable = async () => {
+                    let contents = '';
+                    return {
+                        write: async (data) => { contents += data; },
+                        close: async () => { files.set(name, contents); }
+                    };
+                };
+            }
+            return handle;
+        },
+        async removeEntry(name) {
+            if (!files.delete(name)) throw new DOMException('File not found', 'NotFoundError');
+        }
+    };
+
+    return {
+        estimate: async () => ({ quota: options.storageQuota, usage: 1024 * 1024 }),
+        persisted: async () => options.persisted,
+        persist: async () => true,
+        getDirectory: async () => root
+    };
+}
+
+/**
+ * Promise-based requestPointerLock that rejects for lack of a user gesture, as outside a click.
+ * options.pointerLock: 'no-raw' rejects unadjustedMovement, 'legacy' returns nothing, false removes it
+ */
+function createRequestPointerLock(options) {
+    return function requestPointerLock() {
+        if (options.pointerLock === 'legacy') return undefined;
+        const error = options.pointerLock === 'no-raw'
+            ? Object.assign(new Error('unadjustedMovement is not supported'), { name: 'NotSupportedError' })
+            : Object.assign(new Error('A user gesture is required'), { name: 'NotAllowedError' });
+        return Promise.reject(error);
+    };
+}
+
+/**
+ * navigator.keyboard with a US QWERTY layout; options.keyboard: 'blocked' rejects getLayoutMap()
+ */
+function createKeyboard(options) {
+    const layout = new Map([['KeyQ', 'q'], ['KeyW', 'w'], ['KeyA', 'a'], ['KeyS', 's'], ['KeyD', 'd'], ['KeyY', 'y'], ['KeyZ', 'z']]);
+    return {
+        lock: async () => {},
+        unlock() {},
+        getLayoutMap: async () => {
+            if (options.keyboard === 'blocked') {
+                throw Object.assign(new Error('getLayoutMap() must be called from a top-level browsing context'), { name: 'InvalidStateError' });
+            }
+            return layout;
+        }
+    };
+}
+
+class FakePointerEvent {
+    getCoalescedEvents() { return []; }
+    getPredictedEvents() { return []; }
+}
+
+/**
+ * Minimal DOM element; canvases hand out the fake contexts
+ */
+function createElement(tagName, options) {
+    const element = {
+        tagName: tagName.toUpperCase(),
+        style: {},
+        width: 300,
+        height: 150,
+        parentNode: null,
+        children: [],
+        appendChild(child) {
+            child.parentNode = element;
+            element.children.push(child);
+            return child;
+        },
+        removeChild(child) {
+            child.parentNode = null;
+            element.children = element.children.filter(c => c !== child);
+            return child;
+        },
+        remove() {
+            if (element.parentNode) element.parentNode.removeChild(element);
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        getContext(type) {
+            if ((type === 'webgl' || type === 'experimental-webgl') && options.webgl) return createWebGLContext(1, options);
+            if (type === 'webgl2' && options.webgl2) return createWebGLContext(2, options);
+            if (type === 'webgpu' && options.webgpu) return createGPUCanvasContext(options);
+            if (type === '2d') return createStub();
+            return null;
+        }
+    };
+    if (options.pointerLock !== false) {
+        element.requestPointerLock = createRequestPointerLock(options);
+    }
+    return element;
+}
+
+/**
+ * WebGPU canvas context whose getConfiguration() echoes configure(), dropping
+ * toneMapping unless options.gpuToneMapping is set
+ */
+function createGPUCanvasContext(options) {
+    let configuration = null;
+    return createStub({
+        configure(config) {
+            configuration = { ...config };
+            if (!options.gpuToneMapping) delete configuration.toneMapping;
+        },
+        unconfigure() {
+            configuration = null;
+        },
+        getConfiguration: () => configuration
+    });
+}
+
+/**
+ * Screen with an orientation; options.screenOrientation: false removes it
+ */
+function createScreen(options) {
+    const screen = { width: 1920, height: 1080, availWidth: 1920, availHeight: 1040, colorDepth: 24 };
+    if (options.screenOrientation !== false) {
+        screen.orientation = { type: 'landscape-primary', angle: 0, lock: async () => {}, unlock() {} };
+    }
+    return screen;
+}
+
+/**
+ * AudioContext whose latencies come from options.audioLatency ({base, output} in seconds);
+ * requested sample rates up to 96 kHz are honored, and setSinkId() is present
+ */
+function createAudioContextClass(options) {
+    return class FakeAudioContext {
+        constructor(contextOptions = {}) {
+            const { base, output } = options.audioLatency;
+            if (contextOptions.sampleRate > 96000) {
+                throw Object.assign(new Error('Sample rate not supported'), { name: 'NotSupportedError' });
+            }
+            this.state = 'suspended';
+            this.sampleRate = contextOptions.sampleRate || 48000;
+            // The playback hint trades latency for a larger buffer
+            this.baseLatency = contextOptions.latencyHint === 'playback' ? base * 4 : base;
+            this.outputLatency = output;
+            this.currentTime = 0;
+            this.destination = createStub({ maxChannelCount: 2 });
+            this.audioWorklet = options.audioWorklet ? { addModule: async () => {} } : undefined;
+        }
+
+        async resume() { this.state = 'running'; }
+        async close() { this.state = 'closed'; }
+        async setSinkId() {}
+
+        createOscillator() { return createStub(); }
+        createGain() { return createStub(); }
+    };
+}
+
+/**
+ * OfflineAudioContext that renders the constant-output worklet processor once its module
+ * is loaded and a node is connected; options.audioWorklet: 'silent' renders silence
+ */
+function createOfflineAudioContextClass(options) {
+    return class FakeOfflineAudioContext {
+        constructor(channels, length, sampleRate) {
+            this.length = length;
+            this.sampleRate = sampleRate;
+            this.destination = {};
+            this.modules = [];
+            this.connected = false;
+            this.audioWorklet = { addModule: async (url) => { this.modules.push(url); } };
+        }
+
+        async startRendering() {
+            const data = new Float32Array(this.length);
+            if (this.connected && this.modules.length > 0 && options.audioWorklet !== 'silent') data.fill(0.5);
+            return { length: this.length, getChannelData: () => data };
+        }
+    };
+}
+
+class FakeAudioWorkletNode {
+    constructor(context, name) {
+        this.context = context;
+        this.name = name;
+    }
+
+    connect(destination) {
+        if (destination === this.context.destination) this.context.connected = true;
+    }
+}
+
+const CODEC_PREFIXES = { avc1: 'h264', vp09: 'vp9', av01: 'av1', hvc1: 'hevc', opus: 'opus', mp4a: 'aac' };
+
+/**
+ * Codec name ('h264', 'opus', ...) of a codec string or content type
+ */
+function getCodecName(value) {
+    const prefix = Object.keys(CODEC_PREFIXES).find(key => value.includes(key));
+    return prefix ? CODEC_PREFIXES[prefix] : null;
+}
+
+/**
+ * MediaCapabilities, MediaSource and WebCodecs decoders for options.mediaCodecs;
+ * options.hardwareCodecs are power efficient, and software decoding is only smooth up to 1080p
+ */
+function createMediaAPIs(options) {
+    const supports = value => options.mediaCodecs.includes(getCodecName(value));
+    const isConfigSupported = async (config) => ({ supported: supports(config.codec), config });
+
+    return {
+        mediaCapabilities: {
+            decodingInfo: async ({ video, audio }) => {
+                const contentType = (video || audio).contentType;
+                const supported = supports(contentType);
+                const powerEfficient = supported && options.hardwareCodecs.includes(getCodecName(contentType));
+                return {
+                    supported,
+                    smooth: supported && (powerEfficient || !video || video.height <= 1080),
+                    powerEfficient
+                };
+            }
+        },
+        MediaSource: class FakeMediaSource {
+            static isTypeSupported(type) {
+                return supports(type);
+            }
+        },
+        VideoDecoder: class FakeVideoDecoder {
+            static isConfigSupported(config) {
+                return isConfigSupported(config);
+            }
+        },
+        AudioDecoder: class FakeAudioDecoder {
+            static isConfigSupported(config) {
+                return isConfigSupported(config);
+            }
+        }
+    };
+}
+
+class FakeImageBitmap {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    close() {
+        this.width = 0;
+        this.height = 0;
+    }
+}
+
+/**
+ * OffscreenCanvas handing out the same contexts as DOM canvases
+ */
+function createOffscreenCanvasClass(options) {
+    return class FakeOffscreenCanvas {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+        }
+
+        getContext(type) {
+            return createElement('canvas', options).getContext(type);
+        }
+    };
+}
+
+/**
+ * Copy a message the way postMessage does: transferred ArrayBuffers are detached and
+ * transferred ImageBitmaps are closed on the sending side
+ */
+function cloneMessage(data, transfer = []) {
+    const buffers = transfer.filter(item => Object.prototype.toString.call(item) === '[object ArrayBuffer]');
+    const copy = structuredClone(data, { transfer: buffers });
+    if (data && typeof data === 'object') {
+        Object.entries(data).forEach(([key, value]) => {
+            if (value instanceof FakeImageBitmap) copy[key] = new FakeImageBitmap(value.width, value.height);
+        });
+    }
+    transfer.filter(item => item instanceof FakeImageBitmap).forEach(bitmap => bitmap.close());
+    return copy;
+}
+
+/**
+ * Run a blob: worker script in its own realm. The scope has OffscreenCanvas, WebGPU
+ * (options.workerWebGPU), importScripts() that throws in module workers, and
+ * SharedArrayBuffer only when options.crossOriginIsolated is set
+ */
+function startWorkerScope(url, type, options, post) {
+    const scope = {
+        navigator: { hardwareConcurrency: 4, gpu: options.webgpu && options.workerWebGPU ? createGPU(options) : undefined },
+        OffscreenCanvas: options.offscreenCanvas ? createOffscreenCanvasClass(options) : undefined,
+        postMessage: (data, transfer) => post(cloneMessage(data, transfer)),
+        setTimeout,
+        clearTimeout
+    };
+    scope.self = scope;
+    const context = vm.createContext(scope);
+    vm.runInContext(`self.importScripts = function () {
+        if (${type === 'module' && options.moduleWorkers}) throw new TypeError('importScripts() is not allowed in module workers');
+    };`, context);
+    if (!options.crossOriginIsolated) {
+        vm.runInContext('delete globalThis.SharedArrayBuffer', context);
+    }
+
+    return resolveObjectURL(url).text().then(source => {
+        vm.runInContext(source, context);
+        return context;
+    });
+}
+
+function createWorkerClass(options) {
+    return class FakeWorker {
+        constructor(url, workerOptions = {}) {
+            this.onmessage = null;
+            this.onerror = null;
+            this.terminated = false;
+            this.ready = startWorkerScope(url, workerOptions.type, options, (data) => setTimeout(() => {
+                if (!this.terminated && this.onmessage) this.onmessage({ data });
+            }));
+            this.ready.catch(error => {
+                if (this.onerror) this.onerror({ message: error.message });
+            });
+        }
+
+        postMessage(data, transfer) {
+            const copy = cloneMessage(data, transfer);
+            this.ready.then(scope => {
+                if (!this.terminated && scope.onmessage) scope.onmessage({ data: copy });
+            }, () => {});
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+/**
+ * SharedWorker whose script gets a connect event with the other end of worker.port
+ */
+function createSharedWorkerClass(options) {
+    return class FakeSharedWorker {
+        constructor(url) {
+            const deliver = (port, data) => setTimeout(() => {
+                if (!port.closed && port.onmessage) port.onmessage({ data });
+            });
+            const createPort = () => ({
+                onmessage: null,
+                closed: false,
+                start() {},
+                close() { this.closed = true; }
+            });
+            const port = createPort();
+            const workerPort = createPort();
+            port.postMessage = (data, transfer) => deliver(workerPort, cloneMessage(data, transfer));
+            workerPort.postMessage = (data, transfer) => deliver(port, cloneMessage(data, transfer));
+
+            this.port = port;
+            this.onerror = null;
+            startWorkerScope(url, 'classic', options, () => {}).then(
+                scope => scope.onconnect({ ports: [workerPort] }),
+                error => this.onerror && this.onerror({ message: error.message })
+            );
+        }
+    };
+}
+
+const PAGE_ORIGIN = 'http://localhost:8080';
+
+/**
+ * fetch() for the page's origin, answering with options.pageHeaders; other http(s) origins
+ * only answer when listed in options.corsOrigins. Other schemes (data:) use Node's fetch
+ */
+function createFetch(options) {
+    const nodeFetch = globalThis.fetch;
+    return async (input, init = {}) => {
+        const url = new URL(String(input), `${PAGE_ORIGIN}/`);
+        if (!url.protocol.startsWith('http')) {
+            return nodeFetch(input, init);
+        }
+        if (init.signal && init.signal.aborted) {
+            throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+        }
+        if (url.origin === PAGE_ORIGIN) {
+            return new Response(init.method === 'HEAD' ? null : '', { status: 200, headers: options.pageHeaders });
+        }
+        if (options.corsOrigins.includes(url.origin)) {
+            return new Response('', { status: 200, headers: { 'Access-Control-Allow-Origin': '*' } });
+        }
+        throw new TypeError('Failed to fetch');
+    };
+}
+
+/**
+ * Install browser globals on the Node global object.
+ * Returns a function that restores the previous globals.
+ */
+function installFakeBrowser(overrides = {}) {
+    const options = {
+        webgl: true,
+        webgl2: true,
+        webgpu: true,
+        webSocket: 'echo',
+        webRTC: true,
+        storage: true,
+        storageQuota: 10 * 1024 * 1024 * 1024,
+        webStorageQuota: 5 * 1024 * 1024,
+        opfsWritable: true,
+        persisted: false,
+        frameIntervalMs: 1000 / 60,
+        devicePixelRatio: 2,
+        // Media queries matchMedia() reports as matching
+        mediaQueries: ['(color-gamut: srgb)'],
+        wakeLock: true,
+        pointerLock: 'raw',
+        keyboard: true,
+        maxTouchPoints: 0,
+        audio: true,
+        audioLatency: { base: 0.01, output: 0.005 },
+        audioWorklet: true,
+        media: true,
+        mediaCodecs: ['h264', 'vp9', 'av1', 'opus', 'aac'],
+        hardwareCodecs: ['h264', 'vp9'],
+        workers: true,
+        moduleWorkers: true,
+        sharedWorker: true,
+        offscreenCanvas: true,
+        workerWebGPU: true,
+        crossOriginIsolated: false,
+        // Response headers of the page itself, and cross-origin hosts that allow CORS
+        pageHeaders: {},
+        corsOrigins: [],
+        ...overrides
+    };
+
+    const body = createElement('body', options);
+    const document = {
+        body,
+        hidden: false,
+        visibilityState: 'visible',
+        fullscreenEnabled: true,
+        pointerLockElement: null,
+        exitPointerLock() {},
+        createElement: (tagName) => createElement(tagName, options),
+        querySelector: () => null,
+        addEventListener() {},
+        removeEventListener() {}
+    };
+
+    const navigator = {
+        userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        platform: 'Linux x86_64',
+        language: 'en-US',
+        languages: ['en-US', 'en'],
+        hardwareConcurrency: 4,
+        maxTouchPoints: options.maxTouchPoints,
+        getGamepads: () => [null, null, null, null],
+        vibrate: () => true
+    };
+    if (options.webgpu) {
+        navigator.gpu = createGPU(options);
+    }
+    if (options.storage) {
+        navigator.storage = createStorageManager(options);
+    }
+    if (options.keyboard) {
+        navigator.keyboard = createKeyboard(options);
+    }
+    const media = options.media ? createMediaAPIs(options) : {};
+    if (options.media) {
+        navigator.mediaCapabilities = media.mediaCapabilities;
+    }
+    if (options.wakeLock) {
+        navigator.wakeLock = {
+            request: async () => {
+                if (options.wakeLock === 'denied') {
+                    throw Object.assign(new Error('Wake lock permission denied'), { name: 'NotAllowedError' });
+                }
+                return { released: false, release: async () => {} };
+            }
+        };
+    }
+
+    const WebSocketClass = options.webSocket ? createWebSocketClass(options.webSocket) : undefined;
+    if (WebSocketClass) WebSocketClass.instances = [];
+    FakeRTCPeerConnection.instances = [];
+
+    const globals = {
+        window: globalThis,
+        document,
+        navigator,
+        location: { href: `${PAGE_ORIGIN}/`, origin: PAGE_ORIGIN, protocol: 'http:', search: '' },
+        fetch: createFetch(options),
+        WebSocket: WebSocketClass,
+        RTCPeerConnection: options.webRTC ? FakeRTCPeerConnection : undefined,
+        EventSource: class EventSource {},
+        indexedDB: options.storage ? createIndexedDB() : undefined,
+        localStorage: options.storage ? createWebStorage(options.webStorageQuota) : undefined,
+        sessionStorage: options.storage ? createWebStorage(options.webStorageQuota) : undefined,
+        caches: options.storage ? createCacheStorage() : undefined,
+        crossOriginIsolated: options.crossOriginIsolated,
+        isSecureContext: true,
+        PointerEvent: FakePointerEvent,
+        onpointerrawupdate: null,
+        AudioContext: options.audio ? createAudioContextClass(options) : undefined,
+        OfflineAudioContext: options.audio ? createOfflineAudioContextClass(options) : undefined,
+        AudioWorkletNode: options.audio && options.audioWorklet ? FakeAudioWorkletNode : undefined,
+        Worker: options.workers ? createWorkerClass(options) : undefined,
+        SharedWorker: options.workers && options.sharedWorker ? createSharedWorkerClass(options) : undefined,
+        OffscreenCanvas: options.offscreenCanvas ? createOffscreenCanvasClass(options) : undefined,
+        createImageBitmap: async (source) => new FakeImageBitmap(source.width, source.height),
+        MediaSource: media.MediaSource,
+        VideoDecoder: media.VideoDecoder,
+        AudioDecoder: media.AudioDecoder,
+        screen: createScreen(options),
+        devicePixelRatio: options.devicePixelRatio,
+        innerWidth: 1280,
+        innerHeight: 720,
+        matchMedia: (query) => ({ media: query, matches: options.mediaQueries.includes(query) }),
+        // Animation frames on a timer; frameIntervalMs sets the simulated refresh rate
+        requestAnimationFrame: (callback) => setTimeout(() => callback(performance.now()), options.frameIntervalMs),
+        cancelAnimationFrame: (handle) => clearTimeout(handle),
+        GPUBufferUsage: { MAP_READ: 1, MAP_WRITE: 2, COPY_SRC: 4, COPY_DST: 8, INDEX: 16, VERTEX: 32, UNIFORM: 64, STORAGE: 128 },
+        GPUMapMode: { READ: 1, WRITE: 2 },
+        GPUShaderStage: { VERTEX: 1, FRAGMENT: 2, COMPUTE: 4 },
+        GPUTextureUsage: { COPY_SRC: 1, COPY_DST: 2, TEXTURE_BINDING: 4, STORAGE_BINDING: 8, RENDER_ATTACHMENT: 16 }
+    };
+
+    const previous = {};
+    for (const [name, value] of Object.entries(globals)) {
+        previous[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+
+    return function restore() {
+        for (const [name, descriptor] of Object.entries(previous)) {
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        }
+    };
+}
+
+/**
+ * Silence the engine's and modules' console chatter during test runs
+ */
+function silenceConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    return () => Object.assign(console, original);
+}
+
+module.exports = {
+    installFakeBrowser,
+    silenceConsole,
+    createStub,
+    FakeRTCPeerConnection
+};
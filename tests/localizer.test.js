@@ -0,0 +1,226 @@
+/**
+ * Localizer Tests
+ * Locale detection and fallback, manual switching and the shipped UI message packs
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+global.VersionRange = require('../js/version-range.js');
+global.SolutionResolver = require('../js/solution-resolver.js');
+global.SnippetRenderer = require('../js/snippet-renderer.js');
+const CapabilityDatabase = require('../js/capability-db.js');
+const Localizer = require('../js/localizer.js');
+
+const ROOT = path.join(__dirname, '..');
+const SHIPPED_DB = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'capability-db.json'), 'utf8'));
+
+/**
+ * CapabilityDatabase holding data without going through fetch
+ */
+function createDatabase(data) {
+    const db = new CapabilityDatabase();
+    db.validateEnvelope(data);
+    db.data = data;
+    return db;
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const values = { ...initial };
+    return {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => { values[key] = String(value); },
+        values
+    };
+}
+
+function createLocalizer(storage = createStorage()) {
+    const db = createDatabase({
+        locales: {
+            default: 'en-US',
+            supported: ['en-US', 'pt-BR', 'es-ES', 'ar'],
+            messages: {
+                'en-US': { 'ui.hello': 'Hello {{name}}', 'ui.only.english': 'English only', 'ui.save': 'Save' },
+                'pt-BR': { 'ui.hello': 'Olá {{name}}', 'ui.save': 'Salvar' },
+                'es-ES': { 'ui.hello': 'Hola {{name}}' },
+                ar: { 'ui.save': 'حفظ' }
+            }
+        },
+        browsers: [],
+        tests: [{ id: 'webgpu-support', title: 'WebGPU Support', titleLocalized: { 'pt-BR': 'Suporte a WebGPU' }, detectorKey: 'webgpu.support' }],
+        solutions: []
+    });
+    return new Localizer({ db, storage });
+}
+
+/**
+ * Keys passed literally to t()/label()/setLabel() or data-i18n attributes
+ */
+function collectUsedKeys() {
+    const sources = ['js/main.js', 'js/testing-interface.js', 'js/results-interface.js', 'index.html']
+        .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    const patterns = [
+        /\b(?:t|label)\(\s*'([\w.]+)'/g,
+        /\bsetLabel\([^,]+,\s*'([\w.]+)'/g,
+        /data-i18n="([\w.]+)"/g,
+        /data-i18n-attr="[\w-]+:([\w.]+)"/g
+    ];
+
+    const keys = new Set();
+    for (const source of sources) {
+        for (const pattern of patterns) {
+            for (const match of source.matchAll(pattern)) keys.add(match[1]);
+        }
+    }
+    return keys;
+}
+
+describe('Localizer', () => {
+    test('resolves exact, language-only and same-language locales', () => {
+        const supported = ['en-US', 'pt-BR', 'ar'];
+        assert.equal(Localizer.resolveLocale('pt-BR', supported), 'pt-BR');
+        assert.equal(Localizer.resolveLocale('pt-br', supported), 'pt-BR');
+        assert.equal(Localizer.resolveLocale('pt-PT', supported), 'pt-BR');
+        assert.equal(Localizer.resolveLocale('ar-EG', supported), 'ar');
+        assert.equal(Localizer.resolveLocale('de-DE', supported), null);
+    });
+
+    test('detects the first supported navigator language, else the default', () => {
+        const localizer = createLocalizer();
+        assert.equal(localizer.detectLocale(['de-DE', 'es-MX', 'pt-BR']), 'es-ES');
+        assert.equal(localizer.detectLocale(['de-DE', 'fr']), 'en-US');
+        assert.equal(localizer.detectLocale([]), 'en-US');
+    });
+
+    test('prefers a saved manual choice and remembers switches', () => {
+        const storage = createStorage({ 'spawnd.locale': 'pt-BR' });
+        const localizer = createLocalizer(storage);
+        assert.equal(localizer.init(['es-ES']), 'pt-BR');
+        assert.equal(storage.values['spawnd.locale'], 'pt-BR');
+
+        const changes = [];
+        localizer.onChange(locale => changes.push(locale));
+        localizer.setLocale('es-ES');
+        localizer.setLocale('es-ES');
+
+        assert.deepEqual(changes, ['es-ES']);
+        assert.equal(storage.values['spawnd.locale'], 'es-ES');
+        assert.equal(localizer.db.context.locale, 'es-ES');
+    });
+
+    test('ignores a saved locale the DB no longer supports', () => {
+        const localizer = createLocalizer(createStorage({ 'spawnd.locale': 'ja-JP' }));
+        assert.equal(localizer.init(['pt-BR']), 'pt-BR');
+    });
+
+    test('translates with parameters and falls back to the default locale', () => {
+        const localizer = createLocalizer();
+        localizer.setLocale('pt-BR', { persist: false });
+
+        assert.equal(localizer.t('ui.hello', { name: 'Ana' }), 'Olá Ana');
+        assert.equal(localizer.t('ui.hello'), 'Olá {{name}}');
+        assert.equal(localizer.t('ui.only.english'), 'English only');
+        assert.equal(localizer.t('ui.missing', {}, 'Fallback'), 'Fallback');
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(localizer.t('ui.missing'), 'ui.missing');
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    test('returns fallbacks until the DB is loaded', () => {
+        const localizer = new Localizer({ db: new CapabilityDatabase(), storage: null });
+        assert.equal(localizer.init(['pt-BR']), 'en-US');
+        assert.equal(localizer.t('ui.save', {}, 'Save'), 'Save');
+    });
+
+    test('marks right-to-left locales', () => {
+        const localizer = createLocalizer();
+        assert.equal(localizer.getDirection('ar'), 'rtl');
+        assert.equal(localizer.getDirection('he-IL'), 'rtl');
+        assert.equal(localizer.getDirection('pt-BR'), 'ltr');
+    });
+
+    test('renders escaped markup and re-applies tagged elements', () => {
+        const localizer = createLocalizer();
+        localizer.setLocale('en-US', { persist: false });
+        assert.equal(
+            localizer.markup('ui.hello', { name: '<b>' }),
+            '<span data-i18n="ui.hello" data-i18n-params="{&quot;name&quot;:&quot;&lt;b&gt;&quot;}">Hello &lt;b&gt;</span>'
+        );
+
+        const text = { dataset: { i18n: 'ui.hello', i18nParams: '{"name":"Ana"}' }, textContent: 'Hello Ana' };
+        const untranslated = { dataset: { i18n: 'ui.unknown' }, textContent: 'Built-in text' };
+        const attributes = { 'aria-label': 'Save' };
+        const attribute = {
+            dataset: { i18nAttr: 'aria-label:ui.save' },
+            getAttribute: name => attributes[name],
+            setAttribute: (name, value) => { attributes[name] = value; }
+        };
+        const root = {
+            querySelectorAll: selector => (selector === '[data-i18n]' ? [text, untranslated] : [attribute])
+        };
+
+        localizer.setLocale('pt-BR', { persist: false });
+        localizer.applyTo(root);
+
+        assert.equal(text.textContent, 'Olá Ana');
+        assert.equal(untranslated.textContent, 'Built-in text');
+        assert.equal(attributes['aria-label'], 'Salvar');
+    });
+
+    test('localizes DB test titles with the module name as fallback', () => {
+        const localizer = createLocalizer();
+        localizer.setLocale('pt-BR', { persist: false });
+        assert.equal(localizer.getTestText('webgpu.support', 'title', 'WebGPU'), 'Suporte a WebGPU');
+        assert.equal(localizer.getTestText('webgl.10.support', 'title', 'WebGL 1.0 Support'), 'WebGL 1.0 Support');
+
+        localizer.setLocale('es-ES', { persist: false });
+        assert.equal(localizer.getTestText('webgpu.support', 'title', 'WebGPU'), 'WebGPU Support');
+    });
+});
+
+describe('Shipped UI messages', () => {
+    const locales = SHIPPED_DB.locales;
+    const defaultMessages = locales.messages[locales.default];
+
+    test('define every key the tester UI uses in the default locale', () => {
+        const dynamicKeys = [
+            ...['pending', 'running', 'supported', 'partial', 'unsupported', 'error', 'skipped'].map(status => `status.${status}`),
+            ...['supported', 'partial', 'unsupported', 'error'].map(status => `results.status.${status}`),
+            ...['graphics', 'gaming', 'communication', 'performance', 'webassembly', 'storage', 'display', 'input', 'audio', 'media', 'workers', 'security', 'other'].map(category => `category.${category}`),
+            ...['excellent', 'good', 'fair', 'poor'].map(level => `compatibility.${level}`),
+            ...['high', 'medium', 'low', 'info'].map(priority => `priority.${priority}`),
+            ...['ready', 'degraded', 'unsupported'].flatMap(verdict => [`profile.verdict.${verdict}`, `profile.verdictDetail.${verdict}`]),
+            ...['required', 'recommended'].map(level => `profile.level.${level}`),
+            ...['met', 'partial', 'unmet', 'untested'].map(outcome => `profile.outcome.${outcome}`),
+            ...['poor', 'fair', 'good', 'excellent'].map(rating => `profile.rating.${rating}`),
+            ...['audio', 'pointerLock', 'fullscreen', 'vibration'].flatMap(step => [`guided.prompt.${step}`, `guided.action.${step}`]),
+            'guided.verified',
+            'guided.detectedOnly'
+        ];
+
+        const missing = [...collectUsedKeys(), ...dynamicKeys].filter(key => !(key in defaultMessages));
+        assert.deepEqual(missing, []);
+    });
+
+    test('are complete in every supported locale with matching placeholders', () => {
+        const placeholders = message => (message.match(/\{\{\s*[\w.-]+\s*\}\}/g) || []).sort();
+
+        for (const locale of locales.supported) {
+            const messages = locales.messages[locale] || {};
+            for (const [key, message] of Object.entries(defaultMessages)) {
+                assert.ok(messages[key], `${locale} is missing "${key}"`);
+                assert.deepEqual(placeholders(messages[key]), placeholders(message), `${locale} "${key}" placeholders differ`);
+            }
+        }
+    });
+});
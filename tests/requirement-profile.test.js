@@ -0,0 +1,204 @@
+/**
+ * RequirementProfile Tests
+ * Profile validation, "Can I run this game?" verdicts and URL loading
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RequirementProfile = require('../js/requirement-profile.js');
+
+const SHIPPED_DB = require('../data/capability-db.json');
+
+const result = (detectorKey, status, extra = {}) => ({ detectorKey, status, ...extra });
+
+const PROFILE = {
+    id: 'arena',
+    title: 'Arena',
+    required: {
+        tests: ['webassembly.support'],
+        webgl: { minVersion: 2, limits: { maxTextureSize: 4096 } },
+        wasm: ['simd']
+    },
+    recommended: {
+        tests: ['gamepad.api'],
+        benchmarks: { 'webgl.performance': 'good' }
+    }
+};
+
+const CAPABLE_RESULTS = [
+    result('webassembly.support', 'supported'),
+    result('webgl.10.support', 'supported', { capabilities: { maxTextureSize: 8192 } }),
+    result('webgl.20.support', 'supported', { capabilities: { maxSamples: 4 } }),
+    result('wasm.simd.support', 'supported'),
+    result('gamepad.api', 'supported'),
+    result('webgl.performance', 'supported', { performance: { rating: 'excellent' } })
+];
+
+const withResult = (replacement) => CAPABLE_RESULTS
+    .map(existing => (existing.detectorKey === replacement.detectorKey ? replacement : existing));
+
+/**
+ * Run fn with console.warn silenced, collecting the warnings
+ */
+async function captureWarnings(fn) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        return { value: await fn(), warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+describe('RequirementProfile', () => {
+    test('validates the profile shape', () => {
+        assert.deepEqual(RequirementProfile.validate(PROFILE), []);
+        assert.deepEqual(RequirementProfile.validate(null), ['Profile is not a JSON object']);
+
+        const errors = RequirementProfile.validate({
+            id: 'bad',
+            required: { tests: 'webgl', webgl: { minVersion: 3 }, wasm: ['stringref'] },
+            recommended: { webgpu: { limits: { maxBindGroups: '4' } }, benchmarks: { 'webgl.performance': 'great' } }
+        });
+        assert.equal(errors.length, 6);
+        assert.ok(errors.includes('Profile title is required'));
+        assert.ok(errors.includes('Unknown WebAssembly feature "stringref"'));
+    });
+
+    test('is ready when every requirement is met', () => {
+        const evaluation = new RequirementProfile(PROFILE).evaluate(CAPABLE_RESULTS);
+        assert.equal(evaluation.profileId, 'arena');
+        assert.equal(evaluation.verdict, 'ready');
+        assert.equal(evaluation.checks.length, 6);
+        assert.ok(evaluation.checks.every(check => check.outcome === 'met'));
+        assert.deepEqual(evaluation.checks.find(check => check.key === 'maxTextureSize'), {
+            level: 'required', type: 'webgl', key: 'maxTextureSize', expected: 4096, actual: 8192, outcome: 'met'
+        });
+    });
+
+    test('is not supported when a required check fails', () => {
+        const profile = new RequirementProfile(PROFILE);
+
+        const noSimd = profile.evaluate(withResult(result('wasm.simd.support', 'unsupported')));
+        assert.equal(noSimd.verdict, 'unsupported');
+
+        const smallTextures = profile.evaluate(withResult(
+            result('webgl.10.support', 'supported', { capabilities: { maxTextureSize: 2048 } })
+        ));
+        assert.equal(smallTextures.verdict, 'unsupported');
+        assert.equal(smallTextures.checks.find(check => check.key === 'maxTextureSize').actual, 2048);
+
+        const profiled = profile.evaluate([
+            ...CAPABLE_RESULTS,
+            result('webgl.capability.profile', 'partial', { limits: { maxTextureSize: 2048 } })
+        ]);
+        assert.equal(profiled.verdict, 'unsupported');
+    });
+
+    test('is degraded by recommended failures, partial support and untested requirements', () => {
+        const profile = new RequirementProfile(PROFILE);
+
+        assert.equal(profile.evaluate(withResult(result('gamepad.api', 'unsupported'))).verdict, 'degraded');
+        assert.equal(profile.evaluate(withResult(result('webgl.20.support', 'partial'))).verdict, 'degraded');
+
+        const slow = profile.evaluate(withResult(result('webgl.performance', 'supported', { performance: { rating: 'fair' } })));
+        assert.equal(slow.verdict, 'degraded');
+        assert.equal(slow.checks.find(check => check.type === 'benchmark').outcome, 'partial');
+
+        const skippedSimd = profile.evaluate(CAPABLE_RESULTS.filter(existing => existing.detectorKey !== 'wasm.simd.support'));
+        assert.equal(skippedSimd.verdict, 'degraded');
+        assert.equal(skippedSimd.checks.find(check => check.type === 'wasm').outcome, 'untested');
+    });
+
+    test('checks post-MVP WebAssembly features from the feature matrix', () => {
+        const profile = new RequirementProfile({
+            id: 'wasm', title: 'Wasm', required: { wasm: ['bulkMemory'] }, recommended: { wasm: ['gc'] }
+        });
+        const matrix = result('wasm.features', 'supported', { features: { bulkMemory: true, gc: false } });
+
+        const evaluation = profile.evaluate([matrix]);
+        assert.equal(evaluation.verdict, 'degraded');
+        assert.deepEqual(evaluation.checks.map(check => [check.key, check.outcome]), [['bulkMemory', 'met'], ['gc', 'unmet']]);
+        assert.equal(profile.evaluate([]).checks[0].outcome, 'untested');
+        assert.deepEqual(RequirementProfile.validate({ id: 'wasm', title: 'Wasm', required: { wasm: ['gc', 'simd'] } }), []);
+    });
+
+    test('checks WebGPU support, limits and adapter features', () => {
+        const profile = new RequirementProfile({
+            id: 'gpu',
+            title: 'GPU',
+            required: { webgpu: { limits: { maxBindGroups: 4 }, features: ['texture-compression-bc'] } },
+            recommended: { webgpu: { features: ['shader-f16'] } }
+        });
+        const results = [
+            result('webgpu.support', 'supported'),
+            result('webgpu.adapter.info', 'supported', { limits: { maxBindGroups: 4 }, features: ['texture-compression-bc'] })
+        ];
+
+        const evaluation = profile.evaluate(results);
+        assert.equal(evaluation.verdict, 'degraded');
+        assert.deepEqual(
+            evaluation.checks.map(check => [check.level, check.type, check.key, check.outcome]),
+            [
+                ['required', 'webgpu', 'support', 'met'],
+                ['required', 'webgpu', 'maxBindGroups', 'met'],
+                ['required', 'webgpu-feature', 'texture-compression-bc', 'met'],
+                ['recommended', 'webgpu', 'support', 'met'],
+                ['recommended', 'webgpu-feature', 'shader-f16', 'unmet']
+            ]
+        );
+
+        assert.equal(profile.evaluate([result('webgpu.support', 'unsupported')]).verdict, 'unsupported');
+    });
+
+    test('turns its WebGPU requirements into WebGPUTests thresholds', () => {
+        const profile = new RequirementProfile({
+            id: 'gpu',
+            title: 'GPU',
+            required: { webgpu: { limits: { maxBindGroups: 4, maxBufferSize: 268435456 }, features: ['texture-compression-bc'] } },
+            recommended: { webgpu: { limits: { maxBufferSize: 1073741824 }, features: ['shader-f16'] } }
+        });
+
+        assert.deepEqual(profile.getWebGPUThresholds(), {
+            limits: { maxBindGroups: 4, maxBufferSize: 1073741824 },
+            features: ['texture-compression-bc', 'shader-f16']
+        });
+        assert.equal(new RequirementProfile({ id: 'cpu', title: 'CPU', required: { tests: ['webgl.support'] } }).getWebGPUThresholds(), undefined);
+    });
+
+    test('loads ?game=<id> from the DB and ignores pages without a profile', async () => {
+        const db = { findProfile: id => (id === 'arena' ? PROFILE : null) };
+
+        const profile = await RequirementProfile.fromLocation('?game=arena', db);
+        assert.ok(profile instanceof RequirementProfile);
+        assert.equal(profile.title, 'Arena');
+
+        assert.equal(await RequirementProfile.fromLocation('', db), null);
+        assert.equal(await RequirementProfile.fromLocation('?lang=es-ES', db), null);
+    });
+
+    test('warns and returns null for unknown or invalid profiles', async () => {
+        const unknown = await captureWarnings(() => RequirementProfile.fromLocation('?game=missing', { findProfile: () => null }));
+        assert.equal(unknown.value, null);
+        assert.match(unknown.warnings[0], /No requirement profile "missing"/);
+
+        const invalid = await captureWarnings(() => RequirementProfile.fromLocation('?game=bad', { findProfile: () => ({ id: 'bad' }) }));
+        assert.equal(invalid.value, null);
+        assert.match(invalid.warnings[0], /Profile title is required/);
+    });
+
+    test('ships valid sample profiles in the DB', () => {
+        assert.ok(SHIPPED_DB.profiles.length > 0);
+        const detectorKeys = new Set(SHIPPED_DB.tests.map(dbTest => dbTest.detectorKey));
+
+        for (const profile of SHIPPED_DB.profiles) {
+            assert.deepEqual(RequirementProfile.validate(profile), [], profile.id);
+            for (const section of [profile.required, profile.recommended]) {
+                const keys = [...(section.tests || []), ...Object.keys(section.benchmarks || {})];
+                keys.forEach(key => assert.ok(detectorKeys.has(key), `${profile.id} references unknown test ${key}`));
+            }
+        }
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * ScoringModel Tests
+ * Severity and explicit weights, category sub-scores, grades and blocking caps
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScoringModel = require('../js/scoring-model.js');
+
+const SHIPPED_DB = require('../data/capability-db.json');
+
+const result = (detectorKey, status, category = 'graphics') => ({ detectorKey, status, category });
+
+describe('ScoringModel', () => {
+    test('weights tests by severity, with explicit weights taking precedence', () => {
+        const scoring = new ScoringModel({
+            tests: [
+                { detectorKey: 'core', severity: 'fail' },
+                { detectorKey: 'nice', severity: 'info' },
+                { detectorKey: 'ignored', severity: 'fail', weight: 0 }
+            ]
+        });
+
+        assert.deepEqual(scoring.getTestConfig('core'), { severity: 'fail', weight: 3, blocking: false });
+        assert.equal(scoring.getTestConfig('unknown').weight, 2);
+
+        // 3 earned of 3 + 1 possible; the zero-weight failure does not count
+        const summary = scoring.summarize([result('core', 'supported'), result('nice', 'unsupported'), result('ignored', 'error')]);
+        assert.equal(summary.score, 75);
+        assert.equal(summary.total, 3);
+        assert.equal(summary.error, 1);
+    });
+
+    test('lets per-run weights override the DB', () => {
+        const scoring = new ScoringModel({ tests: [{ detectorKey: 'core', severity: 'fail' }], weights: { core: 1 } });
+        assert.equal(scoring.getTestConfig('core').weight, 1);
+    });
+
+    test('gives partial results half credit and scores each category', () => {
+        const scoring = new ScoringModel();
+        const summary = scoring.summarize([
+            result('a', 'supported'),
+            result('b', 'partial'),
+            result('c', 'unsupported', 'gaming'),
+            result('d', 'skipped', 'gaming')
+        ]);
+
+        assert.equal(summary.score, 38);
+        assert.equal(summary.grade, 'poor');
+        assert.deepEqual(summary.categories.graphics, { total: 2, supported: 1, partial: 1, unsupported: 0, error: 0, skipped: 0, score: 75, grade: 'good' });
+        assert.equal(summary.categories.gaming.score, 0);
+        assert.equal(summary.categories.gaming.skipped, 1);
+    });
+
+    test('caps the overall grade while a blocking test fails', () => {
+        const scoring = new ScoringModel({ tests: [{ detectorKey: 'webgl', severity: 'fail', blocking: true }] });
+        const others = Array.from({ length: 20 }, (_, index) => result(`t${index}`, 'supported'));
+
+        const blocked = scoring.summarize([result('webgl', 'unsupported'), ...others]);
+        assert.equal(blocked.rawScore, 93);
+        assert.equal(blocked.score, ScoringModel.BLOCKING_SCORE_CAP);
+        assert.equal(blocked.grade, 'poor');
+        assert.deepEqual(blocked.blockedBy, ['webgl']);
+        assert.equal(blocked.categories.graphics.score, 93);
+
+        const partial = scoring.summarize([result('webgl', 'partial'), ...others]);
+        assert.equal(partial.blocked, false);
+        assert.equal(partial.grade, 'excellent');
+    });
+
+    test('maps scores to grades', () => {
+        assert.equal(ScoringModel.getGrade(100), 'excellent');
+        assert.equal(ScoringModel.getGrade(80), 'excellent');
+        assert.equal(ScoringModel.getGrade(79), 'good');
+        assert.equal(ScoringModel.getGrade(40), 'fair');
+        assert.equal(ScoringModel.getGrade(0), 'poor');
+    });
+
+    test('scores an empty run as 0', () => {
+        const summary = new ScoringModel().summarize([]);
+        assert.equal(summary.score, 0);
+        assert.deepEqual(summary.categories, {});
+    });
+
+    test('reads severity and blocking flags from a loaded DB', () => {
+        const db = { isLoaded: () => true, data: SHIPPED_DB };
+        const scoring = ScoringModel.fromDatabase(db);
+
+        assert.deepEqual(scoring.getTestConfig('webgl.10.support'), { severity: 'fail', weight: 3, blocking: true });
+        assert.equal(scoring.getTestConfig('vibration.api').weight, 1);
+        assert.equal(ScoringModel.fromDatabase(null).getTestConfig('webgl.10.support').blocking, false);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * SnippetRenderer Tests
+ * Variable validation, localized bodies, md/html conversion and target filtering
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.VersionRange = require('../js/version-range.js');
+global.SolutionResolver = require('../js/solution-resolver.js');
+const SnippetRenderer = require('../js/snippet-renderer.js');
+
+const snippets = [
+    {
+        id: 'set-angle',
+        bodyFormat: 'md',
+        body: 'Set *ANGLE backend* to **{{backend}}**.',
+        bodyLocalized: { 'pt-BR': { body: 'Defina o backend como **{{backend}}**.' } },
+        variables: [{ key: 'backend', label: 'Backend', type: 'enum', options: ['D3D11', 'OpenGL', 'Vulkan'] }],
+        targets: { browsers: ['google-chrome'], os: ['windows'] }
+    },
+    { id: 'chrome-flags', bodyFormat: 'md', body: 'Open `chrome://flags`.', targets: { browsers: ['google-chrome'], versionRange: '>=120' } },
+    { id: 'update', bodyFormat: 'md', body: 'Update your browser.' },
+    { id: 'html-steps', bodyFormat: 'html', body: '<ol><li>{{step}}</li></ol>', variables: [{ key: 'step', label: 'Step', type: 'string' }] },
+    { id: 'docs', bodyFormat: 'md', body: 'See [docs]({{url}}).', variables: [{ key: 'url', label: 'URL', type: 'url' }] }
+];
+
+const chromeOnWindows = { browserId: 'google-chrome', version: '121.0', os: 'Windows' };
+
+function render(content, options = {}) {
+    return new SnippetRenderer({ snippets }).render(content, { format: 'md', context: chromeOnWindows, ...options });
+}
+
+describe('SnippetRenderer', () => {
+    test('substitutes validated variables into the localized body', () => {
+        const english = render('{{snippet:set-angle backend="Vulkan"}}');
+        assert.equal(english.content, 'Set *ANGLE backend* to **Vulkan**.');
+        assert.deepEqual(english.unresolved, []);
+
+        const portuguese = render('{{snippet:set-angle backend="Vulkan"}}', { locale: 'pt-BR' });
+        assert.equal(portuguese.content, 'Defina o backend como **Vulkan**.');
+    });
+
+    test('reports invalid, unknown and missing variables as unresolved placeholders', () => {
+        const invalid = render('{{snippet:set-angle backend="Metal"}}');
+        assert.equal(invalid.content, 'Set *ANGLE backend* to **{{backend}}**.');
+        assert.match(invalid.unresolved[0].reason, /must be one of: D3D11, OpenGL, Vulkan/);
+        assert.equal(invalid.unresolved[1].placeholder, '{{backend}}');
+
+        const unknown = render('{{snippet:update color="red"}}');
+        assert.match(unknown.unresolved[0].reason, /Unknown variable "color"/);
+
+        const badUrl = render('{{snippet:docs url="javascript:alert(1)"}}');
+        assert.match(badUrl.unresolved[0].reason, /not an http\(s\) URL/);
+
+        const missing = render('Steps: {{snippet:nope}}');
+        assert.equal(missing.content, 'Steps: {{snippet:nope}}');
+        assert.equal(missing.unresolved[0].reason, 'Unknown snippet');
+    });
+
+    test('skips snippets whose targets do not match, or substitutes the fallback', () => {
+        const onMac = { ...chromeOnWindows, os: 'macOS' };
+
+        const skipped = render('A {{snippet:set-angle backend="D3D11"}}B', { context: onMac });
+        assert.equal(skipped.content, 'A B');
+        assert.deepEqual(skipped.skipped, ['set-angle']);
+
+        const fallback = render('{{snippet:chrome-flags fallback="update"}}', { context: { ...chromeOnWindows, version: '119.0' } });
+        assert.equal(fallback.content, 'Update your browser.');
+
+        const matching = render('{{snippet:chrome-flags fallback="update"}}');
+        assert.equal(matching.content, 'Open `chrome://flags`.');
+    });
+
+    test('keeps targeted snippets as references when the environment is unknown', () => {
+        const exported = render('{{snippet:chrome-flags}} {{snippet:update}}', { context: null });
+        assert.equal(exported.content, '{{snippet:chrome-flags}} Update your browser.');
+        assert.deepEqual(exported.unresolved, []);
+    });
+
+    test('converts between md and html consistently', () => {
+        const intoHtml = render('<div>{{snippet:update}}</div>', { format: 'html' });
+        assert.equal(intoHtml.format, 'html');
+        assert.equal(intoHtml.content, '<div><p>Update your browser.</p></div>');
+
+        const htmlIntoMd = render('Try **this**:\n\n{{snippet:html-steps step="<Restart>"}}');
+        assert.equal(htmlIntoMd.format, 'html');
+        assert.equal(htmlIntoMd.content, '<p>Try <strong>this</strong>:</p><ol><li>&lt;Restart&gt;</li></ol>');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * SolutionResolver Tests
+ * Browser/version/OS targeting and ordering of solutions for a failing detectorKey
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.VersionRange = require('../js/version-range.js');
+const SolutionResolver = require('../js/solution-resolver.js');
+
+const tests = [{ id: 'webgpu-support', title: 'WebGPU Support', detectorKey: 'webgpu.support' }];
+
+/**
+ * Build a solution for webgpu-support with the given targeting
+ */
+function solution(id, appliesTo, priority = 0, lastUpdated = '2025-01-01T00:00:00.000Z') {
+    return { id, title: id, testIds: ['webgpu-support'], appliesTo, priority, lastUpdated };
+}
+
+function resolveIds(solutions, context) {
+    return new SolutionResolver({ tests, solutions }).resolve('webgpu.support', context).map(s => s.id);
+}
+
+describe('SolutionResolver', () => {
+    test('gives Safari 17 users Safari 17 steps before Safari and generic ones', () => {
+        const solutions = [
+            solution('generic', { scope: 'generic' }, 50),
+            solution('safari', { scope: 'browser', browserId: 'safari' }, 10),
+            solution('safari-17', { scope: 'browserVersion', browserId: 'safari', versionRange: '>=17 <18' }),
+            solution('safari-16', { scope: 'browserVersion', browserId: 'safari', versionRange: '>=16 <17' })
+        ];
+
+        assert.deepEqual(resolveIds(solutions, { browserId: 'safari', version: '17.4' }), ['safari-17', 'safari', 'generic']);
+        assert.deepEqual(resolveIds(solutions, { browserId: 'safari', version: '16.6' }), ['safari-16', 'safari', 'generic']);
+        assert.deepEqual(resolveIds(solutions, { browserId: 'firefox', version: '17.4' }), ['generic']);
+        assert.deepEqual(resolveIds(solutions, {}), ['generic']);
+    });
+
+    test('breaks ties by priority, then most recent update', () => {
+        const solutions = [
+            solution('low', { scope: 'generic' }, 1),
+            solution('old', { scope: 'generic' }, 5, '2024-01-01T00:00:00.000Z'),
+            solution('new', { scope: 'generic' }, 5, '2025-06-01T00:00:00.000Z')
+        ];
+
+        assert.deepEqual(resolveIds(solutions, {}), ['new', 'old', 'low']);
+    });
+
+    test('filters by OS and ranks OS-targeted solutions above untargeted ones of the same scope', () => {
+        const solutions = [
+            solution('generic', { scope: 'generic' }, 90),
+            solution('generic-mac', { scope: 'generic', os: ['macos'] }),
+            solution('chrome', { scope: 'browser', browserId: 'google-chrome' }),
+            solution('chrome-windows', { scope: 'browser', browserId: 'google-chrome', os: ['windows'] })
+        ];
+
+        assert.deepEqual(resolveIds(solutions, { browserId: 'google-chrome', os: 'macOS' }), ['chrome', 'generic-mac', 'generic']);
+        assert.deepEqual(resolveIds(solutions, { browserId: 'google-chrome', os: 'Windows' }), ['chrome-windows', 'chrome', 'generic']);
+        assert.deepEqual(resolveIds(solutions, { browserId: 'google-chrome', os: 'Unknown' }), ['chrome', 'generic']);
+    });
+
+    test('matches solutions by test id, detectorKey or legacy issueKey', () => {
+        const solutions = [
+            solution('by-id', { scope: 'generic' }, 3),
+            { id: 'by-key', title: 'by-key', testIds: ['webgpu.support'], appliesTo: { scope: 'generic' }, priority: 2 },
+            { id: 'legacy', title: 'legacy', issueKey: 'webgpu-support', appliesTo: { scope: 'generic' }, priority: 1 },
+            { id: 'other', title: 'other', testIds: ['webgl-10-support'], appliesTo: { scope: 'generic' } }
+        ];
+
+        assert.deepEqual(resolveIds(solutions, {}), ['by-id', 'by-key', 'legacy']);
+    });
+
+    test('normalizes detected OS names to target ids', () => {
+        assert.equal(SolutionResolver.normalizeOS('macOS'), 'macos');
+        assert.equal(SolutionResolver.normalizeOS('Mac OS X'), 'macos');
+        assert.equal(SolutionResolver.normalizeOS('iOS'), 'ios');
+        assert.equal(SolutionResolver.normalizeOS('Windows'), 'windows');
+        assert.equal(SolutionResolver.normalizeOS('Unknown'), null);
+        assert.equal(SolutionResolver.normalizeOS(null), null);
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * TestEngine Tests
+ * Result normalization, dependencies, timeouts, retries and scheduling
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { silenceConsole } = require('./helpers/fake-browser');
+global.ScoringModel = require('../js/scoring-model.js');
+const TestEngine = require('../js/test-engine.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TestEngine', () => {
+    let restoreConsole;
+    before(() => { restoreConsole = silenceConsole(); });
+    after(() => restoreConsole());
+
+    describe('result normalization', () => {
+        test('maps boolean results to supported/unsupported', async () => {
+            const engine = new TestEngine();
+            engine.registerTest('yes', () => true);
+            engine.registerTest('no', async () => false);
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(summary.results.yes.status, 'supported');
+            assert.equal(summary.results.yes.details, 'Test returned true');
+            assert.equal(summary.results.no.status, 'unsupported');
+        });
+
+        test('wraps non-status values as supported details', async () => {
+            const engine = new TestEngine();
+            engine.registerTest('value', () => 'WebGL 2.0');
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(summary.results.value.status, 'supported');
+            assert.equal(summary.results.value.details, 'WebGL 2.0');
+        });
+
+        test('passes status objects through and adds bookkeeping fields', async () => {
+            const engine = new TestEngine();
+            engine.registerTest('partial', () => ({ status: 'partial', details: 'half', score: 50 }), { category: 'graphics' });
+
+            const summary = await engine.runAllTests();
+            const result = summary.results.partial;
+
+            assert.equal(result.status, 'partial');
+            assert.equal(result.score, 50);
+            assert.equal(result.testName, 'partial');
+            assert.equal(result.category, 'graphics');
+            assert.equal(typeof result.duration, 'number');
+            assert.equal(result.attempts, 1);
+        });
+
+        test('counts statuses per category in the summary', async () => {
+            const engine = new TestEngine();
+            engine.registerTest('a', () => true, { category: 'graphics' });
+            engine.registerTest('b', () => false, { category: 'graphics' });
+            engine.registerTest('c', () => ({ status: 'partial' }), { category: 'gaming' });
+
+            const summary = await engine.runAllTests();
+
+            assert.deepEqual(summary.statusCounts, { supported: 1, unsupported: 1, partial: 1, error: 0, skipped: 0 });
+            assert.deepEqual(summary.categories.graphics, { total: 2, supported: 1, unsupported: 1, partial: 0, error: 0, skipped: 0, score: 50, grade: 'fair' });
+            assert.equal(summary.categories.gaming.partial, 1);
+        });
+
+        test('scores the summary with the configured scoring model', async () => {
+            const scoring = new ScoringModel({ tests: [{ detectorKey: 'core', severity: 'fail', blocking: true }] });
+            const engine = new TestEngine({ scoring });
+            engine.registerTest('core', () => false, { category: 'graphics' });
+            engine.registerTest('extra', () => true, { category: 'graphics' });
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(engine.config.scoring, undefined);
+            assert.deepEqual(summary.blockedBy, ['core']);
+            assert.equal(summary.categories.graphics.score, 40);
+            assert.equal(summary.grade, 'poor');
+        });
+    });
+
+    describe('dependencies', () => {
+        test('skips tests whose dependency is not supported', async () => {
+            const engine = new TestEngine();
+            let ran = false;
+            engine.registerTest('base', () => false, { priority: 1 });
+            engine.registerTest('dependent', () => { ran = true; return true; }, { priority: 10, dependencies: ['base'] });
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(ran, false);
+            assert.equal(summary.results.dependent.status, 'skipped');
+            assert.equal(summary.results.dependent.reason, 'Dependencies not met');
+        });
+
+        test('runs dependents after their dependency even with higher priority', async () => {
+            const engine = new TestEngine();
+            const order = [];
+            engine.registerTest('base', async () => { await delay(10); order.push('base'); return true; }, { priority: 1 });
+            engine.registerTest('dependent', () => { order.push('dependent'); return true; }, { priority: 10, dependencies: ['base'] });
+
+            const summary = await engine.runAllTests();
+
+            assert.deepEqual(order, ['base', 'dependent']);
+            assert.equal(summary.results.dependent.status, 'supported');
+        });
+
+        test('rejects circular dependencies', async () => {
+            const engine = new TestEngine();
+            engine.registerTest('a', () => true, { dependencies: ['b'] });
+            engine.registerTest('b', () => true, { dependencies: ['a'] });
+
+            await assert.rejects(() => engine.runAllTests(), /Circular dependency/);
+        });
+    });
+
+    describe('timeouts and retries', () => {
+        test('times out hanging tests and aborts their signal', async () => {
+            const engine = new TestEngine({ timeoutMs: 20, retryAttempts: 1 });
+            const signals = [];
+            engine.registerTest('hang', (signal) => { signals.push(signal); return new Promise(() => {}); });
+
+            const summary = await engine.runAllTests();
+            const result = summary.results.hang;
+
+            assert.equal(result.status, 'error');
+            assert.equal(result.error, 'Test timeout after 20ms');
+            assert.equal(result.attempts, 2);
+            assert.equal(signals.length, 2);
+            assert.ok(signals.every(signal => signal.aborted));
+        });
+
+        test('uses the default timeout when a test passes timeout: undefined', async () => {
+            const engine = new TestEngine({ timeoutMs: 200, retryAttempts: 0 });
+            engine.registerTest('async', async () => { await delay(5); return true; }, { timeout: undefined, exclusive: undefined });
+
+            assert.equal(engine.tests.get('async').timeout, 200);
+            assert.equal(engine.tests.get('async').exclusive, false);
+            const summary = await engine.runAllTests();
+            assert.equal(summary.results.async.status, 'supported');
+        });
+
+        test('retries thrown errors and keeps the successful attempt', async () => {
+            const engine = new TestEngine({ retryAttempts: 2 });
+            let calls = 0;
+            engine.registerTest('flaky', () => {
+                calls++;
+                if (calls === 1) throw new Error('first attempt fails');
+                return true;
+            });
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(calls, 2);
+            assert.equal(summary.results.flaky.status, 'supported');
+        });
+
+        test('retries error results up to the retry limit', async () => {
+            const engine = new TestEngine({ retryAttempts: 2 });
+            let calls = 0;
+            engine.registerTest('broken', () => { calls++; return { status: 'error', details: 'nope' }; });
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(calls, 3);
+            assert.equal(summary.results.broken.status, 'error');
+        });
+
+        test('skips remaining tests once the total time limit is exceeded', async () => {
+            const engine = new TestEngine({ totalTimeLimit: 20, parallelTests: 1 });
+            engine.registerTest('slow', async () => { await delay(40); return true; }, { priority: 10 });
+            engine.registerTest('late', () => true, { priority: 1 });
+
+            const summary = await engine.runAllTests();
+
+            assert.equal(summary.results.slow.status, 'supported');
+            assert.equal(summary.results.late.status, 'skipped');
+            assert.equal(summary.results.late.reason, 'Time limit exceeded');
+        });
+    });
+
+    describe('scheduling', () => {
+        test('runs up to parallelTests at once', async () => {
+            const engine = new TestEngine({ parallelTests: 3 });
+            let active = 0;
+            let maxActive = 0;
+            for (let i = 0; i < 8; i++) {
+                engine.registerTest(`t${i}`, async () => {
+                    active++;
+                    maxActive = Math.max(maxActive, active);
+                    await delay(10);
+                    active--;
+                    return true;
+                });
+            }
+
+            await engine.runAllTests();
+
+            assert.equal(maxActive, 3);
+        });
+
+        test('never overlaps exclusive tests with other tests', async () => {
+            const engine = new TestEngine({ parallelTests: 4 });
+            let active = 0;
+            let overlapped = false;
+            const track = (exclusive) => async () => {
+                active++;
+                if (exclusive && active > 1) overlapped = true;
+                await delay(10);
+                if (exclusive && active > 1) overlapped = true;
+                active--;
+                return true;
+            };
+            for (let i = 0; i < 4; i++) {
+                engine.registerTest(`t${i}`, track(false), { priority: 5 });
+            }
+            engine.registerTest('benchmark', track(true), { priority: 5, exclusive: true });
+            engine.registerTest('benchmark 2', track(true), { priority: 5, exclusive: true });
+
+            await engine.runAllTests();
+
+            assert.equal(overlapped, false);
+        });
+
+        test('emits testStart and testComplete for every test, then testSuiteComplete', async () => {
+            const engine = new TestEngine();
+            const events = [];
+            engine.on('testStart', ({ name }) => events.push(`start:${name}`));
+            engine.on('testComplete', ({ name, progress }) => events.push(`complete:${name}:${progress}`));
+            engine.on('testSuiteComplete', ({ completedTests }) => events.push(`suite:${completedTests}`));
+            engine.registerTest('only', () => true);
+
+            await engine.runAllTests();
+
+            assert.deepEqual(events, ['start:only', 'complete:only:1', 'suite:1']);
+        });
+    });
+
+    describe('cancellation', () => {
+        test('cancel aborts in-flight tests and suppresses testSuiteComplete', async () => {
+            const engine = new TestEngine();
+            let signal = null;
+            let completed = false;
+            engine.on('testSuiteComplete', () => { completed = true; });
+            engine.registerTest('hang', (s) => { signal = s; return new Promise(() => {}); }, { priority: 10 });
+            engine.registerTest('never', () => true, { dependencies: ['hang'] });
+
+            const run = engine.runAllTests();
+            await delay(5);
+            engine.cancel();
+            const summary = await run;
+
+            assert.ok(signal.aborted);
+            assert.equal(completed, false);
+            assert.equal(summary.results.hang.status, 'skipped');
+            assert.equal(summary.results.never, undefined);
+        });
+
+        test('pause interrupts running tests and reruns them on resume', async () => {
+            const engine = new TestEngine();
+            let runs = 0;
+            const interrupted = [];
+            engine.on('testInterrupted', ({ name }) => interrupted.push(name));
+            engine.registerTest('long', (signal) => {
+                runs++;
+                return new Promise(resolve => {
+                    const timer = setTimeout(() => resolve(true), 30);
+                    signal.addEventListener('abort', () => clearTimeout(timer));
+                });
+            });
+
+            const run = engine.runAllTests();
+            await delay(5);
+            engine.pause();
+            await delay(10);
+            engine.resume();
+            const summary = await run;
+
+            assert.equal(runs, 2);
+            assert.deepEqual(interrupted, ['long']);
+            assert.equal(summary.results.long.status, 'supported');
+        });
+    });
+});
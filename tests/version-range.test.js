@@ -0,0 +1,71 @@
+/**
+ * VersionRange Tests
+ * Range grammar, matching and parse errors
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { silenceConsole } = require('./helpers/fake-browser');
+const VersionRange = require('../js/version-range.js');
+
+/**
+ * Assert which of the given versions satisfy a range
+ */
+function assertMatches(range, matching, notMatching) {
+    for (const version of matching) {
+        assert.equal(VersionRange.matches(version, range), true, `${version} should match "${range}"`);
+    }
+    for (const version of notMatching) {
+        assert.equal(VersionRange.matches(version, range), false, `${version} should not match "${range}"`);
+    }
+}
+
+describe('VersionRange', () => {
+    let restoreConsole;
+    before(() => { restoreConsole = silenceConsole(); });
+    after(() => restoreConsole());
+
+    test('keeps existing comparator ranges working', () => {
+        assertMatches('>=17 <18', ['17', '17.4.1'], ['16.6', '18.0']);
+        assertMatches('<113', ['112.0.5615.49'], ['113', '120.0']);
+        assertMatches('>= 120', ['120.0.6099.109'], ['119.9']);
+    });
+
+    test('treats partial and wildcard versions as ranges', () => {
+        assertMatches('17.4', ['17.4', '17.4.1'], ['17.3.9', '17.5']);
+        assertMatches('17.x', ['17.0', '17.9.3'], ['16.6', '18']);
+        assertMatches('17.*', ['17.6'], ['18.0']);
+        assertMatches('*', ['1', '125.0'], []);
+        assertMatches('>17', ['18.0'], ['17.9']);
+        assertMatches('<=17.4', ['17.4.9'], ['17.5']);
+    });
+
+    test('supports OR sets and hyphen ranges', () => {
+        assertMatches('16 || >=17.4', ['16.6', '17.4', '18.1'], ['15.6', '17.3']);
+        assertMatches('120 - 125.1', ['120.0', '125.1.9'], ['119.9', '125.2']);
+        assertMatches('120.0.1 - 121.0.0', ['121.0.0'], ['121.0.1', '120.0.0']);
+    });
+
+    test('supports tilde and caret ranges', () => {
+        assertMatches('~17.4', ['17.4.0', '17.4.6'], ['17.5']);
+        assertMatches('~17', ['17.6'], ['18.0']);
+        assertMatches('^120.1', ['120.1', '120.9'], ['121.0', '120.0']);
+        assertMatches('^0.2.3', ['0.2.5'], ['0.3.0']);
+        assertMatches('^0.0.3', ['0.0.3'], ['0.0.4']);
+    });
+
+    test('reports parse errors instead of matching everything', () => {
+        for (const range of ['>=17 <', 'latest', '1 ||', '17.4.1.2', '>=a', '1.2 -']) {
+            assert.equal(typeof VersionRange.validate(range), 'string', `"${range}" should be rejected`);
+            assert.equal(VersionRange.matches('17.4', range), false);
+        }
+        assert.equal(VersionRange.validate('>=17 <18 || ^120'), null);
+        assert.equal(VersionRange.validate(''), null);
+    });
+
+    test('never matches an unparseable detected version', () => {
+        assert.equal(VersionRange.matches('Unknown', '*'), false);
+        assert.equal(VersionRange.matches('', '>=1'), false);
+    });
+});